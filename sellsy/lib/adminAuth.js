@@ -0,0 +1,23 @@
+// --- Authentification des routes d'exploitation ---
+// Partagé par l'API admin du worker et les routes journal/quarantaine du
+// listener: header "Authorization: Bearer <ADMIN_API_TOKEN>". Sans dépendance.
+import crypto from "crypto";
+
+export function sameToken(expected, received) {
+  // Comparaison à temps constant sur des empreintes de même longueur
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(expected), digest(received));
+}
+
+// Hook onRequest: 401 sans le bon token
+export function bearerAuth(token) {
+  return async (request, reply) => {
+    const header = request.headers.authorization || "";
+    const received = header.startsWith("Bearer ") ? header.slice(7) : "";
+
+    if (!received || !sameToken(token, received)) {
+      request.log.warn("🔒 Accès admin refusé");
+      return reply.code(401).send({ error: "Authentification requise" });
+    }
+  };
+}
@@ -0,0 +1,129 @@
+// --- Enveloppe des événements mis en file par le listener ---
+// Le job BullMQ transporte la payload Sellsy et les métadonnées de réception
+// (date, IP source, headers Sellsy, résultat de la signature, request id
+// Fastify, contexte de trace) pour relier une livraison Sellsy à son traitement.
+// Les jobs antérieurs (payload seule) restent lisibles: schemaVersion 0, meta null.
+
+export const ENVELOPE_SCHEMA_VERSION = 1;
+
+// Enveloppe produite par un listener plus récent: rejouer ne changera rien
+export class UnsupportedEnvelopeError extends Error {
+  constructor(schemaVersion) {
+    super(
+      `Enveloppe d'événement en version ${schemaVersion} non supportée (max ${ENVELOPE_SCHEMA_VERSION})`,
+    );
+    this.name = "UnsupportedEnvelopeError";
+    this.schemaVersion = schemaVersion;
+    // Lu par sellsyBackoffStrategy / isFinalFailure: pas de nouvelle tentative
+    this.isRetryable = false;
+  }
+}
+
+// Headers conservés: ceux de Sellsy et de la requête, jamais les secrets ni la signature
+const FORWARDED_HEADERS = [
+  "user-agent",
+  "content-type",
+  "content-length",
+  "x-webhook-timestamp",
+  "x-forwarded-for",
+  "x-real-ip",
+  "tracestate",
+];
+
+function requestHeaders(headers = {}) {
+  return Object.fromEntries(
+    Object.entries(headers).filter(
+      ([name]) =>
+        FORWARDED_HEADERS.includes(name) || name.startsWith("x-sellsy"),
+    ),
+  );
+}
+
+/**
+ * @typedef {Object} EventMeta
+ * @property {string} receivedAt - ISO 8601, réception par le listener
+ * @property {string} requestId - Identifiant de la requête Fastify (logs du listener)
+ * @property {string} sourceIp
+ * @property {string} tenant
+ * @property {Object} headers - Headers Sellsy et de transport
+ * @property {Object|null} signature - Résultat de la vérification: { verified, keyId, algorithm } ou { skipped }
+ * @property {string} traceparent - Contexte W3C du span de réception
+ * @property {string} [eventId] - Empreinte du listener ("evt-..."), ajoutée à la mise en file
+ * @property {string} [source] - Origine d'un événement synthétique ("backfill"), absente pour un webhook
+ */
+
+/**
+ * @param {import("fastify").FastifyRequest} req - Requête webhook vérifiée
+ * @param {{ tenant: string, traceparent: string }} context
+ */
+export function buildEventEnvelope(req, { tenant, traceparent }) {
+  return {
+    schemaVersion: ENVELOPE_SCHEMA_VERSION,
+    meta: {
+      receivedAt: new Date().toISOString(),
+      requestId: req.id,
+      sourceIp: req.ip,
+      tenant,
+      headers: requestHeaders(req.headers),
+      signature: req.signature ?? null,
+      traceparent,
+    },
+    payload: req.body,
+  };
+}
+
+// Événement produit par le worker lui-même (rattrapage...): ni requête ni signature.
+// requestId regroupe les événements d'une même exécution.
+export function buildSyntheticEnvelope(
+  payload,
+  { tenant, source, requestId, traceparent = null },
+) {
+  return {
+    schemaVersion: ENVELOPE_SCHEMA_VERSION,
+    meta: {
+      receivedAt: new Date().toISOString(),
+      requestId,
+      sourceIp: null,
+      tenant,
+      headers: {},
+      signature: null,
+      traceparent,
+      source,
+    },
+    payload,
+  };
+}
+
+export function isEnvelope(data) {
+  return (
+    Number.isInteger(data?.schemaVersion) &&
+    data.schemaVersion >= 1 &&
+    data.payload !== undefined
+  );
+}
+
+// Données d'un job → { schemaVersion, meta, event }
+export function unwrapEvent(data) {
+  if (!isEnvelope(data)) {
+    return { schemaVersion: 0, meta: null, event: data };
+  }
+
+  if (data.schemaVersion > ENVELOPE_SCHEMA_VERSION) {
+    throw new UnsupportedEnvelopeError(data.schemaVersion);
+  }
+
+  return {
+    schemaVersion: data.schemaVersion,
+    meta: data.meta ?? null,
+    event: data.payload,
+  };
+}
+
+// Lectures qui ne doivent pas échouer (admin, audit, DLQ): payload et métadonnées
+export function eventOf(data) {
+  return isEnvelope(data) ? data.payload : data;
+}
+
+export function metaOf(data) {
+  return isEnvelope(data) ? (data.meta ?? null) : null;
+}
@@ -0,0 +1,110 @@
+// --- Métriques Prometheus du listener (GET /metrics) ---
+// Latence de réponse aux webhooks (la promesse "< 10 ms"), rejets de signature,
+// échecs de mise en file et profondeur des files BullMQ.
+import fp from "fastify-plugin";
+import client from "prom-client";
+import { withTimeout } from "./webhookJournal.js";
+
+const LATENCY_BUCKETS = [
+  0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1,
+];
+
+const QUEUE_STATES = ["waiting", "active", "delayed", "failed"];
+const QUEUE_DEPTH_TIMEOUT_MS = 1000; // Redis coupé: le scrape ne doit pas rester bloqué
+
+async function listenerMetrics(app, { queues = new Map(), journal = null }) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+
+  const webhookDuration = new client.Histogram({
+    name: "sellsy_webhook_request_duration_seconds",
+    help: "Temps de réponse des routes webhook",
+    labelNames: ["tenant", "status_code"],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry],
+  });
+
+  const webhookEvents = new client.Counter({
+    name: "sellsy_webhook_events_total",
+    help: "Événements reçus: nouveaux, relivrés, journalisés ou en quarantaine",
+    labelNames: ["tenant", "status"],
+    registers: [registry],
+  });
+
+  const signatureRejections = new client.Counter({
+    name: "sellsy_webhook_signature_rejections_total",
+    help: "Webhooks rejetés par la vérification de signature",
+    labelNames: ["reason"],
+    registers: [registry],
+  });
+
+  const enqueueFailures = new client.Counter({
+    name: "sellsy_webhook_enqueue_failures_total",
+    help: "Webhooks acceptés mais non mis en file (Redis indisponible...)",
+    labelNames: ["tenant"],
+    registers: [registry],
+  });
+
+  // Lue à chaque scrape: queues = Map tenant → Queue BullMQ
+  new client.Gauge({
+    name: "sellsy_webhook_queue_depth",
+    help: "Nombre de jobs par état dans les files de webhooks",
+    labelNames: ["tenant", "queue", "state"],
+    registers: [registry],
+    async collect() {
+      this.reset();
+      for (const [tenant, queue] of queues) {
+        try {
+          const counts = await withTimeout(
+            queue.getJobCounts(...QUEUE_STATES),
+            QUEUE_DEPTH_TIMEOUT_MS,
+            "Redis indisponible",
+          );
+          for (const state of QUEUE_STATES) {
+            this.set({ tenant, queue: queue.name, state }, counts[state] ?? 0);
+          }
+        } catch (err) {
+          app.log.warn(`⚠️ Profondeur de ${queue.name} indisponible`);
+        }
+      }
+    },
+  });
+
+  if (journal) {
+    new client.Gauge({
+      name: "sellsy_webhook_journal_backlog",
+      help: "Événements journalisés sur disque en attente de mise en file",
+      registers: [registry],
+      collect() {
+        this.set(journal.pending);
+      },
+    });
+  }
+
+  app.decorate("metrics", {
+    registry,
+    webhookEvents,
+    signatureRejections,
+    enqueueFailures,
+  });
+
+  app.addHook("onResponse", async (req, reply) => {
+    if (!req.routeOptions.url?.startsWith("/webhook/")) return;
+
+    webhookDuration.observe(
+      {
+        // Tenant inconnu (404): libellé fixe pour borner la cardinalité
+        tenant: req.tenantId ?? (req.params?.tenant ? "unknown" : "default"),
+        status_code: reply.statusCode,
+      },
+      reply.elapsedTime / 1000,
+    );
+  });
+
+  app.get("/metrics", async (req, reply) => {
+    reply.type(registry.contentType);
+    return registry.metrics();
+  });
+}
+
+export default fp(listenerMetrics, { name: "listener-metrics" });
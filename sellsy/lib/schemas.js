@@ -0,0 +1,105 @@
+// --- Schéma JSON des webhooks Sellsy ---
+// Partagé par le listener (validation Fastify à la route) et le worker
+// (validation avant dispatch), sans dépendance: seulement des données.
+// Les types multiples (["integer", "string"]) plutôt que anyOf évitent que la
+// coercition d'Ajv (Fastify) ne modifie le corps reçu.
+
+const ID = { type: ["integer", "string"], minLength: 1 };
+
+/**
+ * Corps d'un webhook Sellsy: eventType et relatedtype sont toujours requis;
+ * un événement de devis porte le devis (id, statut) lu par le handler de facturation.
+ */
+export const SELLSY_WEBHOOK_SCHEMA = {
+  $id: "sellsy-webhook",
+  type: "object",
+  required: ["eventType", "relatedtype"],
+  properties: {
+    eventType: { type: "string", minLength: 1 },
+    relatedtype: { type: "string", minLength: 1 },
+    relatedid: ID,
+    relatedobject: {
+      type: "object",
+      properties: {
+        id: ID,
+        status: { type: "string" },
+        related: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["id", "type"],
+            properties: { id: ID, type: { type: "string" } },
+          },
+        },
+      },
+    },
+  },
+  allOf: [
+    {
+      if: {
+        required: ["relatedtype"],
+        properties: { relatedtype: { const: "estimate" } },
+      },
+      then: {
+        required: ["relatedobject"],
+        properties: {
+          relatedobject: { type: "object", required: ["id", "status"] },
+        },
+      },
+    },
+  ],
+};
+
+// "/rows/0/unit_amount" → "rows[0].unit_amount"
+function fieldPath(instancePath, property) {
+  const path = [
+    ...instancePath.split("/").slice(1),
+    ...(property ? [property] : []),
+  ]
+    .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce(
+      (acc, part) =>
+        /^\d+$/.test(part) ? `${acc}[${part}]` : `${acc}.${part}`,
+      "",
+    )
+    .replace(/^\./, "");
+  return path || "(racine)";
+}
+
+function describe(error) {
+  const { keyword, params } = error;
+  switch (keyword) {
+    case "required":
+      return "champ requis";
+    case "type":
+      return `type attendu: ${[].concat(params.type).join(" ou ")}`;
+    case "enum":
+      return `valeur attendue: ${params.allowedValues.join(", ")}`;
+    case "const":
+      return `valeur attendue: ${params.allowedValue}`;
+    case "pattern":
+      return "format invalide";
+    case "minLength":
+      return "ne doit pas être vide";
+    case "minItems":
+      return `au moins ${params.limit} élément(s)`;
+    case "minimum":
+      return `doit être >= ${params.limit}`;
+    default:
+      return error.message;
+  }
+}
+
+/**
+ * Erreurs Ajv (ou error.validation de Fastify) → ["rows[0].unit_amount: ..."].
+ * Les erreurs de structure (if/then, anyOf) ne répètent pas celles des champs.
+ */
+export function formatSchemaErrors(errors = []) {
+  const messages = errors
+    .filter((error) => !["if", "anyOf", "allOf"].includes(error.keyword))
+    .map(
+      (error) =>
+        `${fieldPath(error.instancePath ?? "", error.params?.missingProperty)}: ${describe(error)}`,
+    );
+  return [...new Set(messages)];
+}
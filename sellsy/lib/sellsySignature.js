@@ -0,0 +1,184 @@
+// --- Plugin Fastify de vérification des signatures de webhooks ---
+// Partagé par tous les listeners. Plusieurs clés peuvent être actives en même
+// temps (rotation sans interruption) et deux algorithmes sont supportés:
+//  - "sha1": SHA1(clé + corps brut), format historique de Sellsy
+//  - "hmac-sha256": HMAC-SHA256(clé, "<timestamp>.<corps>") ou HMAC-SHA256(clé, corps)
+import crypto from "crypto";
+import fp from "fastify-plugin";
+import { signingKeysFromEnv } from "./signingKeys.js";
+
+const SIGNATURE_HEADER = "x-webhook-signature";
+const TIMESTAMP_HEADER = "x-webhook-timestamp";
+
+export const REJECTION_REASONS = [
+  "missing_signature",
+  "invalid_signature",
+  "missing_timestamp",
+  "expired_timestamp",
+  "no_keys",
+];
+
+const ALGORITHMS = {
+  sha1: (secret, rawBody) =>
+    crypto
+      .createHash("sha1")
+      .update(secret + rawBody.toString("utf8"))
+      .digest("hex"),
+  "hmac-sha256": (secret, rawBody, timestamp) =>
+    crypto
+      .createHmac("sha256", secret)
+      .update(timestamp ? `${timestamp}.` : "")
+      .update(rawBody)
+      .digest("hex"),
+};
+
+// Algorithmes dont la signature couvre le timestamp (seuls utiles contre le rejeu)
+const TIMESTAMPED_ALGORITHMS = ["hmac-sha256"];
+
+function safeEqual(expected, received) {
+  try {
+    return crypto.timingSafeEqual(
+      Buffer.from(received, "utf8"),
+      Buffer.from(expected, "utf8"),
+    );
+  } catch {
+    return false;
+  }
+}
+
+// Retourne la clé et l'algorithme qui valident la signature, ou null
+export function findMatchingKey(
+  keys,
+  algorithms,
+  rawBody,
+  signature,
+  timestamp,
+) {
+  // Préfixe optionnel "sha256=" / "sha1="
+  const received = signature.replace(/^(sha1|sha256)=/, "");
+
+  for (const algorithm of algorithms) {
+    for (const key of keys) {
+      const computed = ALGORITHMS[algorithm](key.secret, rawBody, timestamp);
+      if (safeEqual(computed, received)) {
+        return { keyId: key.id, algorithm };
+      }
+    }
+  }
+
+  return null;
+}
+
+async function sellsySignature(app, options) {
+  const {
+    enabled = true,
+    keys = [], // Liste de clés, ou fonction (req) => clés pour des clés par tenant
+    algorithms = ["sha1"],
+    timestampTolerance = 0, // secondes, 0 = pas de contrôle anti-rejeu
+    requireTimestamp = false,
+    onReject = null, // (reason, req) => void, ex: compteur Prometheus
+  } = options;
+
+  for (const algorithm of algorithms) {
+    if (!ALGORITHMS[algorithm]) {
+      throw new Error(`Algorithme de signature inconnu: ${algorithm}`);
+    }
+  }
+
+  // Avec une tolérance, seul un timestamp signé protège du rejeu: sha1 ne le
+  // couvre pas, un timestamp rejoué avec une signature sha1 serait accepté
+  const antiReplay = timestampTolerance > 0;
+  const replayAlgorithms = algorithms.filter((algorithm) =>
+    TIMESTAMPED_ALGORITHMS.includes(algorithm),
+  );
+  if (antiReplay && replayAlgorithms.length === 0) {
+    throw new Error(
+      `Anti-rejeu (tolérance ${timestampTolerance}s) impossible sans algorithme couvrant le timestamp: ${TIMESTAMPED_ALGORITHMS.join(", ")}`,
+    );
+  }
+
+  const stats = {
+    accepted: 0,
+    rejected: Object.fromEntries(
+      REJECTION_REASONS.map((reason) => [reason, 0]),
+    ),
+  };
+
+  // Parser spécial pour garder le raw body
+  app.addContentTypeParser(
+    "application/json",
+    { parseAs: "buffer" },
+    (req, body, done) => {
+      try {
+        req.rawBody = body;
+        const json = JSON.parse(body.toString());
+        done(null, json);
+      } catch (err) {
+        done(err, undefined);
+      }
+    },
+  );
+
+  app.decorateRequest("signature", null);
+  app.decorate("sellsySignatureStats", () => structuredClone(stats));
+
+  function reject(req, reply, reason) {
+    stats.rejected[reason]++;
+    onReject?.(reason, req);
+    req.log.warn({ reason }, "❌ Signature Sellsy invalide");
+    return reply.code(401).send({ ok: false });
+  }
+
+  // A utiliser en preHandler des routes webhook
+  app.decorate("verifySellsySignature", async (req, reply) => {
+    if (!enabled) {
+      req.signature = { verified: false, skipped: true };
+      return;
+    }
+
+    const activeKeys = typeof keys === "function" ? keys(req) : keys;
+    if (!activeKeys?.length) return reject(req, reply, "no_keys");
+
+    const signature = req.headers[SIGNATURE_HEADER];
+    if (!signature) return reject(req, reply, "missing_signature");
+
+    // Anti-rejeu: timestamp obligatoire et couvert par la signature
+    const timestamp = req.headers[TIMESTAMP_HEADER];
+    if (!timestamp && (requireTimestamp || antiReplay)) {
+      return reject(req, reply, "missing_timestamp");
+    }
+    if (antiReplay) {
+      const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+      if (!Number.isFinite(age) || age > timestampTolerance) {
+        return reject(req, reply, "expired_timestamp");
+      }
+    }
+
+    const match = findMatchingKey(
+      activeKeys,
+      antiReplay ? replayAlgorithms : algorithms,
+      req.rawBody ?? Buffer.alloc(0),
+      String(signature),
+      timestamp,
+    );
+    if (!match) return reject(req, reply, "invalid_signature");
+
+    stats.accepted++;
+    req.signature = { verified: true, ...match };
+  });
+}
+
+export default fp(sellsySignature, { name: "sellsy-signature" });
+
+// Options lues depuis l'environnement, communes aux listeners
+export function signatureOptionsFromEnv(env = process.env) {
+  return {
+    keys: signingKeysFromEnv(env),
+    algorithms: (env.SELLSY_SIGNATURE_ALGORITHMS || "sha1")
+      .split(",")
+      .map((algorithm) => algorithm.trim())
+      .filter(Boolean),
+    timestampTolerance: Number(env.SELLSY_SIGNATURE_TOLERANCE) || 0,
+    requireTimestamp: env.SELLSY_SIGNATURE_REQUIRE_TIMESTAMP === "true",
+  };
+}
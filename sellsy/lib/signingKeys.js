@@ -0,0 +1,58 @@
+// --- Clés de signature des webhooks Sellsy ---
+// Partagé par le registre des tenants (listener et worker) et le plugin de
+// signature. Une clé est { id, secret }; l'id apparaît dans req.signature.
+
+// "env:NOM" ou "id:env:NOM"
+const ENV_REFERENCE = /^(?:([^:]+):)?env:(.+)$/;
+
+// Numérote les clés sans identifiant explicite: key-1, key-2...
+function withIds(keys) {
+  return keys.map((key, index) => ({
+    id: key.id ?? `key-${index + 1}`,
+    secret: key.secret,
+  }));
+}
+
+function parseEntries(value) {
+  return String(value)
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      return separator > 0
+        ? { id: entry.slice(0, separator), secret: entry.slice(separator + 1) }
+        : { id: null, secret: entry };
+    });
+}
+
+// Liste multi-clés "cle" ou "id:cle" séparées par des virgules:
+// SELLSY_SIGN_KEYS="2024:abc,2025:def"
+export function parseSigningKeys(value) {
+  return withIds(value ? parseEntries(value) : []);
+}
+
+// SELLSY_SIGN_KEYS, sinon SELLSY_SIGN_KEY: la clé historique est un secret
+// opaque, jamais découpé (elle peut contenir ":" ou ",")
+export function signingKeysFromEnv(env = process.env) {
+  if (env.SELLSY_SIGN_KEYS) return parseSigningKeys(env.SELLSY_SIGN_KEYS);
+  return env.SELLSY_SIGN_KEY
+    ? [{ id: "key-1", secret: env.SELLSY_SIGN_KEY }]
+    : [];
+}
+
+// Clés d'un fichier de tenants: "cle", "id:cle", "env:NOM" ou "id:env:NOM",
+// seules ou en liste. Un secret lu dans l'environnement est opaque.
+export function resolveSigningKeys(value, env = process.env) {
+  const entries = (Array.isArray(value) ? value : [value]).filter(Boolean);
+
+  return withIds(
+    entries.flatMap((entry) => {
+      const match = ENV_REFERENCE.exec(entry);
+      if (!match) return parseEntries(entry);
+
+      const [, id = null, name] = match;
+      return env[name] ? [{ id, secret: env[name] }] : [];
+    }),
+  );
+}
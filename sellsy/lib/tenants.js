@@ -0,0 +1,108 @@
+// --- Registre des tenants (comptes Sellsy) ---
+// Partagé par le listener et le worker: chaque tenant a ses clés de signature,
+// ses identifiants OAuth, son mapping de facturation, ses règles d'acceptation
+// et sa propre file BullMQ.
+// Les secrets peuvent être référencés par "env:NOM_VARIABLE".
+import { readFileSync } from "fs";
+import path from "path";
+import { resolveSigningKeys, signingKeysFromEnv } from "./signingKeys.js";
+
+export const DEFAULT_TENANT_ID = "default";
+
+const TENANT_ID_PATTERN = /^[a-z0-9_-]+$/i;
+
+export function resolveSecret(value, env = process.env) {
+  if (typeof value === "string" && value.startsWith("env:")) {
+    return env[value.slice(4)];
+  }
+  return value;
+}
+
+// Préfixe des clés Redis d'un tenant; le tenant par défaut garde les clés historiques
+export function tenantKeyPrefix(tenantId, name) {
+  return tenantId === DEFAULT_TENANT_ID
+    ? `sellsy:${name}`
+    : `sellsy:tenant:${tenantId}:${name}`;
+}
+
+// Tenant historique, configuré par les variables d'environnement
+function defaultTenant(env) {
+  return {
+    id: DEFAULT_TENANT_ID,
+    queue: "sellsy-webhooks",
+    signKeys: signingKeysFromEnv(env),
+    clientId: env.SELLSY_CLIENT_ID,
+    clientSecret: env.SELLSY_CLIENT_SECRET,
+    authFlow: env.SELLSY_AUTH_FLOW,
+    refreshToken: env.SELLSY_REFRESH_TOKEN,
+    redirectUri: env.SELLSY_OAUTH_REDIRECT_URI,
+    mappingFile: env.INVOICE_MAPPING_FILE,
+    rulesFile: env.ACCEPTANCE_RULES_FILE,
+    rateLimit: {
+      requestsPerSecond: Number(env.SELLSY_RATE_LIMIT_PER_SECOND) || undefined,
+      burst: Number(env.SELLSY_RATE_LIMIT_BURST) || undefined,
+    },
+    concurrency: undefined,
+    shadowMode: env.INVOICE_SHADOW_MODE,
+  };
+}
+
+function normalizeTenant(id, config, baseDir, env) {
+  return {
+    id,
+    queue: config.queue || `sellsy-webhooks-${id}`,
+    signKeys: resolveSigningKeys(config.signKeys, env),
+    clientId: resolveSecret(config.clientId, env),
+    clientSecret: resolveSecret(config.clientSecret, env),
+    // Flux OAuth: "client_credentials" (défaut) ou "authorization_code"
+    authFlow: config.authFlow,
+    refreshToken: resolveSecret(config.refreshToken, env),
+    redirectUri: config.redirectUri ?? env.SELLSY_OAUTH_REDIRECT_URI,
+    apiUrl: config.apiUrl,
+    loginUrl: config.loginUrl,
+    // Chemin relatif au fichier des tenants
+    mappingFile: config.mappingFile
+      ? path.resolve(baseDir, config.mappingFile)
+      : undefined,
+    rulesFile: config.rulesFile
+      ? path.resolve(baseDir, config.rulesFile)
+      : undefined,
+    rateLimit: config.rateLimit || {},
+    concurrency: config.concurrency,
+    // Mode shadow du tenant, sinon celui de l'environnement
+    shadowMode: config.shadowMode ?? env.INVOICE_SHADOW_MODE,
+  };
+}
+
+// Retourne une Map id → tenant. Sans fichier, seul le tenant par défaut existe.
+export function loadTenantRegistry(filePath, env = process.env) {
+  const tenants = new Map();
+  let config = {};
+
+  if (filePath) {
+    config = JSON.parse(readFileSync(filePath, "utf8"));
+  }
+
+  if (config.defaultTenant !== false) {
+    tenants.set(DEFAULT_TENANT_ID, defaultTenant(env));
+  }
+
+  const baseDir = filePath ? path.dirname(path.resolve(filePath)) : ".";
+  const queues = new Set([...tenants.values()].map((tenant) => tenant.queue));
+
+  for (const [id, tenantConfig] of Object.entries(config.tenants || {})) {
+    if (!TENANT_ID_PATTERN.test(id) || id === DEFAULT_TENANT_ID) {
+      throw new Error(`Identifiant de tenant invalide: "${id}"`);
+    }
+
+    const tenant = normalizeTenant(id, tenantConfig, baseDir, env);
+    if (queues.has(tenant.queue)) {
+      throw new Error(`File "${tenant.queue}" utilisée par plusieurs tenants`);
+    }
+
+    queues.add(tenant.queue);
+    tenants.set(id, tenant);
+  }
+
+  return tenants;
+}
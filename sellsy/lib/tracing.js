@@ -0,0 +1,274 @@
+// --- Traçage distribué (W3C Trace Context) et export OpenTelemetry optionnel ---
+// Partagé par le listener et le worker, sans dépendance: le contexte de trace
+// (header "traceparent") est créé ou repris par le listener, stocké dans
+// l'enveloppe du job, puis propagé par le worker jusqu'aux appels Sellsy.
+// Avec OTEL_EXPORTER_OTLP_ENDPOINT, les spans terminés sont envoyés par lots à
+// un collecteur OpenTelemetry (OTLP/HTTP JSON, ex: http://otel-collector:4318).
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+
+// "00-<trace-id 32 hex>-<span-id 16 hex>-<flags 2 hex>"
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = "0".repeat(32);
+const INVALID_SPAN_ID = "0".repeat(16);
+
+const EXPORT_BATCH_SIZE = 100;
+const EXPORT_INTERVAL_MS = 5000;
+const EXPORT_TIMEOUT_MS = 5000;
+const MAX_BUFFERED_SPANS = 2000; // Au-delà (collecteur absent), les spans sont abandonnés
+
+// Valeurs OTLP de SpanKind
+export const SPAN_KINDS = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+  PRODUCER: 4,
+  CONSUMER: 5,
+};
+
+const STATUS_ERROR = 2;
+
+/**
+ * @typedef {Object} TraceContext
+ * @property {string} traceId - 32 caractères hexadécimaux
+ * @property {string} spanId - 16 caractères hexadécimaux
+ * @property {string} flags - "01" si la trace est échantillonnée
+ */
+
+// Contexte du traitement en cours (job, requête), lu par les clients HTTP
+const storage = new AsyncLocalStorage();
+
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString("hex");
+
+/** @returns {TraceContext|null} */
+export function parseTraceparent(value) {
+  const match = TRACEPARENT_PATTERN.exec(String(value ?? "").trim());
+  if (!match || match[1] === INVALID_TRACE_ID || match[2] === INVALID_SPAN_ID) {
+    return null;
+  }
+  return { traceId: match[1], spanId: match[2], flags: match[3] };
+}
+
+export function formatTraceparent({ traceId, spanId, flags = "01" }) {
+  return `00-${traceId}-${spanId}-${flags}`;
+}
+
+export function currentTrace() {
+  return storage.getStore() ?? null;
+}
+
+export function runWithTrace(context, fn) {
+  return storage.run(context, fn);
+}
+
+const nowUnixNano = () =>
+  BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+
+function toAttribute(key, value) {
+  if (typeof value === "boolean") return { key, value: { boolValue: value } };
+  if (Number.isInteger(value)) {
+    return { key, value: { intValue: String(value) } };
+  }
+  if (typeof value === "number") return { key, value: { doubleValue: value } };
+  return { key, value: { stringValue: String(value) } };
+}
+
+const toAttributes = (attributes) =>
+  Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => toAttribute(key, value));
+
+export class Span {
+  constructor(tracer, name, { parent = null, kind, attributes = {} } = {}) {
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = kind ?? SPAN_KINDS.INTERNAL;
+    this.traceId = parent?.traceId ?? randomHex(16);
+    this.spanId = randomHex(8);
+    this.parentSpanId = parent?.spanId ?? null;
+    this.flags = parent?.flags ?? "01";
+    this.attributes = { ...attributes };
+    this.status = null;
+    this.startTime = nowUnixNano();
+    this.endTime = null;
+  }
+
+  /** @returns {TraceContext} */
+  get context() {
+    return { traceId: this.traceId, spanId: this.spanId, flags: this.flags };
+  }
+
+  get traceparent() {
+    return formatTraceparent(this.context);
+  }
+
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  setError(error) {
+    this.status = {
+      code: STATUS_ERROR,
+      message: String(error?.message ?? error),
+    };
+    return this;
+  }
+
+  end(error = null) {
+    if (this.endTime) return;
+    if (error) this.setError(error);
+    this.endTime = nowUnixNano();
+    this.tracer.record(this);
+  }
+
+  toOtlp() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      ...(this.parentSpanId && { parentSpanId: this.parentSpanId }),
+      name: this.name,
+      kind: this.kind,
+      startTimeUnixNano: String(this.startTime),
+      endTimeUnixNano: String(this.endTime),
+      attributes: toAttributes(this.attributes),
+      ...(this.status && { status: this.status }),
+    };
+  }
+}
+
+export class Tracer {
+  constructor(serviceName, logger, { endpoint = null, headers = {} } = {}) {
+    this.serviceName = serviceName;
+    this.logger = logger;
+    this.endpoint = endpoint;
+    this.headers = headers;
+    this.buffer = [];
+    this.timer = null;
+  }
+
+  get exporting() {
+    return Boolean(this.endpoint);
+  }
+
+  // Parent: contexte explicite, sinon celui du traitement en cours
+  startSpan(name, options = {}) {
+    return new Span(this, name, {
+      ...options,
+      parent: options.parent === undefined ? currentTrace() : options.parent,
+    });
+  }
+
+  // Exécute fn(span) dans le contexte du span, terminé (et en erreur) à la sortie
+  async withSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+    try {
+      return await runWithTrace(span.context, () => fn(span));
+    } catch (error) {
+      span.setError(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  record(span) {
+    // Sans collecteur, le span ne sert qu'à la propagation des identifiants
+    if (!this.exporting || span.flags !== "01") return;
+
+    if (this.buffer.length >= MAX_BUFFERED_SPANS) return;
+    this.buffer.push(span);
+
+    if (this.buffer.length >= EXPORT_BATCH_SIZE) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), EXPORT_INTERVAL_MS);
+      this.timer.unref();
+    }
+  }
+
+  // N'échoue jamais: un collecteur indisponible ne doit pas gêner le traitement
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.buffer.length === 0) return;
+
+    const spans = this.buffer.splice(0, this.buffer.length);
+    try {
+      const response = await fetch(this.endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...this.headers },
+        body: JSON.stringify({
+          resourceSpans: [
+            {
+              resource: {
+                attributes: toAttributes({ "service.name": this.serviceName }),
+              },
+              scopeSpans: [
+                {
+                  scope: { name: "wh_sellsy" },
+                  spans: spans.map((span) => span.toOtlp()),
+                },
+              ],
+            },
+          ],
+        }),
+        signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS),
+      });
+
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      this.logger.warn(
+        `⚠️ ${spans.length} span(s) non exporté(s) vers ${this.endpoint}: ${error.message}`,
+      );
+    }
+  }
+
+  async shutdown() {
+    await this.flush();
+  }
+}
+
+// Span de réception d'une requête Fastify, enfant du header traceparent s'il est valide
+export function startRequestSpan(tracer, req, attributes = {}) {
+  return tracer.startSpan(`${req.method} ${req.routeOptions?.url ?? req.url}`, {
+    parent: parseTraceparent(req.headers.traceparent),
+    kind: SPAN_KINDS.SERVER,
+    attributes: {
+      "http.request_id": req.id,
+      "client.address": req.ip,
+      ...attributes,
+    },
+  });
+}
+
+// "cle=valeur,cle2=valeur2" (format OTEL_EXPORTER_OTLP_HEADERS)
+function parseHeaders(value) {
+  return Object.fromEntries(
+    (value || "")
+      .split(",")
+      .map((entry) => entry.split("="))
+      .filter(([name, ...rest]) => name?.trim() && rest.length > 0)
+      .map(([name, ...rest]) => [name.trim(), rest.join("=").trim()]),
+  );
+}
+
+// Variables standard OpenTelemetry; sans endpoint, aucun export
+export function createTracer(defaultServiceName, logger, env = process.env) {
+  const base = env.OTEL_EXPORTER_OTLP_ENDPOINT;
+  const endpoint =
+    env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+    (base ? `${base.replace(/\/+$/, "")}/v1/traces` : null);
+  const serviceName = env.OTEL_SERVICE_NAME || defaultServiceName;
+
+  if (endpoint) {
+    logger.info(
+      `🛰️ Export des traces OpenTelemetry (${serviceName}) → ${endpoint}`,
+    );
+  }
+
+  return new Tracer(serviceName, logger, {
+    endpoint,
+    headers: parseHeaders(env.OTEL_EXPORTER_OTLP_HEADERS),
+  });
+}
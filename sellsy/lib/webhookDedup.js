@@ -0,0 +1,82 @@
+// --- Déduplication des webhooks Sellsy avant mise en file ---
+// Sellsy peut relivrer une même notification (timeout, retry de leur côté):
+// chaque événement reçoit une empreinte stable, réservée dans Redis pendant
+// la fenêtre de déduplication et utilisée comme jobId BullMQ.
+import crypto from "crypto";
+
+const DEDUP_PREFIX = "sellsy:webhook-dedup";
+
+export const DEDUP_WINDOW_SECONDS =
+  Number(process.env.WEBHOOK_DEDUP_WINDOW_SECONDS ?? 24 * 3600) || 0;
+
+export const EVENT_STATUS = {
+  NEW: "new",
+  DUPLICATE: "duplicate",
+};
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+// Empreinte depuis les champs d'identification Sellsy, sinon hash du corps brut
+export function eventFingerprint(event, rawBody) {
+  const relatedId = event?.relatedid ?? event?.relatedobject?.id;
+  const occurrence = event?.logid ?? event?.timestamp;
+
+  if (event?.relatedtype && event?.eventType && relatedId && occurrence) {
+    return sha256(
+      [
+        event.relatedtype,
+        event.eventType,
+        relatedId,
+        event.timestamp ?? "",
+        event.logid ?? "",
+      ].join("|"),
+    );
+  }
+
+  return sha256(rawBody ?? JSON.stringify(event ?? null));
+}
+
+// jobId BullMQ: sans ":" et jamais numérique
+export function eventJobId(fingerprint) {
+  return `evt-${fingerprint.slice(0, 40)}`;
+}
+
+// Met l'événement en file sauf s'il a déjà été reçu pendant la fenêtre.
+// L'empreinte porte sur la payload Sellsy; le job reçoit l'enveloppe si elle est fournie,
+// avec l'identifiant dans meta.eventId (clé des livraisons aux abonnés, conservée au rejeu).
+// Retourne { status: "new" | "duplicate", eventId }.
+export async function enqueueWebhookEvent(
+  redis,
+  queue,
+  event,
+  { rawBody, envelope, windowSeconds = DEDUP_WINDOW_SECONDS } = {},
+) {
+  const eventId = eventJobId(eventFingerprint(event, rawBody));
+  const data = envelope
+    ? { ...envelope, meta: { ...envelope.meta, eventId } }
+    : event;
+
+  // Fenêtre à 0: déduplication désactivée, seul le jobId protège des doublons en file
+  if (windowSeconds <= 0) {
+    await queue.add("event", data, { jobId: eventId });
+    return { status: EVENT_STATUS.NEW, eventId };
+  }
+
+  const key = `${DEDUP_PREFIX}:${queue.name}:${eventId}`;
+  const claimed = await redis.set(key, Date.now(), "EX", windowSeconds, "NX");
+
+  if (claimed !== "OK") {
+    return { status: EVENT_STATUS.DUPLICATE, eventId };
+  }
+
+  try {
+    await queue.add("event", data, { jobId: eventId });
+  } catch (err) {
+    // Libérer l'empreinte pour que la prochaine relivraison soit acceptée
+    await redis.del(key).catch(() => {});
+    throw err;
+  }
+
+  return { status: EVENT_STATUS.NEW, eventId };
+}
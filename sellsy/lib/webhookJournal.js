@@ -0,0 +1,292 @@
+// --- Journal local des webhooks non mis en file ---
+// Si Redis est indisponible à la réception, l'événement est ajouté à un journal
+// append-only sur disque, synchronisé (fsync) avant de répondre 200 à Sellsy.
+// Un drainer le remet en file dès que Redis répond: au démarrage puis périodiquement.
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+import {
+  enqueueWebhookEvent,
+  eventFingerprint,
+  eventJobId,
+} from "./webhookDedup.js";
+
+const JOURNAL_FILE = "journal.ndjson";
+const DRAINING_SUFFIX = ".draining";
+
+export const JOURNAL_DIR = process.env.WEBHOOK_JOURNAL_DIR || "./data/journal";
+export const JOURNAL_DRAIN_INTERVAL_MS =
+  Number(process.env.WEBHOOK_JOURNAL_DRAIN_INTERVAL_MS) || 5000;
+export const ENQUEUE_TIMEOUT_MS =
+  Number(process.env.WEBHOOK_ENQUEUE_TIMEOUT_MS) || 2000;
+
+// Redis coupé: ioredis met les commandes en attente, on n'attend pas indéfiniment
+export function withTimeout(promise, timeoutMs, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+function toLines(records) {
+  return records.map((record) => JSON.stringify(record) + "\n").join("");
+}
+
+export class WebhookJournal {
+  constructor(dir, logger, options = {}) {
+    this.dir = dir;
+    this.logger = logger;
+    this.drainIntervalMs = options.drainIntervalMs ?? JOURNAL_DRAIN_INTERVAL_MS;
+    this.pending = 0;
+    this.lastDrain = null;
+    this.draining = null;
+    this.writeChain = Promise.resolve();
+    this.timer = null;
+  }
+
+  get journalPath() {
+    return path.join(this.dir, JOURNAL_FILE);
+  }
+
+  // Écritures sérialisées: une ligne complète par événement, puis fsync
+  async writeRecords(records) {
+    const write = this.writeChain.then(async () => {
+      await fs.mkdir(this.dir, { recursive: true });
+      const handle = await fs.open(this.journalPath, "a");
+      try {
+        await handle.write(toLines(records));
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+    });
+    this.writeChain = write.catch(() => {});
+    await write;
+    this.pending += records.length;
+  }
+
+  // Retourne l'entrée une fois durablement écrite
+  async append({ tenant, queue, event, envelope, rawBody, eventId }) {
+    const record = {
+      id: crypto.randomUUID(),
+      tenant,
+      queue,
+      eventId,
+      receivedAt: new Date().toISOString(),
+      event,
+      envelope,
+      rawBody: rawBody ? rawBody.toString("utf8") : undefined,
+    };
+    await this.writeRecords([record]);
+    return record;
+  }
+
+  async drainingFiles() {
+    const files = await fs.readdir(this.dir).catch(() => []);
+    return files
+      .filter((file) => file.endsWith(DRAINING_SUFFIX))
+      .sort()
+      .map((file) => path.join(this.dir, file));
+  }
+
+  async readRecords(filePath) {
+    const content = await fs.readFile(filePath, "utf8").catch(() => "");
+    const records = [];
+
+    for (const line of content.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // Ligne tronquée par un arrêt brutal pendant l'écriture (jamais acquittée)
+        this.logger.warn(`⚠️ Ligne illisible ignorée dans ${filePath}`);
+      }
+    }
+    return records;
+  }
+
+  // Entrées en attente, lues sur disque (journal + drain interrompu)
+  async listRecords() {
+    const files = [...(await this.drainingFiles()), this.journalPath];
+    const records = [];
+    for (const file of files) {
+      records.push(...(await this.readRecords(file)));
+    }
+    return records;
+  }
+
+  async backlog(limit = 50) {
+    const records = await this.listRecords();
+    this.pending = records.length;
+
+    return {
+      pending: records.length,
+      oldestReceivedAt: records[0]?.receivedAt ?? null,
+      lastDrain: this.lastDrain,
+      entries: records.slice(0, limit).map((record) => ({
+        id: record.id,
+        tenant: record.tenant,
+        queue: record.queue,
+        eventId: record.eventId,
+        receivedAt: record.receivedAt,
+      })),
+    };
+  }
+
+  // Un seul drain à la fois; enqueue(record) remet l'événement en file
+  drain(enqueue) {
+    if (!this.draining) {
+      this.draining = this.drainOnce(enqueue).finally(() => {
+        this.draining = null;
+      });
+    }
+    return this.draining;
+  }
+
+  async drainOnce(enqueue) {
+    // Le journal courant est mis de côté: les nouveaux échecs repartent dans un fichier neuf
+    await this.writeChain;
+    const stat = await fs.stat(this.journalPath).catch(() => null);
+    if (stat?.size > 0) {
+      await fs.rename(
+        this.journalPath,
+        path.join(this.dir, `journal-${Date.now()}${DRAINING_SUFFIX}`),
+      );
+    }
+
+    let drained = 0;
+
+    for (const file of await this.drainingFiles()) {
+      const records = await this.readRecords(file);
+      let index = 0;
+
+      for (; index < records.length; index++) {
+        try {
+          await enqueue(records[index]);
+          drained++;
+        } catch (err) {
+          // Redis toujours indisponible: on garde l'ordre et on réessaiera plus tard
+          this.logger.warn(
+            `⏸️ Drain du journal interrompu: ${err.message} (${records.length - index} en attente)`,
+          );
+          break;
+        }
+      }
+
+      const rest = records.slice(index);
+      if (rest.length > 0) {
+        await this.writeRecords(rest);
+      }
+      await fs.unlink(file);
+
+      if (rest.length > 0) break;
+    }
+
+    // Autres fichiers non traités (drain interrompu) + entrées remises au journal
+    let remaining = 0;
+    for (const file of await this.drainingFiles()) {
+      remaining += (await this.readRecords(file)).length;
+    }
+
+    this.pending =
+      remaining + (await this.readRecords(this.journalPath)).length;
+    this.lastDrain = {
+      at: new Date().toISOString(),
+      drained,
+      remaining: this.pending,
+    };
+
+    if (drained > 0) {
+      this.logger.info(
+        `📤 Journal: ${drained} événement(s) remis en file, ${this.pending} en attente`,
+      );
+    }
+    return this.lastDrain;
+  }
+
+  // Reprise au démarrage (drain interrompu, journal laissé par l'instance précédente).
+  // Même vide, le journal est mis de côté: une ligne tronquée ne corrompt pas la suivante.
+  async recover(enqueue) {
+    const records = await this.listRecords();
+    this.pending = records.length;
+
+    if (records.length > 0) {
+      this.logger.warn(
+        `📥 Journal: ${records.length} événement(s) en attente de mise en file`,
+      );
+    }
+    return this.drain(enqueue);
+  }
+
+  startDrainer(enqueue) {
+    this.timer = setInterval(() => {
+      if (this.pending === 0 || this.draining) return;
+      this.drain(enqueue).catch((err) =>
+        this.logger.error(err, "🔥 Erreur du drainer de journal"),
+      );
+    }, this.drainIntervalMs);
+    this.timer.unref();
+  }
+
+  stopDrainer() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// --- Réception côté listener ---
+
+// Mise en file, ou journal si Redis ne répond pas à temps.
+// Retourne { status: "new" | "duplicate" | "journaled", eventId, error? };
+// lève une erreur uniquement si le journal lui-même est inutilisable.
+export async function enqueueOrJournal({
+  redis,
+  queue,
+  tenant,
+  event,
+  envelope,
+  rawBody,
+  journal,
+  timeoutMs = ENQUEUE_TIMEOUT_MS,
+}) {
+  try {
+    return await withTimeout(
+      enqueueWebhookEvent(redis, queue, event, { rawBody, envelope }),
+      timeoutMs,
+      `Mise en file expirée après ${timeoutMs} ms`,
+    );
+  } catch (error) {
+    const eventId = eventJobId(eventFingerprint(event, rawBody));
+    await journal.append({
+      tenant,
+      queue: queue.name,
+      event,
+      envelope,
+      rawBody,
+      eventId,
+    });
+    return { status: "journaled", eventId, error };
+  }
+}
+
+// Fonction de remise en file utilisée par le drainer; la déduplication écarte
+// un événement déjà mis en file avant l'expiration du délai.
+// Les entrées journalisées avant l'enveloppe sont remises en file telles quelles.
+export function journalEnqueuer(
+  redis,
+  resolveQueue,
+  timeoutMs = ENQUEUE_TIMEOUT_MS,
+) {
+  return (record) =>
+    withTimeout(
+      enqueueWebhookEvent(redis, resolveQueue(record), record.event, {
+        rawBody: record.rawBody,
+        envelope: record.envelope,
+      }),
+      timeoutMs,
+      `Mise en file expirée après ${timeoutMs} ms`,
+    );
+}
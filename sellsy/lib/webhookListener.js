@@ -0,0 +1,228 @@
+// --- Plugin Fastify commun aux listeners de webhooks Sellsy ---
+// Files par tenant, journal local (coupure Redis), quarantaine, métriques,
+// signature, enveloppe, traces et routes webhook. sellsy/server.js, server.js
+// et signed_server.js l'enregistrent avec leurs seules différences en options:
+//   app.register(webhookListener, { redis, tenants, tenantRoutes, signature })
+import crypto from "crypto";
+import fp from "fastify-plugin";
+import sellsySignature, { signatureOptionsFromEnv } from "./sellsySignature.js";
+import { createWebhookQueue } from "./webhookQueue.js";
+import {
+  JOURNAL_DIR,
+  WebhookJournal,
+  enqueueOrJournal,
+  journalEnqueuer,
+} from "./webhookJournal.js";
+import { WebhookQuarantine, quarantineOrJournal } from "./webhookQuarantine.js";
+import { SELLSY_WEBHOOK_SCHEMA, formatSchemaErrors } from "./schemas.js";
+import { DEFAULT_TENANT_ID } from "./tenants.js";
+import listenerMetrics from "./listenerMetrics.js";
+import { buildEventEnvelope } from "./eventEnvelope.js";
+import { createTracer, startRequestSpan } from "./tracing.js";
+import { bearerAuth } from "./adminAuth.js";
+import { journalRoutes } from "../routes/journalRoutes.js";
+import { quarantineRoutes } from "../routes/quarantineRoutes.js";
+
+// Options Fastify des listeners: request id unique (ou X-Request-Id d'un proxy),
+// conservé dans l'enveloppe du job; le schéma du webhook valide sans convertir
+// pour que le job reçoive le corps signé tel quel
+export const LISTENER_FASTIFY_OPTIONS = {
+  logger: true,
+  requestIdHeader: "x-request-id",
+  genReqId: () => crypto.randomUUID(),
+  ajv: {
+    customOptions: {
+      coerceTypes: false,
+      allowUnionTypes: true,
+      allErrors: true,
+    },
+  },
+};
+
+/**
+ * @param {import("fastify").FastifyInstance} app
+ * @param {Object} options
+ * @param {import("ioredis").Redis} options.redis
+ * @param {Map<string, Object>} options.tenants - Registre (loadTenantRegistry)
+ * @param {boolean} [options.tenantRoutes] - POST /webhook/sellsy/:tenant en plus de la route historique
+ * @param {Object} [options.signature] - Options du plugin sellsySignature (défaut: environnement)
+ * @param {string} [options.journalDir]
+ * @param {string} [options.adminToken] - Bearer des routes d'exploitation (désactivées sans token)
+ */
+async function webhookListener(
+  app,
+  {
+    redis,
+    tenants,
+    tenantRoutes = true,
+    signature = {},
+    journalDir = JOURNAL_DIR,
+    adminToken = process.env.ADMIN_API_TOKEN,
+  },
+) {
+  // --- Une file BullMQ par tenant ---
+  const webhookQueues = new Map();
+  for (const tenant of tenants.values()) {
+    webhookQueues.set(tenant.id, createWebhookQueue(redis, tenant.queue));
+  }
+
+  // --- Traces: contexte W3C repris de Sellsy/du proxy, export OTLP optionnel ---
+  const tracer = createTracer("sellsy-webhook-listener", app.log);
+
+  // --- Journal local: événements reçus pendant une coupure Redis ---
+  const journal = new WebhookJournal(journalDir, app.log);
+
+  // Tenant retiré de la configuration depuis la journalisation: file d'origine conservée
+  function journalQueue(record) {
+    if (!webhookQueues.has(record.tenant)) {
+      webhookQueues.set(record.tenant, createWebhookQueue(redis, record.queue));
+    }
+    return webhookQueues.get(record.tenant);
+  }
+
+  const drainJournal = journalEnqueuer(redis, journalQueue);
+
+  // --- Quarantaine: événements signés mais non conformes au schéma ---
+  const quarantine = new WebhookQuarantine(redis, app.log);
+
+  // --- Routes d'exploitation: corps des événements, drain, remise en file ---
+  // Réservées au token d'administration (ADMIN_API_TOKEN)
+  if (adminToken) {
+    app.register(async (admin) => {
+      admin.addHook("onRequest", bearerAuth(adminToken));
+      admin.register(journalRoutes, {
+        prefix: "/journal",
+        journal,
+        enqueue: drainJournal,
+      });
+      admin.register(quarantineRoutes, {
+        prefix: "/quarantine",
+        quarantine,
+        queueFor: (tenant) => webhookQueues.get(tenant),
+      });
+    });
+  } else {
+    app.log.warn(
+      "🔒 ADMIN_API_TOKEN non défini: routes /journal et /quarantine désactivées",
+    );
+  }
+
+  // Métriques Prometheus: GET /metrics
+  app.register(listenerMetrics, { queues: webhookQueues, journal });
+
+  // Vérification de la signature Sellsy avec les clés du tenant ciblé
+  app.register(sellsySignature, {
+    ...signatureOptionsFromEnv(),
+    keys: (req) => tenants.get(req.tenantId)?.signKeys ?? [],
+    onReject: (reason) => app.metrics.signatureRejections.inc({ reason }),
+    ...signature,
+  });
+
+  app.decorateRequest("tenantId", null);
+
+  function resolveTenant(req, reply, done) {
+    const tenantId = req.params.tenant ?? DEFAULT_TENANT_ID;
+
+    if (!tenants.has(tenantId)) {
+      req.log.warn(`❓ Tenant inconnu: ${tenantId}`);
+      return reply.code(404).send({ ok: false });
+    }
+    req.tenantId = tenantId;
+    done();
+  }
+
+  // Erreur de schéma conservée dans req.validationError: la signature est
+  // vérifiée avant de décider de la quarantaine
+  const webhookRouteOptions = {
+    schema: { body: SELLSY_WEBHOOK_SCHEMA },
+    attachValidation: true,
+    preHandler: [
+      resolveTenant,
+      (req, reply) => app.verifySellsySignature(req, reply),
+    ],
+  };
+
+  // Événement invalide: conservé avec ses erreurs plutôt que perdu ou mis en file
+  async function quarantineInvalid(req, received) {
+    const errors = formatSchemaErrors(req.validationError.validation);
+    req.log.warn(
+      { errors },
+      `🚧 Événement ${req.body?.relatedtype}.${req.body?.eventType} non conforme au schéma`,
+    );
+    return quarantineOrJournal({ quarantine, errors, ...received });
+  }
+
+  async function handleWebhook(req, reply) {
+    // Son contexte suit l'événement jusqu'au worker (enveloppe du job)
+    const span = startRequestSpan(tracer, req, {
+      "sellsy.tenant": req.tenantId,
+      "sellsy.event_type": `${req.body?.relatedtype}.${req.body?.eventType}`,
+    });
+
+    try {
+      const received = {
+        queue: webhookQueues.get(req.tenantId),
+        tenant: req.tenantId,
+        event: req.body,
+        envelope: buildEventEnvelope(req, {
+          tenant: req.tenantId,
+          traceparent: span.traceparent,
+        }),
+        rawBody: req.rawBody,
+        journal,
+      };
+
+      // Une relivraison du même événement n'est pas remise en file;
+      // Redis indisponible: l'événement est journalisé sur disque avant le 200
+      const { status, eventId, error } = req.validationError
+        ? await quarantineInvalid(req, received)
+        : await enqueueOrJournal({ redis, ...received });
+
+      if (error) {
+        req.log.warn(`💾 Événement ${eventId} journalisé: ${error.message}`);
+        app.metrics.enqueueFailures.inc({ tenant: req.tenantId });
+      }
+      app.metrics.webhookEvents.inc({ tenant: req.tenantId, status });
+      req.log.info(
+        { eventId, traceId: span.traceId, status },
+        `📥 Événement ${eventId} reçu (${status})`,
+      );
+      span.setAttributes({
+        "sellsy.event_id": eventId,
+        "sellsy.status": status,
+      });
+      span.end();
+
+      // Réponse immédiate pour rester dans la file prioritaire Sellsy
+      reply.code(200).send({ ok: true, status, eventId });
+    } catch (err) {
+      // Ni Redis ni le disque: seul un non-200 évite de perdre l'événement (Sellsy le relivrera)
+      app.log.error(err, "🔥 Événement ni mis en file ni journalisé");
+      span.end(err);
+      reply.code(500).send({ ok: false });
+    }
+  }
+
+  // --- Endpoints Webhook ---
+  // Route historique: tenant par défaut (SELLSY_SIGN_KEY, file sellsy-webhooks)
+  app.post("/webhook/sellsy", webhookRouteOptions, handleWebhook);
+  if (tenantRoutes) {
+    app.post("/webhook/sellsy/:tenant", webhookRouteOptions, handleWebhook);
+  }
+
+  // Reprise des événements journalisés avant l'arrêt précédent, avant d'écouter
+  app.addHook("onReady", async () => {
+    await journal.recover(drainJournal);
+    journal.startDrainer(drainJournal);
+  });
+
+  app.addHook("onClose", async () => {
+    journal.stopDrainer();
+    await Promise.all(
+      [...webhookQueues.values()].map((queue) => queue.close()),
+    );
+    await tracer.shutdown();
+  });
+}
+
+export default fp(webhookListener, { name: "sellsy-webhook-listener" });
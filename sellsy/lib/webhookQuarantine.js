@@ -0,0 +1,129 @@
+// --- Quarantaine des webhooks invalides ---
+// Un événement signé mais non conforme au schéma (lib/schemas.js) n'est ni
+// mis en file ni perdu: il est conservé dans Redis avec ses erreurs, puis
+// consulté, remis en file (après correction du schéma) ou supprimé par les
+// routes /quarantine. Sellsy reçoit un 200: relivrer ne changerait rien.
+import {
+  eventFingerprint,
+  eventJobId,
+  enqueueWebhookEvent,
+} from "./webhookDedup.js";
+import { ENQUEUE_TIMEOUT_MS, withTimeout } from "./webhookJournal.js";
+import { tenantKeyPrefix } from "./tenants.js";
+
+export class WebhookQuarantine {
+  constructor(redis, logger) {
+    this.redis = redis;
+    this.logger = logger;
+  }
+
+  keyFor(tenant) {
+    return tenantKeyPrefix(tenant, "webhook-quarantine");
+  }
+
+  // Même id que le job qui aurait été créé: une relivraison remplace l'entrée
+  async add({ tenant, queue, event, envelope, rawBody, errors }) {
+    const id = eventJobId(eventFingerprint(event, rawBody));
+    const record = {
+      id,
+      tenant,
+      queue,
+      quarantinedAt: new Date().toISOString(),
+      errors,
+      event,
+      envelope,
+      rawBody: rawBody ? rawBody.toString("utf8") : undefined,
+    };
+    await this.redis.hset(this.keyFor(tenant), id, JSON.stringify(record));
+    return record;
+  }
+
+  async get(tenant, id) {
+    const raw = await this.redis.hget(this.keyFor(tenant), id);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  // Résumés (sans payload), plus récents en tête
+  async list(tenant, limit = 50) {
+    const entries = Object.values(await this.redis.hgetall(this.keyFor(tenant)))
+      .map((raw) => JSON.parse(raw))
+      .sort((a, b) => b.quarantinedAt.localeCompare(a.quarantinedAt));
+
+    return {
+      count: entries.length,
+      entries: entries
+        .slice(0, limit)
+        .map(({ event, envelope, rawBody, ...summary }) => ({
+          ...summary,
+          eventType:
+            event?.relatedtype && event?.eventType
+              ? `${event.relatedtype}.${event.eventType}`
+              : null,
+        })),
+    };
+  }
+
+  // Remise en file telle quelle: le worker revalide l'événement avec son schéma
+  async release(tenant, id, queue) {
+    const record = await this.get(tenant, id);
+    if (!record) return null;
+
+    const result = await enqueueWebhookEvent(this.redis, queue, record.event, {
+      rawBody: record.rawBody,
+      envelope: record.envelope,
+    });
+    await this.redis.hdel(this.keyFor(tenant), id);
+    this.logger.info(
+      `📤 Événement ${id} sorti de quarantaine (${result.status})`,
+    );
+    return result;
+  }
+
+  async remove(tenant, id) {
+    return (await this.redis.hdel(this.keyFor(tenant), id)) > 0;
+  }
+}
+
+// --- Réception côté listener ---
+
+// Quarantaine, ou journal si Redis ne répond pas à temps: l'événement journalisé
+// sera remis en file et le worker, qui le rejette aussi, l'enverra en DLQ.
+// Retourne { status: "quarantined" | "journaled", eventId, error? }.
+export async function quarantineOrJournal({
+  quarantine,
+  journal,
+  queue,
+  tenant,
+  event,
+  envelope,
+  rawBody,
+  errors,
+  timeoutMs = ENQUEUE_TIMEOUT_MS,
+}) {
+  try {
+    const record = await withTimeout(
+      quarantine.add({
+        tenant,
+        queue: queue.name,
+        event,
+        envelope,
+        rawBody,
+        errors,
+      }),
+      timeoutMs,
+      `Mise en quarantaine expirée après ${timeoutMs} ms`,
+    );
+    return { status: "quarantined", eventId: record.id };
+  } catch (error) {
+    const eventId = eventJobId(eventFingerprint(event, rawBody));
+    await journal.append({
+      tenant,
+      queue: queue.name,
+      event,
+      envelope,
+      rawBody,
+      eventId,
+    });
+    return { status: "journaled", eventId, error };
+  }
+}
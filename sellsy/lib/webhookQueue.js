@@ -0,0 +1,15 @@
+// --- File BullMQ des webhooks Sellsy (partagée par les listeners) ---
+import { Queue } from "bullmq";
+// Module sans dépendance: mêmes options de job côté listener et côté worker
+import { WEBHOOK_JOB_OPTIONS } from "../worker/lib/backoff.js";
+
+export const WEBHOOK_QUEUE_NAME = "sellsy-webhooks";
+
+// Les tentatives sont gérées nativement par BullMQ: le worker enregistre la
+// stratégie de backoff "sellsy" (exponentiel, maintenance 503, Retry-After).
+export function createWebhookQueue(connection, name = WEBHOOK_QUEUE_NAME) {
+  return new Queue(name, {
+    connection,
+    defaultJobOptions: WEBHOOK_JOB_OPTIONS,
+  });
+}
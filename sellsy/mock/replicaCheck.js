@@ -0,0 +1,59 @@
+// --- Vérification manuelle d'un déploiement à plusieurs répliques ---
+// Voir mock/replicas.js; code de sortie 1 si un devis n'a pas exactement une facture.
+//   docker compose --profile mock up -d --scale webhook-worker=3
+//   docker compose exec webhook-listener npm run replica-check
+// Variables: SELLSY_MOCK_URL, REPLICA_CHECK_ESTIMATES (10), REPLICA_CHECK_EVENTS (5),
+// REPLICA_CHECK_TIMEOUT_MS (180000)
+import IORedis from "ioredis";
+import { createWebhookQueue } from "../lib/webhookQueue.js";
+import { runReplicaCheck } from "./replicas.js";
+
+const redis = new IORedis({
+  host: process.env.REDIS_HOST || "127.0.0.1",
+  port: Number(process.env.REDIS_PORT) || 6379,
+  maxRetriesPerRequest: null,
+});
+const queue = createWebhookQueue(redis);
+
+async function main() {
+  const result = await runReplicaCheck({
+    redis,
+    queue,
+    mockUrl: process.env.SELLSY_MOCK_URL || "http://sellsy-mock:4010",
+    estimates: Number(process.env.REPLICA_CHECK_ESTIMATES) || 10,
+    eventsPerEstimate: Number(process.env.REPLICA_CHECK_EVENTS) || 5,
+    timeoutMs: Number(process.env.REPLICA_CHECK_TIMEOUT_MS) || 180000,
+  });
+
+  console.log(
+    `📥 ${result.events} événements traités pour ${result.invoicesPerEstimate.size} devis`,
+  );
+  for (const [replica, count] of result.replicas) {
+    console.log(`👷 ${replica}: ${count} job(s)`);
+  }
+
+  for (const [estimateId, count] of result.invoicesPerEstimate) {
+    if (count !== 1)
+      console.error(`❌ Devis ${estimateId}: ${count} facture(s)`);
+  }
+  for (const jobId of result.failedJobs) {
+    console.error(`❌ Job ${jobId} en échec`);
+  }
+  if (!result.ok) return 1;
+
+  console.log(
+    `✅ ${result.invoicesPerEstimate.size} devis, une facture chacun (${result.replicas.size} réplique(s))`,
+  );
+  return 0;
+}
+
+main()
+  .catch((error) => {
+    console.error(`💥 Vérification interrompue: ${error.message}`);
+    return 1;
+  })
+  .then(async (code) => {
+    await queue.close();
+    await redis.quit();
+    process.exit(code);
+  });
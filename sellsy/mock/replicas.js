@@ -0,0 +1,156 @@
+// --- Vérification d'un déploiement à plusieurs répliques du worker ---
+// Crée des devis acceptés dans le mock Sellsy, met en file plusieurs
+// événements par devis (relivraisons distinctes, non dédupliquées) et attend
+// que les répliques aient tout traité: chaque devis doit avoir exactement
+// une facture malgré la concurrence entre répliques.
+// Utilisé par mock/replicaCheck.js (docker compose) et test/replicas.test.js.
+import { enqueueWebhookEvent } from "../lib/webhookDedup.js";
+import { buildSyntheticEnvelope } from "../lib/eventEnvelope.js";
+import { DEFAULT_TENANT_ID } from "../lib/tenants.js";
+
+async function mock(mockUrl, path, options = {}) {
+  const response = await fetch(`${mockUrl}/__mock${path}`, {
+    ...options,
+    headers: { "content-type": "application/json" },
+  });
+  if (!response.ok) {
+    throw new Error(`Mock ${path}: HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+// Identifiants propres au passage: le registre d'idempotence survit aux exécutions
+function buildEstimates(runId, count) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: runId * 1000 + index,
+    number: `DEV-RC-${runId}-${index}`,
+    subject: "Vérification multi-répliques",
+    status: "accepted",
+    date: new Date().toISOString().slice(0, 10),
+    currency: "EUR",
+    related: [{ id: 42, type: "company" }],
+    amounts: { total_excl_tax: "100.00", total_incl_tax: "120.00" },
+    taxes: [{ id: 1, rate: "20.00" }],
+    rows: [
+      {
+        type: "single",
+        description: "Prestation",
+        quantity: "1",
+        unit_amount: "100.00",
+        tax_id: 1,
+      },
+    ],
+  }));
+}
+
+async function waitForQueue(queue, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const counts = await queue.getJobCounts(
+      "waiting",
+      "active",
+      "delayed",
+      "prioritized",
+    );
+    if (
+      counts.waiting + counts.active + counts.delayed + counts.prioritized ===
+      0
+    ) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+  throw new Error(`File non vidée après ${timeoutMs} ms`);
+}
+
+/**
+ * Lance la vérification sur la file d'un tenant servie par les répliques.
+ * @param {Object} options
+ * @param {import("ioredis").Redis} options.redis
+ * @param {import("bullmq").Queue} options.queue - File du tenant
+ * @param {string} options.mockUrl
+ * @param {string} [options.tenant]
+ * @param {number} [options.estimates] - Nombre de devis
+ * @param {number} [options.eventsPerEstimate] - Événements concurrents par devis
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<{ ok: boolean, events: number,
+ *   invoicesPerEstimate: Map<number, number>, replicas: Map<string, number>,
+ *   failedJobs: string[] }>}
+ */
+export async function runReplicaCheck({
+  redis,
+  queue,
+  mockUrl,
+  tenant = DEFAULT_TENANT_ID,
+  estimates: estimateCount = 10,
+  eventsPerEstimate = 5,
+  timeoutMs = 180000,
+}) {
+  const runId = Math.floor(Date.now() / 1000);
+  const estimates = buildEstimates(runId, estimateCount);
+  await mock(mockUrl, "/estimates", {
+    method: "POST",
+    body: JSON.stringify(estimates),
+  });
+
+  // Toutes les relivraisons d'un devis arrivent en même temps dans la file
+  const jobIds = [];
+  for (let round = 0; round < eventsPerEstimate; round++) {
+    for (const estimate of estimates) {
+      const event = {
+        eventType: "docslog",
+        relatedtype: "estimate",
+        relatedid: estimate.id,
+        logid: `${runId}-${round}`,
+        relatedobject: {
+          id: estimate.id,
+          status: "accepted",
+          related: estimate.related,
+        },
+      };
+      const { eventId } = await enqueueWebhookEvent(redis, queue, event, {
+        envelope: buildSyntheticEnvelope(event, {
+          tenant,
+          source: "replica-check",
+          requestId: `replica-check-${runId}`,
+        }),
+      });
+      jobIds.push(eventId);
+    }
+  }
+
+  await waitForQueue(queue, timeoutMs);
+
+  const invoices = (await mock(mockUrl, "/invoices")).filter((invoice) =>
+    estimates.some((estimate) => estimate.id === invoice.parent?.id),
+  );
+  const invoicesPerEstimate = new Map(
+    estimates.map((estimate) => [estimate.id, 0]),
+  );
+  for (const invoice of invoices) {
+    invoicesPerEstimate.set(
+      invoice.parent.id,
+      invoicesPerEstimate.get(invoice.parent.id) + 1,
+    );
+  }
+
+  // Répartition des jobs entre répliques (nom du worker BullMQ: hôte:pid)
+  const replicas = new Map();
+  const failedJobs = [];
+  for (const jobId of jobIds) {
+    const job = await queue.getJob(jobId);
+    const replica = job?.processedBy ?? "?";
+    replicas.set(replica, (replicas.get(replica) ?? 0) + 1);
+    if (job && (await job.getState()) === "failed") failedJobs.push(jobId);
+  }
+
+  return {
+    ok:
+      failedJobs.length === 0 &&
+      [...invoicesPerEstimate.values()].every((count) => count === 1),
+    events: jobIds.length,
+    invoicesPerEstimate,
+    replicas,
+    failedJobs,
+  };
+}
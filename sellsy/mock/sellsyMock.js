@@ -0,0 +1,377 @@
+// --- Doublure locale de l'API Sellsy v2 ---
+// Implémente OAuth (client_credentials, authorization_code avec PKCE, refresh_token),
+// GET /v2/estimates/:id, la recherche de devis, GET /v2/companies/:id,
+// POST /v2/invoices, GET /v2/invoices/:id, la validation et la recherche de factures, avec injection de pannes (401, 429, 503, 5xx) pour
+// tester le worker sans compte Sellsy: SELLSY_API_URL=http://localhost:4010
+import crypto from "crypto";
+import Fastify from "fastify";
+
+const TOKEN_TTL_SECONDS = 3600;
+const CONTROL_PREFIX = "/__mock";
+
+// Panne à injecter: { method, path, status, times, retryAfter, body, delayMs }
+// path = motif de route ("/v2/estimates/:id") ou URL exacte; times = -1 pour toujours.
+// delayMs seul (sans status) ralentit la réponse normale: requête en vol pendant un arrêt.
+function normalizeFault(fault) {
+  const delayMs = fault?.delayMs;
+  if (delayMs !== undefined && (!Number.isInteger(delayMs) || delayMs < 0)) {
+    throw new Error("delayMs doit être un entier positif");
+  }
+  if (
+    (delayMs === undefined || fault.status !== undefined) &&
+    (!Number.isInteger(fault?.status) || fault.status < 400)
+  ) {
+    throw new Error("Une panne doit avoir un status HTTP >= 400");
+  }
+  return {
+    method: (fault.method || "*").toUpperCase(),
+    path: fault.path || "*",
+    status: fault.status,
+    times: fault.times ?? 1,
+    retryAfter: fault.retryAfter,
+    body: fault.body,
+    delayMs,
+  };
+}
+
+function createState({
+  estimates = [],
+  companies = [],
+  invoices = [],
+  faults = [],
+} = {}) {
+  return {
+    estimates: new Map(
+      estimates.map((estimate) => [String(estimate.id), estimate]),
+    ),
+    companies: new Map(
+      companies.map((company) => [String(company.id), company]),
+    ),
+    // Factures existantes (créées à la main...), copiées pour que reset les restaure
+    invoices: invoices.map((invoice) => ({ ...invoice })),
+    tokens: new Set(),
+    refreshTokens: new Set(),
+    authorizationCodes: new Map(),
+    faults: faults.map(normalizeFault),
+    requests: [],
+    nextInvoiceId:
+      Math.max(0, ...invoices.map((invoice) => Number(invoice.id) || 0)) + 1,
+  };
+}
+
+export function buildSellsyMock({
+  fixtures = {},
+  clientId,
+  clientSecret,
+  logger = false,
+} = {}) {
+  const app = Fastify({ logger });
+  let state = createState(fixtures);
+
+  app.decorate("mockState", () => state);
+
+  function matchFault(req) {
+    const route = req.routeOptions?.url;
+    const path = req.url.split("?")[0];
+
+    return state.faults.find(
+      (fault) =>
+        fault.times !== 0 &&
+        (fault.method === "*" || fault.method === req.method) &&
+        (fault.path === "*" || fault.path === route || fault.path === path),
+    );
+  }
+
+  async function sendFault(reply, fault) {
+    if (fault.times > 0) fault.times--;
+
+    if (fault.delayMs) {
+      await new Promise((resolve) => setTimeout(resolve, fault.delayMs));
+    }
+    // Latence seule: la requête suit son cours
+    if (fault.status === undefined) return;
+
+    if (fault.retryAfter !== undefined) {
+      reply.header("retry-after", String(fault.retryAfter));
+    }
+    if (fault.status === 429) {
+      reply.header("x-ratelimit-remaining", "0");
+      reply.header("x-ratelimit-reset", String(fault.retryAfter ?? 1));
+    }
+
+    return reply.code(fault.status).send(
+      fault.body ?? {
+        error: { code: fault.status, message: "Injected fault" },
+      },
+    );
+  }
+
+  app.addHook("onRequest", async (req, reply) => {
+    if (req.url.startsWith(CONTROL_PREFIX)) return;
+
+    state.requests.push({
+      method: req.method,
+      url: req.url,
+      at: new Date().toISOString(),
+    });
+
+    const fault = matchFault(req);
+    if (fault) {
+      await sendFault(reply, fault);
+      if (reply.sent) return reply;
+    }
+
+    if (req.url.startsWith("/v2/")) {
+      const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+      if (!state.tokens.has(token)) {
+        return reply
+          .code(401)
+          .send({ error: { code: 401, message: "Invalid token" } });
+      }
+    }
+  });
+
+  function issueToken(withRefreshToken = false) {
+    const token = crypto.randomBytes(16).toString("hex");
+    state.tokens.add(token);
+
+    const response = {
+      token_type: "Bearer",
+      expires_in: TOKEN_TTL_SECONDS,
+      access_token: token,
+    };
+    if (withRefreshToken) {
+      response.refresh_token = crypto.randomBytes(24).toString("hex");
+      state.refreshTokens.add(response.refresh_token);
+    }
+    return response;
+  }
+
+  // --- OAuth2: consentement simulé (accordé d'office) ---
+  // Redirige vers redirect_uri avec un code lié au code_challenge PKCE
+  app.get("/oauth2/authorization", async (req, reply) => {
+    const { client_id, redirect_uri, state: authState } = req.query;
+    const { code_challenge, code_challenge_method } = req.query;
+    if (
+      !redirect_uri ||
+      !code_challenge ||
+      code_challenge_method !== "S256" ||
+      (clientId !== undefined && client_id !== clientId)
+    ) {
+      return reply.code(400).send({ error: "invalid_request" });
+    }
+
+    const code = crypto.randomBytes(16).toString("hex");
+    state.authorizationCodes.set(code, {
+      challenge: code_challenge,
+      redirectUri: redirect_uri,
+    });
+
+    const target = new URL(redirect_uri);
+    target.searchParams.set("code", code);
+    if (authState) target.searchParams.set("state", authState);
+    return reply.redirect(target.toString());
+  });
+
+  // --- OAuth2: client_credentials, authorization_code et refresh_token ---
+  app.post("/oauth2/access-tokens", async (req, reply) => {
+    const body = req.body || {};
+    const credentialsChecked = clientId !== undefined;
+
+    if (
+      credentialsChecked &&
+      (body.client_id !== clientId || body.client_secret !== clientSecret)
+    ) {
+      return reply.code(401).send({ error: "invalid_client" });
+    }
+
+    if (body.grant_type === "client_credentials") {
+      return issueToken();
+    }
+
+    if (body.grant_type === "authorization_code") {
+      const authorization = state.authorizationCodes.get(body.code);
+      state.authorizationCodes.delete(body.code);
+      const challenge = crypto
+        .createHash("sha256")
+        .update(String(body.code_verifier))
+        .digest("base64url");
+      if (
+        !authorization ||
+        authorization.challenge !== challenge ||
+        authorization.redirectUri !== body.redirect_uri
+      ) {
+        return reply.code(400).send({ error: "invalid_grant" });
+      }
+      return issueToken(true);
+    }
+
+    // Rotation: le refresh token utilisé est invalidé
+    if (body.grant_type === "refresh_token") {
+      if (!state.refreshTokens.delete(body.refresh_token)) {
+        return reply.code(400).send({ error: "invalid_grant" });
+      }
+      return issueToken(true);
+    }
+
+    return reply.code(400).send({ error: "unsupported_grant_type" });
+  });
+
+  // --- API v2 ---
+  app.get("/v2/estimates/:id", async (req, reply) => {
+    const estimate = state.estimates.get(req.params.id);
+    if (!estimate) {
+      return reply
+        .code(404)
+        .send({ error: { code: 404, message: "Estimate not found" } });
+    }
+    return estimate;
+  });
+
+  // Filtres: status (liste) et date { start, end } inclus, sur la date du devis
+  app.post("/v2/estimates/search", async (req) => {
+    const limit = Number(req.query.limit ?? 25);
+    const offset = Number(req.query.offset ?? 0);
+    const { status, date } = req.body?.filters || {};
+
+    const matching = [...state.estimates.values()].filter(
+      (estimate) =>
+        (!status?.length || status.includes(estimate.status)) &&
+        (!date?.start || estimate.date >= date.start) &&
+        (!date?.end || estimate.date <= date.end),
+    );
+
+    return {
+      data: matching.slice(offset, offset + limit),
+      pagination: {
+        limit,
+        offset,
+        count: matching.length,
+        total: matching.length,
+      },
+    };
+  });
+
+  app.get("/v2/companies/:id", async (req, reply) => {
+    const company = state.companies.get(req.params.id);
+    if (!company) {
+      return reply
+        .code(404)
+        .send({ error: { code: 404, message: "Company not found" } });
+    }
+    return company;
+  });
+
+  app.post("/v2/invoices", async (req, reply) => {
+    const payload = req.body || {};
+    if (!Array.isArray(payload.rows)) {
+      return reply
+        .code(400)
+        .send({ error: { code: 400, message: "rows is required" } });
+    }
+
+    const invoice = {
+      ...payload,
+      id: state.nextInvoiceId++,
+      status: "draft",
+      created: new Date().toISOString(),
+    };
+    state.invoices.push(invoice);
+
+    return reply.code(201).send(invoice);
+  });
+
+  app.get("/v2/invoices/:id", async (req, reply) => {
+    const invoice = state.invoices.find(
+      (candidate) => String(candidate.id) === req.params.id,
+    );
+    if (!invoice) {
+      return reply
+        .code(404)
+        .send({ error: { code: 404, message: "Invoice not found" } });
+    }
+    return invoice;
+  });
+
+  app.post("/v2/invoices/:id/validate", async (req, reply) => {
+    const invoice = state.invoices.find(
+      (candidate) => String(candidate.id) === req.params.id,
+    );
+    if (!invoice) {
+      return reply
+        .code(404)
+        .send({ error: { code: 404, message: "Invoice not found" } });
+    }
+
+    invoice.status = "due";
+    invoice.date = req.body?.date ?? new Date().toISOString().slice(0, 10);
+    return invoice;
+  });
+
+  app.post("/v2/invoices/search", async (req) => {
+    const limit = Number(req.query.limit ?? 25);
+    const offset = Number(req.query.offset ?? 0);
+    const start = req.body?.filters?.created?.start;
+
+    const matching = state.invoices.filter(
+      (invoice) => !start || invoice.created >= start,
+    );
+
+    // Comme Sellsy: résultats résumés, sans les lignes (GET /v2/invoices/:id)
+    return {
+      data: matching
+        .slice(offset, offset + limit)
+        .map(({ rows, ...summary }) => summary),
+      pagination: {
+        limit,
+        offset,
+        count: matching.length,
+        total: matching.length,
+      },
+    };
+  });
+
+  // --- Pilotage du mock (tests) ---
+  app.get(`${CONTROL_PREFIX}/invoices`, async () => state.invoices);
+  app.get(`${CONTROL_PREFIX}/requests`, async () => state.requests);
+  app.get(`${CONTROL_PREFIX}/faults`, async () => state.faults);
+
+  app.post(`${CONTROL_PREFIX}/estimates`, async (req) => {
+    const estimates = [].concat(req.body || []);
+    for (const estimate of estimates) {
+      state.estimates.set(String(estimate.id), estimate);
+    }
+    return { count: estimates.length };
+  });
+
+  app.post(`${CONTROL_PREFIX}/faults`, async (req, reply) => {
+    try {
+      const faults = [].concat(req.body || []).map(normalizeFault);
+      state.faults.push(...faults);
+      return { count: faults.length };
+    } catch (err) {
+      return reply.code(400).send({ error: err.message });
+    }
+  });
+
+  app.delete(`${CONTROL_PREFIX}/faults`, async () => {
+    state.faults = [];
+    return { ok: true };
+  });
+
+  // Invalide les tokens émis: le prochain appel reçoit un 401 "naturel".
+  // { "refreshTokens": true }: refresh tokens aussi (nouvelle autorisation requise)
+  app.post(`${CONTROL_PREFIX}/tokens/revoke`, async (req) => {
+    const revoked = state.tokens.size;
+    state.tokens.clear();
+    if (req.body?.refreshTokens) state.refreshTokens.clear();
+    return { revoked };
+  });
+
+  app.post(`${CONTROL_PREFIX}/reset`, async () => {
+    state = createState(fixtures);
+    return { ok: true };
+  });
+
+  return app;
+}
@@ -0,0 +1,29 @@
+import { readFileSync } from "fs";
+import { buildSellsyMock } from "./sellsyMock.js";
+
+// Devis et pannes initiaux: SELLSY_MOCK_FIXTURES=./mock/fixtures.example.json
+const fixtures = process.env.SELLSY_MOCK_FIXTURES
+  ? JSON.parse(readFileSync(process.env.SELLSY_MOCK_FIXTURES, "utf8"))
+  : {};
+
+const app = buildSellsyMock({
+  fixtures,
+  // Identifiants vérifiés seulement s'ils sont fournis
+  clientId: process.env.SELLSY_MOCK_CLIENT_ID,
+  clientSecret: process.env.SELLSY_MOCK_CLIENT_SECRET,
+  logger: true,
+});
+
+// --- Démarrage ---
+const start = async () => {
+  const port = Number(process.env.SELLSY_MOCK_PORT) || 4010;
+  try {
+    await app.listen({ port, host: "0.0.0.0" });
+    console.log(`🧪 Mock API Sellsy prêt sur le port ${port}`);
+  } catch (err) {
+    app.log.error(err);
+    process.exit(1);
+  }
+};
+
+start();
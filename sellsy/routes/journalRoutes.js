@@ -0,0 +1,14 @@
+// --- Routes d'exploitation du journal local des webhooks ---
+// A enregistrer avec un préfixe: app.register(journalRoutes, { prefix: "/journal", journal, enqueue })
+// Expose le corps des événements: à placer derrière bearerAuth (lib/adminAuth.js)
+
+export async function journalRoutes(app, { journal, enqueue }) {
+  // Événements reçus pendant une coupure Redis et pas encore remis en file
+  app.get("/", async (request) => {
+    const limit = Number(request.query.limit ?? 50);
+    return journal.backlog(limit);
+  });
+
+  // Drain immédiat sans attendre le prochain passage du drainer
+  app.post("/drain", async () => journal.drain(enqueue));
+}
@@ -0,0 +1,46 @@
+// --- Routes d'exploitation de la quarantaine des webhooks ---
+// A enregistrer avec un préfixe:
+// app.register(quarantineRoutes, { prefix: "/quarantine", quarantine, queueFor })
+// Expose le corps des événements: à placer derrière bearerAuth (lib/adminAuth.js)
+
+export async function quarantineRoutes(app, { quarantine, queueFor }) {
+  // Tenant inconnu: aucune file où remettre ses événements
+  app.addHook("preHandler", async (request, reply) => {
+    if (!queueFor(request.params.tenant)) {
+      return reply.code(404).send({ error: "Tenant inconnu" });
+    }
+  });
+
+  // Événements invalides du tenant, avec leurs erreurs de schéma
+  app.get("/:tenant", async (request) => {
+    const limit = Number(request.query.limit ?? 50);
+    return quarantine.list(request.params.tenant, limit);
+  });
+
+  app.get("/:tenant/:id", async (request, reply) => {
+    const { tenant, id } = request.params;
+    const record = await quarantine.get(tenant, id);
+    if (!record) {
+      return reply.code(404).send({ error: "Événement introuvable" });
+    }
+    return record;
+  });
+
+  // Remise en file, typiquement après une correction du schéma
+  app.post("/:tenant/:id/release", async (request, reply) => {
+    const { tenant, id } = request.params;
+    const result = await quarantine.release(tenant, id, queueFor(tenant));
+    if (!result) {
+      return reply.code(404).send({ error: "Événement introuvable" });
+    }
+    return result;
+  });
+
+  app.delete("/:tenant/:id", async (request, reply) => {
+    const { tenant, id } = request.params;
+    if (!(await quarantine.remove(tenant, id))) {
+      return reply.code(404).send({ error: "Événement introuvable" });
+    }
+    return { removed: id };
+  });
+}
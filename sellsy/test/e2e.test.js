@@ -0,0 +1,201 @@
+// --- Bout en bout: webhook signé → listener → Redis → worker → mock Sellsy ---
+// Ignoré sans Redis (voir helpers/stack.js): REDIS_HOST/REDIS_PORT ou redis-server.
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { readFileSync } from "node:fs";
+import { after, before, describe, it } from "node:test";
+import IORedis from "ioredis";
+import {
+  cleanRedis,
+  startRedis,
+  startStack,
+  waitFor,
+} from "./helpers/stack.js";
+
+const SIGN_KEY = "e2e-secret";
+const fixtures = JSON.parse(
+  readFileSync(
+    new URL("../worker/test/fixtures/estimates.json", import.meta.url),
+    "utf8",
+  ),
+);
+
+const redisServer = await startRedis();
+
+describe(
+  "bout en bout",
+  {
+    skip: redisServer
+      ? false
+      : "Redis indisponible (REDIS_HOST/REDIS_PORT, redis-server)",
+    timeout: 120000,
+  },
+  () => {
+    let stack;
+    let redis;
+    let logId = 0;
+
+    before(async () => {
+      stack = await startStack(redisServer, { signKey: SIGN_KEY });
+      redis = new IORedis({ host: redisServer.host, port: redisServer.port });
+    });
+
+    after(async () => {
+      await stack?.stop();
+      if (redis) {
+        await cleanRedis(redis, `*${stack.tenantId}*`);
+        await redis.quit();
+      }
+      await redisServer.stop();
+    });
+
+    const mock = async (route, body) => {
+      const response = await fetch(`${stack.mockUrl}/__mock${route}`, {
+        method: body ? "POST" : "GET",
+        headers: { "content-type": "application/json" },
+        body: body && JSON.stringify(body),
+      });
+      assert.ok(response.ok, `mock ${route}: HTTP ${response.status}`);
+      return response.json();
+    };
+
+    // Webhook de devis signé comme par Sellsy: SHA1(clé + corps brut)
+    async function postEstimateEvent(
+      estimate,
+      { status, signKey = SIGN_KEY, logid } = {},
+    ) {
+      const body = JSON.stringify({
+        eventType: "docslog",
+        relatedtype: "estimate",
+        relatedid: estimate.id,
+        logid: logid ?? `log-${++logId}`,
+        relatedobject: {
+          id: estimate.id,
+          status: status ?? estimate.status,
+          related: estimate.related,
+        },
+      });
+      const signature = crypto
+        .createHash("sha1")
+        .update(signKey + body)
+        .digest("hex");
+
+      return fetch(`${stack.listenerUrl}/webhook/sellsy/${stack.tenantId}`, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "x-webhook-signature": signature,
+        },
+        body,
+      });
+    }
+
+    const invoicesOf = async (estimateId) =>
+      (await mock("/invoices")).filter(
+        (invoice) => String(invoice.parent?.id) === String(estimateId),
+      );
+
+    // Tous les événements postés ont été traités par le worker
+    async function waitForIdleQueue() {
+      const key = `bull:${stack.queueName}`;
+      await waitFor(
+        async () =>
+          (await redis.llen(`${key}:wait`)) +
+            (await redis.llen(`${key}:active`)) +
+            (await redis.zcard(`${key}:delayed`)) +
+            (await redis.zcard(`${key}:prioritized`)) ===
+          0,
+        { label: "file vidée", timeoutMs: 60000 },
+      );
+    }
+
+    it("crée la facture d'un devis accepté avec les totaux du devis", async () => {
+      const estimate = { ...fixtures.multiTauxRemisePourcentage, id: 91001 };
+      await mock("/estimates", [estimate]);
+
+      const response = await postEstimateEvent(estimate);
+      assert.equal(response.status, 200);
+      assert.equal((await response.json()).status, "new");
+
+      const [invoice] = await waitFor(
+        async () => {
+          const invoices = await invoicesOf(estimate.id);
+          return invoices.length > 0 && invoices;
+        },
+        { label: "facture créée", timeoutMs: 60000 },
+      );
+
+      assert.deepEqual(invoice.related, [{ id: 42, type: "company" }]);
+      assert.deepEqual(invoice.discount, { type: "percent", percent: "10" });
+      assert.deepEqual(
+        invoice.rows.map((row) => [
+          row.description,
+          row.unit_amount,
+          row.tax_id,
+        ]),
+        [
+          ["Animation", "1000.00", 1],
+          ["Supports imprimés", "100.00", 2],
+        ],
+      );
+    });
+
+    it("ne crée qu'une facture par devis malgré les relivraisons", async () => {
+      const estimate = { ...fixtures.simple, id: 91002 };
+      await mock("/estimates", [estimate]);
+
+      // Même événement relivré, puis un second événement sur le même devis
+      await postEstimateEvent(estimate, { logid: "dup-1" });
+      const redelivery = await postEstimateEvent(estimate, { logid: "dup-1" });
+      assert.equal((await redelivery.json()).status, "duplicate");
+      await postEstimateEvent(estimate, { logid: "dup-2" });
+
+      await waitFor(async () => (await invoicesOf(estimate.id)).length > 0, {
+        label: "facture créée",
+        timeoutMs: 60000,
+      });
+      await waitForIdleQueue();
+      assert.equal((await invoicesOf(estimate.id)).length, 1);
+    });
+
+    it("ne facture pas un devis non accepté", async () => {
+      const estimate = { ...fixtures.simple, id: 91003, status: "draft" };
+      await mock("/estimates", [estimate]);
+
+      assert.equal((await postEstimateEvent(estimate)).status, 200);
+      await waitForIdleQueue();
+      assert.deepEqual(await invoicesOf(estimate.id), []);
+    });
+
+    it("rejette un webhook mal signé sans le mettre en file", async () => {
+      const estimate = { ...fixtures.simple, id: 91004 };
+      await mock("/estimates", [estimate]);
+
+      const response = await postEstimateEvent(estimate, { signKey: "autre" });
+      assert.equal(response.status, 401);
+      await waitForIdleQueue();
+      assert.deepEqual(await invoicesOf(estimate.id), []);
+    });
+
+    it("facture malgré une erreur transitoire de l'API Sellsy", async () => {
+      const estimate = { ...fixtures.catalogue, id: 91005 };
+      await mock("/estimates", [estimate]);
+      await mock("/faults", {
+        method: "GET",
+        path: `/v2/estimates/${estimate.id}`,
+        status: 500,
+        times: 1,
+      });
+
+      await postEstimateEvent(estimate);
+      const [invoice] = await waitFor(
+        async () => {
+          const invoices = await invoicesOf(estimate.id);
+          return invoices.length > 0 && invoices;
+        },
+        { label: "facture créée après l'erreur", timeoutMs: 60000 },
+      );
+      assert.equal(invoice.rows.length, 6);
+    });
+  },
+);
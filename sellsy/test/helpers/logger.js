@@ -0,0 +1,13 @@
+// --- Logger muet pour les tests (interface pino utilisée par le code) ---
+export function silentLogger() {
+  const logger = {
+    trace() {},
+    debug() {},
+    info() {},
+    warn() {},
+    error() {},
+    fatal() {},
+    child: () => logger,
+  };
+  return logger;
+}
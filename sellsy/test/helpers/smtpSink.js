@@ -0,0 +1,127 @@
+// --- Boîte SMTP locale pour les tests de notifications ---
+// Serveur SMTP minimal (sans TLS ni authentification) qui conserve les messages
+// reçus, en-têtes et corps décodés: smtp://127.0.0.1:<port>
+import net from "node:net";
+
+// Mots encodés des en-têtes (RFC 2047): =?UTF-8?Q?...?= ou =?UTF-8?B?...?=
+function decodeWords(value) {
+  return value
+    .replace(/\?=\s+=\?/g, "?==?")
+    .replace(
+      /=\?([^?]+)\?([QqBb])\?([^?]*)\?=/g,
+      (word, charset, mode, text) =>
+        mode.toUpperCase() === "B"
+          ? Buffer.from(text, "base64").toString("utf8")
+          : decodeQuotedPrintable(text.replace(/_/g, " ")),
+    );
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = text
+    .replace(/=\r?\n/g, "")
+    .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => `%${hex}`)
+    .replace(/%(?![0-9A-Fa-f]{2})/g, "%25");
+  return decodeURIComponent(bytes);
+}
+
+function parseMessage(raw) {
+  const separator = raw.indexOf("\r\n\r\n");
+  const head = raw.slice(0, separator).replace(/\r\n[ \t]+/g, " ");
+  const body = raw.slice(separator + 4);
+
+  const headers = {};
+  for (const line of head.split("\r\n")) {
+    const colon = line.indexOf(":");
+    headers[line.slice(0, colon).toLowerCase()] = decodeWords(
+      line.slice(colon + 1).trim(),
+    );
+  }
+
+  const encoding = headers["content-transfer-encoding"]?.toLowerCase();
+  const text =
+    encoding === "quoted-printable"
+      ? decodeQuotedPrintable(body)
+      : encoding === "base64"
+        ? Buffer.from(body, "base64").toString("utf8")
+        : body;
+
+  // Corps en fins de ligne \n, comme le texte envoyé
+  return {
+    headers,
+    subject: headers.subject,
+    text: text.replace(/\r\n/g, "\n").trimEnd(),
+    raw,
+  };
+}
+
+/**
+ * @returns {Promise<{ url: string, messages: Array<object>, close: () => Promise<void> }>}
+ */
+export async function startSmtpSink() {
+  const messages = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    let buffer = "";
+    let data = null;
+    let envelope = { from: null, to: [] };
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply("220 smtp-sink");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+
+      while (true) {
+        if (data !== null) {
+          const end = buffer.indexOf("\r\n.\r\n");
+          if (end === -1) return;
+          data += buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+
+          const raw = data.replace(/^\.\./gm, ".");
+          messages.push({ ...envelope, ...parseMessage(raw) });
+          envelope = { from: null, to: [] };
+          data = null;
+          reply("250 OK: message reçu");
+          continue;
+        }
+
+        const end = buffer.indexOf("\r\n");
+        if (end === -1) return;
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === "EHLO" || command === "HELO") reply("250 smtp-sink");
+        else if (command === "MAIL") {
+          envelope.from = /<([^>]*)>/.exec(line)?.[1] ?? null;
+          reply("250 OK");
+        } else if (command === "RCPT") {
+          envelope.to.push(/<([^>]*)>/.exec(line)?.[1]);
+          reply("250 OK");
+        } else if (command === "DATA") {
+          data = "";
+          reply("354 Fin par <CRLF>.<CRLF>");
+        } else if (command === "QUIT") {
+          reply("221 Bye");
+          socket.end();
+          return;
+        } else reply("250 OK");
+      }
+    });
+    socket.on("error", () => {});
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `smtp://127.0.0.1:${server.address().port}`,
+    messages,
+    close: () =>
+      new Promise((resolve) => {
+        server.close(resolve);
+        for (const socket of sockets) socket.destroy();
+      }),
+  };
+}
@@ -0,0 +1,240 @@
+// --- Pile locale pour les tests de bout en bout ---
+// Redis, mock Sellsy, listener et worker lancés comme en production (processus
+// séparés), sur des ports libres. Redis: REDIS_HOST/REDIS_PORT s'il répond,
+// sinon redis-server s'il est installé; sans Redis, startRedis retourne null
+// et le test est ignoré.
+import { spawn, spawnSync } from "node:child_process";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import IORedis from "ioredis";
+
+export const SELLSY_DIR = fileURLToPath(new URL("../../", import.meta.url));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export async function freePort() {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+// Réessaie fn jusqu'à ce qu'elle retourne une valeur vraie
+export async function waitFor(
+  fn,
+  { timeoutMs = 30000, label = "condition" } = {},
+) {
+  const deadline = Date.now() + timeoutMs;
+  let lastError = null;
+
+  while (Date.now() < deadline) {
+    try {
+      const value = await fn();
+      if (value) return value;
+    } catch (error) {
+      lastError = error;
+    }
+    await sleep(200);
+  }
+  throw new Error(
+    `${label}: délai de ${timeoutMs} ms dépassé${lastError ? ` (${lastError.message})` : ""}`,
+  );
+}
+
+async function ping(host, port) {
+  const redis = new IORedis({
+    host,
+    port,
+    lazyConnect: true,
+    connectTimeout: 1000,
+    maxRetriesPerRequest: 0,
+    retryStrategy: () => null,
+  });
+  try {
+    await redis.connect();
+    return (await redis.ping()) === "PONG";
+  } catch {
+    return false;
+  } finally {
+    redis.disconnect();
+  }
+}
+
+/**
+ * Redis utilisable par les tests, ou null.
+ * @returns {Promise<{ host: string, port: number, stop: () => Promise<void> } | null>}
+ */
+export async function startRedis(env = process.env) {
+  const host = env.REDIS_HOST || "127.0.0.1";
+  const port = Number(env.REDIS_PORT) || 6379;
+  if (await ping(host, port)) return { host, port, stop: async () => {} };
+
+  if (spawnSync("redis-server", ["--version"]).status !== 0) return null;
+
+  // Instance jetable: ni persistance ni port partagé
+  const ownPort = await freePort();
+  const server = startProcess(
+    "redis",
+    "redis-server",
+    ["--port", String(ownPort), "--save", "", "--appendonly", "no"],
+    { cwd: os.tmpdir() },
+  );
+  await waitFor(() => ping("127.0.0.1", ownPort), { label: "redis-server" });
+  return { host: "127.0.0.1", port: ownPort, stop: () => server.stop() };
+}
+
+/**
+ * Lance un processus dont la sortie est conservée pour le diagnostic.
+ * stop() envoie SIGTERM (arrêt gracieux), puis SIGKILL après timeoutMs.
+ */
+export function startProcess(name, command, args, { cwd, env } = {}) {
+  const child = spawn(command, args, {
+    cwd,
+    env: { ...process.env, ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  const output = [];
+  child.stdout.on("data", (chunk) => output.push(chunk));
+  child.stderr.on("data", (chunk) => output.push(chunk));
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  return {
+    name,
+    child,
+    output: () => Buffer.concat(output).toString("utf8"),
+    async stop(timeoutMs = 15000) {
+      if (child.exitCode !== null || child.signalCode !== null) return;
+      child.kill("SIGTERM");
+      const timer = setTimeout(() => child.kill("SIGKILL"), timeoutMs);
+      await exited;
+      clearTimeout(timer);
+    },
+  };
+}
+
+/**
+ * Mock Sellsy, listener et worker pour un tenant propre à l'exécution:
+ * files, registre et clés Redis ne croisent pas ceux d'une autre exécution.
+ * @param {{ host: string, port: number }} redis
+ * @param {{ signKey: string, workers?: number, env?: object }} options
+ */
+export async function startStack(redis, { signKey, workers = 1, env = {} }) {
+  const runId = `${Date.now().toString(36)}${process.pid}`;
+  const tenantId = `e2e-${runId}`;
+  const dir = await mkdtemp(path.join(os.tmpdir(), "sellsy-e2e-"));
+  const [mockPort, listenerPort] = [await freePort(), await freePort()];
+  const mockUrl = `http://127.0.0.1:${mockPort}`;
+
+  const tenantsFile = path.join(dir, "tenants.json");
+  await writeFile(
+    tenantsFile,
+    JSON.stringify({
+      defaultTenant: false,
+      tenants: {
+        [tenantId]: {
+          signKeys: "env:E2E_SIGN_KEY",
+          clientId: "e2e",
+          clientSecret: "e2e",
+          apiUrl: mockUrl,
+          loginUrl: mockUrl,
+        },
+      },
+    }),
+  );
+
+  const common = {
+    REDIS_HOST: redis.host,
+    REDIS_PORT: String(redis.port),
+    SELLSY_TENANTS_FILE: tenantsFile,
+    E2E_SIGN_KEY: signKey,
+    SELLSY_TOKEN_STORE: "memory",
+    AUDIT_STORE: "none",
+    ...env,
+  };
+
+  const processes = [];
+  const stack = {
+    tenantId,
+    queueName: `sellsy-webhooks-${tenantId}`,
+    mockUrl,
+    listenerUrl: `http://127.0.0.1:${listenerPort}`,
+    workerUrls: [],
+    processes,
+    output: () =>
+      processes.map((p) => `--- ${p.name} ---\n${p.output()}`).join("\n"),
+    async stop() {
+      for (const p of [...processes].reverse()) await p.stop();
+      await rm(dir, { recursive: true, force: true });
+    },
+  };
+
+  try {
+    processes.push(
+      startProcess("mock", process.execPath, ["mock/server.js"], {
+        cwd: SELLSY_DIR,
+        env: { SELLSY_MOCK_PORT: String(mockPort) },
+      }),
+    );
+    await waitFor(async () => (await fetch(`${mockUrl}/__mock/invoices`)).ok, {
+      label: "mock Sellsy",
+    });
+
+    processes.push(
+      startProcess("listener", process.execPath, ["server.js"], {
+        cwd: SELLSY_DIR,
+        env: {
+          ...common,
+          LISTENER_PORT: String(listenerPort),
+          WEBHOOK_JOURNAL_DIR: path.join(dir, "journal"),
+        },
+      }),
+    );
+    await waitFor(
+      async () => (await fetch(`${stack.listenerUrl}/metrics`)).ok,
+      {
+        label: "listener",
+      },
+    );
+
+    for (let index = 0; index < workers; index++) {
+      const workerPort = await freePort();
+      const url = `http://127.0.0.1:${workerPort}`;
+      processes.push(
+        startProcess(`worker-${index + 1}`, process.execPath, ["worker.js"], {
+          cwd: path.join(SELLSY_DIR, "worker"),
+          env: { ...common, WORKER_PORT: String(workerPort) },
+        }),
+      );
+      await waitFor(async () => (await fetch(`${url}/health/ready`)).ok, {
+        label: `worker ${index + 1}`,
+      });
+      stack.workerUrls.push(url);
+    }
+  } catch (error) {
+    error.message += `\n${stack.output()}`;
+    await stack.stop();
+    throw error;
+  }
+
+  return stack;
+}
+
+// Supprime les clés Redis de l'exécution (Redis partagé avec d'autres usages)
+export async function cleanRedis(redis, pattern) {
+  let cursor = "0";
+  do {
+    const [next, keys] = await redis.scan(
+      cursor,
+      "MATCH",
+      pattern,
+      "COUNT",
+      500,
+    );
+    if (keys.length > 0) await redis.del(...keys);
+    cursor = next;
+  } while (cursor !== "0");
+}
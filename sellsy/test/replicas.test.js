@@ -0,0 +1,72 @@
+// --- Plusieurs répliques du worker sur la même file ---
+// Trois workers, plusieurs événements concurrents par devis: une seule facture
+// par devis (verrou et registre partagés dans Redis). Ignoré sans Redis.
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import IORedis from "ioredis";
+import { createWebhookQueue } from "../lib/webhookQueue.js";
+import { runReplicaCheck } from "../mock/replicas.js";
+import { cleanRedis, startRedis, startStack } from "./helpers/stack.js";
+
+const redisServer = await startRedis();
+
+describe(
+  "répliques du worker",
+  {
+    skip: redisServer
+      ? false
+      : "Redis indisponible (REDIS_HOST/REDIS_PORT, redis-server)",
+    timeout: 240000,
+  },
+  () => {
+    let stack;
+    let redis;
+    let queue;
+
+    before(async () => {
+      stack = await startStack(redisServer, {
+        signKey: "replicas-secret",
+        workers: 3,
+      });
+      redis = new IORedis({
+        host: redisServer.host,
+        port: redisServer.port,
+        maxRetriesPerRequest: null,
+      });
+      queue = createWebhookQueue(redis, stack.queueName);
+    });
+
+    after(async () => {
+      await stack?.stop();
+      await queue?.close();
+      if (redis) {
+        await cleanRedis(redis, `*${stack.tenantId}*`);
+        await redis.quit();
+      }
+      await redisServer.stop();
+    });
+
+    it("crée une seule facture par devis malgré la concurrence", async (t) => {
+      const result = await runReplicaCheck({
+        redis,
+        queue,
+        mockUrl: stack.mockUrl,
+        tenant: stack.tenantId,
+        estimates: 6,
+        eventsPerEstimate: 4,
+        timeoutMs: 180000,
+      });
+
+      for (const [replica, count] of result.replicas) {
+        t.diagnostic(`${replica}: ${count} job(s)`);
+      }
+      assert.equal(result.events, 24);
+      assert.deepEqual(result.failedJobs, []);
+      assert.deepEqual(
+        [...result.invoicesPerEstimate.values()],
+        [1, 1, 1, 1, 1, 1],
+      );
+      assert.ok(result.ok);
+    });
+  },
+);
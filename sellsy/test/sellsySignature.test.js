@@ -0,0 +1,192 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { describe, it } from "node:test";
+import Fastify from "fastify";
+import sellsySignature, {
+  signatureOptionsFromEnv,
+} from "../lib/sellsySignature.js";
+import {
+  parseSigningKeys,
+  resolveSigningKeys,
+  signingKeysFromEnv,
+} from "../lib/signingKeys.js";
+
+const SECRET = "s3cr3t";
+const BODY = JSON.stringify({ id: 1001, status: "accepted" });
+
+const sha1 = (body) =>
+  crypto
+    .createHash("sha1")
+    .update(SECRET + body)
+    .digest("hex");
+const hmac = (body, timestamp) =>
+  crypto
+    .createHmac("sha256", SECRET)
+    .update(timestamp ? `${timestamp}.${body}` : body)
+    .digest("hex");
+const now = () => String(Math.floor(Date.now() / 1000));
+
+async function listener(options) {
+  const rejections = [];
+  const app = Fastify();
+  await app.register(sellsySignature, {
+    keys: [{ id: "k", secret: SECRET }],
+    onReject: (reason) => rejections.push(reason),
+    ...options,
+  });
+  app.post(
+    "/webhook",
+    { preHandler: (req, reply) => app.verifySellsySignature(req, reply) },
+    async (req) => ({ ok: true, signature: req.signature }),
+  );
+  await app.ready();
+  return { app, rejections };
+}
+
+const post = (app, headers) =>
+  app.inject({
+    method: "POST",
+    url: "/webhook",
+    headers: { "content-type": "application/json", ...headers },
+    payload: BODY,
+  });
+
+describe("clés de signature", () => {
+  it("garde SELLSY_SIGN_KEY comme un secret opaque", () => {
+    assert.deepEqual(signingKeysFromEnv({ SELLSY_SIGN_KEY: "ab:cd,ef" }), [
+      { id: "key-1", secret: "ab:cd,ef" },
+    ]);
+    assert.deepEqual(
+      signatureOptionsFromEnv({ SELLSY_SIGN_KEY: "2024:abc" }).keys,
+      [{ id: "key-1", secret: "2024:abc" }],
+    );
+  });
+
+  it("découpe la liste multi-clés SELLSY_SIGN_KEYS", () => {
+    const env = { SELLSY_SIGN_KEYS: "2024:abc, def", SELLSY_SIGN_KEY: "x" };
+    assert.deepEqual(signingKeysFromEnv(env), [
+      { id: "2024", secret: "abc" },
+      { id: "key-2", secret: "def" },
+    ]);
+    assert.deepEqual(parseSigningKeys(""), []);
+  });
+
+  it("résout les références d'environnement des tenants sans les découper", () => {
+    const env = { ACME_2025: "new:secret,with,commas", ACME_OLD: "old" };
+    assert.deepEqual(
+      resolveSigningKeys(
+        ["2025:env:ACME_2025", "env:ACME_OLD", "env:MISSING"],
+        env,
+      ),
+      [
+        { id: "2025", secret: "new:secret,with,commas" },
+        { id: "key-2", secret: "old" },
+      ],
+    );
+    assert.deepEqual(resolveSigningKeys("2024:abc,def", env), [
+      { id: "2024", secret: "abc" },
+      { id: "key-2", secret: "def" },
+    ]);
+  });
+});
+
+describe("vérification sans anti-rejeu", () => {
+  it("accepte sha1 et hmac-sha256", async () => {
+    const { app } = await listener({ algorithms: ["sha1", "hmac-sha256"] });
+
+    const bySha1 = await post(app, { "x-webhook-signature": sha1(BODY) });
+    assert.equal(bySha1.statusCode, 200);
+    assert.equal(bySha1.json().signature.algorithm, "sha1");
+
+    const byHmac = await post(app, {
+      "x-webhook-signature": `sha256=${hmac(BODY)}`,
+    });
+    assert.equal(byHmac.json().signature.algorithm, "hmac-sha256");
+    await app.close();
+  });
+
+  it("rejette une signature invalide ou absente", async () => {
+    const { app, rejections } = await listener({});
+
+    assert.equal((await post(app, {})).statusCode, 401);
+    assert.equal(
+      (await post(app, { "x-webhook-signature": sha1("{}") })).statusCode,
+      401,
+    );
+    assert.deepEqual(rejections, ["missing_signature", "invalid_signature"]);
+    await app.close();
+  });
+});
+
+describe("anti-rejeu (timestampTolerance)", () => {
+  const options = {
+    algorithms: ["sha1", "hmac-sha256"],
+    timestampTolerance: 300,
+  };
+
+  it("accepte un timestamp récent couvert par la signature", async () => {
+    const { app } = await listener(options);
+    const timestamp = now();
+
+    const response = await post(app, {
+      "x-webhook-timestamp": timestamp,
+      "x-webhook-signature": hmac(BODY, timestamp),
+    });
+    assert.equal(response.statusCode, 200);
+    await app.close();
+  });
+
+  it("exige un timestamp même si le header est absent", async () => {
+    const { app, rejections } = await listener(options);
+
+    const response = await post(app, { "x-webhook-signature": hmac(BODY) });
+    assert.equal(response.statusCode, 401);
+    assert.deepEqual(rejections, ["missing_timestamp"]);
+    await app.close();
+  });
+
+  it("refuse sha1, qui ne couvre pas le timestamp", async () => {
+    const { app, rejections } = await listener(options);
+
+    const response = await post(app, {
+      "x-webhook-timestamp": now(),
+      "x-webhook-signature": sha1(BODY),
+    });
+    assert.equal(response.statusCode, 401);
+    assert.deepEqual(rejections, ["invalid_signature"]);
+    await app.close();
+  });
+
+  it("refuse un timestamp remplacé après signature", async () => {
+    const { app, rejections } = await listener(options);
+    const signed = String(Math.floor(Date.now() / 1000) - 3600);
+
+    const response = await post(app, {
+      "x-webhook-timestamp": now(),
+      "x-webhook-signature": hmac(BODY, signed),
+    });
+    assert.equal(response.statusCode, 401);
+    assert.deepEqual(rejections, ["invalid_signature"]);
+    await app.close();
+  });
+
+  it("refuse un timestamp expiré", async () => {
+    const { app, rejections } = await listener(options);
+    const timestamp = String(Math.floor(Date.now() / 1000) - 3600);
+
+    const response = await post(app, {
+      "x-webhook-timestamp": timestamp,
+      "x-webhook-signature": hmac(BODY, timestamp),
+    });
+    assert.equal(response.statusCode, 401);
+    assert.deepEqual(rejections, ["expired_timestamp"]);
+    await app.close();
+  });
+
+  it("refuse de démarrer avec sha1 seul", async () => {
+    await assert.rejects(
+      listener({ algorithms: ["sha1"], timestampTolerance: 300 }),
+      /hmac-sha256/,
+    );
+  });
+});
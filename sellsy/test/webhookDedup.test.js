@@ -0,0 +1,140 @@
+// --- Déduplication des webhooks à la mise en file, sans Redis ---
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  EVENT_STATUS,
+  enqueueWebhookEvent,
+  eventFingerprint,
+  eventJobId,
+} from "../lib/webhookDedup.js";
+import { enqueueOrJournal } from "../lib/webhookJournal.js";
+
+// Redis en mémoire: SET (EX, NX) et DEL, seules commandes de la déduplication
+function memoryRedis() {
+  const keys = new Map();
+  return {
+    keys,
+    async set(key, value, ...options) {
+      if (options.includes("NX") && keys.has(key)) return null;
+      keys.set(key, { value: String(value), options });
+      return "OK";
+    },
+    async del(...names) {
+      return names.filter((name) => keys.delete(name)).length;
+    },
+  };
+}
+
+// File BullMQ simulée: chaque ajout est relevé
+function recordingQueue({ failures = 0 } = {}) {
+  const added = [];
+  return {
+    name: "sellsy-webhooks",
+    added,
+    async add(name, data, opts) {
+      if (failures-- > 0) throw new Error("Redis indisponible");
+      added.push({ name, data, opts });
+      return { id: opts.jobId };
+    },
+  };
+}
+
+const event = {
+  eventType: "docslog",
+  relatedtype: "estimate",
+  relatedid: 1001,
+  logid: "log-1",
+  relatedobject: { id: 1001, status: "accepted" },
+};
+
+const envelope = (requestId) => ({
+  schemaVersion: 1,
+  meta: { requestId, receivedAt: new Date().toISOString() },
+  payload: event,
+});
+
+describe("déduplication des webhooks", () => {
+  it("signale une relivraison comme duplicate sans second job", async () => {
+    const redis = memoryRedis();
+    const queue = recordingQueue();
+
+    const first = await enqueueWebhookEvent(redis, queue, event, {
+      envelope: envelope("req-1"),
+      windowSeconds: 60,
+    });
+    // Relivraison Sellsy: nouvelle requête, même événement
+    const second = await enqueueWebhookEvent(redis, queue, event, {
+      envelope: envelope("req-2"),
+      windowSeconds: 60,
+    });
+
+    assert.equal(first.status, EVENT_STATUS.NEW);
+    assert.deepEqual(second, {
+      status: EVENT_STATUS.DUPLICATE,
+      eventId: first.eventId,
+    });
+    assert.match(first.eventId, /^evt-[0-9a-f]{40}$/);
+    assert.equal(queue.added.length, 1);
+    assert.equal(queue.added[0].opts.jobId, first.eventId);
+    assert.equal(queue.added[0].data.meta.requestId, "req-1");
+    assert.equal(queue.added[0].data.meta.eventId, first.eventId);
+
+    const [[key, { options }]] = redis.keys;
+    assert.equal(key, `sellsy:webhook-dedup:sellsy-webhooks:${first.eventId}`);
+    assert.deepEqual(options, ["EX", 60, "NX"]);
+  });
+
+  it("répond duplicate au listener sans journaliser", async () => {
+    const redis = memoryRedis();
+    const queue = recordingQueue();
+    const journaled = [];
+    const receive = () =>
+      enqueueOrJournal({
+        redis,
+        queue,
+        tenant: "default",
+        event,
+        envelope: envelope("req"),
+        journal: { append: async (record) => journaled.push(record) },
+      });
+
+    assert.equal((await receive()).status, EVENT_STATUS.NEW);
+    assert.equal((await receive()).status, EVENT_STATUS.DUPLICATE);
+    assert.equal(queue.added.length, 1);
+    assert.deepEqual(journaled, []);
+  });
+
+  it("accepte la relivraison suivante si la mise en file échoue", async () => {
+    const redis = memoryRedis();
+    const queue = recordingQueue({ failures: 1 });
+    const enqueue = () =>
+      enqueueWebhookEvent(redis, queue, event, { windowSeconds: 60 });
+
+    await assert.rejects(enqueue(), /Redis indisponible/);
+    assert.equal(redis.keys.size, 0);
+    assert.equal((await enqueue()).status, EVENT_STATUS.NEW);
+    assert.equal(queue.added.length, 1);
+  });
+
+  it("ne réserve rien avec une fenêtre à 0: seul le jobId protège", async () => {
+    const queue = recordingQueue();
+
+    const result = await enqueueWebhookEvent(null, queue, event, {
+      windowSeconds: 0,
+    });
+    assert.equal(result.status, EVENT_STATUS.NEW);
+    assert.equal(queue.added[0].opts.jobId, result.eventId);
+  });
+
+  it("distingue deux occurrences et retombe sur le corps brut", () => {
+    const other = { ...event, logid: "log-2" };
+    assert.notEqual(eventFingerprint(event), eventFingerprint(other));
+
+    const anonymous = { eventType: "ping" };
+    assert.equal(
+      eventFingerprint(anonymous, '{"eventType":"ping"}'),
+      eventFingerprint({}, '{"eventType":"ping"}'),
+    );
+    assert.equal(eventJobId("a".repeat(64)), `evt-${"a".repeat(40)}`);
+  });
+});
@@ -0,0 +1,183 @@
+// --- Plugin listener: routes, tenants et signature, sans Redis joignable ---
+// Redis coupé: un événement valide est journalisé sur disque (statut journaled)
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { mkdtemp, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import Fastify from "fastify";
+import IORedis from "ioredis";
+import webhookListener, {
+  LISTENER_FASTIFY_OPTIONS,
+} from "../lib/webhookListener.js";
+import { freePort } from "./helpers/stack.js";
+
+const SECRET = "listener-secret";
+const ADMIN_TOKEN = "admin-token";
+const BODY = JSON.stringify({
+  eventType: "docslog",
+  relatedtype: "estimate",
+  relatedid: 1001,
+  logid: "log-1",
+  relatedobject: { id: 1001, status: "accepted" },
+});
+const sha1 = (key, body) =>
+  crypto
+    .createHash("sha1")
+    .update(key + body)
+    .digest("hex");
+
+const tenant = (id, queue) => ({
+  id,
+  queue,
+  signKeys: [{ id: "key-1", secret: SECRET }],
+});
+
+async function listener(options) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "sellsy-listener-"));
+  // Port fermé, sans reconnexion: chaque commande échoue aussitôt
+  const redis = new IORedis({
+    port: await freePort(),
+    lazyConnect: true,
+    maxRetriesPerRequest: 0,
+    enableOfflineQueue: false,
+    retryStrategy: () => null,
+  });
+  redis.on("error", () => {});
+
+  const app = Fastify({ ...LISTENER_FASTIFY_OPTIONS, logger: false });
+  await app.register(webhookListener, {
+    redis,
+    journalDir: path.join(dir, "journal"),
+    signature: { algorithms: ["sha1"], timestampTolerance: 0 },
+    ...options,
+  });
+  await app.ready();
+
+  return {
+    app,
+    async close() {
+      await app.close();
+      redis.disconnect();
+      await rm(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+const post = (app, url, key = SECRET) =>
+  app.inject({
+    method: "POST",
+    url,
+    headers: {
+      "content-type": "application/json",
+      "x-webhook-signature": sha1(key, BODY),
+    },
+    payload: BODY,
+  });
+
+describe("webhookListener", () => {
+  let stack;
+
+  before(async () => {
+    stack = await listener({
+      tenants: new Map([
+        ["default", tenant("default", "sellsy-webhooks")],
+        ["acme", tenant("acme", "sellsy-webhooks-acme")],
+      ]),
+      adminToken: ADMIN_TOKEN,
+    });
+  });
+
+  after(() => stack.close());
+
+  it("journalise un événement signé quand Redis est indisponible", async () => {
+    for (const url of ["/webhook/sellsy", "/webhook/sellsy/acme"]) {
+      const response = await post(stack.app, url);
+      assert.equal(response.statusCode, 200, url);
+      assert.equal(response.json().status, "journaled");
+    }
+  });
+
+  it("rejette un tenant inconnu et une signature invalide", async () => {
+    assert.equal(
+      (await post(stack.app, "/webhook/sellsy/inconnu")).statusCode,
+      404,
+    );
+    assert.equal(
+      (await post(stack.app, "/webhook/sellsy/acme", "autre")).statusCode,
+      401,
+    );
+  });
+
+  it("réserve le journal au token d'administration", async () => {
+    const get = (authorization) =>
+      stack.app.inject({
+        method: "GET",
+        url: "/journal",
+        headers: authorization ? { authorization } : {},
+      });
+
+    assert.equal((await get()).statusCode, 401);
+    assert.equal((await get("Bearer autre")).statusCode, 401);
+    assert.equal(
+      (await stack.app.inject({ method: "POST", url: "/journal/drain" }))
+        .statusCode,
+      401,
+    );
+    assert.equal((await get(`Bearer ${ADMIN_TOKEN}`)).statusCode, 200);
+  });
+
+  it("réserve la quarantaine au token d'administration", async () => {
+    const request = (method, url, authorization) =>
+      stack.app.inject({
+        method,
+        url,
+        headers: authorization ? { authorization } : {},
+      });
+
+    for (const [method, url] of [
+      ["GET", "/quarantine/acme"],
+      ["GET", "/quarantine/acme/evt-1"],
+      ["POST", "/quarantine/acme/evt-1/release"],
+      ["DELETE", "/quarantine/acme/evt-1"],
+    ]) {
+      assert.equal((await request(method, url)).statusCode, 401, url);
+    }
+    // Authentifié: le tenant est alors résolu
+    const unknown = await request(
+      "GET",
+      "/quarantine/inconnu",
+      `Bearer ${ADMIN_TOKEN}`,
+    );
+    assert.equal(unknown.statusCode, 404);
+  });
+
+  it("n'expose la route par tenant qu'avec tenantRoutes", async () => {
+    const single = await listener({
+      tenants: new Map([["default", tenant("default", "sellsy-webhooks")]]),
+      tenantRoutes: false,
+      adminToken: "",
+    });
+    try {
+      assert.equal(
+        (await post(single.app, "/webhook/sellsy/default")).statusCode,
+        404,
+      );
+      assert.equal((await post(single.app, "/webhook/sellsy")).statusCode, 200);
+      // Sans ADMIN_API_TOKEN: routes d'exploitation absentes
+      const journal = await single.app.inject({
+        method: "GET",
+        url: "/journal",
+      });
+      assert.equal(journal.statusCode, 404);
+      const quarantine = await single.app.inject({
+        method: "GET",
+        url: "/quarantine/default",
+      });
+      assert.equal(quarantine.statusCode, 404);
+    } finally {
+      await single.close();
+    }
+  });
+});
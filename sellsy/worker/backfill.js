@@ -0,0 +1,154 @@
+// backfill.js
+// Rattrapage des devis acceptés sans facture (voir lib/backfill.js):
+//   node backfill.js --from 2025-01-01 [--to 2025-01-31] [--tenant default]
+//                    [--statuses accepted,sent] [--limit 100] [--dry-run] [--json] [--verbose]
+// Les devis retenus sont mis en file: le worker en cours d'exécution les facture.
+import { parseArgs } from "util";
+import IORedis from "ioredis";
+import {
+  EstimateBackfill,
+  InvalidBackfillError,
+  parseBackfillOptions,
+} from "./lib/backfill.js";
+import {
+  closeTenantRuntime,
+  createTenantRuntime,
+  loadTenantMapping,
+  loadTenantRules,
+} from "./lib/tenantRuntime.js";
+import { DEFAULT_TENANT_ID, loadTenantRegistry } from "../lib/tenants.js";
+import { createTracer } from "../lib/tracing.js";
+
+const USAGE =
+  "Usage: node backfill.js --from AAAA-MM-JJ [--to AAAA-MM-JJ] [--tenant id] [--statuses accepted,sent] [--limit 100] [--dry-run] [--json] [--verbose]";
+
+const { values: args } = parseArgs({
+  options: {
+    tenant: { type: "string", default: DEFAULT_TENANT_ID },
+    statuses: { type: "string" },
+    from: { type: "string" },
+    to: { type: "string" },
+    limit: { type: "string" },
+    "dry-run": { type: "boolean", default: false },
+    json: { type: "boolean", default: false },
+    verbose: { type: "boolean", default: false },
+    help: { type: "boolean", default: false },
+  },
+});
+
+// Les logs des services (appels Sellsy, décisions) ne s'affichent qu'avec --verbose
+const logger = {
+  debug: args.verbose ? console.debug : () => {},
+  info: args.verbose ? console.info : () => {},
+  warn: console.warn,
+  error: console.error,
+  child: () => logger,
+};
+
+function printCandidate(candidate) {
+  const label = candidate.number
+    ? `${candidate.number} (${candidate.estimateId})`
+    : candidate.estimateId;
+
+  switch (candidate.action) {
+    case "queued":
+      console.log(`📥 ${label} → job ${candidate.jobId}`);
+      break;
+    case "already_queued":
+      console.log(
+        `⏳ ${label} → job ${candidate.jobId} déjà ${candidate.state}`,
+      );
+      break;
+    case "error":
+      console.log(`❌ ${label} → ${candidate.error}`);
+      break;
+    case "invalid_payload":
+      console.log(
+        `🚧 ${label} → payload refusée par le schéma:\n   - ${candidate.payloadErrors.join("\n   - ")}`,
+      );
+      break;
+    default:
+      console.log(
+        `📄 ${label} → ${candidate.action}${candidate.totalExclTax != null ? ` ${candidate.totalExclTax} HT / ${candidate.totalInclTax} TTC` : ""}${candidate.rule ? ` (règle ${candidate.rule})` : ""}${candidate.reason ? ` [${candidate.reason}]` : ""}`,
+      );
+  }
+}
+
+function printReport(report) {
+  for (const candidate of report.candidates) printCandidate(candidate);
+  for (const skipped of report.skipped) {
+    console.log(
+      `⏭️ ${skipped.estimateId} ignoré: ${skipped.reason} (facture ${skipped.invoiceId ?? "?"})`,
+    );
+  }
+
+  console.log(
+    `\n🧹 ${report.tenant}: ${report.scanned} devis ${report.statuses.join(", ")} du ${report.from} au ${report.to}, ` +
+      `${report.candidates.length} sans facture${report.dryRun ? " (dry-run, rien n'a été mis en file)" : " mis en file"}` +
+      (report.truncated ? ` - limite de ${report.limit} atteinte` : ""),
+  );
+}
+
+async function main() {
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let options;
+  try {
+    options = parseBackfillOptions({
+      statuses: args.statuses,
+      from: args.from,
+      to: args.to,
+      limit: args.limit,
+      dryRun: args["dry-run"],
+    });
+  } catch (error) {
+    if (!(error instanceof InvalidBackfillError)) throw error;
+    console.error(`${error.message}\n${USAGE}`);
+    return 2;
+  }
+
+  const tenantConfig = loadTenantRegistry(process.env.SELLSY_TENANTS_FILE).get(
+    args.tenant,
+  );
+  if (!tenantConfig) {
+    console.error(`Tenant inconnu: ${args.tenant}`);
+    return 2;
+  }
+
+  const redis = new IORedis({
+    host: process.env.REDIS_HOST || "127.0.0.1",
+    port: Number(process.env.REDIS_PORT) || 6379,
+    maxRetriesPerRequest: null,
+  });
+  const tracer = createTracer("sellsy-backfill", logger);
+  const tenant = createTenantRuntime(tenantConfig, redis, logger, null, tracer);
+
+  try {
+    // Mêmes mapping et règles que le worker
+    await loadTenantMapping(tenant);
+    await loadTenantRules(tenant);
+
+    const report = await new EstimateBackfill(tenant, { tracer }).run(options);
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+    return 0;
+  } finally {
+    await tracer.shutdown();
+    await closeTenantRuntime(tenant);
+    await redis.quit();
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(`💥 Rattrapage interrompu: ${error.message}`);
+    process.exit(1);
+  });
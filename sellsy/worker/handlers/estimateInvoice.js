@@ -0,0 +1,62 @@
+// --- Handler: facture automatique depuis un devis accepté ---
+import { InvoiceCreator } from "../lib/invoiceCreator.js";
+
+// Registre, mapping et règles d'acceptation propres au tenant du job
+export function register(registry) {
+  registry.register(
+    "estimate.docslog",
+    async ({ event, meta, sellsyApi, logger, job, tenant, trace, shadow }) => {
+      const invoiceCreator = new InvoiceCreator(
+        sellsyApi,
+        logger,
+        tenant.invoiceLedger,
+        tenant.invoiceMapping,
+        tenant.acceptanceRules,
+      );
+
+      // En shadow, la décision est prise sur le devis relu comme en réel
+      if (shadow) {
+        return shadowInvoice(invoiceCreator, {
+          event,
+          meta,
+          logger,
+          job,
+          tenant,
+          trace,
+        });
+      }
+
+      return await invoiceCreator.handleEstimateModification(
+        event.relatedobject,
+        job.id,
+      );
+    },
+    { name: "estimate-invoice" },
+  );
+}
+
+// Mode shadow: la facture qui aurait été créée est conservée, rien n'est écrit
+// (ni facture Sellsy, ni registre d'idempotence)
+async function shadowInvoice(
+  invoiceCreator,
+  { event, meta, logger, job, tenant, trace },
+) {
+  const preview = await invoiceCreator.previewEstimate(event.relatedobject);
+
+  await tenant.shadowStore.record({
+    id: String(job.id),
+    eventType: `${event.relatedtype}.${event.eventType}`,
+    ...preview,
+    estimateId: String(preview.estimateId),
+    traceId: trace?.traceId,
+    requestId: meta?.requestId,
+  });
+
+  logger.info(
+    `👻 Devis ${preview.estimateId} en mode shadow: ${preview.action}, rien n'est envoyé à Sellsy`,
+  );
+
+  // Décision "shadowed" pour l'audit et les notifications; la payload reste dans le store
+  const { invoicePayload, ...summary } = preview;
+  return { ...summary, action: "shadowed", shadowAction: preview.action };
+}
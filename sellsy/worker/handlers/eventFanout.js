@@ -0,0 +1,70 @@
+// --- Handler: relais des événements Sellsy vers les abonnés internes ---
+// Enregistré avant la facturation: chaque événement vérifié par le listener est
+// mis en file de livraison pour chaque abonné dont le filtre correspond.
+import { deliveryJobId } from "../lib/eventDelivery.js";
+import { formatTraceparent } from "../../lib/tracing.js";
+
+export function register(registry) {
+  registry.register(
+    "*",
+    async ({ event, meta, logger, job, tenant, trace }) => {
+      // Événement synthétique (rattrapage): les abonnés ne reçoivent que ceux de Sellsy
+      if (meta?.source) return;
+
+      const subscriptions = await tenant.subscriptions.matching(event);
+      if (subscriptions.length === 0) return;
+
+      // Retry ou rejeu de l'événement: seuls les abonnés pas encore servis sont livrés.
+      // Empreinte du listener, sinon jobId (jobs mis en file avant meta.eventId)
+      const eventId = meta?.eventId ?? String(job.id);
+      const claimed = await tenant.deliveryClaims.claim(
+        eventId,
+        subscriptions.map((subscription) => subscription.id),
+      );
+      const pending = subscriptions.filter((subscription) =>
+        claimed.includes(subscription.id),
+      );
+
+      try {
+        await enqueueDeliveries(tenant, pending, { eventId, event, trace });
+      } catch (error) {
+        await tenant.deliveryClaims.release(eventId, claimed).catch(() => {});
+        throw error;
+      }
+
+      const served = subscriptions.length - pending.length;
+      logger.info(
+        `📡 Événement ${event.relatedtype}.${event.eventType} relayé à ${pending.length} abonné(s)${served ? `, ${served} déjà servi(s)` : ""}`,
+      );
+
+      // Pas d'"action": la décision auditée reste celle des autres handlers
+      return {
+        forwardedTo: subscriptions.map((subscription) => subscription.id),
+      };
+    },
+    { name: "event-fanout" },
+  );
+}
+
+async function enqueueDeliveries(
+  tenant,
+  subscriptions,
+  { eventId, event, trace },
+) {
+  if (subscriptions.length === 0) return;
+
+  await tenant.deliveryQueue.addBulk(
+    subscriptions.map((subscription) => ({
+      name: "deliver",
+      data: {
+        subscriberId: subscription.id,
+        eventId,
+        tenant: tenant.id,
+        event,
+        // La livraison poursuit la trace de l'événement
+        traceparent: trace ? formatTraceparent(trace) : undefined,
+      },
+      opts: { jobId: deliveryJobId(eventId, subscription.id) },
+    })),
+  );
+}
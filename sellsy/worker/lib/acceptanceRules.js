@@ -0,0 +1,301 @@
+// --- Règles d'acceptation des devis ---
+// Décident, sur le devis relu chez Sellsy, de l'action à mener: facture
+// (brouillon ou validée), facture d'acompte, revue manuelle ou rien.
+// Les règles sont évaluées dans l'ordre, la première qui correspond l'emporte.
+// Sans fichier (ACCEPTANCE_RULES_FILE ou rulesFile du tenant), la règle par
+// défaut reproduit le comportement historique.
+import { readFile } from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+
+export const RULE_ACTIONS = ["invoice", "deposit", "notify", "skip"];
+export const INVOICE_STATUSES = ["draft", "validated"];
+
+const CONDITIONS = [
+  "status",
+  "amount",
+  "currency",
+  "owner",
+  "customerTags",
+  "customFields",
+];
+const AMOUNT_FIELDS = [
+  "total_excl_tax",
+  "total_incl_tax",
+  "total_raw_excl_tax",
+];
+const AMOUNT_OPERATORS = ["gt", "gte", "lt", "lte"];
+
+export const DEFAULT_ACCEPTANCE_RULES = {
+  rules: [
+    {
+      name: "accepted",
+      when: { status: ["accepted", "won", "signed"] },
+      action: "invoice",
+    },
+  ],
+  // Action quand aucune règle ne correspond
+  fallback: "skip",
+};
+
+export class InvalidRulesError extends Error {
+  constructor(source, errors) {
+    super(
+      `Règles d'acceptation invalides (${source}):\n - ${errors.join("\n - ")}`,
+    );
+    this.name = "InvalidRulesError";
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isScalarList = (value) =>
+  Array.isArray(value) &&
+  value.every((item) => ["string", "number"].includes(typeof item));
+
+function validateWhen(when, prefix, errors) {
+  if (!isPlainObject(when)) {
+    errors.push(`${prefix}.when doit être un objet`);
+    return;
+  }
+
+  for (const [key, value] of Object.entries(when)) {
+    if (!CONDITIONS.includes(key)) {
+      errors.push(`${prefix}.when.${key}: condition inconnue`);
+    } else if (key === "amount") {
+      if (!isPlainObject(value)) {
+        errors.push(`${prefix}.when.amount doit être un objet`);
+        continue;
+      }
+      if (value.field !== undefined && !AMOUNT_FIELDS.includes(value.field)) {
+        errors.push(
+          `${prefix}.when.amount.field attendu: ${AMOUNT_FIELDS.join(", ")}`,
+        );
+      }
+      const operators = Object.keys(value).filter((op) => op !== "field");
+      if (operators.length === 0) {
+        errors.push(`${prefix}.when.amount: aucun seuil (gt, gte, lt, lte)`);
+      }
+      for (const op of operators) {
+        if (!AMOUNT_OPERATORS.includes(op)) {
+          errors.push(`${prefix}.when.amount.${op}: opérateur inconnu`);
+        } else if (!Number.isFinite(Number(value[op]))) {
+          errors.push(`${prefix}.when.amount.${op} doit être un nombre`);
+        }
+      }
+    } else if (key === "customFields") {
+      if (!isPlainObject(value)) {
+        errors.push(
+          `${prefix}.when.customFields doit être un objet code → valeur(s)`,
+        );
+      }
+    } else if (!isScalarList(value)) {
+      errors.push(`${prefix}.when.${key} doit être une liste de valeurs`);
+    }
+  }
+}
+
+function validateAction(rule, prefix, errors) {
+  if (!RULE_ACTIONS.includes(rule.action)) {
+    errors.push(`${prefix}.action attendue: ${RULE_ACTIONS.join(", ")}`);
+    return;
+  }
+
+  if (
+    rule.invoiceStatus !== undefined &&
+    !INVOICE_STATUSES.includes(rule.invoiceStatus)
+  ) {
+    errors.push(
+      `${prefix}.invoiceStatus attendu: ${INVOICE_STATUSES.join(", ")}`,
+    );
+  }
+
+  if (rule.action === "deposit") {
+    const { percent, amount } = rule.deposit || {};
+    if ((percent === undefined) === (amount === undefined)) {
+      errors.push(`${prefix}.deposit: renseigner "percent" ou "amount"`);
+    } else if (
+      percent !== undefined &&
+      !(Number(percent) > 0 && Number(percent) <= 100)
+    ) {
+      errors.push(`${prefix}.deposit.percent doit être compris entre 0 et 100`);
+    } else if (amount !== undefined && !(Number(amount) > 0)) {
+      errors.push(`${prefix}.deposit.amount doit être un montant HT positif`);
+    }
+  }
+}
+
+export function validateAcceptanceRules(config) {
+  if (!isPlainObject(config)) return ["les règles doivent être un objet"];
+
+  const errors = [];
+
+  if (!Array.isArray(config.rules)) {
+    errors.push("rules doit être une liste");
+  } else {
+    config.rules.forEach((rule, index) => {
+      const prefix = `rules[${rule?.name ?? index}]`;
+      if (!isPlainObject(rule)) {
+        errors.push(`${prefix} doit être un objet`);
+        return;
+      }
+      if (rule.when !== undefined) validateWhen(rule.when, prefix, errors);
+      validateAction(rule, prefix, errors);
+    });
+  }
+
+  if (
+    config.fallback !== undefined &&
+    !["skip", "notify"].includes(config.fallback)
+  ) {
+    errors.push('fallback attendu: "skip" ou "notify"');
+  }
+
+  return errors;
+}
+
+// --- Faits évalués sur le devis relu (et son client si nécessaire) ---
+
+// Champs personnalisés Sellsy v2 (embed custom_fields): code → valeur
+function customFieldValues(estimate) {
+  const fields = estimate._embed?.custom_fields || estimate.custom_fields || [];
+  return Object.fromEntries(
+    fields
+      .filter((field) => field?.code)
+      .map((field) => [field.code, field.value]),
+  );
+}
+
+export function estimateFacts(estimate, customer = null) {
+  return {
+    status: estimate.status,
+    amounts: estimate.amounts || {},
+    currency: estimate.currency,
+    owner: estimate.owner?.id ?? estimate.owner_id ?? null,
+    customerTags: (customer?._embed?.smart_tags || customer?.smart_tags || [])
+      .map((tag) => tag.value ?? tag.name ?? tag)
+      .filter((tag) => typeof tag === "string"),
+    customFields: customFieldValues(estimate),
+  };
+}
+
+const inList = (list, value) =>
+  value != null && list.map(String).includes(String(value));
+
+const CONDITION_MATCHERS = {
+  status: (expected, facts) => inList(expected, facts.status),
+  currency: (expected, facts) => inList(expected, facts.currency),
+  owner: (expected, facts) => inList(expected, facts.owner),
+  customerTags: (expected, facts) =>
+    facts.customerTags.some((tag) => inList(expected, tag)),
+  customFields: (expected, facts) =>
+    Object.entries(expected).every(([code, value]) =>
+      inList([].concat(value), facts.customFields[code]),
+    ),
+  amount: ({ field = "total_excl_tax", ...thresholds }, facts) => {
+    const amount = Number(facts.amounts[field]);
+    if (!Number.isFinite(amount)) return false;
+    return Object.entries(thresholds).every(([op, limit]) => {
+      const value = Number(limit);
+      if (op === "gt") return amount > value;
+      if (op === "gte") return amount >= value;
+      if (op === "lt") return amount < value;
+      return amount <= value;
+    });
+  },
+};
+
+export class AcceptanceRules {
+  constructor(config = DEFAULT_ACCEPTANCE_RULES) {
+    this.rules = config.rules.map((rule, index) => ({
+      ...rule,
+      name: rule.name || `rule-${index + 1}`,
+      when: rule.when || {},
+    }));
+    this.fallback = config.fallback || "skip";
+  }
+
+  // Données à charger en plus du devis pour évaluer les règles
+  get needsCustomer() {
+    return this.rules.some((rule) => rule.when.customerTags);
+  }
+
+  get needsCustomFields() {
+    return this.rules.some((rule) => rule.when.customFields);
+  }
+
+  // Statut du devis relu: faux seulement si aucune règle agissante ne peut
+  // y correspondre (inutile alors de charger le client)
+  mayApply(status) {
+    if (this.fallback !== "skip") return true;
+    return this.rules.some(
+      (rule) =>
+        rule.action !== "skip" &&
+        (!rule.when.status || inList(rule.when.status, status)),
+    );
+  }
+
+  matches(rule, facts, { ignoreStatus = false } = {}) {
+    return Object.entries(rule.when).every(
+      ([condition, expected]) =>
+        (ignoreStatus && condition === "status") ||
+        CONDITION_MATCHERS[condition](expected, facts),
+    );
+  }
+
+  // Décision pour un devis: { action, rule, invoiceStatus, deposit }.
+  // ignoreStatus: devis dont l'acompte est facturé, Sellsy a pu changer son statut
+  evaluate(facts, options = {}) {
+    const rule = this.rules.find((candidate) =>
+      this.matches(candidate, facts, options),
+    );
+
+    if (!rule) {
+      return { action: this.fallback, rule: null };
+    }
+
+    return {
+      action: rule.action,
+      rule: rule.name,
+      invoiceStatus: rule.invoiceStatus || "draft",
+      ...(rule.action === "deposit" && {
+        deposit:
+          rule.deposit.amount !== undefined
+            ? { amount: Number(rule.deposit.amount) }
+            : { percent: Number(rule.deposit.percent) },
+      }),
+    };
+  }
+}
+
+async function readRulesSource(filePath) {
+  const absolutePath = path.resolve(filePath);
+
+  if (absolutePath.endsWith(".json")) {
+    return JSON.parse(await readFile(absolutePath, "utf8"));
+  }
+
+  const mod = await import(pathToFileURL(absolutePath).href);
+  return mod.default ?? mod.acceptanceRules;
+}
+
+// Chargé au démarrage du worker: des règles invalides empêchent le démarrage
+export async function loadAcceptanceRules(filePath, logger) {
+  if (!filePath) {
+    return new AcceptanceRules();
+  }
+
+  const config = await readRulesSource(filePath);
+  const errors = validateAcceptanceRules(config);
+
+  if (errors.length > 0) {
+    throw new InvalidRulesError(filePath, errors);
+  }
+
+  logger?.info(
+    `📏 ${config.rules.length} règle(s) d'acceptation chargée(s) depuis ${filePath}`,
+  );
+  return new AcceptanceRules(config);
+}
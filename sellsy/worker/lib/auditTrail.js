@@ -0,0 +1,390 @@
+// --- Piste d'audit des événements traités (stockage en ajout seul) ---
+// Une ligne par événement terminé: réception, type, devis, décision, facture,
+// payload envoyée à Sellsy et issue, avec la trace et le request id du listener.
+// Adaptateurs SQLite (défaut) et Postgres, choisis par AUDIT_STORE=sqlite|postgres|none.
+import { mkdirSync } from "fs";
+import path from "path";
+import { eventOf, metaOf } from "../../lib/eventEnvelope.js";
+import { estimateIdOf, invoiceIdOf, traceIdOf } from "./queueAdmin.js";
+
+export const AUDIT_OUTCOMES = {
+  SUCCESS: "success", // Job complété, handlers exécutés
+  REJECTED: "rejected", // Erreur non retryable (4xx): job complété sans succès
+  FAILED: "failed", // Tentatives épuisées, événement en dead-letter queue
+};
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+const COLUMNS = [
+  "tenant",
+  "job_id",
+  "received_at",
+  "event_type",
+  "estimate_id",
+  "decision",
+  "invoice_id",
+  "invoice_payload",
+  "outcome",
+  "error",
+  "attempts",
+  "recorded_at",
+  "trace_id",
+  "request_id",
+];
+
+// Colonnes ajoutées après la création initiale de la table
+const ADDED_COLUMNS = ["trace_id", "request_id"];
+
+/**
+ * @typedef {Object} AuditRecord
+ * @property {string} tenant
+ * @property {string} jobId
+ * @property {string} receivedAt - ISO 8601, mise en file par le listener
+ * @property {string} eventType - `relatedtype.eventType`
+ * @property {string|null} estimateId
+ * @property {string} decision - Action(s) des handlers: invoice_created, skipped...
+ * @property {string|null} invoiceId
+ * @property {Object|null} invoicePayload - Corps du POST /v2/invoices
+ * @property {string} outcome - Voir AUDIT_OUTCOMES
+ * @property {string|null} error
+ * @property {number} attempts
+ * @property {string} recordedAt
+ * @property {string|null} traceId - Trace W3C créée à la réception
+ * @property {string|null} requestId - Request id Fastify du listener
+ */
+
+/**
+ * @typedef {Object} AuditQuery
+ * @property {string} [tenant]
+ * @property {string} [estimateId]
+ * @property {string} [invoiceId]
+ * @property {string} [traceId]
+ * @property {string} [requestId]
+ * @property {string} [from] - Borne incluse sur receivedAt (ISO 8601)
+ * @property {string} [to] - Borne exclue sur receivedAt (ISO 8601)
+ * @property {number} [limit]
+ */
+
+// Décision prise pour l'événement d'après les résultats des handlers
+function decisionOf(results, outcome) {
+  if (outcome === AUDIT_OUTCOMES.FAILED) return "error";
+  if (!Array.isArray(results)) return "error";
+  if (results.length === 0) return "ignored";
+
+  // Les handlers sans action (relais, enrichissement...) ne comptent que s'ils sont seuls
+  const actions = results.some((result) => result.action)
+    ? results.filter((result) => result.action).map((result) => result.action)
+    : results.map((result) => result.handler);
+  return [...new Set(actions)].join(",");
+}
+
+// Construit la ligne d'audit d'un job terminé (complété ou définitivement échoué)
+export function auditRecordFor(tenantId, job, outcome, error = null) {
+  const returnvalue = job.returnvalue ?? {};
+  const results = returnvalue.results;
+  const event = eventOf(job.data);
+  const meta = metaOf(job.data);
+
+  const invoicePayload =
+    results?.find((result) => result?.invoicePayload)?.invoicePayload ??
+    returnvalue.invoicePayload ??
+    error?.invoicePayload ??
+    null;
+
+  return {
+    tenant: tenantId,
+    jobId: String(job.id),
+    receivedAt:
+      meta?.receivedAt ?? new Date(job.timestamp ?? Date.now()).toISOString(),
+    eventType: `${event?.relatedtype ?? "?"}.${event?.eventType ?? "?"}`,
+    estimateId: estimateIdOf(job.data),
+    decision: decisionOf(results, outcome),
+    invoiceId: invoiceIdOf(job),
+    invoicePayload,
+    outcome,
+    error: error?.message ?? returnvalue.error ?? null,
+    attempts: job.attemptsMade ?? 0,
+    recordedAt: new Date().toISOString(),
+    traceId: traceIdOf(job.data),
+    requestId: meta?.requestId ?? null,
+  };
+}
+
+function toRow(record) {
+  return [
+    record.tenant,
+    record.jobId,
+    record.receivedAt,
+    record.eventType,
+    record.estimateId,
+    record.decision,
+    record.invoiceId,
+    record.invoicePayload ? JSON.stringify(record.invoicePayload) : null,
+    record.outcome,
+    record.error,
+    record.attempts,
+    record.recordedAt,
+    record.traceId,
+    record.requestId,
+  ];
+}
+
+function fromRow(row) {
+  const payload = row.invoice_payload;
+  return {
+    id: Number(row.id),
+    tenant: row.tenant,
+    jobId: row.job_id,
+    receivedAt: new Date(row.received_at).toISOString(),
+    eventType: row.event_type,
+    estimateId: row.estimate_id,
+    decision: row.decision,
+    invoiceId: row.invoice_id,
+    invoicePayload: typeof payload === "string" ? JSON.parse(payload) : payload,
+    outcome: row.outcome,
+    error: row.error,
+    attempts: row.attempts,
+    recordedAt: new Date(row.recorded_at).toISOString(),
+    traceId: row.trace_id ?? null,
+    requestId: row.request_id ?? null,
+  };
+}
+
+// Clause WHERE commune aux deux adaptateurs; placeholder(i) rend "?" ou "$i"
+function buildFilter(query, placeholder) {
+  const clauses = [];
+  const values = [];
+  const add = (sql, value) => {
+    values.push(value);
+    clauses.push(`${sql} ${placeholder(values.length)}`);
+  };
+
+  if (query.tenant) add("tenant =", query.tenant);
+  if (query.estimateId) add("estimate_id =", String(query.estimateId));
+  if (query.invoiceId) add("invoice_id =", String(query.invoiceId));
+  if (query.traceId) add("trace_id =", query.traceId);
+  if (query.requestId) add("request_id =", query.requestId);
+  if (query.from) add("received_at >=", query.from);
+  if (query.to) add("received_at <", query.to);
+
+  const limit = Math.min(
+    Number(query.limit) || DEFAULT_QUERY_LIMIT,
+    MAX_QUERY_LIMIT,
+  );
+
+  return {
+    where: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "",
+    values,
+    limit,
+  };
+}
+
+// --- Adaptateur SQLite (better-sqlite3, fichier local) ---
+export class SqliteAuditStore {
+  constructor(filename, logger) {
+    this.filename = filename;
+    this.logger = logger;
+    this.db = null;
+  }
+
+  async init() {
+    const { default: Database } = await import("better-sqlite3");
+
+    if (this.filename !== ":memory:") {
+      mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tenant TEXT NOT NULL,
+        job_id TEXT NOT NULL,
+        received_at TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        estimate_id TEXT,
+        decision TEXT NOT NULL,
+        invoice_id TEXT,
+        invoice_payload TEXT,
+        outcome TEXT NOT NULL,
+        error TEXT,
+        attempts INTEGER NOT NULL,
+        recorded_at TEXT NOT NULL,
+        trace_id TEXT,
+        request_id TEXT
+      );
+      CREATE INDEX IF NOT EXISTS audit_events_estimate ON audit_events (estimate_id);
+      CREATE INDEX IF NOT EXISTS audit_events_invoice ON audit_events (invoice_id);
+      CREATE INDEX IF NOT EXISTS audit_events_received ON audit_events (received_at);
+      CREATE TRIGGER IF NOT EXISTS audit_events_no_update BEFORE UPDATE ON audit_events
+      BEGIN SELECT RAISE(ABORT, 'audit_events est en ajout seul'); END;
+      CREATE TRIGGER IF NOT EXISTS audit_events_no_delete BEFORE DELETE ON audit_events
+      BEGIN SELECT RAISE(ABORT, 'audit_events est en ajout seul'); END;
+    `);
+
+    // Tables créées avant l'ajout des colonnes: ALTER TABLE n'est pas bloqué par les triggers
+    const existing = this.db
+      .prepare("PRAGMA table_info(audit_events)")
+      .all()
+      .map((column) => column.name);
+    for (const column of ADDED_COLUMNS.filter((c) => !existing.includes(c))) {
+      this.db.exec(`ALTER TABLE audit_events ADD COLUMN ${column} TEXT`);
+    }
+    this.db.exec(
+      "CREATE INDEX IF NOT EXISTS audit_events_trace ON audit_events (trace_id)",
+    );
+
+    this.insertStatement = this.db.prepare(
+      `INSERT INTO audit_events (${COLUMNS.join(", ")})
+       VALUES (${COLUMNS.map(() => "?").join(", ")})`,
+    );
+
+    this.logger.info(`🗃️ Piste d'audit SQLite: ${this.filename}`);
+  }
+
+  async insert(record) {
+    this.insertStatement.run(toRow(record));
+  }
+
+  async query(query = {}) {
+    const { where, values, limit } = buildFilter(query, () => "?");
+    return this.db
+      .prepare(
+        `SELECT * FROM audit_events ${where} ORDER BY received_at DESC, id DESC LIMIT ?`,
+      )
+      .all(...values, limit)
+      .map(fromRow);
+  }
+
+  async close() {
+    this.db?.close();
+  }
+}
+
+// --- Adaptateur Postgres (pg, AUDIT_DATABASE_URL) ---
+export class PostgresAuditStore {
+  constructor(connectionString, logger) {
+    this.connectionString = connectionString;
+    this.logger = logger;
+    this.pool = null;
+  }
+
+  async init() {
+    const { default: pg } = await import("pg");
+
+    this.pool = new pg.Pool({ connectionString: this.connectionString });
+    // DROP puis CREATE TRIGGER: CREATE OR REPLACE TRIGGER exige PostgreSQL 14
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id BIGSERIAL PRIMARY KEY,
+        tenant TEXT NOT NULL,
+        job_id TEXT NOT NULL,
+        received_at TIMESTAMPTZ NOT NULL,
+        event_type TEXT NOT NULL,
+        estimate_id TEXT,
+        decision TEXT NOT NULL,
+        invoice_id TEXT,
+        invoice_payload JSONB,
+        outcome TEXT NOT NULL,
+        error TEXT,
+        attempts INTEGER NOT NULL,
+        recorded_at TIMESTAMPTZ NOT NULL
+      );
+      ${ADDED_COLUMNS.map(
+        (column) =>
+          `ALTER TABLE audit_events ADD COLUMN IF NOT EXISTS ${column} TEXT;`,
+      ).join("\n")}
+      CREATE INDEX IF NOT EXISTS audit_events_trace ON audit_events (trace_id);
+      CREATE INDEX IF NOT EXISTS audit_events_estimate ON audit_events (estimate_id);
+      CREATE INDEX IF NOT EXISTS audit_events_invoice ON audit_events (invoice_id);
+      CREATE INDEX IF NOT EXISTS audit_events_received ON audit_events (received_at);
+      CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_events est en ajout seul';
+      END;
+      $$ LANGUAGE plpgsql;
+      DROP TRIGGER IF EXISTS audit_events_append_only ON audit_events;
+      CREATE TRIGGER audit_events_append_only
+        BEFORE UPDATE OR DELETE ON audit_events
+        FOR EACH ROW EXECUTE FUNCTION audit_events_append_only();
+    `);
+
+    this.logger.info("🗃️ Piste d'audit Postgres initialisée");
+  }
+
+  async insert(record) {
+    await this.pool.query(
+      `INSERT INTO audit_events (${COLUMNS.join(", ")})
+       VALUES (${COLUMNS.map((_, i) => `$${i + 1}`).join(", ")})`,
+      toRow(record),
+    );
+  }
+
+  async query(query = {}) {
+    const { where, values, limit } = buildFilter(query, (i) => `$${i}`);
+    const result = await this.pool.query(
+      `SELECT * FROM audit_events ${where}
+       ORDER BY received_at DESC, id DESC LIMIT $${values.length + 1}`,
+      [...values, limit],
+    );
+    return result.rows.map(fromRow);
+  }
+
+  async close() {
+    await this.pool?.end();
+  }
+}
+
+// Adaptateur choisi par l'environnement; null si l'audit est désactivé
+export function createAuditStore(logger, env = process.env) {
+  const kind = (env.AUDIT_STORE || "sqlite").toLowerCase();
+
+  switch (kind) {
+    case "none":
+      return null;
+    case "sqlite":
+      return new SqliteAuditStore(
+        env.AUDIT_SQLITE_PATH || "./data/audit/audit.sqlite",
+        logger,
+      );
+    case "postgres":
+      if (!env.AUDIT_DATABASE_URL) {
+        throw new Error("AUDIT_DATABASE_URL requis avec AUDIT_STORE=postgres");
+      }
+      return new PostgresAuditStore(env.AUDIT_DATABASE_URL, logger);
+    default:
+      throw new Error(
+        `AUDIT_STORE inconnu "${kind}" (attendu: sqlite, postgres, none)`,
+      );
+  }
+}
+
+export class AuditTrail {
+  constructor(store, logger) {
+    this.store = store;
+    this.logger = logger;
+  }
+
+  // L'audit ne doit jamais faire échouer le traitement: les erreurs sont journalisées
+  async record(tenantId, job, outcome, error = null) {
+    const record = auditRecordFor(tenantId, job, outcome, error);
+    try {
+      await this.store.insert(record);
+    } catch (auditError) {
+      this.logger.error(
+        { jobId: record.jobId, record, error: auditError.message },
+        "⚠️ Événement non enregistré dans la piste d'audit",
+      );
+    }
+  }
+
+  async query(query) {
+    return this.store.query(query);
+  }
+
+  async close() {
+    await this.store.close();
+  }
+}
@@ -0,0 +1,292 @@
+// --- Rattrapage des devis acceptés sans facture ---
+// Le worker ne réagit qu'aux webhooks estimate.docslog: un devis accepté pendant
+// une panne, avant le déploiement ou dont le webhook s'est perdu n'est jamais
+// facturé. Le rattrapage parcourt POST /v2/estimates/search (statuts, période),
+// écarte les devis qui ont déjà une facture (registre d'idempotence, ou facture
+// Sellsy dont le parent est le devis) et met les autres en file comme des
+// événements synthétiques: handlers, InvoiceCreator, audit et notifications
+// restent ceux d'un webhook. En dry-run, rien n'est mis en file: la facture
+// qui serait créée est calculée sans aucune écriture.
+import crypto from "crypto";
+import { InvoiceCreator } from "./invoiceCreator.js";
+import { LEDGER_STATUS } from "./invoiceLedger.js";
+import { buildSyntheticEnvelope } from "../../lib/eventEnvelope.js";
+import { SPAN_KINDS } from "../../lib/tracing.js";
+
+export const BACKFILL_SOURCE = "backfill";
+
+const PAGE_SIZE = 100;
+const MAX_INVOICE_PAGES = 50; // au-delà, la période est trop large pour conclure
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const PENDING_STATES = ["waiting", "delayed", "active", "prioritized"];
+
+export class InvalidBackfillError extends Error {
+  constructor(errors) {
+    super(`Rattrapage invalide:\n - ${errors.join("\n - ")}`);
+    this.name = "InvalidBackfillError";
+    this.errors = errors;
+  }
+}
+
+const isDate = (value) =>
+  DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * @typedef {Object} BackfillOptions
+ * @property {string[]} statuses - Statuts Sellsy recherchés (["accepted"] par défaut)
+ * @property {string} from - Date du devis, AAAA-MM-JJ inclus
+ * @property {string} to - Date du devis, AAAA-MM-JJ inclus (aujourd'hui par défaut)
+ * @property {boolean} dryRun - Calcule les factures sans rien mettre en file
+ * @property {number} limit - Devis sans facture traités au maximum
+ */
+
+// Options de la CLI ou du corps de la route d'administration; lève InvalidBackfillError
+/** @returns {BackfillOptions} */
+export function parseBackfillOptions(input = {}) {
+  const errors = [];
+
+  // Liste ou "accepted,sent" (CLI, query string)
+  const statuses =
+    typeof input.statuses === "string"
+      ? input.statuses.split(",").map((status) => status.trim())
+      : (input.statuses ?? ["accepted"]);
+  if (
+    !Array.isArray(statuses) ||
+    statuses.length === 0 ||
+    !statuses.every((status) => typeof status === "string" && status)
+  ) {
+    errors.push("statuses doit être une liste de statuts Sellsy");
+  }
+
+  const from = input.from;
+  const to = input.to ?? new Date().toISOString().slice(0, 10);
+  if (!isDate(from)) errors.push("from attendu au format AAAA-MM-JJ");
+  if (!isDate(to)) errors.push("to attendu au format AAAA-MM-JJ");
+  if (isDate(from) && isDate(to) && from > to) {
+    errors.push("from doit précéder to");
+  }
+
+  const dryRun = input.dryRun ?? false;
+  if (typeof dryRun !== "boolean") errors.push("dryRun doit être un booléen");
+
+  const limit = Number(input.limit ?? DEFAULT_LIMIT);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit doit être un entier entre 1 et ${MAX_LIMIT}`);
+  }
+
+  if (errors.length > 0) throw new InvalidBackfillError(errors);
+  return { statuses, from, to, dryRun, limit };
+}
+
+// Déterministe: un devis n'a qu'un job de rattrapage en attente à la fois
+export function backfillJobId(estimateId) {
+  return `backfill-${estimateId}`;
+}
+
+// Même forme qu'un webhook Sellsy estimate.docslog
+function syntheticEvent(estimate) {
+  return {
+    eventType: "docslog",
+    relatedtype: "estimate",
+    relatedid: estimate.id,
+    relatedobject: estimate,
+  };
+}
+
+export class EstimateBackfill {
+  /**
+   * @param {import("./tenantRuntime.js").TenantRuntime} tenant - Mapping et règles chargés
+   * @param {{ tracer?: import("../../lib/tracing.js").Tracer }} [options]
+   */
+  constructor(tenant, { tracer = null } = {}) {
+    this.tenant = tenant;
+    this.logger = tenant.logger;
+    this.tracer = tracer;
+  }
+
+  // Devis aux statuts demandés dont la date est dans la période, page par page
+  async *estimates({ statuses, from, to }) {
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const result = await this.tenant.sellsyApi.makeApiCall(
+        `/v2/estimates/search?limit=${PAGE_SIZE}&offset=${offset}`,
+        {
+          method: "POST",
+          body: JSON.stringify({
+            filters: { status: statuses, date: { start: from, end: to } },
+          }),
+        },
+      );
+
+      const estimates = result?.data || [];
+      yield* estimates;
+      if (estimates.length < PAGE_SIZE) return;
+    }
+  }
+
+  // Devis → facture Sellsy créée depuis `from` (une facture est postérieure à son devis)
+  async invoicedEstimates(from) {
+    const invoices = new Map();
+
+    for (let page = 0; page < MAX_INVOICE_PAGES; page++) {
+      const result = await this.tenant.sellsyApi.makeApiCall(
+        `/v2/invoices/search?limit=${PAGE_SIZE}&offset=${page * PAGE_SIZE}`,
+        {
+          method: "POST",
+          body: JSON.stringify({
+            filters: { created: { start: `${from}T00:00:00Z` } },
+          }),
+        },
+      );
+
+      const data = result?.data || [];
+      for (const invoice of data) {
+        if (invoice.parent?.type === "estimate") {
+          invoices.set(String(invoice.parent.id), String(invoice.id));
+        }
+      }
+      if (data.length < PAGE_SIZE) return invoices;
+    }
+
+    // Sans la liste complète, un devis déjà facturé à la main serait refacturé
+    throw new Error(
+      `Plus de ${MAX_INVOICE_PAGES * PAGE_SIZE} factures depuis le ${from}: réduire la période`,
+    );
+  }
+
+  // Raison d'écarter un devis, null s'il n'a aucune facture
+  async invoicedReason(estimateId, invoices) {
+    if (invoices.has(estimateId)) {
+      return { reason: "has_invoice", invoiceId: invoices.get(estimateId) };
+    }
+
+    const entry = await this.tenant.invoiceLedger.get(estimateId);
+    if (
+      entry?.status === LEDGER_STATUS.CREATED ||
+      entry?.status === LEDGER_STATUS.PARTIAL
+    ) {
+      return { reason: "already_invoiced", invoiceId: entry.invoiceId };
+    }
+    return null;
+  }
+
+  /** @param {BackfillOptions} options */
+  async run(options) {
+    const run = async (span) => {
+      const report = {
+        tenant: this.tenant.id,
+        runId: crypto.randomUUID(),
+        ...options,
+        scanned: 0,
+        candidates: [],
+        skipped: [],
+        truncated: false,
+      };
+
+      this.logger.info(
+        `🧹 Rattrapage ${options.dryRun ? "(dry-run) " : ""}des devis ${options.statuses.join(", ")} du ${options.from} au ${options.to}...`,
+      );
+
+      const invoices = await this.invoicedEstimates(options.from);
+
+      for await (const estimate of this.estimates(options)) {
+        report.scanned++;
+        const estimateId = String(estimate.id);
+
+        const invoiced = await this.invoicedReason(estimateId, invoices);
+        if (invoiced) {
+          report.skipped.push({ estimateId, ...invoiced });
+          continue;
+        }
+
+        if (report.candidates.length >= options.limit) {
+          report.truncated = true;
+          break;
+        }
+
+        report.candidates.push(
+          options.dryRun
+            ? await this.preview(estimate)
+            : await this.enqueue(estimate, report.runId, span),
+        );
+      }
+
+      this.logger.info(
+        `🧹 Rattrapage terminé: ${report.scanned} devis parcourus, ${report.candidates.length} sans facture${report.truncated ? ` (limite de ${options.limit} atteinte)` : ""}`,
+      );
+      return report;
+    };
+
+    if (!this.tracer) return run(null);
+    return this.tracer.withSpan(
+      `backfill ${this.tenant.id}`,
+      {
+        kind: SPAN_KINDS.PRODUCER,
+        attributes: {
+          "sellsy.tenant": this.tenant.id,
+          "sellsy.backfill.dry_run": options.dryRun,
+        },
+      },
+      run,
+    );
+  }
+
+  // Facture qui serait créée: décision des règles et payload, sans écriture
+  async preview(estimate) {
+    const invoiceCreator = new InvoiceCreator(
+      this.tenant.sellsyApi,
+      this.logger,
+      this.tenant.invoiceLedger,
+      this.tenant.invoiceMapping,
+      this.tenant.acceptanceRules,
+    );
+
+    try {
+      return {
+        ...(await invoiceCreator.previewEstimate(estimate)),
+        estimateId: String(estimate.id),
+        number: estimate.number,
+        date: estimate.date,
+      };
+    } catch (error) {
+      return {
+        estimateId: String(estimate.id),
+        number: estimate.number,
+        action: "error",
+        error: error.message,
+      };
+    }
+  }
+
+  // Événement synthétique dans la file du tenant; un job déjà en attente est conservé
+  async enqueue(estimate, runId, span) {
+    const estimateId = String(estimate.id);
+    const jobId = backfillJobId(estimateId);
+    const { queue } = this.tenant;
+
+    const existing = await queue.getJob(jobId);
+    if (existing) {
+      const state = await existing.getState();
+      if (PENDING_STATES.includes(state)) {
+        return { estimateId, jobId, action: "already_queued", state };
+      }
+      // Job terminé d'un rattrapage précédent: remplacé par le nouveau
+      await existing.remove();
+    }
+
+    await queue.add(
+      "event",
+      buildSyntheticEnvelope(syntheticEvent(estimate), {
+        tenant: this.tenant.id,
+        source: BACKFILL_SOURCE,
+        requestId: runId,
+        traceparent: span?.traceparent ?? null,
+      }),
+      { jobId },
+    );
+
+    this.logger.info(`📥 Devis ${estimateId} mis en file (job ${jobId})`);
+    return { estimateId, number: estimate.number, jobId, action: "queued" };
+  }
+}
@@ -0,0 +1,76 @@
+// --- Stratégie de retry BullMQ (attempts natifs + backoff personnalisé) ---
+// Les jobs sont créés avec { attempts, backoff: { type: "sellsy" } } et BullMQ
+// appelle sellsyBackoffStrategy à chaque échec pour programmer le job suivant.
+
+export const BACKOFF_TYPE = "sellsy";
+
+// --- Configuration des retries ---
+export const RETRY_CONFIG = {
+  MAX_ATTEMPTS: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 10, // Nombre maximum de tentatives
+  INITIAL_DELAY: 5000, // Délai initial: 5 secondes
+  MAX_DELAY: 1800000, // Délai maximum: 30 minutes (1800000 ms)
+  EXPONENTIAL_BASE: 2, // Base pour le backoff exponentiel
+  MAINTENANCE_RETRY_DELAY: 1800000, // 30 minutes pour les 503
+  MAX_RETRY_AFTER: 6 * 3600000, // Plafond appliqué au header Retry-After: 6 heures
+};
+
+// Options des jobs de la file sellsy-webhooks, importées aussi par le listener
+export const WEBHOOK_JOB_OPTIONS = {
+  attempts: RETRY_CONFIG.MAX_ATTEMPTS,
+  backoff: { type: BACKOFF_TYPE },
+  // Historique des jobs terminés conservé 7 jours pour l'administration
+  removeOnComplete: { age: 7 * 24 * 3600, count: 1000 },
+};
+
+// --- Calcul du délai de retry avec backoff exponentiel ---
+// attemptsMade vaut 1 après le premier échec (convention BullMQ)
+export function calculateRetryDelay(attemptsMade, isMaintenanceError = false) {
+  // Si erreur de maintenance (503), on attend directement 30 minutes
+  if (isMaintenanceError) {
+    return RETRY_CONFIG.MAINTENANCE_RETRY_DELAY;
+  }
+
+  // Backoff exponentiel: delay = INITIAL_DELAY * (base ^ (attempt - 1))
+  const exponentialDelay =
+    RETRY_CONFIG.INITIAL_DELAY *
+    Math.pow(RETRY_CONFIG.EXPONENTIAL_BASE, Math.max(attemptsMade - 1, 0));
+
+  // On plafonne au délai maximum
+  return Math.min(exponentialDelay, RETRY_CONFIG.MAX_DELAY);
+}
+
+// Header Retry-After: nombre de secondes ou date HTTP. Retourne des ms ou null.
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === "") return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+
+  return Math.max(date - now, 0);
+}
+
+// Stratégie enregistrée dans settings.backoffStrategy du Worker.
+// Retourner -1 indique à BullMQ de ne plus retenter le job.
+export function sellsyBackoffStrategy(attemptsMade, type, err) {
+  if (err?.isRetryable === false) {
+    return -1;
+  }
+
+  // Sellsy indique lui-même quand revenir: on respecte Retry-After
+  if (typeof err?.retryAfterMs === "number") {
+    return Math.min(err.retryAfterMs, RETRY_CONFIG.MAX_RETRY_AFTER);
+  }
+
+  return calculateRetryDelay(attemptsMade, err?.isMaintenanceError === true);
+}
+
+// Appelé depuis l'événement "failed": le job a-t-il épuisé ses tentatives ?
+export function isFinalFailure(job, err) {
+  const maxAttempts = job.opts?.attempts ?? 1;
+  return job.attemptsMade >= maxAttempts || err?.isRetryable === false;
+}
@@ -0,0 +1,190 @@
+// --- Dead-letter queue pour les jobs définitivement échoués ---
+// Les jobs qui ont épuisé leurs tentatives sont copiés dans une file dédiée,
+// jamais consommée, avec l'erreur, l'historique des tentatives et le payload d'origine.
+import { Queue } from "bullmq";
+import { eventOf } from "../../lib/eventEnvelope.js";
+
+export const DEAD_LETTER_QUEUE_NAME = "sellsy-webhooks-dlq";
+
+// Une DLQ par file source: "sellsy-webhooks" → "sellsy-webhooks-dlq"
+export function deadLetterQueueName(sourceQueueName) {
+  return `${sourceQueueName}-dlq`;
+}
+
+const ATTEMPTS_PREFIX = "sellsy:job-attempts";
+const ATTEMPTS_TTL_SECONDS = 7 * 24 * 3600; // 7 jours
+
+// Options du job d'origine conservées pour le rejouer à l'identique
+const REPLAYED_JOB_OPTIONS = [
+  "attempts",
+  "backoff",
+  "removeOnComplete",
+  "removeOnFail",
+];
+
+function pick(source = {}, keys) {
+  return Object.fromEntries(
+    keys
+      .filter((key) => source[key] !== undefined)
+      .map((key) => [key, source[key]]),
+  );
+}
+
+function serializeError(err) {
+  return {
+    name: err?.name,
+    message: err?.message,
+    statusCode: err?.statusCode,
+    stack: err?.stack,
+  };
+}
+
+export class DeadLetterQueue {
+  constructor(connection, sourceQueue, logger, options = {}) {
+    this.redis = connection;
+    this.sourceQueue = sourceQueue;
+    this.logger = logger;
+    this.attemptsPrefix = options.attemptsPrefix ?? ATTEMPTS_PREFIX;
+    this.queue = new Queue(deadLetterQueueName(sourceQueue.name), {
+      connection,
+    });
+  }
+
+  attemptsKey(jobId) {
+    return `${this.attemptsPrefix}:${jobId}`;
+  }
+
+  // Historise chaque échec pour pouvoir reconstituer le parcours du job
+  async recordAttempt(job, err) {
+    const key = this.attemptsKey(job.id);
+    await this.redis
+      .multi()
+      .rpush(
+        key,
+        JSON.stringify({
+          attempt: job.attemptsMade,
+          failedAt: new Date().toISOString(),
+          error: err?.message,
+          statusCode: err?.statusCode,
+        }),
+      )
+      .expire(key, ATTEMPTS_TTL_SECONDS)
+      .exec();
+  }
+
+  async getAttempts(jobId) {
+    const entries = await this.redis.lrange(this.attemptsKey(jobId), 0, -1);
+    return entries.map((entry) => JSON.parse(entry));
+  }
+
+  async add(job, err) {
+    const attempts = await this.getAttempts(job.id);
+
+    const deadLetter = await this.queue.add(
+      "dead-letter",
+      {
+        originalJobId: job.id,
+        originalQueue: job.queueName,
+        jobName: job.name,
+        jobOptions: pick(job.opts, REPLAYED_JOB_OPTIONS),
+        payload: job.data,
+        error: serializeError(err),
+        attemptsMade: job.attemptsMade,
+        attempts,
+        stacktrace: job.stacktrace || [],
+        receivedAt: job.timestamp
+          ? new Date(job.timestamp).toISOString()
+          : null,
+        deadLetteredAt: new Date().toISOString(),
+      },
+      { removeOnComplete: false, removeOnFail: false },
+    );
+
+    await this.redis.del(this.attemptsKey(job.id));
+
+    this.logger.warn(
+      `🪦 Job ${job.id} déplacé en dead-letter (entrée ${deadLetter.id})`,
+    );
+    return deadLetter;
+  }
+
+  async list(start = 0, end = 49) {
+    const [total, jobs] = await Promise.all([
+      this.queue.getWaitingCount(),
+      this.queue.getWaiting(start, end),
+    ]);
+
+    return {
+      total,
+      jobs: jobs.map((job) => {
+        const event = eventOf(job.data.payload);
+        return {
+          id: job.id,
+          originalJobId: job.data.originalJobId,
+          event: `${event?.relatedtype}.${event?.eventType}`,
+          objectId: event?.relatedobject?.id,
+          error: job.data.error?.message,
+          attemptsMade: job.data.attemptsMade,
+          deadLetteredAt: job.data.deadLetteredAt,
+        };
+      }),
+    };
+  }
+
+  async get(id) {
+    const job = await this.queue.getJob(id);
+    return job ? { id: job.id, ...job.data } : null;
+  }
+
+  // Remet le payload d'origine dans la file source sous son jobId d'origine,
+  // puis retire l'entrée de la DLQ. Le job échoué encore conservé par
+  // removeOnFail est supprimé: BullMQ ignorerait un ajout avec le même jobId.
+  async replay(id) {
+    const job = await this.queue.getJob(id);
+    if (!job) return null;
+
+    const jobId = job.data.originalJobId ?? undefined;
+    const failed = jobId ? await this.sourceQueue.getJob(jobId) : null;
+    if (failed && (await failed.isFailed())) await failed.remove();
+
+    const replayed = await this.sourceQueue.add(
+      job.data.jobName || "event",
+      job.data.payload,
+      { ...job.data.jobOptions, jobId },
+    );
+    await job.remove();
+
+    this.logger.info(
+      `🔁 Dead-letter ${id} rejoué dans ${this.sourceQueue.name} (job ${replayed.id})`,
+    );
+    return { id, replayedJobId: replayed.id };
+  }
+
+  async replayMany(ids) {
+    const results = [];
+    for (const id of ids) {
+      const result = await this.replay(id);
+      results.push(result || { id, error: "not_found" });
+    }
+    return results;
+  }
+
+  async replayAll() {
+    const jobs = await this.queue.getWaiting(0, -1);
+    return this.replayMany(jobs.map((job) => job.id));
+  }
+
+  async remove(id) {
+    const job = await this.queue.getJob(id);
+    if (!job) return false;
+    await job.remove();
+    return true;
+  }
+
+  async purge() {
+    const total = await this.queue.getWaitingCount();
+    await this.queue.drain();
+    this.logger.warn(`🧹 Dead-letter queue purgée (${total} entrées)`);
+    return total;
+  }
+}
@@ -0,0 +1,145 @@
+// --- Livraison des événements Sellsy aux abonnés ---
+// Un job par couple (événement, abonné) dans la file "<file du tenant>-deliveries".
+// Le corps est l'événement Sellsy d'origine, re-signé avec le secret de l'abonné
+// au format "hmac-sha256" du listener: l'abonné peut vérifier avec le plugin
+// lib/sellsySignature.js (algorithms: ["hmac-sha256"]).
+import crypto from "crypto";
+import { BACKOFF_TYPE, parseRetryAfter } from "./backoff.js";
+
+const DELIVERY_TIMEOUT_MS = Number(process.env.FANOUT_TIMEOUT_MS) || 10000;
+// Au-delà, un rejeu de l'événement (DLQ) est relivré aux abonnés
+const DELIVERY_DEDUP_SECONDS =
+  Number(process.env.FANOUT_DEDUP_SECONDS) || 30 * 24 * 3600;
+
+// Options des jobs de livraison: retry exponentiel via sellsyBackoffStrategy
+export const DELIVERY_JOB_OPTIONS = {
+  attempts: Number(process.env.FANOUT_MAX_ATTEMPTS) || 8,
+  backoff: { type: BACKOFF_TYPE },
+  removeOnComplete: { age: 7 * 24 * 3600, count: 1000 },
+  removeOnFail: { age: 30 * 24 * 3600 },
+};
+
+export function deliveryQueueName(sourceQueueName) {
+  return `${sourceQueueName}-deliveries`;
+}
+
+// Déterministe: retrouver la livraison d'un événement (admin, relance).
+// Ne dédoublonne qu'un job encore présent dans la file: les livraisons
+// terminées sont purgées (removeOnComplete), voir DeliveryClaims.
+export function deliveryJobId(eventJobId, subscriberId) {
+  return `dlv-${eventJobId}-${subscriberId}`;
+}
+
+// Livraisons déjà mises en file, une clé Redis par couple (événement, abonné):
+// un retry de l'événement ne relivre pas un abonné même si son job est purgé
+export class DeliveryClaims {
+  constructor(redis, prefix, ttlSeconds = DELIVERY_DEDUP_SECONDS) {
+    this.redis = redis;
+    this.prefix = prefix;
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  key(eventId, subscriberId) {
+    return `${this.prefix}:${eventId}:${subscriberId}`;
+  }
+
+  // Abonnés réservés par cet appel; les autres ont déjà reçu l'événement en file
+  async claim(eventId, subscriberIds) {
+    const multi = this.redis.multi();
+    for (const subscriberId of subscriberIds) {
+      multi.set(
+        this.key(eventId, subscriberId),
+        Date.now(),
+        "EX",
+        this.ttlSeconds,
+        "NX",
+      );
+    }
+    const results = await multi.exec();
+    return subscriberIds.filter((id, index) => results[index][1] === "OK");
+  }
+
+  // Mise en file échouée: le prochain retry de l'événement pourra livrer
+  async release(eventId, subscriberIds) {
+    if (subscriberIds.length === 0) return;
+    await this.redis.del(
+      ...subscriberIds.map((subscriberId) => this.key(eventId, subscriberId)),
+    );
+  }
+}
+
+// Erreur de livraison; isRetryable et retryAfterMs sont lus par sellsyBackoffStrategy
+export class DeliveryError extends Error {
+  constructor(message, { statusCode = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "DeliveryError";
+    this.statusCode = statusCode;
+    this.retryAfterMs = retryAfterMs;
+    // 4xx définitif (sauf 408 et 429): l'abonné refuse l'événement
+    this.isRetryable =
+      statusCode === null ||
+      statusCode >= 500 ||
+      statusCode === 408 ||
+      statusCode === 429;
+  }
+}
+
+export function signDelivery(secret, body, timestamp) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.`)
+    .update(body)
+    .digest("hex");
+}
+
+/**
+ * POST de l'événement chez l'abonné. Lève DeliveryError si la réponse n'est pas 2xx.
+ * @param {Object} subscription - Entrée du SubscriptionRegistry
+ * @param {string} secret - Secret résolu de l'abonné
+ * @param {import("bullmq").Job} job - Job de livraison { event, eventId, tenant }
+ * @param {{ traceparent?: string }} [options] - Contexte W3C transmis à l'abonné
+ */
+export async function deliverEvent(subscription, secret, job, options = {}) {
+  const { event, eventId, tenant } = job.data;
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let response;
+  try {
+    response = await fetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "sellsy-fanout",
+        "X-Webhook-Signature": `sha256=${signDelivery(secret, body, timestamp)}`,
+        "X-Webhook-Timestamp": String(timestamp),
+        // Identifiant stable de l'événement, pour dédoublonner chez l'abonné
+        "X-Webhook-Id": eventId,
+        "X-Webhook-Delivery": job.id,
+        "X-Webhook-Attempt": String(job.attemptsMade + 1),
+        "X-Webhook-Tenant": tenant,
+        ...(options.traceparent && { traceparent: options.traceparent }),
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+  } catch (error) {
+    // Réseau (ECONNREFUSED, DNS...) ou délai dépassé: toujours retryable
+    const cause = error.cause?.code ?? error.cause?.message;
+    throw new DeliveryError(
+      `${error.message}${cause ? ` (${cause})` : ""} sur ${new URL(subscription.url).host}`,
+    );
+  }
+
+  if (!response.ok) {
+    throw new DeliveryError(
+      `HTTP ${response.status} sur ${new URL(subscription.url).host}`,
+      {
+        statusCode: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get("retry-after")),
+      },
+    );
+  }
+
+  return { statusCode: response.status };
+}
@@ -0,0 +1,89 @@
+// --- Arrêt gracieux d'une réplique du worker ---
+// SIGTERM (docker stop, mise à jour progressive) ou SIGINT: la réplique
+// n'est plus prête (/health/ready), cesse de prendre des jobs et laisse les
+// jobs actifs se terminer pendant WORKER_SHUTDOWN_TIMEOUT_MS. Au-delà, les
+// workers sont fermés sans attendre: le verrou BullMQ des jobs restants
+// n'est plus renouvelé et une autre réplique les reprend (jobs "stalled").
+// Une facture dont le POST était en vol reste "pending" dans le registre et
+// est réconciliée avec Sellsy avant tout nouvel envoi.
+
+export const SHUTDOWN_TIMEOUT_MS =
+  Number(process.env.WORKER_SHUTDOWN_TIMEOUT_MS) || 25000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms).unref());
+
+export class GracefulShutdown {
+  constructor(logger, { timeoutMs = SHUTDOWN_TIMEOUT_MS } = {}) {
+    this.logger = logger;
+    this.timeoutMs = timeoutMs;
+    this.workers = [];
+    this.tasks = new Set();
+    this.draining = false;
+    this.shutdown = null;
+  }
+
+  addWorker(worker) {
+    this.workers.push(worker);
+    return worker;
+  }
+
+  // Handlers d'événements BullMQ (audit, notifications, DLQ) attendus avant
+  // la fermeture de Redis et des stores
+  track(listener) {
+    return (...args) => {
+      const task = Promise.resolve()
+        .then(() => listener(...args))
+        .catch((error) =>
+          this.logger.error(error, "🔥 Erreur d'un handler d'événement BullMQ"),
+        )
+        .finally(() => this.tasks.delete(task));
+      this.tasks.add(task);
+      return task;
+    };
+  }
+
+  // Retourne { drained: false } si des jobs ont été rendus à la file
+  async drain() {
+    this.draining = true;
+
+    // pause(): plus aucun job pris, attente des jobs actifs
+    const drained = await Promise.race([
+      Promise.all(this.workers.map((worker) => worker.pause())).then(
+        () => true,
+      ),
+      sleep(this.timeoutMs).then(() => false),
+    ]);
+
+    if (!drained) {
+      this.logger.warn(
+        `⏱️ Jobs encore actifs après ${this.timeoutMs} ms: rendus à la file pour une autre réplique`,
+      );
+    }
+
+    await Promise.all(this.workers.map((worker) => worker.close(!drained)));
+    await Promise.allSettled([...this.tasks]);
+    return { drained };
+  }
+
+  // cleanup(signal) ferme le reste (HTTP, stores, Redis) une fois les workers arrêtés.
+  // Un second signal interrompt l'attente.
+  listen(signals, cleanup) {
+    for (const signal of signals) {
+      process.on(signal, () => {
+        if (this.shutdown) {
+          this.logger.warn(`⚠️ ${signal} reçu pendant l'arrêt: arrêt immédiat`);
+          process.exit(1);
+        }
+
+        this.logger.info(`🛑 ${signal} reçu: arrêt gracieux...`);
+        this.shutdown = this.drain()
+          .then(({ drained }) => cleanup(signal, { drained }))
+          .then(() => process.exit(0))
+          .catch((error) => {
+            this.logger.error(error, "🔥 Arrêt gracieux en échec");
+            process.exit(1);
+          });
+      });
+    }
+  }
+}
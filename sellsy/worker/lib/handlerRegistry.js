@@ -0,0 +1,127 @@
+// --- Registre des handlers d'événements Sellsy ---
+// Les handlers s'enregistrent sur un motif `relatedtype.eventType` qui accepte
+// le joker `*` de chaque côté: "estimate.docslog", "invoice.*", "*.created", "*".
+import path from "path";
+import { pathToFileURL } from "url";
+
+/**
+ * @typedef {Object} HandlerContext
+ * @property {Object} event - Payload du webhook Sellsy (eventType, relatedtype, relatedobject...)
+ * @property {import("../../lib/eventEnvelope.js").EventMeta|null} meta - Réception par le listener (null pour les anciens jobs)
+ * @property {import("../../lib/tracing.js").TraceContext} trace - Span du traitement du job
+ * @property {import("./sellsyApiClient.js").SellsyApiClient} sellsyApi - Client API Sellsy authentifié
+ * @property {import("fastify").FastifyBaseLogger} logger - Logger du worker
+ * @property {import("bullmq").Job} job - Job BullMQ en cours de traitement
+ * @property {import("./tenantRuntime.js").TenantRuntime} tenant - Compte Sellsy du job (ledger, mapping...)
+ * @property {boolean} shadow - Mode shadow pour cet événement: aucune écriture chez Sellsy
+ */
+
+/**
+ * @callback EventHandler
+ * @param {HandlerContext} context
+ * @returns {Promise<Object|void>} Résultat stocké dans le retour du job
+ */
+
+function parsePattern(pattern) {
+  const [relatedtype, eventType, ...extra] = String(pattern).split(".");
+
+  if (pattern === "*") return { relatedtype: "*", eventType: "*" };
+
+  if (!relatedtype || !eventType || extra.length > 0) {
+    throw new Error(
+      `Motif de handler invalide "${pattern}" (attendu: relatedtype.eventType)`,
+    );
+  }
+
+  return { relatedtype, eventType };
+}
+
+function matchesPart(expected, value) {
+  return expected === "*" || expected === value;
+}
+
+// Filtre d'événement réutilisable (abonnements...): motif "relatedtype.eventType"
+export function validateEventPattern(pattern) {
+  parsePattern(pattern);
+  return pattern;
+}
+
+export function eventMatches(pattern, { relatedtype, eventType }) {
+  const expected = parsePattern(pattern);
+  return (
+    matchesPart(expected.relatedtype, relatedtype) &&
+    matchesPart(expected.eventType, eventType)
+  );
+}
+
+export class HandlerRegistry {
+  constructor(logger) {
+    this.logger = logger;
+    this.handlers = [];
+  }
+
+  /**
+   * @param {string} pattern - Motif `relatedtype.eventType`, jokers acceptés
+   * @param {EventHandler} handler
+   * @param {{ name?: string }} [options]
+   */
+  register(pattern, handler, options = {}) {
+    if (typeof handler !== "function") {
+      throw new Error(`Le handler "${pattern}" doit être une fonction`);
+    }
+
+    const name = options.name || handler.name || pattern;
+    this.handlers.push({ pattern, name, handler, ...parsePattern(pattern) });
+    this.logger.info(`🧩 Handler "${name}" enregistré sur ${pattern}`);
+    return this;
+  }
+
+  match(relatedtype, eventType) {
+    return this.handlers.filter(
+      (entry) =>
+        matchesPart(entry.relatedtype, relatedtype) &&
+        matchesPart(entry.eventType, eventType),
+    );
+  }
+
+  // Exécute séquentiellement tous les handlers correspondants.
+  // Une erreur interrompt la chaîne et fait échouer le job (les handlers doivent être idempotents).
+  async dispatch(context) {
+    const { eventType, relatedtype, relatedobject } = context.event;
+
+    this.logger.info(
+      `🔍 Traitement webhook: ${relatedtype}.${eventType} pour l'objet ${relatedobject?.id}`,
+    );
+
+    const matched = this.match(relatedtype, eventType);
+
+    if (matched.length === 0) {
+      this.logger.info(`ℹ️  Événement ${relatedtype}.${eventType} ignoré`);
+      return [];
+    }
+
+    const results = [];
+    for (const { name, handler } of matched) {
+      const result = await handler(context);
+      results.push({ handler: name, ...(result || {}) });
+    }
+
+    return results;
+  }
+}
+
+// Charge des modules de handlers additionnels (chemins séparés par des virgules).
+// Chaque module exporte `register(registry, services)`.
+export async function loadHandlerModules(registry, modulePaths, services) {
+  for (const modulePath of modulePaths) {
+    const mod = await import(pathToFileURL(path.resolve(modulePath)).href);
+
+    if (typeof mod.register !== "function") {
+      throw new Error(
+        `Le module de handlers ${modulePath} n'exporte pas de fonction register()`,
+      );
+    }
+
+    await mod.register(registry, services);
+  }
+}
@@ -0,0 +1,770 @@
+import { AcceptanceRules, estimateFacts } from "./acceptanceRules.js";
+import { INVOICE_KINDS, LEDGER_STATUS } from "./invoiceLedger.js";
+import {
+  applyRowMapping,
+  buildInvoiceFields,
+  mergeInvoiceMapping,
+} from "./invoiceMapping.js";
+import {
+  InvoiceAmountError,
+  buildDeductionRows,
+  buildDepositRows,
+  collectTaxRates,
+  compareWithEstimateAmounts,
+  computeRowsTotals,
+  computeTaxBases,
+  convertDiscount,
+  convertEstimateRow,
+} from "./invoiceRows.js";
+import {
+  invoicePayloadErrors,
+  validateInvoicePayload,
+} from "./schemaValidation.js";
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Action renvoyée dans le résultat du job selon la nature de la facture
+const CREATED_ACTIONS = {
+  [INVOICE_KINDS.FULL]: "invoice_created",
+  [INVOICE_KINDS.DEPOSIT]: "deposit_invoice_created",
+  [INVOICE_KINDS.BALANCE]: "balance_invoice_created",
+};
+
+// Acompte facturé, solde dû (ou solde interrompu pendant son envoi)
+function awaitsBalance(entry) {
+  return (
+    entry?.status === LEDGER_STATUS.PARTIAL ||
+    (entry?.status === LEDGER_STATUS.PENDING &&
+      entry.kind === INVOICE_KINDS.BALANCE)
+  );
+}
+
+// --- Création de facture depuis un devis accepté ---
+export class InvoiceCreator {
+  constructor(
+    sellsyApi,
+    logger,
+    ledger,
+    mapping = mergeInvoiceMapping(),
+    rules = new AcceptanceRules(),
+  ) {
+    this.sellsyApi = sellsyApi;
+    this.logger = logger;
+    this.ledger = ledger;
+    this.mapping = mapping;
+    this.rules = rules;
+  }
+
+  async handleEstimateModification(estimate, jobId) {
+    const estimateId = estimate.id;
+
+    try {
+      // Pas de filtre sur le statut du webhook: il peut être périmé ou absent,
+      // la décision porte sur le devis relu (voir decide)
+
+      // Déjà facturé d'après le registre: on s'arrête avant tout appel API
+      const entry = await this.ledger.get(estimateId);
+      if (entry?.status === LEDGER_STATUS.CREATED) {
+        this.logger.info(
+          `♻️ Devis ${estimateId} déjà facturé (facture ${entry.invoiceId}), événement ignoré`,
+        );
+        return {
+          action: "already_invoiced",
+          estimateId,
+          invoiceId: entry.invoiceId,
+        };
+      }
+
+      // Un seul job à la fois par devis, toutes répliques confondues
+      const { acquired, result } = await this.ledger.withLock(
+        estimateId,
+        (lock) => this.invoiceEstimateOnce(estimate, jobId, lock),
+      );
+      if (!acquired) {
+        // Erreur retryable: le job reviendra une fois l'autre traitement terminé
+        throw new Error(
+          `Devis ${estimateId} déjà en cours de facturation par un autre job`,
+        );
+      }
+      return result;
+    } catch (error) {
+      this.logger.error(
+        `❌ Échec du traitement du devis ${estimateId}:`,
+        error,
+      );
+      throw error;
+    }
+  }
+
+  // À appeler uniquement sous verrou: relit le registre, réconcilie si besoin, puis facture.
+  // `lock` (voir InvoiceLedger.withLock) est revérifié juste avant l'envoi à Sellsy.
+  async invoiceEstimateOnce(estimate, jobId, lock = { held: true }) {
+    const estimateId = estimate.id;
+    const entry = await this.ledger.get(estimateId);
+
+    if (entry?.status === LEDGER_STATUS.CREATED) {
+      return {
+        action: "already_invoiced",
+        estimateId,
+        invoiceId: entry.invoiceId,
+      };
+    }
+
+    // Une tentative précédente a été interrompue pendant le POST:
+    // on vérifie côté Sellsy si la facture existe déjà avant d'en recréer une
+    if (entry?.status === LEDGER_STATUS.PENDING) {
+      this.logger.warn(
+        `🔎 Devis ${estimateId} en attente dans le registre, réconciliation avec Sellsy...`,
+      );
+      // Les factures déjà historisées (acompte...) ne comptent pas
+      const billed = await this.ledger.billedSoFar(estimateId);
+      const existing = await this.findInvoiceForEstimate(
+        estimateId,
+        entry.updatedAt,
+        billed.invoices.map((invoice) => invoice.invoiceId),
+      );
+
+      if (existing) {
+        // La recherche renvoie un résumé sans lignes: les bases HT par taxe,
+        // déduites du solde, sont lues sur la facture complète
+        const invoice = await this.sellsyApi.makeApiCall(
+          `/v2/invoices/${existing.id}`,
+        );
+        await this.ledger.recordInvoice(
+          estimateId,
+          this.billingOf(
+            invoice,
+            entry.kind || INVOICE_KINDS.FULL,
+            collectTaxRates(invoice),
+          ),
+          jobId,
+        );
+        this.logger.info(
+          `♻️ Facture ${existing.id} déjà présente chez Sellsy pour le devis ${estimateId}`,
+        );
+        return {
+          action: "reconciled",
+          estimateId,
+          invoiceId: existing.id,
+        };
+      }
+    }
+
+    // Récupérer les détails complets du devis: la décision porte sur son statut à jour
+    const fullEstimate = await this.getEstimateDetails(estimateId);
+    const decision = await this.decide(fullEstimate, estimate, {
+      balanceDue: awaitsBalance(entry),
+    });
+
+    if (decision.action === "skip") {
+      this.logger.info(
+        `📄 Devis ${estimateId} statut: ${fullEstimate.status} - aucune règle applicable`,
+      );
+      return {
+        action: "skipped",
+        estimateId,
+        status: fullEstimate.status,
+        rule: decision.rule,
+      };
+    }
+
+    if (decision.action === "notify") {
+      this.logger.warn(
+        `👀 Devis ${estimateId} soumis à revue manuelle (règle ${decision.rule ?? "par défaut"})`,
+      );
+      return {
+        action: "manual_review",
+        estimateId,
+        status: fullEstimate.status,
+        rule: decision.rule,
+      };
+    }
+
+    // Acompte, facture complète ou solde selon le déjà facturé
+    const billed = await this.ledger.billedSoFar(estimateId);
+    const plan = this.planBilling(fullEstimate, decision, billed);
+
+    if (plan.skipped) {
+      this.logger.warn(
+        `🧮 Devis ${estimateId}: aucune facture émise (${plan.skipped}, déjà facturé ${billed.totalExclTax} HT)`,
+      );
+      return {
+        action: "skipped",
+        estimateId,
+        reason: plan.skipped,
+        rule: decision.rule,
+        billedExclTax: billed.totalExclTax,
+      };
+    }
+
+    this.logger.info(
+      `📄 Devis ${estimateId} accepté (règle ${decision.rule}), création de la facture (${plan.kind})...`,
+    );
+
+    // Payload validée avant de marquer le devis: une erreur de schéma ne laisse
+    // pas de tentative en cours à réconcilier
+    const prepared = this.prepareInvoicePayload(fullEstimate, estimate, plan);
+
+    // Verrou expiré pendant la préparation: un autre job a pu prendre le devis
+    if (!lock.held) {
+      throw new Error(
+        `Verrou du devis ${estimateId} perdu avant l'envoi de la facture`,
+      );
+    }
+
+    await this.ledger.markPending(estimateId, jobId, plan.kind);
+
+    // Créer la facture
+    const { invoice, payload, billing } = await this.createInvoiceFromEstimate(
+      fullEstimate,
+      estimate,
+      plan,
+      prepared,
+    );
+
+    await this.ledger.recordInvoice(
+      estimateId,
+      { ...billing, invoiceId: invoice.id },
+      jobId,
+    );
+
+    this.logger.info(
+      `✅ Facture ${invoice.id} créée avec succès depuis le devis ${estimateId}`,
+    );
+
+    // La facture existe: un échec de validation ne doit pas provoquer de doublon au retry
+    const invoiceStatus =
+      decision.invoiceStatus === "validated"
+        ? await this.validateInvoice(invoice.id)
+        : "draft";
+
+    // La payload envoyée est conservée dans le retour du job pour la piste d'audit
+    return {
+      action: CREATED_ACTIONS[plan.kind],
+      estimateId,
+      invoiceId: invoice.id,
+      invoiceStatus,
+      rule: decision.rule,
+      billedExclTax: round2(billed.totalExclTax + billing.totalExclTax),
+      invoicePayload: payload,
+    };
+  }
+
+  // Facture que produirait l'événement, sans verrou ni écriture (registre, Sellsy):
+  // même décision et même payload que invoiceEstimateOnce
+  async previewEstimate(estimate) {
+    const estimateId = estimate.id;
+    const entry = await this.ledger.get(estimateId);
+
+    if (entry?.status === LEDGER_STATUS.CREATED) {
+      return {
+        action: "already_invoiced",
+        estimateId,
+        invoiceId: entry.invoiceId,
+      };
+    }
+
+    const fullEstimate = await this.getEstimateDetails(estimateId);
+    const decision = await this.decide(fullEstimate, estimate, {
+      balanceDue: awaitsBalance(entry),
+    });
+
+    if (decision.action === "skip" || decision.action === "notify") {
+      return {
+        action: decision.action === "skip" ? "skipped" : "manual_review",
+        estimateId,
+        status: fullEstimate.status,
+        rule: decision.rule,
+      };
+    }
+
+    const billed = await this.ledger.billedSoFar(estimateId);
+    const plan = this.planBilling(fullEstimate, decision, billed);
+
+    if (plan.skipped) {
+      return {
+        action: "skipped",
+        estimateId,
+        reason: plan.skipped,
+        rule: decision.rule,
+        billedExclTax: billed.totalExclTax,
+      };
+    }
+
+    const { payload, billing, totalsCheck } = this.buildInvoicePayload(
+      fullEstimate,
+      estimate,
+      plan,
+    );
+    // Payload refusée par le schéma ou dépassant le devis: le job réel
+    // partirait en DLQ sans appel à Sellsy
+    const payloadErrors = invoicePayloadErrors(payload);
+    const excess = this.overInvoicing(fullEstimate, billing, billed);
+
+    const action =
+      payloadErrors.length > 0
+        ? "invalid_payload"
+        : excess.length > 0
+          ? "over_invoicing"
+          : CREATED_ACTIONS[plan.kind];
+
+    return {
+      action,
+      ...(payloadErrors.length > 0 && { payloadErrors }),
+      ...(excess.length > 0 && { excess }),
+      estimateId,
+      rule: decision.rule,
+      invoiceStatus: decision.invoiceStatus ?? "draft",
+      totalExclTax: billing.totalExclTax,
+      totalInclTax: billing.totalInclTax,
+      totals: this.totalsDiff(fullEstimate, billing, billed, totalsCheck),
+      // Une tentative interrompue serait d'abord réconciliée avec Sellsy
+      pending: entry?.status === LEDGER_STATUS.PENDING,
+      invoicePayload: payload,
+    };
+  }
+
+  // Écart entre la facture et le devis; pour un solde, le devis moins le déjà facturé.
+  // matches est null pour un acompte (partie du devis par construction).
+  totalsDiff(fullEstimate, billing, billed, totalsCheck) {
+    const amount = (field) =>
+      fullEstimate.amounts?.[field] != null
+        ? Number(fullEstimate.amounts[field])
+        : null;
+
+    return {
+      estimate: {
+        total_excl_tax: amount("total_excl_tax"),
+        total_incl_tax: amount("total_incl_tax"),
+      },
+      invoice: {
+        total_excl_tax: billing.totalExclTax,
+        total_incl_tax: billing.totalInclTax,
+      },
+      billedSoFar: {
+        total_excl_tax: billed.totalExclTax,
+        total_incl_tax: billed.totalInclTax,
+      },
+      matches: totalsCheck?.matches ?? null,
+      differences: totalsCheck?.differences ?? [],
+    };
+  }
+
+  // Montant HT du devis: celui de Sellsy, sinon recalculé depuis ses lignes
+  estimateTotalExclTax(fullEstimate) {
+    const total = Number(fullEstimate.amounts?.total_excl_tax);
+    if (Number.isFinite(total)) return total;
+
+    const rows = (fullEstimate.rows || [])
+      .filter((row) => !row.is_optional)
+      .map((row, index) => convertEstimateRow(row, index + 1));
+    return computeRowsTotals(rows, {
+      discount: convertDiscount(fullEstimate.discount),
+    }).total_excl_tax;
+  }
+
+  // Facture à émettre compte tenu du déjà facturé, sans jamais dépasser le devis.
+  // Retourne { kind, deposit?, billed } ou { skipped: raison }.
+  planBilling(fullEstimate, decision, billed) {
+    const remaining = round2(
+      this.estimateTotalExclTax(fullEstimate) - billed.totalExclTax,
+    );
+
+    if (decision.action === "deposit") {
+      if (billed.invoices.length > 0) return { skipped: "already_billed" };
+
+      const { percent, amount } = decision.deposit;
+      const depositAmount =
+        amount ??
+        round2((this.estimateTotalExclTax(fullEstimate) * percent) / 100);
+      if (depositAmount > remaining + 0.01)
+        return { skipped: "over_invoicing" };
+
+      return { kind: INVOICE_KINDS.DEPOSIT, deposit: decision.deposit, billed };
+    }
+
+    if (billed.invoices.length === 0) {
+      return { kind: INVOICE_KINDS.FULL, billed };
+    }
+
+    // Un acompte a déjà été facturé: la facture devient le solde
+    if (remaining <= 0.01) return { skipped: "fully_billed" };
+    return { kind: INVOICE_KINDS.BALANCE, billed };
+  }
+
+  // Montants facturés par une facture (payload envoyée ou facture Sellsy réconciliée)
+  billingOf(invoice, kind, taxRates = {}) {
+    const rows = invoice.rows || [];
+    const discount = convertDiscount(invoice.discount);
+    const totals = computeRowsTotals(rows, { taxRates, discount });
+    const amount = (field) =>
+      Number.isFinite(Number(invoice.amounts?.[field]))
+        ? Number(invoice.amounts[field])
+        : totals[field];
+
+    return {
+      invoiceId: invoice.id,
+      kind,
+      totalExclTax: amount("total_excl_tax"),
+      totalInclTax: amount("total_incl_tax"),
+      bases: computeTaxBases(rows, discount),
+    };
+  }
+
+  // Évalue les règles d'acceptation sur le devis relu (client chargé si une règle l'exige).
+  // Acompte facturé (balanceDue): Sellsy a pu faire évoluer le statut du devis,
+  // la condition "status" des règles est ignorée pour que le solde reste déclenchable.
+  async decide(fullEstimate, webhookEstimate, { balanceDue = false } = {}) {
+    // Statut relu qu'aucune règle agissante ne concerne: client non chargé
+    if (!balanceDue && !this.isEstimateAccepted(fullEstimate)) {
+      return { action: "skip", rule: null };
+    }
+
+    const customerId = this.customerIdOf(webhookEstimate, fullEstimate);
+    const customer =
+      this.rules.needsCustomer && customerId
+        ? await this.getCustomerDetails(customerId)
+        : null;
+
+    const decision = this.rules.evaluate(
+      estimateFacts(fullEstimate, customer),
+      { ignoreStatus: balanceDue },
+    );
+    this.logger.debug(
+      { estimateId: fullEstimate.id, decision },
+      `📏 Décision pour le devis ${fullEstimate.id}: ${decision.action}`,
+    );
+    return decision;
+  }
+
+  customerIdOf(...estimates) {
+    for (const estimate of estimates) {
+      const id = estimate?.related?.find((r) => r.type === "company")?.id;
+      if (id) return id;
+    }
+    return null;
+  }
+
+  async getCustomerDetails(customerId) {
+    this.logger.info(`📥 Récupération du client ${customerId}...`);
+    return this.sellsyApi.makeApiCall(
+      `/v2/companies/${customerId}?embed[]=smart_tags`,
+    );
+  }
+
+  // Passe la facture brouillon en facture validée (numérotée); retourne son statut
+  async validateInvoice(invoiceId) {
+    try {
+      await this.sellsyApi.makeApiCall(`/v2/invoices/${invoiceId}/validate`, {
+        method: "POST",
+        body: JSON.stringify({ date: new Date().toISOString().slice(0, 10) }),
+      });
+      this.logger.info(`🔏 Facture ${invoiceId} validée`);
+      return "validated";
+    } catch (error) {
+      this.logger.error(
+        `⚠️ Facture ${invoiceId} créée mais non validée: ${error.message}`,
+      );
+      return "draft";
+    }
+  }
+
+  // Recherche une facture Sellsy dont le parent est le devis, créée depuis `since`,
+  // hors factures déjà connues du registre (`knownIds`)
+  async findInvoiceForEstimate(estimateId, since, knownIds = []) {
+    const limit = 100;
+    const maxPages = 10;
+    // Marge de 5 minutes pour absorber un éventuel décalage d'horloge
+    const start = new Date(
+      (since ? Date.parse(since) : Date.now()) - 5 * 60 * 1000,
+    ).toISOString();
+
+    for (let page = 0; page < maxPages; page++) {
+      const result = await this.sellsyApi.makeApiCall(
+        `/v2/invoices/search?limit=${limit}&offset=${page * limit}`,
+        {
+          method: "POST",
+          body: JSON.stringify({ filters: { created: { start } } }),
+        },
+      );
+
+      const invoices = result?.data || [];
+      const match = invoices.find(
+        (invoice) =>
+          invoice.parent?.type === "estimate" &&
+          String(invoice.parent?.id) === String(estimateId) &&
+          !knownIds.includes(String(invoice.id)),
+      );
+
+      if (match) return match;
+      if (invoices.length < limit) return null;
+    }
+
+    this.logger.warn(
+      `⚠️ Réconciliation du devis ${estimateId} interrompue après ${maxPages} pages`,
+    );
+    return null;
+  }
+
+  async getEstimateDetails(estimateId) {
+    this.logger.info(`📥 Récupération des détails du devis ${estimateId}...`);
+
+    // Les champs personnalisés ne sont chargés que si une règle les utilise
+    const embed = this.rules.needsCustomFields ? "?embed[]=custom_fields" : "";
+    const estimate = await this.sellsyApi.makeApiCall(
+      `/v2/estimates/${estimateId}${embed}`,
+    );
+
+    return estimate;
+  }
+
+  // Statut du devis relu chez Sellsy (jamais celui du webhook) qu'une règle
+  // agissante peut concerner; la décision complète est prise par decide
+  isEstimateAccepted(estimate) {
+    return this.rules.mayApply(estimate.status);
+  }
+
+  // Payload de POST /v2/invoices, montants facturés et contrôle des totaux, sans appel à l'API.
+  // `plan` (voir planBilling) choisit entre facture complète, acompte et solde.
+  buildInvoicePayload(
+    fullEstimate,
+    webhookEstimate,
+    plan = { kind: INVOICE_KINDS.FULL },
+  ) {
+    // Récupérer l'ID du client depuis le webhook
+    const clientId = webhookEstimate.related?.find(
+      (r) => r.type === "company",
+    )?.id;
+
+    if (!clientId) {
+      throw new Error("❌ Client introuvable dans le devis");
+    }
+
+    // Construction de la facture selon la doc Sellsy v2 et le mapping configuré:
+    // champs recopiés depuis le webhook, templates évalués sur le devis complet
+    const finalInvoiceData = {
+      ...buildInvoiceFields(webhookEstimate, this.mapping, {
+        ...fullEstimate,
+        ...webhookEstimate,
+      }),
+      parent: { type: "estimate", id: fullEstimate.id },
+      related: [
+        {
+          id: clientId,
+          type: "company",
+        },
+      ],
+      rows: this.transformEstimateItemsToInvoiceRows(fullEstimate.rows || []),
+    };
+
+    // Remise globale du devis
+    const discount = convertDiscount(fullEstimate.discount);
+    delete finalInvoiceData.discount;
+    const estimateNumber = fullEstimate.number ?? fullEstimate.id;
+    // Contrôle des totaux: sans objet pour un acompte
+    let totalsCheck = null;
+
+    if (plan.kind === INVOICE_KINDS.DEPOSIT) {
+      // Acompte: pourcentage ou montant HT du devis remisé, une ligne par taux de taxe
+      const { percent, amount } = plan.deposit;
+      finalInvoiceData.rows = buildDepositRows(finalInvoiceData.rows, {
+        discount,
+        percent,
+        amount,
+        description:
+          amount != null
+            ? `Acompte de ${amount} HT sur le devis ${estimateNumber}`
+            : `Acompte de ${percent}% sur le devis ${estimateNumber}`,
+      });
+    } else {
+      if (discount) finalInvoiceData.discount = discount;
+
+      // Solde: toutes les lignes du devis moins le déjà facturé
+      if (plan.kind === INVOICE_KINDS.BALANCE) {
+        const invoiceIds = plan.billed.invoices
+          .map((invoice) => invoice.invoiceId)
+          .join(", ");
+        finalInvoiceData.rows.push(
+          ...buildDeductionRows(plan.billed.bases, {
+            discount,
+            description: `Déjà facturé sur le devis ${estimateNumber} (factures ${invoiceIds})`,
+          }),
+        );
+      }
+
+      totalsCheck = this.checkInvoiceTotals(
+        finalInvoiceData,
+        fullEstimate,
+        plan.billed,
+      );
+    }
+
+    const billing = this.billingOf(
+      finalInvoiceData,
+      plan.kind,
+      collectTaxRates(fullEstimate),
+    );
+
+    return { payload: finalInvoiceData, billing, totalsCheck };
+  }
+
+  // buildInvoicePayload puis validation par le schéma de POST /v2/invoices.
+  // Lève InvalidInvoicePayloadError (erreurs par champ, non retryable), ou
+  // InvoiceAmountError (non retryable) si le devis serait facturé au-delà de son montant.
+  prepareInvoicePayload(fullEstimate, webhookEstimate, plan) {
+    const prepared = this.buildInvoicePayload(
+      fullEstimate,
+      webhookEstimate,
+      plan,
+    );
+    validateInvoicePayload(prepared.payload);
+
+    const excess = this.overInvoicing(
+      fullEstimate,
+      prepared.billing,
+      plan.billed,
+    );
+    if (excess.length > 0) {
+      throw new InvoiceAmountError(
+        `Devis ${fullEstimate.id} facturé au-delà de son montant: ${excess
+          .map(
+            ({ field, estimate, invoiced }) =>
+              `${field} ${invoiced} > ${estimate}`,
+          )
+          .join(", ")}`,
+      );
+    }
+    return prepared;
+  }
+
+  // Déjà facturé plus la facture à émettre, au-delà du montant du devis (HT, TTC)
+  overInvoicing(fullEstimate, billing, billed = null, tolerance = 0.01) {
+    return [
+      [
+        "total_excl_tax",
+        this.estimateTotalExclTax(fullEstimate),
+        billing.totalExclTax,
+        billed?.totalExclTax ?? 0,
+      ],
+      [
+        "total_incl_tax",
+        Number(fullEstimate.amounts?.total_incl_tax),
+        billing.totalInclTax,
+        billed?.totalInclTax ?? 0,
+      ],
+    ]
+      .filter(([, estimate]) => Number.isFinite(estimate))
+      .map(([field, estimate, invoice, done]) => ({
+        field,
+        estimate,
+        invoiced: round2(done + invoice),
+      }))
+      .filter(({ estimate, invoiced }) => invoiced - estimate > tolerance);
+  }
+
+  // Retourne la facture créée, la payload envoyée à l'API et les montants facturés.
+  // En cas d'échec du POST, l'erreur porte la payload (error.invoicePayload).
+  // `prepared`: payload déjà construite et validée par prepareInvoicePayload.
+  async createInvoiceFromEstimate(
+    fullEstimate,
+    webhookEstimate,
+    plan = { kind: INVOICE_KINDS.FULL },
+    prepared = null,
+  ) {
+    this.logger.info(`🎯 Création facture depuis devis ${fullEstimate.id}...`);
+
+    const { payload: finalInvoiceData, billing } =
+      prepared ??
+      this.prepareInvoicePayload(fullEstimate, webhookEstimate, plan);
+
+    // Payload complète en debug uniquement: elle contient les données du client
+    this.logger.debug(
+      { invoicePayload: finalInvoiceData },
+      "📦 Payload envoyé à l'API Sellsy",
+    );
+
+    try {
+      this.logger.info("🚀 Envoi vers API Sellsy...");
+
+      const invoice = await this.sellsyApi.makeApiCall("/v2/invoices", {
+        method: "POST",
+        body: JSON.stringify(finalInvoiceData),
+      });
+
+      this.logger.info(`✅ Facture créée avec succès! ID: ${invoice.id}`);
+      return { invoice, payload: finalInvoiceData, billing };
+    } catch (error) {
+      this.logger.error("❌ Erreur lors de la création de la facture");
+      error.invoicePayload = finalInvoiceData;
+      throw error;
+    }
+  }
+
+  transformEstimateItemsToInvoiceRows(estimateRows) {
+    if (!Array.isArray(estimateRows) || estimateRows.length === 0) {
+      this.logger.warn("⚠️ Aucune ligne trouvée dans le devis");
+      return [];
+    }
+
+    this.logger.info(`📋 Transformation de ${estimateRows.length} lignes...`);
+
+    const invoiceRows = [];
+
+    estimateRows.forEach((row, index) => {
+      const position = index + 1;
+
+      // Option non retenue par le client: elle ne fait pas partie du montant du devis
+      if (row.is_optional) {
+        this.logger.info(`➖ Ligne ${position} optionnelle ignorée`);
+        return;
+      }
+
+      // Conversion selon le type de ligne Sellsy, puis règles du mapping
+      const invoiceRow = applyRowMapping(
+        convertEstimateRow(row, position, this.logger),
+        row,
+        position,
+        this.mapping.rows,
+      );
+
+      this.logger.debug(
+        `➡️ Ligne ${position} (${invoiceRow.type}): ${invoiceRow.description ?? invoiceRow.text ?? ""}`,
+      );
+      invoiceRows.push(invoiceRow);
+    });
+
+    return invoiceRows;
+  }
+
+  // Vérifie que les lignes converties redonnent les montants du devis,
+  // déduction faite du déjà facturé pour un solde
+  checkInvoiceTotals(invoiceData, fullEstimate, billed = null) {
+    const totals = computeRowsTotals(invoiceData.rows, {
+      taxRates: collectTaxRates(fullEstimate),
+      discount: invoiceData.discount,
+    });
+
+    const amounts = { ...fullEstimate.amounts };
+    if (billed?.invoices.length) {
+      for (const [field, done] of [
+        ["total_excl_tax", billed.totalExclTax],
+        ["total_incl_tax", billed.totalInclTax],
+      ]) {
+        if (amounts[field] != null) {
+          amounts[field] = round2(Number(amounts[field]) - done);
+        }
+      }
+    }
+
+    const check = compareWithEstimateAmounts(totals, amounts);
+
+    if (!check.matches) {
+      this.logger.warn(
+        { estimateId: fullEstimate.id, differences: check.differences },
+        `⚠️ Les totaux de la facture ne correspondent pas au devis ${fullEstimate.id}`,
+      );
+    }
+
+    return { totals, ...check };
+  }
+}
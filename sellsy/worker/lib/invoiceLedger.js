@@ -0,0 +1,224 @@
+// --- Registre d'idempotence devis → facture (Redis) ---
+// Chaque devis facturé est enregistré dans Redis pour qu'un webhook rejoué,
+// un doublon docslog ou un retry BullMQ ne crée jamais une seconde facture.
+// Les factures émises (complète, acompte, solde) y sont historisées pour
+// connaître le déjà facturé et ne jamais dépasser le montant du devis.
+// Le verrou par devis est partagé par toutes les répliques du worker.
+import crypto from "crypto";
+
+const LEDGER_PREFIX = "sellsy:invoice-ledger";
+// Renouvelé par tiers de TTL tant que le job s'exécute: une réplique arrêtée
+// brutalement libère le devis après au plus un TTL
+const LOCK_TTL_MS = Number(process.env.INVOICE_LOCK_TTL_MS) || 30 * 1000;
+
+// Libère le verrou uniquement s'il appartient toujours au même propriétaire
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+// Prolonge le verrou uniquement s'il appartient toujours au même propriétaire
+const EXTEND_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+export const LEDGER_STATUS = {
+  PENDING: "pending", // POST /v2/invoices lancé, résultat inconnu
+  PARTIAL: "partial", // Acompte facturé, solde restant dû
+  CREATED: "created", // Devis entièrement facturé (facture complète ou solde)
+};
+
+// Nature d'une facture émise depuis un devis
+export const INVOICE_KINDS = {
+  FULL: "invoice",
+  DEPOSIT: "deposit",
+  BALANCE: "balance",
+};
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+export class InvoiceLedger {
+  constructor(redis, logger, prefix = LEDGER_PREFIX) {
+    this.redis = redis;
+    this.logger = logger;
+    this.prefix = prefix;
+  }
+
+  entryKey(estimateId) {
+    return `${this.prefix}:${estimateId}`;
+  }
+
+  lockKey(estimateId) {
+    return `${this.prefix}:${estimateId}:lock`;
+  }
+
+  invoicesKey(estimateId) {
+    return `${this.prefix}:${estimateId}:invoices`;
+  }
+
+  async get(estimateId) {
+    const entry = await this.redis.hgetall(this.entryKey(estimateId));
+    return entry && entry.status ? entry : null;
+  }
+
+  // Verrou exclusif par devis: un seul job à la fois peut facturer un devis donné
+  async acquire(estimateId, owner, ttlMs = LOCK_TTL_MS) {
+    const result = await this.redis.set(
+      this.lockKey(estimateId),
+      owner,
+      "PX",
+      ttlMs,
+      "NX",
+    );
+    return result === "OK";
+  }
+
+  async release(estimateId, owner) {
+    await this.redis.eval(
+      RELEASE_LOCK_SCRIPT,
+      1,
+      this.lockKey(estimateId),
+      owner,
+    );
+  }
+
+  async extend(estimateId, owner, ttlMs = LOCK_TTL_MS) {
+    const result = await this.redis.eval(
+      EXTEND_LOCK_SCRIPT,
+      1,
+      this.lockKey(estimateId),
+      owner,
+      ttlMs,
+    );
+    return result === 1;
+  }
+
+  /**
+   * Exécute fn sous le verrou du devis, renouvelé jusqu'à la fin de fn.
+   * fn reçoit { held }: false si le verrou a expiré entre-temps (Redis injoignable
+   * plus d'un TTL), auquel cas un autre job a pu le prendre.
+   * @returns {Promise<{ acquired: boolean, result?: * }>} acquired false si un autre job le détient
+   */
+  async withLock(estimateId, fn, ttlMs = LOCK_TTL_MS) {
+    const owner = crypto.randomUUID();
+    if (!(await this.acquire(estimateId, owner, ttlMs))) {
+      return { acquired: false };
+    }
+
+    const lock = { held: true };
+    const renew = setInterval(async () => {
+      try {
+        lock.held = await this.extend(estimateId, owner, ttlMs);
+      } catch (error) {
+        // Le TTL restant couvre encore le job: prochain essai au tour suivant
+        this.logger.warn(
+          `⚠️ Verrou du devis ${estimateId} non renouvelé: ${error.message}`,
+        );
+        return;
+      }
+      if (!lock.held) {
+        clearInterval(renew);
+        this.logger.error(`🔓 Verrou du devis ${estimateId} perdu`);
+      }
+    }, ttlMs / 3);
+    renew.unref();
+
+    try {
+      return { acquired: true, result: await fn(lock) };
+    } finally {
+      clearInterval(renew);
+      await this.release(estimateId, owner);
+    }
+  }
+
+  // `kind` permet de classer la facture si elle doit être réconciliée après un crash
+  async markPending(estimateId, jobId, kind = INVOICE_KINDS.FULL) {
+    await this.redis.hset(this.entryKey(estimateId), {
+      status: LEDGER_STATUS.PENDING,
+      kind,
+      jobId: jobId ?? "",
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Historise une facture émise et met à jour le statut du devis:
+   * un acompte le laisse partiellement facturé, une facture complète ou un solde le clôt.
+   * @param {string|number} estimateId
+   * @param {{ invoiceId: string|number, kind: string, totalExclTax: number,
+   *   totalInclTax: number, bases: Array<{ taxId: *, amount: number }> }} invoice
+   * @param {string} [jobId]
+   */
+  async recordInvoice(estimateId, invoice, jobId) {
+    const status =
+      invoice.kind === INVOICE_KINDS.DEPOSIT
+        ? LEDGER_STATUS.PARTIAL
+        : LEDGER_STATUS.CREATED;
+    const now = new Date().toISOString();
+
+    await this.redis
+      .multi()
+      .rpush(
+        this.invoicesKey(estimateId),
+        JSON.stringify({
+          ...invoice,
+          invoiceId: String(invoice.invoiceId),
+          jobId: jobId ?? "",
+          createdAt: now,
+        }),
+      )
+      .hset(this.entryKey(estimateId), {
+        status,
+        kind: invoice.kind,
+        invoiceId: String(invoice.invoiceId),
+        jobId: jobId ?? "",
+        updatedAt: now,
+      })
+      .exec();
+
+    this.logger.info(
+      `🧾 Registre: devis ${estimateId} → facture ${invoice.invoiceId} (${invoice.kind})`,
+    );
+  }
+
+  // Déjà facturé sur un devis: factures émises, totaux et bases HT par taxe
+  async billedSoFar(estimateId) {
+    const invoices = (
+      await this.redis.lrange(this.invoicesKey(estimateId), 0, -1)
+    ).map((item) => JSON.parse(item));
+
+    const bases = new Map();
+    for (const invoice of invoices) {
+      for (const base of invoice.bases || []) {
+        bases.set(
+          base.taxId,
+          round2((bases.get(base.taxId) || 0) + base.amount),
+        );
+      }
+    }
+
+    return {
+      invoices,
+      totalExclTax: round2(
+        invoices.reduce((sum, invoice) => sum + invoice.totalExclTax, 0),
+      ),
+      totalInclTax: round2(
+        invoices.reduce((sum, invoice) => sum + invoice.totalInclTax, 0),
+      ),
+      bases: [...bases].map(([taxId, amount]) => ({ taxId, amount })),
+    };
+  }
+
+  // Permet de rejouer volontairement une facturation (facture supprimée côté Sellsy...)
+  async forget(estimateId) {
+    await this.redis.del(
+      this.entryKey(estimateId),
+      this.invoicesKey(estimateId),
+    );
+  }
+}
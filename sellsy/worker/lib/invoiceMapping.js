@@ -0,0 +1,271 @@
+// --- Règles déclaratives de conversion devis → facture ---
+// Le mapping par défaut reproduit le comportement historique; un fichier JSON
+// ou un module JS pointé par INVOICE_MAPPING_FILE peut le surcharger par client.
+import { readFile } from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+import { isTemplate, renderFirst } from "./template.js";
+import { AMOUNT_ROW_TYPES } from "./invoiceRows.js";
+
+// Champs toujours construits par le worker, jamais recopiés ni surchargés
+const RESERVED_FIELDS = ["parent", "related", "rows"];
+
+export const DEFAULT_INVOICE_MAPPING = {
+  // Propriétés du devis recopiées telles quelles dans la facture
+  fields: {
+    include: null, // Liste blanche: si renseignée, seuls ces champs sont recopiés
+    exclude: [
+      "id",
+      "created",
+      "fiscal_year_id",
+      "number",
+      "public_link",
+      "pdf_link",
+      "owner",
+      "date",
+      "delivery_address_id",
+      "invoicing_address_id",
+      "amounts",
+      "status", // On retire le statut du devis
+    ],
+  },
+  // Champs calculés par template (le premier candidat complet est retenu)
+  templates: {
+    subject: ["{{subject}}", "Facture - {{number}}"],
+  },
+  // Valeurs appliquées si le champ est absent
+  defaults: {
+    currency: "EUR",
+  },
+  // Valeurs imposées quoi qu'il arrive (ex: délai de paiement)
+  set: {},
+  rows: {
+    description: ["{{description}}", "Ligne {{position}}"],
+    reference: ["{{product.reference}}", "prod_{{product.id}}"],
+    productReferences: {}, // id produit Sellsy → référence sur la facture
+    defaults: {},
+    set: {},
+  },
+};
+
+const SECTIONS = ["fields", "templates", "defaults", "set", "rows"];
+const ROW_KEYS = [
+  "description",
+  "reference",
+  "productReferences",
+  "defaults",
+  "set",
+];
+
+export class InvalidMappingError extends Error {
+  constructor(source, errors) {
+    super(
+      `Mapping de facturation invalide (${source}):\n - ${errors.join("\n - ")}`,
+    );
+    this.name = "InvalidMappingError";
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isStringList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+function validateTemplates(templates, prefix, errors) {
+  if (!isPlainObject(templates)) {
+    errors.push(`${prefix} doit être un objet`);
+    return;
+  }
+  for (const [field, template] of Object.entries(templates)) {
+    if (!isTemplate(template)) {
+      errors.push(
+        `${prefix}.${field} doit être une chaîne ou une liste de chaînes`,
+      );
+    }
+  }
+}
+
+function validateReservedFields(object, prefix, errors) {
+  for (const field of RESERVED_FIELDS) {
+    if (object && field in object) {
+      errors.push(`${prefix}.${field} est construit par le worker`);
+    }
+  }
+}
+
+export function validateInvoiceMapping(mapping) {
+  const errors = [];
+
+  if (!isPlainObject(mapping)) {
+    return ["le mapping doit être un objet"];
+  }
+
+  for (const key of Object.keys(mapping)) {
+    if (!SECTIONS.includes(key)) errors.push(`section inconnue "${key}"`);
+  }
+
+  const { fields, templates, defaults, set, rows } = mapping;
+
+  if (fields !== undefined) {
+    if (!isPlainObject(fields)) {
+      errors.push("fields doit être un objet");
+    } else {
+      if (fields.include != null && !isStringList(fields.include)) {
+        errors.push("fields.include doit être une liste de noms de champs");
+      }
+      if (fields.exclude != null && !isStringList(fields.exclude)) {
+        errors.push("fields.exclude doit être une liste de noms de champs");
+      }
+    }
+  }
+
+  if (templates !== undefined) {
+    validateTemplates(templates, "templates", errors);
+    validateReservedFields(templates, "templates", errors);
+  }
+
+  for (const [name, section] of [
+    ["defaults", defaults],
+    ["set", set],
+  ]) {
+    if (section === undefined) continue;
+    if (!isPlainObject(section)) {
+      errors.push(`${name} doit être un objet`);
+    } else {
+      validateReservedFields(section, name, errors);
+    }
+  }
+
+  if (rows !== undefined) {
+    if (!isPlainObject(rows)) {
+      errors.push("rows doit être un objet");
+    } else {
+      for (const key of Object.keys(rows)) {
+        if (!ROW_KEYS.includes(key)) errors.push(`rows.${key} inconnu`);
+      }
+      for (const key of ["description", "reference"]) {
+        if (rows[key] !== undefined && !isTemplate(rows[key])) {
+          errors.push(
+            `rows.${key} doit être une chaîne ou une liste de chaînes`,
+          );
+        }
+      }
+      for (const key of ["productReferences", "defaults", "set"]) {
+        if (rows[key] !== undefined && !isPlainObject(rows[key])) {
+          errors.push(`rows.${key} doit être un objet`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Fusionne section par section avec le mapping par défaut
+export function mergeInvoiceMapping(custom = {}) {
+  return {
+    fields: { ...DEFAULT_INVOICE_MAPPING.fields, ...custom.fields },
+    templates: { ...DEFAULT_INVOICE_MAPPING.templates, ...custom.templates },
+    defaults: { ...DEFAULT_INVOICE_MAPPING.defaults, ...custom.defaults },
+    set: { ...DEFAULT_INVOICE_MAPPING.set, ...custom.set },
+    rows: { ...DEFAULT_INVOICE_MAPPING.rows, ...custom.rows },
+  };
+}
+
+async function readMappingSource(filePath) {
+  const absolutePath = path.resolve(filePath);
+
+  if (absolutePath.endsWith(".json")) {
+    return JSON.parse(await readFile(absolutePath, "utf8"));
+  }
+
+  const mod = await import(pathToFileURL(absolutePath).href);
+  return mod.default ?? mod.invoiceMapping;
+}
+
+// Chargé au démarrage du worker: une configuration invalide empêche le démarrage
+export async function loadInvoiceMapping(filePath, logger) {
+  if (!filePath) {
+    return mergeInvoiceMapping();
+  }
+
+  const custom = await readMappingSource(filePath);
+  const errors = validateInvoiceMapping(custom);
+
+  if (errors.length > 0) {
+    throw new InvalidMappingError(filePath, errors);
+  }
+
+  logger?.info(`🗺️ Mapping de facturation chargé depuis ${filePath}`);
+  return mergeInvoiceMapping(custom);
+}
+
+function withoutEmptyValues(data) {
+  return Object.fromEntries(
+    Object.entries(data).filter(
+      ([, value]) => value !== null && value !== undefined && value !== "",
+    ),
+  );
+}
+
+// Champs de la facture hors parent / related / rows.
+// `estimate` fournit les champs recopiés, `context` les variables des templates.
+export function buildInvoiceFields(estimate, mapping, context = estimate) {
+  const { include, exclude = [] } = mapping.fields;
+
+  const copied = Object.fromEntries(
+    Object.entries(estimate).filter(
+      ([key]) =>
+        !RESERVED_FIELDS.includes(key) &&
+        !exclude.includes(key) &&
+        (!include || include.includes(key)),
+    ),
+  );
+
+  const rendered = {};
+  for (const [field, template] of Object.entries(mapping.templates)) {
+    const value = renderFirst(template, context);
+    if (value !== null) rendered[field] = value;
+  }
+
+  const fields = withoutEmptyValues({ ...copied, ...rendered });
+
+  return {
+    ...mapping.defaults,
+    ...fields,
+    ...mapping.set,
+  };
+}
+
+// Applique les règles de ligne sur une ligne de facture déjà convertie.
+// Les lignes sans montant (commentaire, titre, sous-total...) sont laissées intactes.
+export function applyRowMapping(
+  invoiceRow,
+  estimateRow,
+  position,
+  rowsMapping,
+) {
+  if (!AMOUNT_ROW_TYPES.includes(invoiceRow.type)) return invoiceRow;
+
+  const context = { ...estimateRow, position };
+  const mapped = { ...rowsMapping.defaults, ...invoiceRow };
+
+  if (invoiceRow.type === "single") {
+    mapped.description =
+      renderFirst(rowsMapping.description, context) ?? invoiceRow.description;
+
+    // Les lignes catalogue gardent leur lien produit: la référence ne concerne que les lignes libres
+    const productId = estimateRow.product?.id;
+    const reference =
+      (productId != null && rowsMapping.productReferences[productId]) ||
+      renderFirst(rowsMapping.reference, context);
+
+    if (reference) {
+      mapped.reference = reference;
+    }
+  }
+
+  return { ...mapped, ...rowsMapping.set };
+}
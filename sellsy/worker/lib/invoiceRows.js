@@ -0,0 +1,314 @@
+// --- Conversion des lignes de devis Sellsy v2 en lignes de facture ---
+// Chaque type de ligne Sellsy a son convertisseur; les totaux recalculés depuis
+// les lignes converties permettent de vérifier qu'ils correspondent au devis.
+
+// Lignes porteuses d'un montant (les autres sont purement visuelles)
+export const AMOUNT_ROW_TYPES = ["single", "catalog", "shipping", "packaging"];
+
+const TEXT_ROW_TYPES = ["comment", "title"];
+const LAYOUT_ROW_TYPES = ["sub-total", "break-page", "break-line"];
+
+// Montants impossibles à facturer (acompte sans base...).
+// isRetryable false: lu par sellsyBackoffStrategy, le job part en DLQ sans retry
+export class InvoiceAmountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvoiceAmountError";
+    this.isRetryable = false;
+  }
+}
+
+const isSet = (value) => value !== null && value !== undefined && value !== "";
+
+function compact(data) {
+  return Object.fromEntries(
+    Object.entries(data).filter(([, value]) => isSet(value)),
+  );
+}
+
+function toDecimalString(value, fallback) {
+  return isSet(value) ? value.toString() : fallback;
+}
+
+// Lecture tolérante: API v2 (tax_id) et anciens payloads webhook (tax.id, tax1.id)
+export function getRowTaxId(row) {
+  return row.tax_id ?? row.tax?.id ?? row.tax1?.id ?? null;
+}
+
+export function convertDiscount(discount) {
+  if (!discount || typeof discount !== "object") return null;
+
+  const type =
+    discount.type ?? (isSet(discount.percent) ? "percent" : "amount");
+  const value = type === "percent" ? discount.percent : discount.amount;
+
+  if (!isSet(value) || Number(value) === 0) return null;
+
+  return type === "percent"
+    ? { type, percent: value.toString() }
+    : { type, amount: value.toString() };
+}
+
+// Champs communs aux lignes qui portent un montant
+function amountFields(row) {
+  return compact({
+    quantity: toDecimalString(row.quantity, "1"),
+    unit_amount: toDecimalString(row.unit_amount ?? row.unitAmount, "0"),
+    tax_id: getRowTaxId(row),
+    unit_id: row.unit_id ?? row.unit?.id,
+    purchase_amount: toDecimalString(
+      row.purchase_amount ?? row.purchaseAmount,
+      null,
+    ),
+    discount: convertDiscount(row.discount),
+    accounting_code_id: row.accounting_code_id ?? row.accounting_code?.id,
+    analytic_code: row.analytic_code,
+  });
+}
+
+const ROW_CONVERTERS = {
+  single: (row, position) => ({
+    type: "single",
+    ...compact({ reference: row.reference }),
+    description: row.description || `Ligne ${position}`,
+    ...amountFields(row),
+  }),
+
+  // Ligne liée au catalogue: on conserve le lien produit/service
+  catalog: (row) => ({
+    type: "catalog",
+    related: compact({
+      id: row.related?.id ?? row.product?.id,
+      type: row.related?.type ?? "product",
+      declination_id: row.related?.declination_id ?? row.declination_id,
+    }),
+    ...compact({ reference: row.reference, description: row.description }),
+    ...amountFields(row),
+  }),
+
+  shipping: (row) => ({
+    type: "shipping",
+    ...compact({
+      shipping_id: row.shipping_id ?? row.shipping?.id,
+      description: row.description,
+    }),
+    ...amountFields(row),
+  }),
+
+  packaging: (row) => ({
+    type: "packaging",
+    ...compact({
+      packaging_id: row.packaging_id ?? row.packaging?.id,
+      description: row.description,
+    }),
+    ...amountFields(row),
+  }),
+};
+
+for (const type of TEXT_ROW_TYPES) {
+  ROW_CONVERTERS[type] = (row) => ({
+    type,
+    text: row.text ?? row.description ?? "",
+  });
+}
+
+for (const type of LAYOUT_ROW_TYPES) {
+  ROW_CONVERTERS[type] = () => ({ type });
+}
+
+export function convertEstimateRow(row, position, logger) {
+  const converter = ROW_CONVERTERS[row.type];
+
+  if (converter) {
+    return converter(row, position);
+  }
+
+  // Type inconnu (ou absent dans un ancien payload): ligne libre, comme historiquement
+  logger?.warn(
+    `⚠️ Type de ligne "${row.type}" non géré, conversion en ligne libre (ligne ${position})`,
+  );
+  return ROW_CONVERTERS.single(row, position);
+}
+
+// --- Calcul et vérification des totaux ---
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Taux de TVA connus: id taxe → taux (%), lus sur les lignes et les montants du devis
+export function collectTaxRates(estimate) {
+  const rates = {};
+
+  for (const tax of estimate.amounts?.taxes || estimate.taxes || []) {
+    if (tax?.id != null && isSet(tax.rate)) rates[tax.id] = Number(tax.rate);
+  }
+
+  for (const row of estimate.rows || []) {
+    const id = getRowTaxId(row);
+    const rate = row.tax?.rate ?? row.tax_rate ?? row.tax1?.rate;
+    if (id != null && isSet(rate)) rates[id] = Number(rate);
+  }
+
+  return rates;
+}
+
+function rowNetAmount(row) {
+  const raw = Number(row.quantity) * Number(row.unit_amount);
+  const discount = row.discount;
+
+  if (!discount) return raw;
+  if (discount.type === "percent") {
+    return raw * (1 - Number(discount.percent) / 100);
+  }
+  return raw - Number(discount.amount);
+}
+
+// Bases HT par taxe avant et après remise globale (répartie au prorata)
+function taxBases(rows, discount) {
+  const bases = new Map(); // id taxe → base HT
+
+  for (const row of rows) {
+    if (!AMOUNT_ROW_TYPES.includes(row.type)) continue;
+    const taxId = row.tax_id ?? null;
+    bases.set(taxId, (bases.get(taxId) || 0) + rowNetAmount(row));
+  }
+
+  const totalRawExclTax = [...bases.values()].reduce((sum, v) => sum + v, 0);
+
+  let ratio = 1;
+  if (discount?.type === "percent") {
+    ratio = 1 - Number(discount.percent) / 100;
+  } else if (discount?.type === "amount" && totalRawExclTax !== 0) {
+    ratio = (totalRawExclTax - Number(discount.amount)) / totalRawExclTax;
+  }
+
+  return { bases, totalRawExclTax, ratio };
+}
+
+// Totaux d'un ensemble de lignes de facture, remise globale incluse
+export function computeRowsTotals(
+  rows,
+  { taxRates = {}, discount = null } = {},
+) {
+  const { bases, totalRawExclTax, ratio } = taxBases(rows, discount);
+
+  const taxes = [];
+  let totalTax = 0;
+  for (const [taxId, base] of bases) {
+    const rate = taxId == null ? 0 : taxRates[taxId];
+    const amount = round2(base * ratio * ((rate ?? 0) / 100));
+    totalTax += amount;
+    taxes.push({ id: taxId, rate: rate ?? null, amount });
+  }
+
+  const totalExclTax = round2(totalRawExclTax * ratio);
+
+  return {
+    total_raw_excl_tax: round2(totalRawExclTax),
+    total_excl_tax: totalExclTax,
+    total_incl_tax: round2(totalExclTax + totalTax),
+    taxes,
+    // Une taxe sans taux connu rend le TTC invérifiable
+    missingTaxRates: taxes.filter((tax) => tax.id != null && tax.rate == null)
+      .length,
+  };
+}
+
+// --- Facturation partielle (acompte puis solde) ---
+
+// Bases HT remisées par taxe: [{ taxId, amount }], ce qu'une facture facture réellement
+export function computeTaxBases(rows, discount = null) {
+  const { bases, ratio } = taxBases(rows, discount);
+  return [...bases]
+    .filter(([, base]) => base !== 0)
+    .map(([taxId, base]) => ({ taxId, amount: round2(base * ratio) }));
+}
+
+// Lignes d'une facture d'acompte: une ligne libre par taux de taxe, soit `percent` %
+// des bases remisées, soit un montant HT fixe (`amount`) réparti au prorata des bases.
+// Lève InvoiceAmountError si le devis n'a aucune base HT positive à répartir.
+export function buildDepositRows(
+  rows,
+  { discount = null, percent, amount, description },
+) {
+  const bases = computeTaxBases(rows, discount);
+  const total = bases.reduce((sum, base) => sum + base.amount, 0);
+
+  // Sans base, le prorata d'un montant fixe diviserait par zéro (lignes NaN)
+  if (!(round2(total) > 0)) {
+    throw new InvoiceAmountError(
+      `Acompte impossible: base HT remisée du devis nulle ou négative (${round2(total)})`,
+    );
+  }
+  const share = amount != null ? Number(amount) / total : percent / 100;
+
+  const depositRows = bases.map((base) => ({
+    type: "single",
+    description,
+    ...compact({
+      quantity: "1",
+      unit_amount: round2(base.amount * share),
+      tax_id: base.taxId,
+    }),
+  }));
+
+  // Montant fixe: l'arrondi au centime est reporté sur la plus grosse ligne
+  if (amount != null && depositRows.length > 0) {
+    const residual = round2(
+      Number(amount) - depositRows.reduce((sum, r) => sum + r.unit_amount, 0),
+    );
+    const largest = depositRows.reduce((a, b) =>
+      b.unit_amount > a.unit_amount ? b : a,
+    );
+    largest.unit_amount = round2(largest.unit_amount + residual);
+  }
+
+  return depositRows.map((row) => ({
+    ...row,
+    unit_amount: row.unit_amount.toFixed(2),
+  }));
+}
+
+// Lignes de déduction d'une facture de solde: une ligne négative par taux de taxe
+// déjà facturé. Une remise globale en pourcentage s'appliquant aussi à ces lignes,
+// leur montant est majoré d'autant pour déduire exactement le déjà facturé.
+export function buildDeductionRows(
+  billedBases,
+  { discount = null, description },
+) {
+  const ratio =
+    discount?.type === "percent" ? 1 - Number(discount.percent) / 100 : 1;
+
+  return billedBases
+    .filter((base) => base.amount !== 0)
+    .map((base) => ({
+      type: "single",
+      description,
+      ...compact({
+        quantity: "1",
+        unit_amount: (-round2(base.amount / ratio)).toFixed(2),
+        tax_id: base.taxId,
+      }),
+    }));
+}
+
+// Compare les totaux recalculés aux montants du devis (tolérance: 1 centime)
+export function compareWithEstimateAmounts(
+  totals,
+  amounts = {},
+  tolerance = 0.01,
+) {
+  const fields = ["total_excl_tax"];
+  if (!totals.missingTaxRates) fields.push("total_incl_tax");
+
+  const differences = fields
+    .filter((field) => isSet(amounts?.[field]))
+    .map((field) => ({
+      field,
+      estimate: Number(amounts[field]),
+      invoice: totals[field],
+      delta: round2(totals[field] - Number(amounts[field])),
+    }))
+    .filter(({ delta }) => Math.abs(delta) > tolerance);
+
+  return { matches: differences.length === 0, differences };
+}
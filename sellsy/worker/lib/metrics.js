@@ -0,0 +1,103 @@
+// --- Métriques Prometheus du worker (GET /metrics sur le port 3001) ---
+import client from "prom-client";
+
+const JOB_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const API_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Regroupe les identifiants pour borner la cardinalité: /v2/estimates/123 → /v2/estimates/:id
+export function normalizeEndpoint(url) {
+  const path = url.replace(/^https?:\/\/[^/]+/, "").split("?")[0];
+  return path.replace(/\/\d+(?=\/|$)/g, "/:id");
+}
+
+export class WorkerMetrics {
+  constructor(registry = new client.Registry()) {
+    this.registry = registry;
+    client.collectDefaultMetrics({ register: registry });
+
+    this.jobDuration = new client.Histogram({
+      name: "sellsy_job_duration_seconds",
+      help: "Durée de traitement des jobs webhook",
+      labelNames: ["tenant", "status"],
+      buckets: JOB_BUCKETS,
+      registers: [registry],
+    });
+
+    this.jobRetries = new client.Counter({
+      name: "sellsy_job_retries_total",
+      help: "Tentatives échouées reprogrammées par BullMQ",
+      labelNames: ["tenant"],
+      registers: [registry],
+    });
+
+    this.deadLetters = new client.Counter({
+      name: "sellsy_job_dead_letters_total",
+      help: "Jobs définitivement échoués copiés dans la dead-letter queue",
+      labelNames: ["tenant"],
+      registers: [registry],
+    });
+
+    this.apiCallDuration = new client.Histogram({
+      name: "sellsy_api_request_duration_seconds",
+      help: "Latence des appels à l'API Sellsy, par code de réponse",
+      labelNames: ["tenant", "method", "endpoint", "status_code"],
+      buckets: API_BUCKETS,
+      registers: [registry],
+    });
+
+    this.tokenRefreshes = new client.Counter({
+      name: "sellsy_token_refreshes_total",
+      help: "Rafraîchissements du token OAuth Sellsy",
+      labelNames: ["tenant", "outcome"],
+      registers: [registry],
+    });
+
+    this.notifications = new client.Counter({
+      name: "sellsy_notifications_total",
+      help: "Notifications envoyées par canal (sent ou error)",
+      labelNames: ["channel", "outcome"],
+      registers: [registry],
+    });
+
+    this.deliveries = new client.Counter({
+      name: "sellsy_fanout_deliveries_total",
+      help: "Livraisons d'événements aux abonnés (delivered, retry ou failed)",
+      labelNames: ["tenant", "subscriber", "outcome"],
+      registers: [registry],
+    });
+  }
+
+  // Durée de la tentative: status = completed, retry (reprogrammé) ou failed (définitif)
+  observeJob(tenant, job, status) {
+    if (!job?.processedOn) return;
+    this.jobDuration.observe(
+      { tenant, status },
+      ((job.finishedOn ?? Date.now()) - job.processedOn) / 1000,
+    );
+  }
+
+  // Vue d'un tenant injectée dans son SellsyApiClient
+  forTenant(tenant) {
+    return {
+      observeApiCall: (method, url, statusCode, seconds) =>
+        this.apiCallDuration.observe(
+          {
+            tenant,
+            method,
+            endpoint: normalizeEndpoint(url),
+            status_code: statusCode,
+          },
+          seconds,
+        ),
+      tokenRefreshed: (outcome) => this.tokenRefreshes.inc({ tenant, outcome }),
+    };
+  }
+
+  async render() {
+    return this.registry.metrics();
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+}
@@ -0,0 +1,282 @@
+// --- Notifications après traitement d'un événement ---
+// Les routes de NOTIFICATIONS_FILE associent un événement (décision du handler,
+// type Sellsy, issue, tenant) à des canaux; le message est rendu depuis un template.
+import { readFile } from "fs/promises";
+import path from "path";
+import { auditRecordFor } from "./auditTrail.js";
+import { CHANNEL_TYPES, createChannel } from "./notificationChannels.js";
+import { isTemplate, renderFirst } from "./template.js";
+
+// Templates par défaut; la clé est route.template, sinon job_failed / job_rejected / décision
+export const DEFAULT_TEMPLATES = {
+  invoice_created: {
+    subject: "✅ Facture {{invoiceId}} créée depuis le devis {{estimateId}}",
+    text: [
+      "La facture {{invoiceId}} ({{invoiceStatus}}) a été créée automatiquement depuis le devis {{estimateId}} (tenant {{tenant}}, règle {{rule}}).",
+      "La facture {{invoiceId}} a été créée automatiquement depuis le devis {{estimateId}} (tenant {{tenant}}).",
+    ],
+  },
+  deposit_invoice_created: {
+    subject:
+      "✅ Facture d'acompte {{invoiceId}} créée pour le devis {{estimateId}}",
+    text: "La facture d'acompte {{invoiceId}} a été créée depuis le devis {{estimateId}} (tenant {{tenant}}). Déjà facturé : {{billedExclTax}} HT.",
+  },
+  balance_invoice_created: {
+    subject:
+      "✅ Facture de solde {{invoiceId}} créée pour le devis {{estimateId}}",
+    text: "La facture de solde {{invoiceId}} a été créée depuis le devis {{estimateId}} (tenant {{tenant}}). Le devis est entièrement facturé ({{billedExclTax}} HT).",
+  },
+  manual_review: {
+    subject: "👀 Devis {{estimateId}} à vérifier",
+    text: "Le devis {{estimateId}} (tenant {{tenant}}) relève de la règle {{rule}} : aucune facture n'a été créée, une revue manuelle est nécessaire.",
+  },
+  job_rejected: {
+    subject: [
+      "🚫 Événement rejeté par Sellsy pour le devis {{estimateId}}",
+      "🚫 Événement {{eventType}} rejeté par Sellsy",
+    ],
+    text: "Le job {{jobId}} ({{eventType}}, tenant {{tenant}}) a été abandonné sur une erreur non retryable : {{error}}",
+  },
+  job_failed: {
+    subject: [
+      "💥 Échec définitif pour le devis {{estimateId}}",
+      "💥 Échec définitif du job {{jobId}}",
+    ],
+    text: "Le job {{jobId}} ({{eventType}}, tenant {{tenant}}) a échoué après {{attempts}} tentatives et a été placé en dead-letter queue : {{error}}",
+  },
+  default: {
+    subject: "Sellsy : {{decision}} ({{eventType}})",
+    text: "Job {{jobId}} du tenant {{tenant}} : {{decision}}, issue {{outcome}}.",
+  },
+};
+
+const ROUTE_FILTERS = ["events", "eventTypes", "outcomes", "tenants"];
+
+export class InvalidNotificationsError extends Error {
+  constructor(source, errors) {
+    super(
+      `Configuration des notifications invalide (${source}):\n - ${errors.join("\n - ")}`,
+    );
+    this.name = "InvalidNotificationsError";
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isStringList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+export function validateNotificationsConfig(config) {
+  if (!isPlainObject(config)) return ["la configuration doit être un objet"];
+
+  const errors = [];
+  const channels = isPlainObject(config.channels) ? config.channels : {};
+  const templates = { ...DEFAULT_TEMPLATES, ...config.templates };
+
+  if (!isPlainObject(config.channels)) {
+    errors.push("channels doit être un objet nom → canal");
+  }
+
+  for (const [name, channel] of Object.entries(channels)) {
+    if (!CHANNEL_TYPES[channel?.type]) {
+      errors.push(
+        `channels.${name}.type attendu: ${Object.keys(CHANNEL_TYPES).join(", ")}`,
+      );
+    } else if (channel.type === "smtp" && !channel.to) {
+      errors.push(`channels.${name}.to: destinataire(s) requis`);
+    } else if (channel.type !== "smtp" && !channel.url) {
+      errors.push(`channels.${name}.url requise`);
+    }
+  }
+
+  for (const [name, template] of Object.entries(config.templates || {})) {
+    if (!isPlainObject(template)) {
+      errors.push(`templates.${name} doit être un objet { subject, text }`);
+      continue;
+    }
+    for (const field of ["subject", "text"]) {
+      if (template[field] !== undefined && !isTemplate(template[field])) {
+        errors.push(
+          `templates.${name}.${field} doit être une chaîne ou une liste de chaînes`,
+        );
+      }
+    }
+  }
+
+  if (!Array.isArray(config.routes)) {
+    errors.push("routes doit être une liste");
+  } else {
+    config.routes.forEach((route, index) => {
+      const prefix = `routes[${index}]`;
+      if (!isStringList(route?.channels) || route.channels.length === 0) {
+        errors.push(`${prefix}.channels doit lister au moins un canal`);
+      } else {
+        for (const channel of route.channels) {
+          if (!channels[channel]) {
+            errors.push(`${prefix}.channels: canal inconnu "${channel}"`);
+          }
+        }
+      }
+      for (const filter of ROUTE_FILTERS) {
+        if (route?.[filter] !== undefined && !isStringList(route[filter])) {
+          errors.push(`${prefix}.${filter} doit être une liste de chaînes`);
+        }
+      }
+      if (route?.template !== undefined && !templates[route.template]) {
+        errors.push(`${prefix}.template: template inconnu "${route.template}"`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Notification d'un job terminé: ligne d'audit (sans payload) + détails du handler
+export function notificationFor(tenantId, job, outcome, error = null) {
+  const { invoicePayload, ...record } = auditRecordFor(
+    tenantId,
+    job,
+    outcome,
+    error,
+  );
+  const result = job.returnvalue?.results?.find((item) => item?.action) ?? {};
+
+  return {
+    ...record,
+    rule: result.rule,
+    reason: result.reason,
+    invoiceStatus: result.invoiceStatus,
+    billedExclTax: result.billedExclTax,
+    maxAttempts: job.opts?.attempts,
+  };
+}
+
+const matchesFilter = (expected, values) =>
+  !expected || values.some((value) => expected.includes(value));
+
+export class Notifier {
+  constructor(config, logger, { metrics = null, env = process.env } = {}) {
+    this.logger = logger;
+    this.metrics = metrics;
+    this.routes = config.routes;
+    this.templates = { ...DEFAULT_TEMPLATES, ...config.templates };
+    this.channels = new Map(
+      Object.entries(config.channels).map(([name, channel]) => [
+        name,
+        createChannel(channel, env),
+      ]),
+    );
+  }
+
+  // Canaux à prévenir (dédoublonnés) et template retenu par la première route concernée
+  route(notification) {
+    const decisions = String(notification.decision).split(",");
+    const targets = new Map();
+
+    for (const route of this.routes) {
+      if (
+        matchesFilter(route.events, decisions) &&
+        matchesFilter(route.eventTypes, [notification.eventType]) &&
+        matchesFilter(route.outcomes, [notification.outcome]) &&
+        matchesFilter(route.tenants, [notification.tenant])
+      ) {
+        for (const channel of route.channels) {
+          if (!targets.has(channel)) targets.set(channel, route.template);
+        }
+      }
+    }
+
+    return targets;
+  }
+
+  templateName(notification) {
+    if (notification.outcome === "failed") return "job_failed";
+    if (notification.outcome === "rejected") return "job_rejected";
+    const decision = String(notification.decision).split(",")[0];
+    return this.templates[decision] ? decision : "default";
+  }
+
+  render(notification, templateName = this.templateName(notification)) {
+    const template = this.templates[templateName] ?? this.templates.default;
+    const field = (name) =>
+      renderFirst(template[name] ?? [], notification) ??
+      renderFirst(DEFAULT_TEMPLATES.default[name], notification);
+
+    return { subject: field("subject"), text: field("text") };
+  }
+
+  // N'échoue jamais: chaque canal est tenté, les erreurs sont journalisées.
+  // `channels` force les canaux au lieu du routage (envoi de test).
+  async notify(notification, { channels } = {}) {
+    const targets = channels
+      ? new Map(channels.map((name) => [name, undefined]))
+      : this.route(notification);
+
+    return Promise.all(
+      [...targets].map(async ([name, templateName]) => {
+        const message = {
+          ...this.render(notification, templateName),
+          notification,
+        };
+
+        try {
+          await this.channels.get(name).send(message);
+          this.metrics?.notifications.inc({ channel: name, outcome: "sent" });
+          this.logger.info(`📣 Notification "${message.subject}" → ${name}`);
+          return { channel: name, sent: true };
+        } catch (error) {
+          this.metrics?.notifications.inc({ channel: name, outcome: "error" });
+          this.logger.error(
+            { channel: name, jobId: notification.jobId, error: error.message },
+            `⚠️ Notification non remise sur le canal ${name}`,
+          );
+          return { channel: name, sent: false, error: error.message };
+        }
+      }),
+    );
+  }
+}
+
+// Notification fictive pour tester les canaux depuis l'administration
+export function sampleNotification(
+  decision = "invoice_created",
+  tenant = "default",
+) {
+  const failed = decision === "job_failed";
+  return {
+    tenant,
+    jobId: "test",
+    receivedAt: new Date().toISOString(),
+    eventType: "estimate.docslog",
+    estimateId: "1001",
+    decision: failed ? "error" : decision,
+    invoiceId: failed ? null : "1",
+    outcome: failed ? "failed" : "success",
+    error: failed ? "Erreur de test" : null,
+    attempts: failed ? 10 : 1,
+    recordedAt: new Date().toISOString(),
+    rule: "test",
+    invoiceStatus: "draft",
+    billedExclTax: 0,
+  };
+}
+
+// Sans NOTIFICATIONS_FILE, les notifications sont désactivées (null).
+// Une configuration invalide empêche le démarrage du worker.
+export async function loadNotifier(filePath, logger, options = {}) {
+  if (!filePath) return null;
+
+  const config = JSON.parse(await readFile(path.resolve(filePath), "utf8"));
+  const errors = validateNotificationsConfig(config);
+
+  if (errors.length > 0) {
+    throw new InvalidNotificationsError(filePath, errors);
+  }
+
+  logger.info(
+    `📣 Notifications: ${Object.keys(config.channels).length} canal(aux), ${config.routes.length} route(s) (${filePath})`,
+  );
+  return new Notifier(config, logger, options);
+}
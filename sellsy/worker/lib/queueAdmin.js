@@ -0,0 +1,164 @@
+// --- Opérations d'administration sur la file des webhooks d'un tenant ---
+// Liste et inspection des jobs, pause/reprise de la file, relance et suppression,
+// recherche par devis avec la facture produite (résultat du job + registre)
+// et le déjà facturé (acomptes, solde).
+
+import { eventOf, metaOf } from "../../lib/eventEnvelope.js";
+import { parseTraceparent } from "../../lib/tracing.js";
+
+export const JOB_STATES = [
+  "waiting",
+  "active",
+  "delayed",
+  "completed",
+  "failed",
+];
+
+const SEARCH_SCAN_LIMIT = 1000; // jobs parcourus par état lors d'une recherche
+
+// Devis concerné par un événement Sellsy ou une enveloppe (null pour les autres objets)
+export function estimateIdOf(data) {
+  const event = eventOf(data);
+  if (event?.relatedtype !== "estimate") return null;
+  const id = event.relatedobject?.id ?? event.relatedid;
+  return id != null ? String(id) : null;
+}
+
+// Trace W3C de l'événement, créée à la réception par le listener
+export function traceIdOf(data) {
+  return parseTraceparent(metaOf(data)?.traceparent)?.traceId ?? null;
+}
+
+// Facture créée par le handler de facturation, d'après la valeur de retour du job
+export function invoiceIdOf(job) {
+  const result = job.returnvalue?.results?.find((item) => item?.invoiceId);
+  return result ? String(result.invoiceId) : null;
+}
+
+export class QueueAdmin {
+  constructor(tenant) {
+    this.tenant = tenant;
+    this.queue = tenant.queue;
+    this.invoiceLedger = tenant.invoiceLedger;
+  }
+
+  async overview() {
+    const [counts, paused] = await Promise.all([
+      this.queue.getJobCounts(...JOB_STATES),
+      this.queue.isPaused(),
+    ]);
+    return { tenant: this.tenant.id, queue: this.queue.name, paused, counts };
+  }
+
+  summarize(job, state) {
+    const event = eventOf(job.data);
+    return {
+      id: job.id,
+      name: job.name,
+      state,
+      estimateId: estimateIdOf(job.data),
+      invoiceId: invoiceIdOf(job),
+      eventType: event?.eventType,
+      relatedtype: event?.relatedtype,
+      requestId: metaOf(job.data)?.requestId ?? null,
+      traceId: traceIdOf(job.data),
+      attemptsMade: job.attemptsMade,
+      failedReason: job.failedReason,
+      createdAt: job.timestamp,
+      processedOn: job.processedOn,
+      finishedOn: job.finishedOn,
+    };
+  }
+
+  async listJobs(state, start = 0, end = 49) {
+    const jobs = await this.queue.getJobs([state], start, end, false);
+    return jobs.filter(Boolean).map((job) => this.summarize(job, state));
+  }
+
+  // Détail complet: payload, valeur de retour, erreurs et facture du registre
+  async getJob(id) {
+    const job = await this.queue.getJob(id);
+    if (!job) return null;
+
+    const state = await job.getState();
+    const estimateId = estimateIdOf(job.data);
+    const [ledgerEntry, billing] = estimateId
+      ? await Promise.all([
+          this.invoiceLedger.get(estimateId),
+          this.invoiceLedger.billedSoFar(estimateId),
+        ])
+      : [null, null];
+
+    return {
+      ...this.summarize(job, state),
+      payload: eventOf(job.data),
+      meta: metaOf(job.data),
+      returnvalue: job.returnvalue,
+      stacktrace: job.stacktrace,
+      opts: job.opts,
+      invoice: {
+        invoiceId: invoiceIdOf(job) ?? ledgerEntry?.invoiceId ?? null,
+        ledger: ledgerEntry,
+        billing,
+      },
+    };
+  }
+
+  async pause() {
+    await this.queue.pause();
+    return this.overview();
+  }
+
+  async resume() {
+    await this.queue.resume();
+    return this.overview();
+  }
+
+  // Relance d'un job terminé (échoué, ou complété sans succès); null si introuvable
+  async retry(id) {
+    const job = await this.queue.getJob(id);
+    if (!job) return null;
+
+    const state = await job.getState();
+    if (state !== "failed" && state !== "completed") {
+      return { id, retried: false, state };
+    }
+
+    await job.retry(state);
+    return { id, retried: true, previousState: state };
+  }
+
+  // Un job actif est verrouillé par un worker et ne peut pas être supprimé
+  async remove(id) {
+    const job = await this.queue.getJob(id);
+    if (!job) return null;
+
+    const state = await job.getState();
+    if (state === "active") {
+      return { id, removed: false, state };
+    }
+
+    await job.remove();
+    return { id, removed: true, state };
+  }
+
+  async searchByEstimate(estimateId) {
+    const matches = [];
+
+    for (const state of JOB_STATES) {
+      const jobs = await this.queue.getJobs([state], 0, SEARCH_SCAN_LIMIT - 1);
+      for (const job of jobs.filter(Boolean)) {
+        if (estimateIdOf(job.data) === String(estimateId)) {
+          matches.push(this.summarize(job, state));
+        }
+      }
+    }
+
+    return {
+      estimateId: String(estimateId),
+      ledger: await this.invoiceLedger.get(estimateId),
+      billing: await this.invoiceLedger.billedSoFar(estimateId),
+      jobs: matches,
+    };
+  }
+}
@@ -0,0 +1,123 @@
+// --- Limiteur de débit partagé (token bucket Redis) ---
+// Tous les workers puisent dans le même seau avant chaque appel à l'API Sellsy.
+// Un 429 ou un quota épuisé bloque le seau jusqu'au reset indiqué par Sellsy.
+
+const RATE_LIMIT_PREFIX = "sellsy:ratelimit";
+
+// Retourne 0 si un jeton est accordé, sinon le nombre de ms à attendre.
+// L'horloge Redis (TIME) sert de référence commune à tous les workers.
+const ACQUIRE_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local time = redis.call("TIME")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local blockedUntil = tonumber(redis.call("GET", KEYS[2]) or "0")
+if blockedUntil > now then
+  return blockedUntil - now
+end
+
+local bucket = redis.call("HMGET", KEYS[1], "tokens", "ts")
+local tokens = tonumber(bucket[1]) or capacity
+local ts = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + (now - ts) * refillPerMs)
+
+local wait = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+else
+  wait = math.ceil((1 - tokens) / refillPerMs)
+end
+
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "ts", now)
+redis.call("PEXPIRE", KEYS[1], 60000)
+return wait
+`;
+
+// Bloque le seau pendant ARGV[1] ms sans raccourcir un blocage existant
+const BLOCK_SCRIPT = `
+local time = redis.call("TIME")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local untilTs = now + tonumber(ARGV[1])
+local current = tonumber(redis.call("GET", KEYS[1]) or "0")
+if untilTs > current then
+  redis.call("SET", KEYS[1], untilTs, "PX", ARGV[1])
+end
+return untilTs
+`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Header de reset: secondes restantes, ou timestamp epoch (en secondes) si la valeur est grande
+export function parseRateLimitReset(value, now = Date.now()) {
+  const number = Number(value);
+  if (value === null || value === undefined || !Number.isFinite(number)) {
+    return null;
+  }
+
+  if (number > 1e9) {
+    return Math.max(number * 1000 - now, 0);
+  }
+
+  return Math.max(number * 1000, 0);
+}
+
+export class RedisRateLimiter {
+  constructor(redis, logger, options = {}) {
+    this.redis = redis;
+    this.logger = logger;
+    this.requestsPerSecond = options.requestsPerSecond ?? 5;
+    this.burst = options.burst ?? this.requestsPerSecond;
+    this.prefix = options.prefix ?? RATE_LIMIT_PREFIX;
+  }
+
+  get bucketKey() {
+    return `${this.prefix}:bucket`;
+  }
+
+  get blockKey() {
+    return `${this.prefix}:blocked-until`;
+  }
+
+  // Attend qu'un jeton soit disponible dans le seau partagé
+  async acquire() {
+    for (;;) {
+      const wait = await this.redis.eval(
+        ACQUIRE_SCRIPT,
+        2,
+        this.bucketKey,
+        this.blockKey,
+        this.burst,
+        this.requestsPerSecond / 1000,
+      );
+
+      if (wait <= 0) return;
+
+      this.logger.debug(`⏳ Limite Sellsy: attente de ${wait} ms`);
+      await sleep(wait);
+    }
+  }
+
+  async block(durationMs) {
+    if (!durationMs || durationMs <= 0) return;
+
+    await this.redis.eval(
+      BLOCK_SCRIPT,
+      1,
+      this.blockKey,
+      Math.ceil(durationMs),
+    );
+    this.logger.warn(
+      `🚦 Quota Sellsy atteint: appels suspendus pour ${Math.ceil(durationMs / 1000)} s sur tous les workers`,
+    );
+  }
+
+  // Lit les headers de quota renvoyés par Sellsy et suspend les appels si le quota est épuisé
+  async updateFromHeaders(headers) {
+    const remaining = headers.get("x-ratelimit-remaining");
+    if (remaining === null || Number(remaining) > 0) return;
+
+    const resetMs = parseRateLimitReset(headers.get("x-ratelimit-reset"));
+    await this.block(resetMs ?? 1000);
+  }
+}
@@ -0,0 +1,156 @@
+// --- Validation par schéma JSON des événements et des factures ---
+// L'événement est revalidé avant dispatch (jobs mis en file sans passer par la
+// route du listener: journal, rattrapage, DLQ) et la payload de POST
+// /v2/invoices est validée avant tout appel: une erreur de schéma ne se corrige
+// pas en réessayant, le job part directement en DLQ avec des erreurs par champ.
+import Ajv from "ajv";
+import {
+  SELLSY_WEBHOOK_SCHEMA,
+  formatSchemaErrors,
+} from "../../lib/schemas.js";
+import { AMOUNT_ROW_TYPES } from "./invoiceRows.js";
+
+// Montant ou quantité: chaîne décimale (format de l'API v2) ou nombre
+const DECIMAL = { type: ["string", "number"], pattern: "^-?\\d+(\\.\\d+)?$" };
+const ID = { type: ["integer", "string"], minLength: 1 };
+
+const when = (types, then) => ({
+  if: { properties: { type: { enum: types } } },
+  then,
+});
+
+/** Corps de POST /v2/invoices tel que construit par InvoiceCreator.buildInvoicePayload. */
+export const INVOICE_PAYLOAD_SCHEMA = {
+  $id: "sellsy-invoice-payload",
+  type: "object",
+  required: ["related", "rows"],
+  properties: {
+    subject: { type: "string" },
+    currency: { type: "string", pattern: "^[A-Z]{3}$" },
+    parent: {
+      type: "object",
+      required: ["type", "id"],
+      properties: { type: { const: "estimate" }, id: ID },
+    },
+    related: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["id", "type"],
+        properties: {
+          id: ID,
+          type: { enum: ["company", "individual", "contact"] },
+        },
+      },
+    },
+    discount: {
+      type: "object",
+      required: ["type"],
+      properties: {
+        type: { enum: ["percent", "amount"] },
+        percent: DECIMAL,
+        amount: DECIMAL,
+      },
+      allOf: [
+        when(["percent"], { required: ["percent"] }),
+        when(["amount"], { required: ["amount"] }),
+      ],
+    },
+    rows: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["type"],
+        properties: {
+          type: {
+            enum: [
+              ...AMOUNT_ROW_TYPES,
+              "comment",
+              "title",
+              "sub-total",
+              "break-page",
+              "break-line",
+            ],
+          },
+          quantity: DECIMAL,
+          unit_amount: DECIMAL,
+          purchase_amount: DECIMAL,
+          tax_id: ID,
+          description: { type: "string" },
+          text: { type: "string" },
+        },
+        allOf: [
+          when(AMOUNT_ROW_TYPES, { required: ["quantity", "unit_amount"] }),
+          when(["single"], {
+            required: ["description"],
+            properties: { description: { minLength: 1 } },
+          }),
+          when(["catalog"], {
+            required: ["related"],
+            properties: {
+              related: {
+                type: "object",
+                required: ["id", "type"],
+                properties: {
+                  id: ID,
+                  type: { enum: ["product", "service"] },
+                },
+              },
+            },
+          }),
+          when(["comment", "title"], { required: ["text"] }),
+        ],
+      },
+    },
+  },
+};
+
+// Sans coercition ni valeurs par défaut: on valide ce qui sera réellement envoyé
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateEvent = ajv.compile(SELLSY_WEBHOOK_SCHEMA);
+const validatePayload = ajv.compile(INVOICE_PAYLOAD_SCHEMA);
+
+// isRetryable false: lu par sellsyBackoffStrategy, le job part en DLQ sans retry
+export class InvalidWebhookEventError extends Error {
+  constructor(errors) {
+    super(`Événement Sellsy invalide:\n - ${errors.join("\n - ")}`);
+    this.name = "InvalidWebhookEventError";
+    this.errors = errors;
+    this.isRetryable = false;
+  }
+}
+
+// La payload rejetée suit l'erreur jusqu'à l'audit (error.invoicePayload)
+export class InvalidInvoicePayloadError extends Error {
+  constructor(errors, invoicePayload) {
+    super(`Payload de facture invalide:\n - ${errors.join("\n - ")}`);
+    this.name = "InvalidInvoicePayloadError";
+    this.errors = errors;
+    this.invoicePayload = invoicePayload;
+    this.isRetryable = false;
+  }
+}
+
+// Erreurs par champ ("rows[2].unit_amount: ..."), [] si la payload est conforme
+export function invoicePayloadErrors(payload) {
+  return validatePayload(payload)
+    ? []
+    : formatSchemaErrors(validatePayload.errors);
+}
+
+export function validateInvoicePayload(payload) {
+  const errors = invoicePayloadErrors(payload);
+  if (errors.length > 0) throw new InvalidInvoicePayloadError(errors, payload);
+  return payload;
+}
+
+export function validateWebhookEvent(event) {
+  if (!validateEvent(event)) {
+    throw new InvalidWebhookEventError(
+      formatSchemaErrors(validateEvent.errors),
+    );
+  }
+  return event;
+}
@@ -0,0 +1,473 @@
+import crypto from "crypto";
+import { parseRetryAfter } from "./backoff.js";
+import { parseRateLimitReset } from "./rateLimiter.js";
+import { SPAN_KINDS } from "../../lib/tracing.js";
+import { MemoryTokenStore } from "./tokenStore.js";
+
+// URLs de base surchargeables (mock local, environnement de recette...)
+export const SELLSY_API_URL =
+  process.env.SELLSY_API_URL || "https://api.sellsy.com";
+export const SELLSY_LOGIN_URL =
+  process.env.SELLSY_LOGIN_URL || "https://login.sellsy.com";
+
+const TOKEN_REQUEST_TIMEOUT_MS = 10 * 1000;
+// Seules ces requêtes sont renvoyées par le client après une erreur réseau
+const IDEMPOTENT_METHODS = ["GET", "HEAD"];
+// Attente maximale du token rafraîchi par une autre réplique
+const TOKEN_REFRESH_WAIT_MS = 15 * 1000;
+
+// --- Custom Error pour distinguer les types d'erreurs ---
+export class ApiError extends Error {
+  constructor(message, statusCode, isRetryable = true, retryAfterMs = null) {
+    super(message);
+    this.name = "ApiError";
+    this.statusCode = statusCode;
+    this.isRetryable = isRetryable;
+    this.isMaintenanceError = statusCode === 503;
+    // Délai demandé par Sellsy via le header Retry-After (ms), utilisé par le backoff
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Flux authorization_code sans refresh token valide: les jobs sont retentés
+// jusqu'à ce qu'un administrateur autorise de nouveau l'application
+export class AuthorizationRequiredError extends ApiError {
+  constructor(reason = "aucun refresh token") {
+    super(
+      `Autorisation Sellsy requise (${reason}): POST /admin/api/oauth/<tenant>/authorize`,
+      401,
+    );
+    this.name = "AuthorizationRequiredError";
+  }
+}
+
+// --- Client API Sellsy ---
+export class SellsyApiClient {
+  constructor(
+    clientId,
+    clientSecret,
+    logger,
+    maxRetries = 3,
+    rateLimiter = null,
+    {
+      apiUrl = SELLSY_API_URL,
+      loginUrl = SELLSY_LOGIN_URL,
+      metrics = null, // WorkerMetrics.forTenant(...)
+      tracer = null, // Span CLIENT par appel, header traceparent propagé à Sellsy
+      tokenStore = new MemoryTokenStore(), // Partagé entre répliques si RedisTokenStore
+      authFlow = "client_credentials", // ou "authorization_code" (application privée)
+      refreshToken = null, // Refresh token initial du flux authorization_code
+      redirectUri = null, // URL de retour enregistrée chez Sellsy
+    } = {},
+  ) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.logger = logger;
+    this.maxRetries = maxRetries;
+    this.rateLimiter = rateLimiter;
+    this.apiUrl = apiUrl.replace(/\/+$/, "");
+    this.loginUrl = loginUrl.replace(/\/+$/, "");
+    this.metrics = metrics;
+    this.tracer = tracer;
+    this.tokenStore = tokenStore;
+    this.authFlow = authFlow;
+    this.initialRefreshToken = refreshToken;
+    this.redirectUri = redirectUri;
+    // Copie locale du token partagé, relu dans le stockage à expiration
+    this.token = null;
+    this.tokenExpiry = null;
+    this.refreshPromise = null;
+    this.lastRefresh = null;
+  }
+
+  // Token partagé utilisable: émis pour ce client, pas celui que Sellsy vient
+  // de refuser (401) et valide encore au moins une minute
+  isUsable(record, rejectedToken = null) {
+    return Boolean(
+      record?.accessToken &&
+      record.clientId === this.clientId &&
+      record.accessToken !== rejectedToken &&
+      Date.now() < record.expiresAt - 60000,
+    );
+  }
+
+  // Refresh token du stockage, sinon celui de la configuration
+  refreshTokenOf(record) {
+    return (
+      (record?.clientId === this.clientId && record.refreshToken) ||
+      this.initialRefreshToken
+    );
+  }
+
+  useToken(record) {
+    this.token = record.accessToken;
+    this.tokenExpiry = record.expiresAt;
+    return this.token;
+  }
+
+  async requestToken(grant) {
+    const response = await fetch(`${this.loginUrl}/oauth2/access-tokens`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        ...grant,
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+      }),
+      signal: AbortSignal.timeout(TOKEN_REQUEST_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      let errorCode = null;
+      try {
+        errorCode = (await response.json()).error ?? null;
+      } catch {
+        // Corps non JSON: seul le status est significatif
+      }
+      const error = new Error(
+        `HTTP error! status: ${response.status}${errorCode ? ` (${errorCode})` : ""}`,
+      );
+      error.statusCode = response.status;
+      error.oauthError = errorCode;
+      throw error;
+    }
+
+    const data = await response.json();
+    return {
+      clientId: this.clientId,
+      accessToken: data.access_token,
+      expiresAt: Date.now() + data.expires_in * 1000,
+      refreshToken: data.refresh_token ?? null,
+      obtainedAt: new Date().toISOString(),
+    };
+  }
+
+  // Exécuté sous le verrou de rafraîchissement du stockage
+  async refreshToken(rejectedToken = null) {
+    // Relu sous le verrou: une autre réplique a pu rafraîchir entre-temps
+    const current = await this.tokenStore.get();
+    if (this.isUsable(current, rejectedToken)) return current;
+
+    try {
+      this.logger.info("🔄 Rafraîchissement du token Sellsy...");
+
+      let record;
+      if (this.authFlow === "authorization_code") {
+        const refreshToken = this.refreshTokenOf(current);
+        if (!refreshToken) {
+          throw new AuthorizationRequiredError();
+        }
+
+        record = await this.requestToken({
+          grant_type: "refresh_token",
+          refresh_token: refreshToken,
+        }).catch(async (error) => {
+          // Refresh token révoqué ou expiré: une nouvelle autorisation est nécessaire
+          if (error.oauthError === "invalid_grant") {
+            await this.tokenStore.clear();
+            throw new AuthorizationRequiredError(error.message);
+          }
+          throw error;
+        });
+        // Sellsy peut conserver le refresh token courant
+        record.refreshToken ??= refreshToken;
+      } else {
+        record = await this.requestToken({ grant_type: "client_credentials" });
+      }
+
+      await this.tokenStore.set(record);
+      this.lastRefresh = { at: record.obtainedAt, error: null };
+      this.logger.info("✅ Token Sellsy rafraîchi avec succès");
+      this.metrics?.tokenRefreshed("success");
+      return record;
+    } catch (error) {
+      this.lastRefresh = { at: new Date().toISOString(), error: error.message };
+      this.metrics?.tokenRefreshed("error");
+      this.logger.error("❌ Erreur lors du rafraîchissement du token:", error);
+      throw error;
+    }
+  }
+
+  // Token du stockage partagé, rafraîchi par une seule réplique à la fois.
+  // rejectedToken: token refusé par Sellsy (401), à ne pas réutiliser.
+  async loadToken(rejectedToken) {
+    const deadline = Date.now() + TOKEN_REFRESH_WAIT_MS;
+
+    while (true) {
+      const stored = await this.tokenStore.get();
+      if (this.isUsable(stored, rejectedToken)) return this.useToken(stored);
+
+      const { acquired, result } = await this.tokenStore.withRefreshLock(() =>
+        this.refreshToken(rejectedToken),
+      );
+      if (acquired) return this.useToken(result);
+
+      // Une autre réplique rafraîchit: attente du token qu'elle va publier
+      if (Date.now() >= deadline) {
+        throw new Error(
+          `Token Sellsy toujours en cours de rafraîchissement après ${TOKEN_REFRESH_WAIT_MS} ms`,
+        );
+      }
+      await new Promise((resolve) => setTimeout(resolve, 250));
+    }
+  }
+
+  async getToken(forceRefresh = false) {
+    const isExpired =
+      !this.tokenExpiry || Date.now() >= this.tokenExpiry - 60000;
+
+    if (!this.token || isExpired || forceRefresh) {
+      if (!this.refreshPromise) {
+        const rejectedToken = forceRefresh ? this.token : null;
+        this.refreshPromise = this.loadToken(rejectedToken).finally(() => {
+          this.refreshPromise = null;
+        });
+      }
+      return await this.refreshPromise;
+    }
+
+    return this.token;
+  }
+
+  // --- Flux authorization_code (applications privées Sellsy) ---
+  // Étape 1: URL d'autorisation à ouvrir dans un navigateur, avec PKCE.
+  // Le state identifie la demande au retour sur redirectUri.
+  async authorizationUrl(state) {
+    const codeVerifier = crypto.randomBytes(32).toString("base64url");
+    await this.tokenStore.saveAuthorization(state, codeVerifier);
+
+    const url = new URL(`${this.loginUrl}/oauth2/authorization`);
+    url.search = new URLSearchParams({
+      response_type: "code",
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      state,
+      code_challenge: crypto
+        .createHash("sha256")
+        .update(codeVerifier)
+        .digest("base64url"),
+      code_challenge_method: "S256",
+    });
+    return url.toString();
+  }
+
+  // Étape 2: code reçu sur redirectUri, échangé contre les tokens partagés
+  async completeAuthorization(state, code) {
+    const codeVerifier = await this.tokenStore.takeAuthorization(state);
+    if (!codeVerifier) {
+      throw new Error("Demande d'autorisation inconnue ou expirée");
+    }
+
+    const record = await this.requestToken({
+      grant_type: "authorization_code",
+      code,
+      code_verifier: codeVerifier,
+      redirect_uri: this.redirectUri,
+    });
+    await this.tokenStore.set(record);
+    this.lastRefresh = { at: record.obtainedAt, error: null };
+    this.logger.info("✅ Autorisation Sellsy enregistrée");
+    return { expiresAt: new Date(record.expiresAt).toISOString() };
+  }
+
+  // État du token pour /health, sans appel à Sellsy
+  async tokenStatus() {
+    const record = await this.tokenStore.get();
+    const status = this.isUsable(record)
+      ? "valid"
+      : this.authFlow === "authorization_code" && !this.refreshTokenOf(record)
+        ? "authorization_required"
+        : "expired";
+
+    return {
+      status,
+      // Un token expiré est redemandé au prochain appel; seul un échec l'empêche
+      healthy:
+        status === "valid" ||
+        (status === "expired" && !this.lastRefresh?.error),
+      authFlow: this.authFlow,
+      store: this.tokenStore.type,
+      expiresAt: record?.expiresAt
+        ? new Date(record.expiresAt).toISOString()
+        : null,
+      obtainedAt: record?.obtainedAt ?? null,
+      lastRefresh: this.lastRefresh,
+    };
+  }
+
+  // Chemin relatif ("/v2/invoices") résolu sur l'URL de l'API
+  resolveUrl(url) {
+    return url.startsWith("/") ? `${this.apiUrl}${url}` : url;
+  }
+
+  async makeApiCall(path, options = {}) {
+    const url = this.resolveUrl(path);
+    const method = (options.method || "GET").toUpperCase();
+    let attempt = 0;
+    let forceRefresh = false;
+
+    while (attempt < this.maxRetries) {
+      // Requête partie vers Sellsy: son effet est inconnu si la réponse se perd
+      let sent = false;
+
+      try {
+        const token = await this.getToken(forceRefresh);
+
+        const apiOptions = {
+          ...options,
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+            ...options.headers,
+          },
+        };
+
+        if (options.body) {
+          apiOptions.body = options.body;
+        }
+
+        this.logger.debug(`🌐 API Call: ${url}`);
+
+        // Jeton du seau partagé entre tous les workers
+        await this.rateLimiter?.acquire();
+
+        // Enfant du span du job en cours (contexte asynchrone)
+        const span = this.tracer?.startSpan(`Sellsy ${method}`, {
+          kind: SPAN_KINDS.CLIENT,
+          attributes: {
+            "http.request.method": method,
+            "url.full": url,
+            "sellsy.attempt": attempt + 1,
+          },
+        });
+        if (span) apiOptions.headers.traceparent = span.traceparent;
+
+        const startedAt = performance.now();
+        sent = true;
+        const response = await fetch(url, apiOptions).catch((error) => {
+          this.metrics?.observeApiCall(
+            method,
+            url,
+            "network_error",
+            (performance.now() - startedAt) / 1000,
+          );
+          span?.end(error);
+          throw error;
+        });
+        this.metrics?.observeApiCall(
+          method,
+          url,
+          response.status,
+          (performance.now() - startedAt) / 1000,
+        );
+        span?.setAttributes({ "http.response.status_code": response.status });
+        span?.end(response.ok ? null : `HTTP ${response.status}`);
+        await this.rateLimiter?.updateFromHeaders(response.headers);
+
+        // 🔍 LOG de la réponse
+        const statusEmoji = response.ok ? "✅" : "❌";
+        this.logger.info(
+          `${statusEmoji} Response: ${response.status} ${response.statusText}`,
+        );
+
+        if (response.status === 401) {
+          this.logger.warn("🔑 Reçu 401, rafraîchissement forcé du token...");
+          forceRefresh = true;
+          attempt++;
+          continue;
+        }
+
+        // Quota dépassé: on attend le reset indiqué par Sellsy (job reprogrammé par BullMQ)
+        if (response.status === 429) {
+          const retryAfterMs =
+            parseRetryAfter(response.headers.get("retry-after")) ??
+            parseRateLimitReset(response.headers.get("x-ratelimit-reset")) ??
+            1000;
+
+          await this.rateLimiter?.block(retryAfterMs);
+
+          throw new ApiError(
+            `Sellsy API rate limit atteint, reprise dans ${Math.ceil(retryAfterMs / 1000)} s`,
+            429,
+            true,
+            retryAfterMs,
+          );
+        }
+
+        // Gestion spécifique des erreurs 503 (maintenance)
+        if (response.status === 503) {
+          let errorBody = "";
+          try {
+            errorBody = await response.text();
+          } catch {
+            errorBody = "Impossible de lire le corps de l'erreur";
+          }
+
+          throw new ApiError(
+            `Sellsy API en maintenance: ${errorBody}`,
+            503,
+            true,
+            parseRetryAfter(response.headers.get("retry-after")),
+          );
+        }
+
+        if (!response.ok) {
+          let errorBody = "";
+          try {
+            errorBody = await response.text();
+            this.logger.error(`📝 Détails de l'erreur: ${errorBody}`);
+          } catch {
+            errorBody = "Impossible de lire le corps de l'erreur";
+          }
+
+          // Erreurs 4xx ne sont généralement pas retryables (sauf 401 et 429 gérés plus haut)
+          const isRetryable = response.status >= 500;
+
+          throw new ApiError(
+            `Sellsy API error: ${response.status} ${response.statusText} - ${errorBody}`,
+            response.status,
+            isRetryable,
+            isRetryable
+              ? parseRetryAfter(response.headers.get("retry-after"))
+              : null,
+          );
+        }
+
+        const data = await response.json();
+        this.logger.debug("📨 Données de réponse reçues");
+        return data;
+      } catch (error) {
+        // Si c'est une ApiError, on la relance directement
+        if (error instanceof ApiError) {
+          throw error;
+        }
+
+        // POST /v2/invoices peut avoir abouti: pas de renvoi ici, le retry du job
+        // passe par la réconciliation du registre avant tout nouvel envoi
+        if (sent && !IDEMPOTENT_METHODS.includes(method)) {
+          throw error;
+        }
+
+        attempt++;
+
+        if (attempt >= this.maxRetries) {
+          this.logger.error(`💥 Échec après ${this.maxRetries} tentatives`);
+          throw error;
+        }
+
+        this.logger.warn(
+          `🔄 Tentative ${attempt} échouée, nouvelle tentative...`,
+        );
+        await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+
+    // Uniquement des 401, même avec un token rafraîchi à chaque tentative
+    throw new ApiError(
+      `Sellsy API: 401 après ${this.maxRetries} tentatives avec un token rafraîchi`,
+      401,
+    );
+  }
+}
@@ -0,0 +1,131 @@
+// --- Mode shadow: pipeline complet sans écriture chez Sellsy ---
+// Pour les événements concernés, le handler de facturation relit le devis,
+// applique règles et mapping et construit la payload, mais ne POSTe pas
+// /v2/invoices et ne touche pas au registre d'idempotence. La payload et son
+// écart avec les totaux du devis sont conservés dans Redis et consultables
+// par l'API d'administration: de nouvelles règles peuvent suivre le trafic
+// de production sans risque.
+// INVOICE_SHADOW_MODE (ou shadowMode du tenant): "true" pour tous les
+// événements, ou motifs "relatedtype.eventType" séparés par des virgules.
+import { eventMatches, validateEventPattern } from "./handlerRegistry.js";
+
+const SHADOW_PREFIX = "sellsy:shadow-invoices";
+const DEFAULT_MAX_ENTRIES = 1000;
+
+export class InvalidShadowModeError extends Error {
+  constructor(source, errors) {
+    super(`Mode shadow invalide (${source}):\n - ${errors.join("\n - ")}`);
+    this.name = "InvalidShadowModeError";
+    this.errors = errors;
+  }
+}
+
+export class ShadowMode {
+  constructor(patterns = []) {
+    this.patterns = patterns;
+  }
+
+  get enabled() {
+    return this.patterns.length > 0;
+  }
+
+  matches(event) {
+    return this.patterns.some((pattern) => eventMatches(pattern, event ?? {}));
+  }
+}
+
+// true / "true" / "*" → tous les événements; false / "" / "false" → désactivé;
+// "estimate.docslog,invoice.*" ou liste de motifs → événements concernés.
+// Lève InvalidShadowModeError: validé au démarrage du worker.
+export function parseShadowMode(value, source = "INVOICE_SHADOW_MODE") {
+  if (value === undefined || value === null || value === false) {
+    return new ShadowMode();
+  }
+  if (value === true) return new ShadowMode(["*"]);
+
+  const patterns =
+    typeof value === "string"
+      ? value
+          .split(",")
+          .map((pattern) => pattern.trim())
+          .filter(Boolean)
+      : value;
+
+  if (!Array.isArray(patterns)) {
+    throw new InvalidShadowModeError(source, [
+      "booléen, chaîne ou liste de motifs attendu",
+    ]);
+  }
+
+  if (patterns.length === 1 && ["true", "false"].includes(patterns[0])) {
+    return new ShadowMode(patterns[0] === "true" ? ["*"] : []);
+  }
+
+  const errors = [];
+  for (const pattern of patterns) {
+    try {
+      validateEventPattern(pattern);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  if (errors.length > 0) throw new InvalidShadowModeError(source, errors);
+
+  return new ShadowMode(patterns);
+}
+
+// Écarts de la payload shadow, plus récents en tête (liste Redis bornée)
+export class ShadowStore {
+  constructor(
+    redis,
+    logger,
+    prefix = SHADOW_PREFIX,
+    maxEntries = Number(process.env.INVOICE_SHADOW_MAX_ENTRIES) ||
+      DEFAULT_MAX_ENTRIES,
+  ) {
+    this.redis = redis;
+    this.logger = logger;
+    this.key = prefix;
+    this.maxEntries = maxEntries;
+  }
+
+  async record(entry) {
+    const stored = { ...entry, recordedAt: new Date().toISOString() };
+    await this.redis
+      .multi()
+      .lpush(this.key, JSON.stringify(stored))
+      .ltrim(this.key, 0, this.maxEntries - 1)
+      .exec();
+    return stored;
+  }
+
+  async entries() {
+    const raw = await this.redis.lrange(this.key, 0, -1);
+    return raw.map((value) => JSON.parse(value));
+  }
+
+  // Résumés sans payload, filtrables par devis
+  async list({ estimateId, limit = 100 } = {}) {
+    const entries = await this.entries();
+    return entries
+      .filter(
+        (entry) =>
+          estimateId === undefined ||
+          String(entry.estimateId) === String(estimateId),
+      )
+      .slice(0, limit)
+      .map(({ invoicePayload, ...summary }) => summary);
+  }
+
+  // Dernière entrée du job (un retry remplace la précédente dans la lecture)
+  async get(id) {
+    const entries = await this.entries();
+    return entries.find((entry) => String(entry.id) === String(id)) ?? null;
+  }
+
+  async clear() {
+    const count = await this.redis.llen(this.key);
+    await this.redis.del(this.key);
+    return count;
+  }
+}
@@ -0,0 +1,182 @@
+// --- Abonnements aux événements Sellsy (services internes) ---
+// Chaque tenant a son registre d'abonnés dans Redis: URL de réception, filtre
+// d'événements (motifs "relatedtype.eventType") et secret de signature.
+// L'état des livraisons (réussies, échouées, dernière erreur) est suivi par abonné.
+import { resolveSecret } from "../../lib/tenants.js";
+import { eventMatches, validateEventPattern } from "./handlerRegistry.js";
+
+const SUBSCRIPTIONS_PREFIX = "sellsy:subscriptions";
+
+// L'identifiant entre dans les jobIds BullMQ: pas de ":"
+const SUBSCRIBER_ID_PATTERN = /^[a-z0-9_-]{1,64}$/i;
+
+export class InvalidSubscriptionError extends Error {
+  constructor(id, errors) {
+    super(`Abonnement "${id}" invalide:\n - ${errors.join("\n - ")}`);
+    this.name = "InvalidSubscriptionError";
+    this.errors = errors;
+  }
+}
+
+const isStringList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+export function validateSubscription(id, subscription) {
+  const errors = [];
+
+  if (!SUBSCRIBER_ID_PATTERN.test(String(id))) {
+    errors.push("id: lettres, chiffres, - et _ uniquement (64 max)");
+  }
+
+  try {
+    const { protocol } = new URL(subscription?.url);
+    if (!["http:", "https:"].includes(protocol)) {
+      errors.push("url doit être en http(s)");
+    }
+  } catch {
+    errors.push("url invalide");
+  }
+
+  if (!isStringList(subscription?.events) || !subscription.events.length) {
+    errors.push('events doit lister au moins un motif ("estimate.*", "*"...)');
+  } else {
+    for (const pattern of subscription.events) {
+      try {
+        validateEventPattern(pattern);
+      } catch (error) {
+        errors.push(`events: ${error.message}`);
+      }
+    }
+  }
+
+  if (typeof subscription?.secret !== "string" || !subscription.secret) {
+    errors.push('secret requis (valeur ou "env:NOM_VARIABLE")');
+  }
+
+  if (
+    subscription?.enabled !== undefined &&
+    typeof subscription.enabled !== "boolean"
+  ) {
+    errors.push("enabled doit être un booléen");
+  }
+
+  return errors;
+}
+
+// Vue publique: le secret n'est jamais renvoyé, sauf une référence "env:"
+export function maskSubscription(subscription) {
+  const { secret, ...rest } = subscription;
+  return {
+    ...rest,
+    secret: secret?.startsWith("env:") ? secret : "********",
+  };
+}
+
+export class SubscriptionRegistry {
+  // Hash <prefix>: id → abonnement (JSON)
+  constructor(redis, logger, prefix = SUBSCRIPTIONS_PREFIX) {
+    this.redis = redis;
+    this.logger = logger;
+    this.prefix = prefix;
+  }
+
+  deliveriesKey(id) {
+    return `${this.prefix}:${id}:deliveries`;
+  }
+
+  async list() {
+    const entries = await this.redis.hgetall(this.prefix);
+    return Object.values(entries || {})
+      .map((value) => JSON.parse(value))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  async get(id) {
+    const value = await this.redis.hget(this.prefix, id);
+    return value ? JSON.parse(value) : null;
+  }
+
+  // Création ou remplacement; lève InvalidSubscriptionError
+  async save(id, subscription) {
+    const errors = validateSubscription(id, subscription);
+    if (errors.length > 0) throw new InvalidSubscriptionError(id, errors);
+
+    const existing = await this.get(id);
+    const now = new Date().toISOString();
+    const entry = {
+      id,
+      url: subscription.url,
+      events: subscription.events,
+      secret: subscription.secret,
+      enabled: subscription.enabled ?? true,
+      createdAt: existing?.createdAt ?? now,
+      updatedAt: now,
+    };
+
+    await this.redis.hset(this.prefix, id, JSON.stringify(entry));
+    this.logger.info(
+      `📡 Abonnement "${id}" enregistré: ${entry.events.join(", ")} → ${new URL(entry.url).host}`,
+    );
+    return entry;
+  }
+
+  async remove(id) {
+    const removed = await this.redis.hdel(this.prefix, id);
+    if (removed) {
+      await this.redis.del(this.deliveriesKey(id));
+      this.logger.info(`📡 Abonnement "${id}" supprimé`);
+    }
+    return removed > 0;
+  }
+
+  // Abonnés actifs concernés par un événement Sellsy
+  async matching(event) {
+    const subscriptions = await this.list();
+    return subscriptions.filter(
+      (subscription) =>
+        subscription.enabled &&
+        subscription.events.some((pattern) => eventMatches(pattern, event)),
+    );
+  }
+
+  secretOf(subscription, env = process.env) {
+    return resolveSecret(subscription.secret, env);
+  }
+
+  // Suivi par abonné: compteurs et dernière tentative
+  // outcome: "delivered", "retry" (tentative échouée) ou "failed" (abandon)
+  async recordDelivery(id, { outcome, eventId, statusCode, error }) {
+    const key = this.deliveriesKey(id);
+    const multi = this.redis.multi().hset(key, {
+      lastOutcome: outcome,
+      lastEventId: eventId,
+      lastStatusCode: statusCode ?? "",
+      lastError: error ?? "",
+      lastAttemptAt: new Date().toISOString(),
+      ...(outcome === "delivered" && {
+        lastDeliveredAt: new Date().toISOString(),
+      }),
+    });
+    multi.hincrby(key, outcome, 1);
+    await multi.exec();
+  }
+
+  async deliveryStatus(id) {
+    const status = await this.redis.hgetall(this.deliveriesKey(id));
+    if (!status || Object.keys(status).length === 0) return null;
+
+    return {
+      delivered: Number(status.delivered ?? 0),
+      retried: Number(status.retry ?? 0),
+      failed: Number(status.failed ?? 0),
+      lastOutcome: status.lastOutcome,
+      lastEventId: status.lastEventId,
+      lastStatusCode: status.lastStatusCode
+        ? Number(status.lastStatusCode)
+        : null,
+      lastError: status.lastError || null,
+      lastAttemptAt: status.lastAttemptAt,
+      lastDeliveredAt: status.lastDeliveredAt ?? null,
+    };
+  }
+}
@@ -0,0 +1,46 @@
+// --- Mini moteur de templates "{{chemin.vers.valeur}}" ---
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+export function getPath(source, path) {
+  return path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+// Retourne null si une variable du template est absente ou vide
+export function renderTemplate(template, context) {
+  let missing = false;
+
+  const rendered = template.replace(PLACEHOLDER, (_, path) => {
+    const value = getPath(context, path);
+    if (value === null || value === undefined || value === "") {
+      missing = true;
+      return "";
+    }
+    return String(value);
+  });
+
+  return missing ? null : rendered;
+}
+
+// Un template peut être une chaîne ou une liste de candidats: le premier rendu complet gagne
+export function renderFirst(templates, context) {
+  const candidates = Array.isArray(templates) ? templates : [templates];
+
+  for (const candidate of candidates) {
+    const rendered = renderTemplate(candidate, context);
+    if (rendered !== null && rendered !== "") return rendered;
+  }
+
+  return null;
+}
+
+export function isTemplate(value) {
+  return (
+    typeof value === "string" ||
+    (Array.isArray(value) &&
+      value.length > 0 &&
+      value.every((candidate) => typeof candidate === "string"))
+  );
+}
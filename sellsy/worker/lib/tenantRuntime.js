@@ -0,0 +1,170 @@
+// --- Services d'un tenant (compte Sellsy) côté worker ---
+// Chaque tenant a son client API (et son stockage de token), son rate limiter,
+// son registre d'idempotence, son mapping, ses règles d'acceptation, sa file,
+// sa dead-letter queue, ses abonnés et leur file de livraison, son mode shadow.
+import { Queue } from "bullmq";
+import { loadAcceptanceRules } from "./acceptanceRules.js";
+import { tenantKeyPrefix } from "../../lib/tenants.js";
+import { WEBHOOK_JOB_OPTIONS } from "./backoff.js";
+import { DeadLetterQueue } from "./deadLetterQueue.js";
+import {
+  DELIVERY_JOB_OPTIONS,
+  DeliveryClaims,
+  deliveryQueueName,
+} from "./eventDelivery.js";
+import { InvoiceLedger } from "./invoiceLedger.js";
+import { loadInvoiceMapping } from "./invoiceMapping.js";
+import { RedisRateLimiter } from "./rateLimiter.js";
+import { SellsyApiClient } from "./sellsyApiClient.js";
+import { ShadowStore, parseShadowMode } from "./shadowMode.js";
+import { SubscriptionRegistry } from "./subscriptions.js";
+import { createTokenStore } from "./tokenStore.js";
+
+/**
+ * @typedef {Object} TenantRuntime
+ * @property {string} id - Identifiant du tenant ("default" pour le compte historique)
+ * @property {Object} config - Entrée du registre des tenants
+ * @property {import("fastify").FastifyBaseLogger} logger - Logger enfant { tenant }
+ * @property {SellsyApiClient} sellsyApi
+ * @property {RedisRateLimiter} rateLimiter
+ * @property {InvoiceLedger} invoiceLedger
+ * @property {Object} invoiceMapping - Chargé par loadTenantMapping au démarrage
+ * @property {import("./acceptanceRules.js").AcceptanceRules} acceptanceRules - Chargées par loadTenantRules
+ * @property {import("bullmq").Queue} queue - File des webhooks du tenant
+ * @property {DeadLetterQueue} deadLetterQueue
+ * @property {SubscriptionRegistry} subscriptions - Abonnés aux événements du tenant
+ * @property {import("bullmq").Queue} deliveryQueue - Livraisons aux abonnés
+ * @property {DeliveryClaims} deliveryClaims - Livraisons déjà mises en file par (événement, abonné)
+ * @property {import("./shadowMode.js").ShadowMode} shadowMode - Événements traités sans écriture chez Sellsy
+ * @property {ShadowStore} shadowStore - Payloads et écarts du mode shadow
+ */
+
+function clientOptions(
+  { apiUrl, loginUrl, authFlow, refreshToken, redirectUri },
+  tokenStore,
+  metrics,
+  tracer,
+) {
+  return {
+    ...(apiUrl && { apiUrl }),
+    ...(loginUrl && { loginUrl }),
+    ...(authFlow && { authFlow }),
+    refreshToken,
+    redirectUri,
+    tokenStore,
+    metrics,
+    tracer,
+  };
+}
+
+/** @returns {TenantRuntime} */
+export function createTenantRuntime(
+  tenant,
+  redis,
+  logger,
+  metrics = null,
+  tracer = null,
+) {
+  const tenantLogger = logger.child({ tenant: tenant.id });
+  // Validé au démarrage: un motif invalide empêche le worker de démarrer
+  const shadowMode = parseShadowMode(
+    tenant.shadowMode,
+    `INVOICE_SHADOW_MODE ou shadowMode du tenant ${tenant.id}`,
+  );
+  if (shadowMode.enabled) {
+    tenantLogger.warn(
+      `👻 Mode shadow actif (${shadowMode.patterns.join(", ")}): aucune facture ne sera créée pour ces événements`,
+    );
+  }
+
+  // Limite de débit Sellsy partagée par toutes les instances du worker
+  const rateLimiter = new RedisRateLimiter(redis, tenantLogger, {
+    requestsPerSecond: Number(tenant.rateLimit.requestsPerSecond) || 5,
+    burst: Number(tenant.rateLimit.burst) || undefined,
+    prefix: tenantKeyPrefix(tenant.id, "ratelimit"),
+  });
+
+  // Token OAuth partagé par les répliques (SELLSY_TOKEN_STORE), validé au démarrage
+  const tokenStore = createTokenStore(tenant, redis, tenantLogger);
+
+  const sellsyApi = new SellsyApiClient(
+    tenant.clientId,
+    tenant.clientSecret,
+    tenantLogger,
+    3,
+    rateLimiter,
+    // URLs du tenant, sinon SELLSY_API_URL / SELLSY_LOGIN_URL
+    clientOptions(tenant, tokenStore, metrics?.forTenant(tenant.id), tracer),
+  );
+
+  // La file sert à rejouer les entrées de la DLQ dans la bonne file
+  const queue = new Queue(tenant.queue, {
+    connection: redis,
+    defaultJobOptions: WEBHOOK_JOB_OPTIONS,
+  });
+
+  return {
+    id: tenant.id,
+    config: tenant,
+    logger: tenantLogger,
+    sellsyApi,
+    rateLimiter,
+    invoiceLedger: new InvoiceLedger(
+      redis,
+      tenantLogger,
+      tenantKeyPrefix(tenant.id, "invoice-ledger"),
+    ),
+    invoiceMapping: null,
+    acceptanceRules: null,
+    queue,
+    deadLetterQueue: new DeadLetterQueue(redis, queue, tenantLogger, {
+      attemptsPrefix: tenantKeyPrefix(tenant.id, "job-attempts"),
+    }),
+    subscriptions: new SubscriptionRegistry(
+      redis,
+      tenantLogger,
+      tenantKeyPrefix(tenant.id, "subscriptions"),
+    ),
+    deliveryQueue: new Queue(deliveryQueueName(tenant.queue), {
+      connection: redis,
+      defaultJobOptions: DELIVERY_JOB_OPTIONS,
+    }),
+    deliveryClaims: new DeliveryClaims(
+      redis,
+      tenantKeyPrefix(tenant.id, "delivery-claims"),
+    ),
+    shadowMode,
+    shadowStore: new ShadowStore(
+      redis,
+      tenantLogger,
+      tenantKeyPrefix(tenant.id, "shadow-invoices"),
+    ),
+  };
+}
+
+// Files BullMQ du runtime; la connexion Redis partagée reste à fermer par l'appelant
+export async function closeTenantRuntime(runtime) {
+  await Promise.all([
+    runtime.queue.close(),
+    runtime.deliveryQueue.close(),
+    runtime.deadLetterQueue.queue.close(),
+  ]);
+}
+
+// Mapping devis → facture du tenant, validé au démarrage
+export async function loadTenantMapping(runtime) {
+  runtime.invoiceMapping = await loadInvoiceMapping(
+    runtime.config.mappingFile,
+    runtime.logger,
+  );
+  return runtime.invoiceMapping;
+}
+
+// Règles d'acceptation du tenant, validées au démarrage
+export async function loadTenantRules(runtime) {
+  runtime.acceptanceRules = await loadAcceptanceRules(
+    runtime.config.rulesFile,
+    runtime.logger,
+  );
+  return runtime.acceptanceRules;
+}
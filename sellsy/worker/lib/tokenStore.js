@@ -0,0 +1,308 @@
+// --- Stockage des tokens OAuth Sellsy ---
+// Le token d'accès (et le refresh token du flux authorization_code) d'un
+// tenant est partagé par toutes les répliques du worker: un redémarrage ou une
+// nouvelle réplique réutilise le token en cours au lieu d'en redemander un.
+// Un verrou Redis garantit qu'une seule réplique le rafraîchit à la fois.
+// Les secrets sont chiffrés au repos (AES-256-GCM) avec
+// SELLSY_TOKEN_ENCRYPTION_KEY: clé de 32 octets en base64 ou hexadécimal,
+// plusieurs clés séparées par des virgules pour une rotation (la première
+// chiffre, toutes déchiffrent).
+// SELLSY_TOKEN_STORE: "redis" (défaut si une clé est définie) ou "memory"
+// (token propre au process, comportement historique).
+import crypto from "crypto";
+import { tenantKeyPrefix } from "../../lib/tenants.js";
+
+export const AUTH_FLOWS = ["client_credentials", "authorization_code"];
+export const TOKEN_STORE_TYPES = ["redis", "memory"];
+
+// Un rafraîchissement est un seul appel HTTP (borné par TOKEN_REQUEST_TIMEOUT_MS)
+const REFRESH_LOCK_TTL_MS = 15 * 1000;
+// Délai pour terminer l'autorisation dans Sellsy après avoir ouvert l'URL
+const AUTHORIZATION_TTL_MS = 10 * 60 * 1000;
+
+const CIPHER = "aes-256-gcm";
+const CIPHER_VERSION = "v1";
+
+// Libère le verrou uniquement s'il appartient toujours au même propriétaire
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+export class InvalidTokenStoreError extends Error {
+  constructor(source, errors) {
+    super(
+      `Stockage des tokens Sellsy invalide (${source}):\n - ${errors.join("\n - ")}`,
+    );
+    this.name = "InvalidTokenStoreError";
+    this.errors = errors;
+  }
+}
+
+function decodeKey(value) {
+  if (/^[0-9a-f]{64}$/i.test(value)) return Buffer.from(value, "hex");
+  const key = Buffer.from(value, "base64");
+  return key.length === 32 ? key : null;
+}
+
+// --- Chiffrement des secrets au repos ---
+// Format: v1:<id de clé>:<iv>:<tag>:<chiffré> (base64url). Les données
+// associées (clé Redis) lient le chiffré à son emplacement: un token copié
+// vers la clé d'un autre tenant est illisible.
+export class TokenCipher {
+  constructor(keys) {
+    this.keys = keys.map((key) => ({
+      id: crypto.createHash("sha256").update(key).digest("hex").slice(0, 8),
+      key,
+    }));
+  }
+
+  // Lève InvalidTokenStoreError si une clé n'a pas 32 octets
+  static parse(value, source = "SELLSY_TOKEN_ENCRYPTION_KEY") {
+    const values = String(value)
+      .split(",")
+      .map((key) => key.trim())
+      .filter(Boolean);
+    const errors = [];
+    const keys = values.map((key, index) => {
+      const decoded = decodeKey(key);
+      if (!decoded) {
+        errors.push(
+          `clé n°${index + 1}: 32 octets attendus (base64 ou 64 caractères hexadécimaux)`,
+        );
+      }
+      return decoded;
+    });
+
+    if (values.length === 0) errors.push("aucune clé");
+    if (errors.length > 0) throw new InvalidTokenStoreError(source, errors);
+    return new TokenCipher(keys);
+  }
+
+  encrypt(plaintext, context) {
+    const { id, key } = this.keys[0];
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    cipher.setAAD(Buffer.from(context));
+    const encrypted = Buffer.concat([
+      cipher.update(plaintext, "utf8"),
+      cipher.final(),
+    ]);
+
+    return [
+      CIPHER_VERSION,
+      id,
+      iv.toString("base64url"),
+      cipher.getAuthTag().toString("base64url"),
+      encrypted.toString("base64url"),
+    ].join(":");
+  }
+
+  // Lève une erreur si la clé est inconnue ou le chiffré altéré
+  decrypt(payload, context) {
+    const [version, id, iv, tag, encrypted] = String(payload).split(":");
+    const entry = this.keys.find((candidate) => candidate.id === id);
+    if (version !== CIPHER_VERSION || !entry) {
+      throw new Error(`clé de chiffrement inconnue (${id})`);
+    }
+
+    const decipher = crypto.createDecipheriv(
+      CIPHER,
+      entry.key,
+      Buffer.from(iv, "base64url"),
+    );
+    decipher.setAAD(Buffer.from(context));
+    decipher.setAuthTag(Buffer.from(tag, "base64url"));
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted, "base64url")),
+      decipher.final(),
+    ]).toString("utf8");
+  }
+}
+
+/**
+ * @typedef {Object} TokenRecord
+ * @property {string} clientId - Client OAuth ayant obtenu le token
+ * @property {string|null} accessToken
+ * @property {number|null} expiresAt - Expiration du token d'accès (ms)
+ * @property {string|null} [refreshToken] - Flux authorization_code uniquement
+ * @property {string} obtainedAt - Date ISO du dernier échange
+ */
+
+// --- Token propre au process (une réplique, aucun partage) ---
+export class MemoryTokenStore {
+  constructor() {
+    this.type = "memory";
+    this.record = null;
+    this.authorizations = new Map();
+  }
+
+  async get() {
+    return this.record;
+  }
+
+  async set(record) {
+    this.record = record;
+  }
+
+  async clear() {
+    this.record = null;
+  }
+
+  // Rafraîchissements déjà dédupliqués dans le process par SellsyApiClient
+  async withRefreshLock(fn) {
+    return { acquired: true, result: await fn() };
+  }
+
+  async saveAuthorization(state, codeVerifier, ttlMs = AUTHORIZATION_TTL_MS) {
+    this.authorizations.set(state, {
+      codeVerifier,
+      expiresAt: Date.now() + ttlMs,
+    });
+  }
+
+  // Usage unique: le state est consommé même s'il a expiré
+  async takeAuthorization(state) {
+    const authorization = this.authorizations.get(state);
+    this.authorizations.delete(state);
+    return authorization && authorization.expiresAt > Date.now()
+      ? authorization.codeVerifier
+      : null;
+  }
+}
+
+// --- Token partagé par toutes les répliques, chiffré dans Redis ---
+export class RedisTokenStore {
+  constructor(redis, cipher, logger, prefix = "sellsy:oauth-token") {
+    this.type = "redis";
+    this.redis = redis;
+    this.cipher = cipher;
+    this.logger = logger;
+    this.key = prefix;
+    this.lockKey = `${prefix}:lock`;
+  }
+
+  authorizationKey(state) {
+    return `${this.key}:authorization:${state}`;
+  }
+
+  async read(key) {
+    const payload = await this.redis.get(key);
+    if (!payload) return null;
+
+    try {
+      return JSON.parse(this.cipher.decrypt(payload, key));
+    } catch (error) {
+      // Clé retirée de SELLSY_TOKEN_ENCRYPTION_KEY: un nouveau token sera demandé
+      this.logger.error(`🔐 Token Sellsy stocké illisible: ${error.message}`);
+      return null;
+    }
+  }
+
+  async get() {
+    return this.read(this.key);
+  }
+
+  // Sans refresh token, l'entrée expire avec le token d'accès
+  async set(record) {
+    const payload = this.cipher.encrypt(JSON.stringify(record), this.key);
+    const ttlMs = record.expiresAt - Date.now();
+
+    if (!record.refreshToken && ttlMs > 0) {
+      await this.redis.set(this.key, payload, "PX", Math.ceil(ttlMs));
+    } else {
+      await this.redis.set(this.key, payload);
+    }
+  }
+
+  async clear() {
+    await this.redis.del(this.key);
+  }
+
+  /**
+   * Exécute fn si aucune autre réplique ne rafraîchit le token.
+   * @returns {Promise<{ acquired: boolean, result?: * }>}
+   */
+  async withRefreshLock(fn, ttlMs = REFRESH_LOCK_TTL_MS) {
+    const owner = crypto.randomUUID();
+    const locked = await this.redis.set(this.lockKey, owner, "PX", ttlMs, "NX");
+    if (locked !== "OK") return { acquired: false };
+
+    try {
+      return { acquired: true, result: await fn() };
+    } finally {
+      await this.redis.eval(RELEASE_LOCK_SCRIPT, 1, this.lockKey, owner);
+    }
+  }
+
+  // Code verifier PKCE en attente du retour de Sellsy sur le callback
+  async saveAuthorization(state, codeVerifier, ttlMs = AUTHORIZATION_TTL_MS) {
+    const key = this.authorizationKey(state);
+    await this.redis.set(
+      key,
+      this.cipher.encrypt(JSON.stringify({ codeVerifier }), key),
+      "PX",
+      ttlMs,
+    );
+  }
+
+  async takeAuthorization(state) {
+    const key = this.authorizationKey(state);
+    const authorization = await this.read(key);
+    await this.redis.del(key);
+    return authorization?.codeVerifier ?? null;
+  }
+}
+
+/**
+ * Stockage des tokens d'un tenant, validé au démarrage avec son flux OAuth.
+ * Le flux authorization_code exige le stockage Redis: le refresh token change
+ * à chaque rafraîchissement et doit survivre aux redémarrages.
+ * @throws {InvalidTokenStoreError}
+ */
+export function createTokenStore(tenant, redis, logger, env = process.env) {
+  const source = `tenant ${tenant.id}`;
+  const errors = [];
+  const keys = env.SELLSY_TOKEN_ENCRYPTION_KEY;
+  const type = env.SELLSY_TOKEN_STORE || (keys ? "redis" : "memory");
+  const authFlow = tenant.authFlow || "client_credentials";
+
+  if (!TOKEN_STORE_TYPES.includes(type)) {
+    errors.push(
+      `SELLSY_TOKEN_STORE "${type}" inconnu (${TOKEN_STORE_TYPES.join(", ")})`,
+    );
+  }
+  if (type === "redis" && !keys) {
+    errors.push(
+      "SELLSY_TOKEN_ENCRYPTION_KEY requise pour stocker les tokens dans Redis",
+    );
+  }
+  if (!AUTH_FLOWS.includes(authFlow)) {
+    errors.push(`authFlow "${authFlow}" inconnu (${AUTH_FLOWS.join(", ")})`);
+  }
+  if (authFlow === "authorization_code") {
+    if (type !== "redis") {
+      errors.push("le flux authorization_code exige SELLSY_TOKEN_STORE=redis");
+    }
+    if (!tenant.redirectUri) {
+      errors.push("redirectUri requise pour le flux authorization_code");
+    }
+  }
+  if (errors.length > 0) throw new InvalidTokenStoreError(source, errors);
+
+  if (type === "memory") {
+    logger.warn(
+      "🔑 Token Sellsy gardé en mémoire: ni partagé entre répliques ni conservé au redémarrage (SELLSY_TOKEN_ENCRYPTION_KEY)",
+    );
+    return new MemoryTokenStore();
+  }
+
+  return new RedisTokenStore(
+    redis,
+    TokenCipher.parse(keys),
+    logger,
+    tenantKeyPrefix(tenant.id, "oauth-token"),
+  );
+}
@@ -0,0 +1,173 @@
+// --- API et interface d'administration des files ---
+// A enregistrer avec un préfixe:
+// app.register(adminRoutes, { prefix: "/admin", queueAdmins, token, auditTrail, getNotifier, tracer })
+// L'interface (GET /admin) est statique; toutes les routes /admin/api exigent
+// le header "Authorization: Bearer <ADMIN_API_TOKEN>". GET /admin/oauth/callback,
+// appelée par le navigateur au retour de Sellsy, est authentifiée par son state.
+import { readFileSync } from "fs";
+import { bearerAuth } from "../../lib/adminAuth.js";
+import {
+  EstimateBackfill,
+  InvalidBackfillError,
+  parseBackfillOptions,
+} from "../lib/backfill.js";
+import { sampleNotification } from "../lib/notifier.js";
+import { JOB_STATES } from "../lib/queueAdmin.js";
+import { auditRoutes } from "./auditRoutes.js";
+import { deadLetterRoutes } from "./deadLetterRoutes.js";
+import { oauthCallbackRoutes, oauthRoutes } from "./oauthRoutes.js";
+import { shadowRoutes } from "./shadowRoutes.js";
+import { subscriptionRoutes } from "./subscriptionRoutes.js";
+
+const ADMIN_PAGE = new URL("../public/admin.html", import.meta.url);
+
+export async function adminRoutes(
+  app,
+  { queueAdmins, token, auditTrail, getNotifier = () => null, tracer = null },
+) {
+  const page = readFileSync(ADMIN_PAGE, "utf8");
+
+  app.get("/", async (request, reply) => {
+    reply.type("text/html; charset=utf-8");
+    return page;
+  });
+
+  // Retour du consentement Sellsy (redirectUri): authentifié par le state
+  app.register(oauthCallbackRoutes, { prefix: "/oauth", queueAdmins });
+
+  app.register(
+    async (api) => {
+      api.addHook("onRequest", bearerAuth(token));
+
+      // Résout :tenant en QueueAdmin, 404 sinon
+      api.addHook("preHandler", async (request, reply) => {
+        const { tenant } = request.params;
+        if (tenant === undefined) return;
+
+        request.queueAdmin = queueAdmins.get(tenant);
+        if (!request.queueAdmin) {
+          return reply.code(404).send({ error: `Tenant inconnu: ${tenant}` });
+        }
+      });
+
+      api.get("/queues", async () =>
+        Promise.all([...queueAdmins.values()].map((admin) => admin.overview())),
+      );
+
+      // GET /admin/api/queues/default/jobs?state=failed&start=0&end=49
+      api.get("/queues/:tenant/jobs", async (request, reply) => {
+        const state = request.query.state ?? "waiting";
+        if (!JOB_STATES.includes(state)) {
+          return reply
+            .code(400)
+            .send({ error: `État attendu: ${JOB_STATES.join(", ")}` });
+        }
+
+        const start = Number(request.query.start ?? 0);
+        const end = Number(request.query.end ?? 49);
+        return request.queueAdmin.listJobs(state, start, end);
+      });
+
+      api.get("/queues/:tenant/jobs/:id", async (request, reply) => {
+        const job = await request.queueAdmin.getJob(request.params.id);
+        if (!job) return reply.code(404).send({ error: "Job introuvable" });
+        return job;
+      });
+
+      api.post("/queues/:tenant/pause", async (request) =>
+        request.queueAdmin.pause(),
+      );
+
+      api.post("/queues/:tenant/resume", async (request) =>
+        request.queueAdmin.resume(),
+      );
+
+      api.post("/queues/:tenant/jobs/:id/retry", async (request, reply) => {
+        const result = await request.queueAdmin.retry(request.params.id);
+        if (!result) return reply.code(404).send({ error: "Job introuvable" });
+        return result.retried ? result : reply.code(409).send(result);
+      });
+
+      api.delete("/queues/:tenant/jobs/:id", async (request, reply) => {
+        const result = await request.queueAdmin.remove(request.params.id);
+        if (!result) return reply.code(404).send({ error: "Job introuvable" });
+        return result.removed ? result : reply.code(409).send(result);
+      });
+
+      // GET /admin/api/queues/default/search?estimateId=123
+      api.get("/queues/:tenant/search", async (request, reply) => {
+        const { estimateId } = request.query;
+        if (!estimateId) {
+          return reply
+            .code(400)
+            .send({ error: 'Paramètre "estimateId" requis' });
+        }
+        return request.queueAdmin.searchByEstimate(estimateId);
+      });
+
+      // Rattrapage des devis acceptés sans facture (voir lib/backfill.js):
+      // { "from": "2025-01-01", "to": "2025-01-31", "statuses": ["accepted"], "dryRun": true }
+      api.post("/queues/:tenant/backfill", async (request, reply) => {
+        let options;
+        try {
+          options = parseBackfillOptions(request.body || {});
+        } catch (error) {
+          if (error instanceof InvalidBackfillError) {
+            return reply
+              .code(400)
+              .send({ error: error.message, errors: error.errors });
+          }
+          throw error;
+        }
+
+        const { tenant } = request.queueAdmin;
+        // Mapping et règles sont chargés au démarrage du worker
+        if (!tenant.acceptanceRules || !tenant.invoiceMapping) {
+          return reply
+            .code(503)
+            .send({ error: "Worker en cours de démarrage" });
+        }
+
+        return new EstimateBackfill(tenant, { tracer }).run(options);
+      });
+
+      // Envoi d'une notification fictive: { "decision": "job_failed", "channel": "compta" }
+      // Sans canal, la notification suit les routes de NOTIFICATIONS_FILE
+      api.post("/notifications/test", async (request, reply) => {
+        const notifier = getNotifier();
+        if (!notifier) {
+          return reply
+            .code(409)
+            .send({ error: "Notifications désactivées (NOTIFICATIONS_FILE)" });
+        }
+
+        const { decision, tenant, channel } = request.body || {};
+        if (channel && !notifier.channels.has(channel)) {
+          return reply.code(404).send({ error: `Canal inconnu: ${channel}` });
+        }
+
+        return notifier.notify(sampleNotification(decision, tenant), {
+          channels: channel ? [channel] : undefined,
+        });
+      });
+
+      // Dead-letter queue du tenant: /admin/api/tenants/:tenant/dlq
+      api.register(deadLetterRoutes, { prefix: "/tenants/:tenant/dlq" });
+
+      // Abonnés aux événements: /admin/api/subscriptions/:tenant
+      api.register(subscriptionRoutes, { prefix: "/subscriptions/:tenant" });
+
+      // Mode shadow: /admin/api/shadow/:tenant
+      api.register(shadowRoutes, { prefix: "/shadow/:tenant" });
+
+      // Token OAuth et autorisation Sellsy: /admin/api/oauth/:tenant
+      api.register(oauthRoutes, { prefix: "/oauth/:tenant" });
+
+      // Piste d'audit: /admin/api/audit (si AUDIT_STORE n'est pas "none")
+      if (auditTrail) {
+        api.register(auditRoutes, { prefix: "/audit", auditTrail });
+      }
+    },
+    { prefix: "/api" },
+  );
+}
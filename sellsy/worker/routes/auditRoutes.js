@@ -0,0 +1,44 @@
+// --- Consultation de la piste d'audit ---
+// Enregistrées sous /admin/api/audit (même authentification que l'administration):
+// GET /audit?from=&to=&tenant=&limit=&traceId=&requestId=,
+// GET /audit/estimates/:id, GET /audit/invoices/:id
+
+// Dates ISO 8601 ou timestamps; undefined si absent, null si invalide
+function parseDate(value) {
+  if (value === undefined || value === "") return undefined;
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+export async function auditRoutes(app, { auditTrail }) {
+  // Filtres communs: période sur la date de réception, tenant, trace, request id et limite
+  app.addHook("preHandler", async (request, reply) => {
+    const from = parseDate(request.query.from);
+    const to = parseDate(request.query.to);
+
+    if (from === null || to === null) {
+      return reply
+        .code(400)
+        .send({ error: 'Paramètres "from"/"to": date ISO 8601 attendue' });
+    }
+
+    request.auditQuery = {
+      tenant: request.query.tenant,
+      traceId: request.query.traceId,
+      requestId: request.query.requestId,
+      from,
+      to,
+      limit: request.query.limit,
+    };
+  });
+
+  app.get("/", async (request) => auditTrail.query(request.auditQuery));
+
+  app.get("/estimates/:id", async (request) =>
+    auditTrail.query({ ...request.auditQuery, estimateId: request.params.id }),
+  );
+
+  app.get("/invoices/:id", async (request) =>
+    auditTrail.query({ ...request.auditQuery, invoiceId: request.params.id }),
+  );
+}
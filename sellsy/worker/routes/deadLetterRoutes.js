@@ -0,0 +1,60 @@
+// --- Routes d'inspection et de rejeu de la dead-letter queue ---
+// Enregistrées sous /admin/api/tenants/:tenant/dlq (même authentification que
+// l'administration, :tenant résolu par le preHandler de l'API): les entrées
+// contiennent les payloads complets et un rejeu peut refacturer
+
+export async function deadLetterRoutes(app) {
+  const dlqOf = (request) => request.queueAdmin.tenant.deadLetterQueue;
+
+  // Liste paginée: GET /admin/api/tenants/default/dlq?start=0&end=49
+  app.get("/", async (request) => {
+    const start = Number(request.query.start ?? 0);
+    const end = Number(request.query.end ?? 49);
+    return dlqOf(request).list(start, end);
+  });
+
+  app.get("/:id", async (request, reply) => {
+    const entry = await dlqOf(request).get(request.params.id);
+    if (!entry) {
+      return reply.code(404).send({ error: "Entrée dead-letter introuvable" });
+    }
+    return entry;
+  });
+
+  app.post("/:id/replay", async (request, reply) => {
+    const result = await dlqOf(request).replay(request.params.id);
+    if (!result) {
+      return reply.code(404).send({ error: "Entrée dead-letter introuvable" });
+    }
+    return result;
+  });
+
+  // Rejeu groupé: { "ids": ["1", "2"] } ou { "all": true }
+  app.post("/replay", async (request, reply) => {
+    const { ids, all } = request.body || {};
+
+    if (all === true) {
+      return { replayed: await dlqOf(request).replayAll() };
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return reply
+        .code(400)
+        .send({ error: 'Fournir "ids" (tableau) ou "all": true' });
+    }
+
+    return { replayed: await dlqOf(request).replayMany(ids.map(String)) };
+  });
+
+  app.delete("/:id", async (request, reply) => {
+    const removed = await dlqOf(request).remove(request.params.id);
+    if (!removed) {
+      return reply.code(404).send({ error: "Entrée dead-letter introuvable" });
+    }
+    return { removed: request.params.id };
+  });
+
+  app.delete("/", async (request) => {
+    return { purged: await dlqOf(request).purge() };
+  });
+}
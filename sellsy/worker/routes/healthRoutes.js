@@ -0,0 +1,90 @@
+// --- Sondes de santé du worker ---
+// GET /health/live: le process répond (liveness, redémarrage si KO)
+// GET /health/ready: la réplique peut traiter des jobs (readiness): Redis
+// joignable, workers BullMQ démarrés et pas d'arrêt en cours
+// GET /health: état détaillé (token Sellsy de chaque tenant, lu dans le
+// stockage sans appel à Sellsy, configuration des retries)
+import { RETRY_CONFIG } from "../lib/backoff.js";
+import { withTimeout } from "../../lib/webhookJournal.js";
+
+const PING_TIMEOUT_MS = 1000;
+
+export async function healthRoutes(app, { redis, tenants, shutdown }) {
+  app.get("/health/live", async () => ({
+    status: "alive",
+    uptime: Math.round(process.uptime()),
+  }));
+
+  app.get("/health/ready", async (request, reply) => {
+    const checks = {};
+
+    try {
+      await withTimeout(
+        redis.ping(),
+        PING_TIMEOUT_MS,
+        `Redis sans réponse après ${PING_TIMEOUT_MS} ms`,
+      );
+      checks.redis = "ok";
+    } catch (error) {
+      checks.redis = `error: ${error.message}`;
+    }
+
+    checks.workers =
+      shutdown.workers.length === 0
+        ? "starting"
+        : shutdown.workers.every((worker) => worker.isRunning())
+          ? "running"
+          : "stopped";
+    checks.shutdown = shutdown.draining ? "draining" : "no";
+
+    const ready =
+      checks.redis === "ok" &&
+      checks.workers === "running" &&
+      !shutdown.draining;
+
+    return reply.status(ready ? 200 : 503).send({
+      status: ready ? "ready" : "not_ready",
+      checks,
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  app.get("/health", async (request, reply) => {
+    try {
+      const sellsyApi = {};
+      for (const tenant of tenants) {
+        try {
+          sellsyApi[tenant.id] = await withTimeout(
+            tenant.sellsyApi.tokenStatus(),
+            PING_TIMEOUT_MS,
+            `Stockage du token sans réponse après ${PING_TIMEOUT_MS} ms`,
+          );
+        } catch (error) {
+          sellsyApi[tenant.id] = { healthy: false, error: error.message };
+        }
+      }
+
+      const healthy = Object.values(sellsyApi).every((token) => token.healthy);
+
+      return reply.status(healthy ? 200 : 503).send({
+        status: healthy ? "healthy" : "unhealthy",
+        service: "sellsy-invoice-creator",
+        sellsy_api: sellsyApi,
+        retry_config: {
+          max_attempts: RETRY_CONFIG.MAX_ATTEMPTS,
+          initial_delay_ms: RETRY_CONFIG.INITIAL_DELAY,
+          max_delay_minutes: RETRY_CONFIG.MAX_DELAY / 60000,
+          maintenance_retry_minutes:
+            RETRY_CONFIG.MAINTENANCE_RETRY_DELAY / 60000,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      app.log.error("Health check failed:", error);
+      return reply.status(503).send({
+        status: "unhealthy",
+        error: error.message,
+      });
+    }
+  });
+}
@@ -0,0 +1,56 @@
+// --- Autorisation OAuth Sellsy d'un tenant (flux authorization_code) ---
+// oauthRoutes: enregistrées sous /admin/api/oauth/:tenant (même
+// authentification que l'administration, :tenant résolu par le preHandler):
+// GET / (état du token), POST /authorize (URL Sellsy à ouvrir)
+// oauthCallbackRoutes: GET /admin/oauth/callback, URL de retour (redirectUri)
+// appelée par le navigateur après le consentement, donc sans token
+// d'administration: la demande est authentifiée par son state à usage unique
+// et son code verifier PKCE.
+import crypto from "crypto";
+
+export async function oauthRoutes(app) {
+  const clientOf = (request) => request.queueAdmin.tenant.sellsyApi;
+
+  app.get("/", async (request) => clientOf(request).tokenStatus());
+
+  app.post("/authorize", async (request, reply) => {
+    const client = clientOf(request);
+    if (client.authFlow !== "authorization_code") {
+      return reply
+        .code(409)
+        .send({ error: `Flux OAuth du tenant: ${client.authFlow}` });
+    }
+
+    // Le tenant préfixe le state: un seul callback pour tous les tenants
+    const state = `${request.params.tenant}.${crypto.randomUUID()}`;
+    return { url: await client.authorizationUrl(state) };
+  });
+}
+
+export async function oauthCallbackRoutes(app, { queueAdmins }) {
+  app.get("/callback", async (request, reply) => {
+    const { code, state, error } = request.query;
+    if (error) {
+      return reply.code(400).send({ error: `Autorisation refusée: ${error}` });
+    }
+    if (!code || !state) {
+      return reply.code(400).send({ error: "Paramètres code et state requis" });
+    }
+
+    const tenant = queueAdmins.get(String(state).split(".")[0])?.tenant;
+    if (!tenant) {
+      return reply.code(400).send({ error: "Demande d'autorisation inconnue" });
+    }
+
+    try {
+      const { expiresAt } = await tenant.sellsyApi.completeAuthorization(
+        state,
+        code,
+      );
+      return { tenant: tenant.id, authorized: true, expiresAt };
+    } catch (err) {
+      tenant.logger.warn(`🔑 Autorisation Sellsy en échec: ${err.message}`);
+      return reply.code(400).send({ error: err.message });
+    }
+  });
+}
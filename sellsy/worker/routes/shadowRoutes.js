@@ -0,0 +1,40 @@
+// --- Consultation du mode shadow d'un tenant ---
+// Enregistrées sous /admin/api/shadow/:tenant (même authentification que
+// l'administration, :tenant résolu par le preHandler de l'API):
+// GET /?estimateId=&limit=, GET /:id (payload complète), DELETE /
+const MAX_LIMIT = 1000;
+
+export async function shadowRoutes(app) {
+  const runtimeOf = (request) => request.queueAdmin.tenant;
+
+  // Motifs actifs et dernières factures simulées (sans payload)
+  app.get("/", async (request, reply) => {
+    const limit = Number(request.query.limit ?? 100);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return reply
+        .code(400)
+        .send({ error: `limit doit être un entier entre 1 et ${MAX_LIMIT}` });
+    }
+
+    const { shadowMode, shadowStore } = runtimeOf(request);
+    return {
+      enabled: shadowMode.enabled,
+      patterns: shadowMode.patterns,
+      entries: await shadowStore.list({
+        estimateId: request.query.estimateId,
+        limit,
+      }),
+    };
+  });
+
+  // Détail d'un job: payload qui aurait été envoyée et écart avec le devis
+  app.get("/:id", async (request, reply) => {
+    const entry = await runtimeOf(request).shadowStore.get(request.params.id);
+    if (!entry) return reply.code(404).send({ error: "Entrée introuvable" });
+    return entry;
+  });
+
+  app.delete("/", async (request) => ({
+    removed: await runtimeOf(request).shadowStore.clear(),
+  }));
+}
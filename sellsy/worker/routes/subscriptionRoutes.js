@@ -0,0 +1,123 @@
+// --- Administration des abonnés aux événements d'un tenant ---
+// Enregistrées sous /admin/api/subscriptions/:tenant (même authentification que
+// l'administration, :tenant résolu par le preHandler de l'API):
+// GET /, GET|PUT|DELETE /:id, GET /:id/deliveries?state=, POST /:id/deliveries/:jobId/retry
+import { JOB_STATES } from "../lib/queueAdmin.js";
+import {
+  InvalidSubscriptionError,
+  maskSubscription,
+} from "../lib/subscriptions.js";
+
+const DELIVERY_SCAN_LIMIT = 500; // jobs parcourus par état
+
+function summarizeDelivery(job, state) {
+  return {
+    id: job.id,
+    state,
+    eventId: job.data.eventId,
+    eventType: `${job.data.event?.relatedtype}.${job.data.event?.eventType}`,
+    attemptsMade: job.attemptsMade,
+    failedReason: job.failedReason,
+    returnvalue: job.returnvalue,
+    createdAt: job.timestamp,
+    finishedOn: job.finishedOn,
+  };
+}
+
+export async function subscriptionRoutes(app) {
+  const runtimeOf = (request) => request.queueAdmin.tenant;
+
+  app.get("/", async (request) => {
+    const { subscriptions } = runtimeOf(request);
+    const entries = await subscriptions.list();
+    return Promise.all(
+      entries.map(async (entry) => ({
+        ...maskSubscription(entry),
+        deliveries: await subscriptions.deliveryStatus(entry.id),
+      })),
+    );
+  });
+
+  app.get("/:id", async (request, reply) => {
+    const { subscriptions } = runtimeOf(request);
+    const entry = await subscriptions.get(request.params.id);
+    if (!entry) return reply.code(404).send({ error: "Abonné introuvable" });
+
+    return {
+      ...maskSubscription(entry),
+      deliveries: await subscriptions.deliveryStatus(entry.id),
+    };
+  });
+
+  // Corps: { "url": "...", "events": ["estimate.*"], "secret": "env:NOM", "enabled": true }
+  app.put("/:id", async (request, reply) => {
+    try {
+      const entry = await runtimeOf(request).subscriptions.save(
+        request.params.id,
+        request.body,
+      );
+      return maskSubscription(entry);
+    } catch (error) {
+      if (error instanceof InvalidSubscriptionError) {
+        return reply
+          .code(400)
+          .send({ error: error.message, errors: error.errors });
+      }
+      throw error;
+    }
+  });
+
+  app.delete("/:id", async (request, reply) => {
+    const removed = await runtimeOf(request).subscriptions.remove(
+      request.params.id,
+    );
+    if (!removed) return reply.code(404).send({ error: "Abonné introuvable" });
+    return { id: request.params.id, removed: true };
+  });
+
+  // Livraisons récentes de l'abonné, tous états ou ?state=failed
+  app.get("/:id/deliveries", async (request, reply) => {
+    const { state } = request.query;
+    if (state !== undefined && !JOB_STATES.includes(state)) {
+      return reply
+        .code(400)
+        .send({ error: `État attendu: ${JOB_STATES.join(", ")}` });
+    }
+
+    const { deliveryQueue } = runtimeOf(request);
+    const deliveries = [];
+
+    for (const jobState of state ? [state] : JOB_STATES) {
+      const jobs = await deliveryQueue.getJobs(
+        [jobState],
+        0,
+        DELIVERY_SCAN_LIMIT - 1,
+      );
+      for (const job of jobs.filter(Boolean)) {
+        if (job.data?.subscriberId === request.params.id) {
+          deliveries.push(summarizeDelivery(job, jobState));
+        }
+      }
+    }
+
+    return deliveries;
+  });
+
+  // Relance manuelle d'une livraison abandonnée
+  app.post("/:id/deliveries/:jobId/retry", async (request, reply) => {
+    const job = await runtimeOf(request).deliveryQueue.getJob(
+      request.params.jobId,
+    );
+    if (!job || job.data?.subscriberId !== request.params.id) {
+      return reply.code(404).send({ error: "Livraison introuvable" });
+    }
+
+    const state = await job.getState();
+    if (state !== "failed") {
+      return reply.code(409).send({ id: job.id, retried: false, state });
+    }
+
+    await job.retry(state);
+    return { id: job.id, retried: true };
+  });
+}
@@ -0,0 +1,167 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import Fastify from "fastify";
+import { adminRoutes } from "../routes/adminRoutes.js";
+
+const TOKEN = "admin-secret";
+
+// Dead-letter queue en mémoire: mêmes méthodes que DeadLetterQueue
+function memoryDeadLetterQueue(entries) {
+  return {
+    replayed: [],
+    async list(start, end) {
+      return entries.slice(start, end + 1);
+    },
+    async get(id) {
+      return entries.find((entry) => entry.id === id) ?? null;
+    },
+    async replay(id) {
+      if (!entries.some((entry) => entry.id === id)) return null;
+      this.replayed.push(id);
+      return { replayed: id };
+    },
+    async remove(id) {
+      const index = entries.findIndex((entry) => entry.id === id);
+      if (index === -1) return false;
+      entries.splice(index, 1);
+      return true;
+    },
+    async purge() {
+      return entries.splice(0).length;
+    },
+  };
+}
+
+// QueueAdmin en mémoire: les appels sont relevés pour vérifier qu'aucun n'a lieu sans token
+function queueAdminFor(tenant) {
+  const calls = [];
+  const record =
+    (name, result) =>
+    async (...args) => {
+      calls.push([name, ...args]);
+      return result;
+    };
+  return {
+    tenant,
+    calls,
+    overview: record("overview", { tenant: tenant.id, counts: {} }),
+    pause: record("pause", { paused: true }),
+    retry: record("retry", { retried: true }),
+    remove: record("remove", { removed: true }),
+  };
+}
+
+describe("API d'administration", () => {
+  let app;
+  let deadLetterQueue;
+  let queueAdmin;
+  const audited = [];
+
+  before(async () => {
+    deadLetterQueue = memoryDeadLetterQueue([
+      { id: "1", payload: { relatedid: 1001 } },
+      { id: "2", payload: { relatedid: 1002 } },
+    ]);
+    queueAdmin = queueAdminFor({ id: "default", deadLetterQueue });
+    app = Fastify();
+    await app.register(adminRoutes, {
+      prefix: "/admin",
+      token: TOKEN,
+      queueAdmins: new Map([["default", queueAdmin]]),
+      auditTrail: {
+        async query(query) {
+          audited.push(query);
+          return [];
+        },
+      },
+    });
+    await app.ready();
+  });
+
+  after(() => app.close());
+
+  const request = (method, url, token = TOKEN) =>
+    app.inject({
+      method,
+      url,
+      headers: token ? { authorization: `Bearer ${token}` } : {},
+    });
+
+  it("refuse l'API d'administration sans le bon token", async () => {
+    for (const [method, url] of [
+      ["GET", "/admin/api/queues"],
+      ["POST", "/admin/api/queues/default/pause"],
+      ["POST", "/admin/api/queues/default/jobs/1/retry"],
+      ["DELETE", "/admin/api/queues/default/jobs/1"],
+      ["POST", "/admin/api/queues/inconnu/backfill"],
+      ["GET", "/admin/api/audit"],
+    ]) {
+      for (const headers of [
+        {},
+        { authorization: "Bearer autre" },
+        { authorization: `Bearer ${TOKEN}x` },
+        { authorization: TOKEN },
+        { authorization: `Basic ${TOKEN}` },
+      ]) {
+        const response = await app.inject({ method, url, headers });
+        assert.equal(response.statusCode, 401, `${method} ${url}`);
+        assert.deepEqual(response.json(), {
+          error: "Authentification requise",
+        });
+      }
+    }
+    assert.deepEqual(queueAdmin.calls, []);
+    assert.deepEqual(audited, []);
+  });
+
+  it("sert l'API d'administration avec le token", async () => {
+    const overview = await request("GET", "/admin/api/queues");
+    assert.equal(overview.statusCode, 200);
+    assert.deepEqual(overview.json(), [{ tenant: "default", counts: {} }]);
+    assert.equal(
+      (await request("POST", "/admin/api/queues/default/pause")).statusCode,
+      200,
+    );
+    assert.deepEqual(queueAdmin.calls, [["overview"], ["pause"]]);
+    queueAdmin.calls.splice(0);
+
+    // La page d'administration est statique, sans données
+    assert.equal((await request("GET", "/admin", null)).statusCode, 200);
+  });
+
+  it("refuse la dead-letter queue sans le bon token", async () => {
+    for (const [method, url] of [
+      ["GET", "/admin/api/tenants/default/dlq"],
+      ["GET", "/admin/api/tenants/default/dlq/1"],
+      ["POST", "/admin/api/tenants/default/dlq/1/replay"],
+      ["DELETE", "/admin/api/tenants/default/dlq/1"],
+      ["DELETE", "/admin/api/tenants/default/dlq"],
+    ]) {
+      assert.equal((await request(method, url, null)).statusCode, 401, url);
+      assert.equal((await request(method, url, "autre")).statusCode, 401, url);
+    }
+    assert.deepEqual(deadLetterQueue.replayed, []);
+    assert.equal((await deadLetterQueue.list(0, 49)).length, 2);
+  });
+
+  it("sert la dead-letter queue du tenant avec le token", async () => {
+    const list = await request("GET", "/admin/api/tenants/default/dlq");
+    assert.equal(list.statusCode, 200);
+    assert.deepEqual(
+      list.json().map((entry) => entry.id),
+      ["1", "2"],
+    );
+
+    const replay = await request(
+      "POST",
+      "/admin/api/tenants/default/dlq/2/replay",
+    );
+    assert.deepEqual(replay.json(), { replayed: "2" });
+    assert.equal(
+      (await request("GET", "/admin/api/tenants/inconnu/dlq")).statusCode,
+      404,
+    );
+    // Anciennes routes publiques retirées
+    assert.equal((await app.inject({ url: "/dlq" })).statusCode, 404);
+  });
+});
@@ -0,0 +1,138 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import {
+  AUDIT_OUTCOMES,
+  AuditTrail,
+  SqliteAuditStore,
+} from "../lib/auditTrail.js";
+import { ApiError } from "../lib/sellsyApiClient.js";
+import { silentLogger } from "../../test/helpers/logger.js";
+
+const TRACE_ID = "4bf92f3577b34da6a3ce929d0e0e4736";
+
+// Job BullMQ terminé: enveloppe du listener et valeur de retour des handlers
+function finishedJob(id, estimateId, { returnvalue, attemptsMade = 1 } = {}) {
+  return {
+    id,
+    timestamp: Date.UTC(2026, 0, 1),
+    attemptsMade,
+    returnvalue,
+    data: {
+      schemaVersion: 1,
+      meta: {
+        receivedAt: `2026-01-01T10:00:0${id}.000Z`,
+        requestId: `req-${id}`,
+        traceparent: `00-${TRACE_ID}-00f067aa0ba902b7-01`,
+      },
+      payload: {
+        relatedtype: "estimate",
+        eventType: "docslog",
+        relatedobject: { id: estimateId },
+      },
+    },
+  };
+}
+
+describe("piste d'audit SQLite", () => {
+  let store;
+  let audit;
+
+  before(async () => {
+    store = new SqliteAuditStore(":memory:", silentLogger());
+    await store.init();
+    audit = new AuditTrail(store, silentLogger());
+  });
+
+  after(() => audit.close());
+
+  it("enregistre une ligne par issue de job", async () => {
+    const payload = { related: [{ type: "estimate", id: 1001 }] };
+    await audit.record(
+      "default",
+      finishedJob(1, 1001, {
+        returnvalue: {
+          success: true,
+          results: [
+            { handler: "event-fanout", forwardedTo: ["erp"] },
+            {
+              handler: "invoice",
+              action: "invoice_created",
+              invoiceId: 501,
+              invoicePayload: payload,
+            },
+          ],
+        },
+      }),
+      AUDIT_OUTCOMES.SUCCESS,
+    );
+    await audit.record(
+      "default",
+      finishedJob(2, 1002, {
+        returnvalue: { success: false, results: [], error: "HTTP 404" },
+      }),
+      AUDIT_OUTCOMES.REJECTED,
+    );
+    await audit.record(
+      "acme",
+      finishedJob(3, 1003, { attemptsMade: 10 }),
+      AUDIT_OUTCOMES.FAILED,
+      new ApiError("Sellsy API en maintenance", 503),
+    );
+
+    const rows = await audit.query({});
+    assert.deepEqual(
+      rows.map((row) => [
+        row.tenant,
+        row.jobId,
+        row.estimateId,
+        row.decision,
+        row.invoiceId,
+        row.outcome,
+        row.error,
+        row.attempts,
+      ]),
+      [
+        [
+          "acme",
+          "3",
+          "1003",
+          "error",
+          null,
+          "failed",
+          "Sellsy API en maintenance",
+          10,
+        ],
+        ["default", "2", "1002", "ignored", null, "rejected", "HTTP 404", 1],
+        ["default", "1", "1001", "invoice_created", "501", "success", null, 1],
+      ],
+    );
+
+    const [invoiced] = await audit.query({ invoiceId: "501" });
+    assert.deepEqual(invoiced.invoicePayload, payload);
+    assert.equal(invoiced.receivedAt, "2026-01-01T10:00:01.000Z");
+    assert.equal(invoiced.traceId, TRACE_ID);
+    assert.equal(invoiced.requestId, "req-1");
+    assert.equal((await audit.query({ tenant: "acme" })).length, 1);
+  });
+
+  it("refuse la modification et la suppression des lignes", async () => {
+    // Les triggers s'exécutent par ligne: au moins une ligne à modifier
+    await audit.record(
+      "default",
+      finishedJob(4, 1004, { returnvalue: { results: [] } }),
+      AUDIT_OUTCOMES.SUCCESS,
+    );
+    const rows = await audit.query({});
+
+    assert.throws(
+      () =>
+        store.db.prepare("UPDATE audit_events SET outcome = 'success'").run(),
+      /ajout seul/,
+    );
+    assert.throws(
+      () => store.db.prepare("DELETE FROM audit_events").run(),
+      /ajout seul/,
+    );
+    assert.deepEqual(await audit.query({}), rows);
+  });
+});
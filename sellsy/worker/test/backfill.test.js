@@ -0,0 +1,179 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  BACKFILL_SOURCE,
+  EstimateBackfill,
+  InvalidBackfillError,
+  backfillJobId,
+  parseBackfillOptions,
+} from "../lib/backfill.js";
+import { LEDGER_STATUS } from "../lib/invoiceLedger.js";
+import { silentLogger } from "../../test/helpers/logger.js";
+
+// API Sellsy simulée: recherche paginée des devis et des factures
+function fakeSellsy(estimates, invoices = []) {
+  const calls = [];
+  const page = (list, path) => {
+    const params = new URLSearchParams(path.split("?")[1]);
+    const offset = Number(params.get("offset"));
+    return { data: list.slice(offset, offset + Number(params.get("limit"))) };
+  };
+  return {
+    calls,
+    async makeApiCall(path, options = {}) {
+      calls.push({ path, body: JSON.parse(options.body ?? "null") });
+      if (path.startsWith("/v2/estimates/search")) return page(estimates, path);
+      if (path.startsWith("/v2/invoices/search")) return page(invoices, path);
+      throw new Error(`Route non simulée: ${path}`);
+    },
+  };
+}
+
+// File BullMQ en mémoire: jobs conservés par jobId avec leur état
+function memoryQueue() {
+  const jobs = new Map();
+  return {
+    jobs,
+    async getJob(id) {
+      return jobs.get(id);
+    },
+    async add(name, data, opts) {
+      const job = {
+        id: opts.jobId,
+        name,
+        data,
+        state: "waiting",
+        getState: async () => job.state,
+        remove: async () => jobs.delete(job.id),
+      };
+      jobs.set(job.id, job);
+      return job;
+    },
+  };
+}
+
+function tenantWith(sellsyApi, ledgerEntries = {}) {
+  return {
+    id: "default",
+    logger: silentLogger(),
+    sellsyApi,
+    queue: memoryQueue(),
+    invoiceLedger: {
+      async get(estimateId) {
+        return ledgerEntries[estimateId] ?? null;
+      },
+    },
+  };
+}
+
+const estimatesFrom = (count) =>
+  Array.from({ length: count }, (_, index) => ({
+    id: index + 1,
+    number: `DEV-${index + 1}`,
+  }));
+
+const options = (overrides = {}) =>
+  parseBackfillOptions({ from: "2026-01-01", to: "2026-01-31", ...overrides });
+
+describe("rattrapage des devis sans facture", () => {
+  it("parcourt toutes les pages et écarte les devis déjà facturés", async () => {
+    const sellsy = fakeSellsy(estimatesFrom(250), [
+      { id: 900, parent: { type: "estimate", id: 3 } },
+      { id: 901, parent: { type: "order", id: 4 } },
+    ]);
+    const tenant = tenantWith(sellsy, {
+      5: { status: LEDGER_STATUS.PARTIAL, invoiceId: "700" },
+      6: { status: LEDGER_STATUS.PENDING },
+    });
+
+    const report = await new EstimateBackfill(tenant).run(
+      options({ statuses: "accepted,won", limit: 1000 }),
+    );
+
+    assert.deepEqual(
+      sellsy.calls
+        .filter((call) => call.path.startsWith("/v2/estimates/search"))
+        .map((call) => call.path),
+      [0, 100, 200].map(
+        (offset) => `/v2/estimates/search?limit=100&offset=${offset}`,
+      ),
+    );
+    assert.deepEqual(sellsy.calls.at(-1).body.filters, {
+      status: ["accepted", "won"],
+      date: { start: "2026-01-01", end: "2026-01-31" },
+    });
+    assert.equal(report.scanned, 250);
+    assert.deepEqual(report.skipped, [
+      { estimateId: "3", reason: "has_invoice", invoiceId: "900" },
+      { estimateId: "5", reason: "already_invoiced", invoiceId: "700" },
+    ]);
+    assert.equal(report.candidates.length, 248);
+    assert.equal(tenant.queue.jobs.size, 248);
+    assert.equal(report.truncated, false);
+
+    const job = tenant.queue.jobs.get(backfillJobId("6"));
+    assert.equal(job.data.meta.source, BACKFILL_SOURCE);
+    assert.equal(job.data.meta.requestId, report.runId);
+    assert.equal(job.data.payload.relatedid, 6);
+  });
+
+  it("s'arrête à la limite demandée", async () => {
+    const tenant = tenantWith(fakeSellsy(estimatesFrom(10)));
+
+    const report = await new EstimateBackfill(tenant).run(
+      options({ limit: 3 }),
+    );
+
+    assert.deepEqual(
+      report.candidates.map((candidate) => candidate.jobId),
+      ["backfill-1", "backfill-2", "backfill-3"],
+    );
+    assert.equal(report.truncated, true);
+  });
+
+  it("remet en file sous le même jobId sans doubler un job en attente", async () => {
+    const tenant = tenantWith(fakeSellsy(estimatesFrom(2)));
+    const backfill = new EstimateBackfill(tenant);
+
+    const first = await backfill.run(options());
+    assert.deepEqual(
+      first.candidates.map((candidate) => candidate.action),
+      ["queued", "queued"],
+    );
+
+    // Le devis 1 a été traité, le 2 attend encore
+    tenant.queue.jobs.get("backfill-1").state = "completed";
+    const second = await backfill.run(options());
+
+    assert.deepEqual(
+      second.candidates.map(({ estimateId, jobId, action }) => [
+        estimateId,
+        jobId,
+        action,
+      ]),
+      [
+        ["1", "backfill-1", "queued"],
+        ["2", "backfill-2", "already_queued"],
+      ],
+    );
+    assert.deepEqual([...tenant.queue.jobs.keys()].sort(), [
+      "backfill-1",
+      "backfill-2",
+    ]);
+    assert.equal(
+      tenant.queue.jobs.get("backfill-1").data.meta.requestId,
+      second.runId,
+    );
+  });
+
+  it("refuse des options invalides", () => {
+    assert.throws(
+      () => parseBackfillOptions({ from: "2026-02-01", to: "2026-01-01" }),
+      InvalidBackfillError,
+    );
+    assert.throws(
+      () => parseBackfillOptions({ from: "2026-01-01", limit: 0 }),
+      /limit doit être un entier/,
+    );
+  });
+});
@@ -0,0 +1,187 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { Queue, Worker } from "bullmq";
+import IORedis from "ioredis";
+import {
+  BACKOFF_TYPE,
+  RETRY_CONFIG,
+  WEBHOOK_JOB_OPTIONS,
+  isFinalFailure,
+  sellsyBackoffStrategy,
+} from "../lib/backoff.js";
+import { ApiError } from "../lib/sellsyApiClient.js";
+import { startRedis, waitFor } from "../../test/helpers/stack.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe("sellsyBackoffStrategy", () => {
+  it("double le délai à chaque échec à partir de 5 s", () => {
+    const delays = [1, 2, 3, 4, 5].map((attempt) =>
+      sellsyBackoffStrategy(attempt, BACKOFF_TYPE, new Error("réseau")),
+    );
+    assert.deepEqual(delays, [5000, 10000, 20000, 40000, 80000]);
+  });
+
+  it("plafonne le backoff exponentiel à 30 minutes", () => {
+    assert.equal(
+      sellsyBackoffStrategy(20, BACKOFF_TYPE, new Error("réseau")),
+      30 * MINUTE,
+    );
+  });
+
+  it("attend 30 minutes après une maintenance Sellsy (503)", () => {
+    const error = new ApiError("maintenance", 503);
+    assert.equal(sellsyBackoffStrategy(1, BACKOFF_TYPE, error), 30 * MINUTE);
+    assert.equal(
+      RETRY_CONFIG.MAINTENANCE_RETRY_DELAY,
+      30 * MINUTE,
+      "délai de maintenance documenté",
+    );
+  });
+
+  it("respecte le Retry-After de Sellsy", () => {
+    const error = new ApiError("quota", 429, true, 42000);
+    assert.equal(sellsyBackoffStrategy(1, BACKOFF_TYPE, error), 42000);
+  });
+
+  it("préfère le Retry-After d'une maintenance au délai de 30 minutes", () => {
+    const error = new ApiError("maintenance", 503, true, 2 * MINUTE);
+    assert.equal(sellsyBackoffStrategy(1, BACKOFF_TYPE, error), 2 * MINUTE);
+  });
+
+  it("plafonne le Retry-After à 6 heures", () => {
+    const error = new ApiError("quota", 429, true, 48 * HOUR);
+    assert.equal(sellsyBackoffStrategy(1, BACKOFF_TYPE, error), 6 * HOUR);
+  });
+
+  it("retourne -1 pour une erreur non retryable", () => {
+    const error = new ApiError("requête invalide", 400, false);
+    assert.equal(sellsyBackoffStrategy(1, BACKOFF_TYPE, error), -1);
+  });
+});
+
+describe("isFinalFailure", () => {
+  const job = (attemptsMade) => ({
+    attemptsMade,
+    opts: { attempts: WEBHOOK_JOB_OPTIONS.attempts },
+  });
+
+  it("laisse BullMQ retenter tant qu'il reste des tentatives", () => {
+    assert.equal(isFinalFailure(job(1), new Error("réseau")), false);
+  });
+
+  it("est final à la dernière tentative", () => {
+    assert.equal(
+      isFinalFailure(job(WEBHOOK_JOB_OPTIONS.attempts), new Error("réseau")),
+      true,
+    );
+  });
+
+  it("est final dès la première erreur non retryable", () => {
+    assert.equal(
+      isFinalFailure(job(1), new ApiError("introuvable", 404, false)),
+      true,
+    );
+  });
+
+  it("considère un job sans option attempts comme tenté une seule fois", () => {
+    assert.equal(isFinalFailure({ attemptsMade: 1, opts: {} }, null), true);
+  });
+});
+
+// --- Stratégie branchée sur un vrai Worker BullMQ (Redis requis) ---
+const redisServer = await startRedis();
+
+describe(
+  "Worker BullMQ avec sellsyBackoffStrategy",
+  {
+    skip: redisServer
+      ? false
+      : "Redis indisponible (REDIS_HOST/REDIS_PORT, redis-server)",
+    timeout: 60000,
+  },
+  () => {
+    // Erreur levée à chaque tentative, dans l'ordre
+    const failures = [
+      () => new Error("réseau"),
+      () => new Error("réseau"),
+      () => new ApiError("quota", 429, true, 42000),
+      () => new ApiError("requête invalide", 400, false),
+    ];
+
+    let connection;
+    let queue;
+    let worker;
+    const failed = [];
+
+    before(async () => {
+      connection = new IORedis({
+        host: redisServer.host,
+        port: redisServer.port,
+        maxRetriesPerRequest: null,
+      });
+      const name = `backoff-test-${process.pid}-${Date.now()}`;
+      queue = new Queue(name, { connection });
+      worker = new Worker(
+        name,
+        async (job) => {
+          throw failures[job.attemptsMade]();
+        },
+        { connection, settings: { backoffStrategy: sellsyBackoffStrategy } },
+      );
+      worker.on("failed", (job, err) =>
+        failed.push({ job, err, failedAt: Date.now() }),
+      );
+    });
+
+    after(async () => {
+      await worker?.close();
+      await queue?.obliterate({ force: true });
+      await queue?.close();
+      await connection?.quit();
+      await redisServer.stop();
+    });
+
+    // Date de reprise programmée par BullMQ: score du zset delayed (timestamp << 12)
+    const scheduledAt = async (jobId) =>
+      Math.floor((await connection.zscore(queue.keys.delayed, jobId)) / 0x1000);
+
+    const nextFailure = (count) =>
+      waitFor(() => failed.length >= count && failed[count - 1], {
+        timeoutMs: 10000,
+        label: `échec ${count}`,
+      });
+
+    it("programme chaque tentative selon la stratégie puis s'arrête sur -1", async () => {
+      const added = await queue.add("event", {}, WEBHOOK_JOB_OPTIONS);
+      const expectedDelays = [5000, 10000, 42000];
+
+      for (const [index, delay] of expectedDelays.entries()) {
+        const { job, err, failedAt } = await nextFailure(index + 1);
+        assert.equal(job.attemptsMade, index + 1);
+        assert.equal(isFinalFailure(job, err), false);
+
+        const delayed = await queue.getJob(added.id);
+        assert.equal(await delayed.getState(), "delayed");
+        assert.equal(delayed.delay, delay);
+        const scheduled = await scheduledAt(added.id);
+        assert.ok(
+          Math.abs(scheduled - (failedAt + delay)) < 1000,
+          `reprise à +${scheduled - failedAt} ms, attendu +${delay} ms`,
+        );
+
+        // Pas d'attente réelle: la tentative suivante est lancée tout de suite
+        await delayed.promote();
+      }
+
+      // 4xx non retryable: -1, le job échoue sans épuiser ses tentatives
+      const { job, err } = await nextFailure(4);
+      assert.equal(job.attemptsMade, 4);
+      assert.ok(job.attemptsMade < WEBHOOK_JOB_OPTIONS.attempts);
+      assert.equal(isFinalFailure(job, err), true);
+      assert.equal(await queue.getJobState(added.id), "failed");
+      assert.equal(await connection.zscore(queue.keys.delayed, added.id), null);
+    });
+  },
+);
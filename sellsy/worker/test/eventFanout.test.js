@@ -0,0 +1,198 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { register } from "../handlers/eventFanout.js";
+import { DeliveryClaims } from "../lib/eventDelivery.js";
+import { DeadLetterQueue } from "../lib/deadLetterQueue.js";
+import { enqueueWebhookEvent } from "../../lib/webhookDedup.js";
+import { buildEventEnvelope, unwrapEvent } from "../../lib/eventEnvelope.js";
+import { silentLogger } from "../../test/helpers/logger.js";
+
+// Redis en mémoire: SET NX (via MULTI) et DEL, seules commandes de DeliveryClaims
+function memoryRedis() {
+  const keys = new Map();
+  const set = (key, value, ...options) => {
+    if (options.includes("NX") && keys.has(key)) return null;
+    keys.set(key, String(value));
+    return "OK";
+  };
+  return {
+    keys,
+    multi() {
+      const commands = [];
+      const multi = {
+        set: (...args) => (commands.push(args), multi),
+        exec: async () => commands.map((args) => [null, set(...args)]),
+      };
+      return multi;
+    },
+    async del(...names) {
+      return names.filter((name) => keys.delete(name)).length;
+    },
+  };
+}
+
+function fanoutHandler() {
+  let handler;
+  register({ register: (pattern, fn) => (handler = fn) });
+  return handler;
+}
+
+function tenantWith(subscriberIds, { failAdd = false } = {}) {
+  const added = [];
+  return {
+    added,
+    id: "default",
+    subscriptions: {
+      matching: async () => subscriberIds().map((id) => ({ id })),
+    },
+    deliveryQueue: {
+      async addBulk(jobs) {
+        if (failAdd) throw new Error("Redis indisponible");
+        added.push(...jobs);
+      },
+    },
+    deliveryClaims: new DeliveryClaims(memoryRedis(), "sellsy:delivery-claims"),
+  };
+}
+
+// File BullMQ en mémoire: comme BullMQ, un ajout sous un jobId existant est ignoré
+function memoryQueue(name) {
+  const jobs = new Map();
+  let sequence = 0;
+  return {
+    name,
+    jobs,
+    async getJob(id) {
+      return jobs.get(id);
+    },
+    async add(jobName, data, opts = {}) {
+      const id = opts.jobId ?? String(++sequence);
+      if (jobs.has(id)) return jobs.get(id);
+      const job = {
+        id,
+        name: jobName,
+        data,
+        opts,
+        failed: false,
+        isFailed: async () => job.failed,
+        remove: async () => jobs.delete(id),
+      };
+      jobs.set(id, job);
+      return job;
+    },
+  };
+}
+
+// DLQ sans Redis: seules les files sont utilisées par replay()
+function memoryDeadLetterQueue(sourceQueue) {
+  return Object.assign(Object.create(DeadLetterQueue.prototype), {
+    sourceQueue,
+    queue: memoryQueue("sellsy-webhooks-dlq"),
+    logger: silentLogger(),
+  });
+}
+
+const event = { relatedtype: "estimate", eventType: "docslog" };
+const run = (handler, tenant, jobId = "evt-1") =>
+  handler({ event, logger: silentLogger(), job: { id: jobId }, tenant });
+
+describe("relais des événements aux abonnés", () => {
+  it("ne relivre pas un abonné au retry de l'événement", async () => {
+    const handler = fanoutHandler();
+    let subscribers = ["erp", "crm"];
+    const tenant = tenantWith(() => subscribers);
+
+    await run(handler, tenant);
+    // Livraisons terminées et purgées de la file: le retry ne doit rien remettre
+    tenant.added.splice(0);
+    const retry = await run(handler, tenant);
+
+    assert.deepEqual(tenant.added, []);
+    assert.deepEqual(retry.forwardedTo, ["erp", "crm"]);
+
+    // Abonné ajouté entre deux tentatives: seul lui est servi
+    subscribers = ["erp", "crm", "bi"];
+    await run(handler, tenant);
+    assert.deepEqual(
+      tenant.added.map((job) => [job.data.subscriberId, job.opts.jobId]),
+      [["bi", "dlv-evt-1-bi"]],
+    );
+  });
+
+  it("livre à nouveau un autre événement", async () => {
+    const handler = fanoutHandler();
+    const tenant = tenantWith(() => ["erp"]);
+
+    await run(handler, tenant, "evt-1");
+    await run(handler, tenant, "evt-2");
+    assert.deepEqual(
+      tenant.added.map((job) => job.data.eventId),
+      ["evt-1", "evt-2"],
+    );
+  });
+
+  it("libère la réservation si la mise en file échoue", async () => {
+    const handler = fanoutHandler();
+    const tenant = tenantWith(() => ["erp"], { failAdd: true });
+
+    await assert.rejects(run(handler, tenant), /Redis indisponible/);
+    assert.deepEqual(await tenant.deliveryClaims.claim("evt-1", ["erp"]), [
+      "erp",
+    ]);
+  });
+
+  it("ne relivre pas un événement rejoué depuis la dead-letter queue", async () => {
+    const handler = fanoutHandler();
+    const tenant = tenantWith(() => ["erp"]);
+    const source = memoryQueue("sellsy-webhooks");
+    const sellsyEvent = { ...event, relatedid: 1001, timestamp: 1700000000 };
+
+    // Mise en file par le listener: l'empreinte voyage dans l'enveloppe
+    const envelope = buildEventEnvelope(
+      { id: "req-1", ip: "127.0.0.1", headers: {}, body: sellsyEvent },
+      { tenant: "default", traceparent: null },
+    );
+    const { eventId } = await enqueueWebhookEvent(null, source, sellsyEvent, {
+      envelope,
+      windowSeconds: 0,
+    });
+    const handle = (job) =>
+      handler({
+        ...unwrapEvent(job.data),
+        logger: silentLogger(),
+        job,
+        tenant,
+      });
+
+    const original = source.jobs.get(eventId);
+    await handle(original);
+    assert.deepEqual(
+      tenant.added.map((job) => [job.data.eventId, job.opts.jobId]),
+      [[eventId, `dlv-${eventId}-erp`]],
+    );
+
+    // Échec définitif d'un autre handler: le job part en DLQ
+    original.failed = true;
+    const deadLetterQueue = memoryDeadLetterQueue(source);
+    await deadLetterQueue.queue.add(
+      "dead-letter",
+      {
+        originalJobId: original.id,
+        jobName: original.name,
+        jobOptions: {},
+        payload: original.data,
+      },
+      { jobId: "1" },
+    );
+
+    tenant.added.splice(0);
+    const { replayedJobId } = await deadLetterQueue.replay("1");
+    assert.equal(replayedJobId, eventId);
+
+    const replayed = source.jobs.get(replayedJobId);
+    assert.notEqual(replayed, original);
+    const result = await handle(replayed);
+    assert.deepEqual(tenant.added, []);
+    assert.deepEqual(result.forwardedTo, ["erp"]);
+  });
+});
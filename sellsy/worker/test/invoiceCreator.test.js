@@ -0,0 +1,330 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+import { AcceptanceRules } from "../lib/acceptanceRules.js";
+import { InvoiceCreator } from "../lib/invoiceCreator.js";
+import { INVOICE_KINDS, LEDGER_STATUS } from "../lib/invoiceLedger.js";
+import { InvoiceAmountError } from "../lib/invoiceRows.js";
+import { silentLogger } from "../../test/helpers/logger.js";
+
+const fixtures = JSON.parse(
+  readFileSync(new URL("./fixtures/estimates.json", import.meta.url), "utf8"),
+);
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Registre en mémoire: même interface que InvoiceLedger (Redis)
+function memoryLedger(entries = {}, invoices = {}) {
+  return {
+    entries,
+    invoices,
+    async get(estimateId) {
+      return entries[estimateId] ?? null;
+    },
+    async withLock(estimateId, fn) {
+      return { acquired: true, result: await fn({ held: true }) };
+    },
+    async markPending(estimateId, jobId, kind) {
+      entries[estimateId] = {
+        status: LEDGER_STATUS.PENDING,
+        kind,
+        jobId,
+        updatedAt: new Date().toISOString(),
+      };
+    },
+    async recordInvoice(estimateId, invoice, jobId) {
+      (invoices[estimateId] ??= []).push({ ...invoice, jobId });
+      entries[estimateId] = {
+        status:
+          invoice.kind === "deposit"
+            ? LEDGER_STATUS.PARTIAL
+            : LEDGER_STATUS.CREATED,
+        kind: invoice.kind,
+        invoiceId: String(invoice.invoiceId),
+      };
+    },
+    async billedSoFar(estimateId) {
+      const list = invoices[estimateId] ?? [];
+      const sum = (field) =>
+        round2(list.reduce((total, invoice) => total + invoice[field], 0));
+      return {
+        invoices: list,
+        totalExclTax: sum("totalExclTax"),
+        totalInclTax: sum("totalInclTax"),
+        bases: list.flatMap((invoice) => invoice.bases ?? []),
+      };
+    },
+  };
+}
+
+// API Sellsy simulée: routes "METHOD /chemin" → réponse, appels conservés
+function fakeSellsy(routes) {
+  const calls = [];
+  return {
+    calls,
+    async makeApiCall(path, options = {}) {
+      const key = `${options.method ?? "GET"} ${path}`;
+      calls.push(key);
+      const route = routes[key];
+      if (!route) throw new Error(`Route non simulée: ${key}`);
+      return typeof route === "function" ? route(options) : route;
+    },
+  };
+}
+
+const creator = (sellsyApi, ledger = memoryLedger(), rules) =>
+  new InvoiceCreator(sellsyApi, silentLogger(), ledger, undefined, rules);
+
+describe("décision sur le devis relu", () => {
+  it("relit le devis même si le webhook annonce un autre statut", async () => {
+    const estimate = fixtures.simple;
+    const sellsy = fakeSellsy({
+      [`GET /v2/estimates/${estimate.id}`]: estimate,
+      "POST /v2/invoices": { id: 501 },
+    });
+
+    const result = await creator(sellsy).handleEstimateModification(
+      { id: estimate.id, status: "sent", related: estimate.related },
+      "job-1",
+    );
+
+    assert.equal(result.action, "invoice_created");
+    assert.equal(result.invoiceId, 501);
+    assert.deepEqual(sellsy.calls, [
+      `GET /v2/estimates/${estimate.id}`,
+      "POST /v2/invoices",
+    ]);
+  });
+
+  it("ignore un devis relu non accepté malgré un webhook accepté", async () => {
+    const estimate = { ...fixtures.simple, status: "cancelled" };
+    const sellsy = fakeSellsy({
+      [`GET /v2/estimates/${estimate.id}`]: estimate,
+    });
+    // Règle sur les tags client: le client n'est pas chargé pour un statut exclu
+    const rules = new AcceptanceRules({
+      rules: [
+        {
+          name: "vip",
+          when: { status: ["accepted"], customerTags: ["vip"] },
+          action: "invoice",
+        },
+      ],
+      fallback: "skip",
+    });
+
+    const result = await creator(
+      sellsy,
+      memoryLedger(),
+      rules,
+    ).handleEstimateModification(
+      { id: estimate.id, status: "accepted", related: estimate.related },
+      "job-2",
+    );
+
+    assert.equal(result.action, "skipped");
+    assert.equal(result.status, "cancelled");
+    assert.deepEqual(sellsy.calls, [`GET /v2/estimates/${estimate.id}`]);
+  });
+
+  it("prévisualise en shadow sur le statut relu", async () => {
+    const estimate = fixtures.simple;
+    const sellsy = fakeSellsy({
+      [`GET /v2/estimates/${estimate.id}`]: estimate,
+    });
+
+    const preview = await creator(sellsy).previewEstimate({
+      id: estimate.id,
+      status: "draft",
+      related: estimate.related,
+    });
+
+    assert.equal(preview.action, "invoice_created");
+    assert.equal(preview.totalExclTax, 1500);
+  });
+});
+
+describe("acompte puis solde", () => {
+  const estimate = fixtures.simple;
+  // Acompte de 30% tel que renvoyé par GET /v2/invoices/:id
+  const deposit = {
+    id: 700,
+    parent: { type: "estimate", id: estimate.id },
+    rows: [
+      {
+        type: "single",
+        description: "Acompte de 30%",
+        quantity: "1",
+        unit_amount: "450.00",
+        tax_id: 1,
+      },
+    ],
+    taxes: [{ id: 1, rate: "20.00" }],
+    amounts: { total_excl_tax: "450.00", total_incl_tax: "540.00" },
+  };
+
+  it("réconcilie avec la facture complète, lignes comprises", async () => {
+    const ledger = memoryLedger({
+      [estimate.id]: {
+        status: LEDGER_STATUS.PENDING,
+        kind: INVOICE_KINDS.DEPOSIT,
+        updatedAt: new Date().toISOString(),
+      },
+    });
+    // La recherche ne renvoie qu'un résumé, sans lignes
+    const { rows, ...summary } = deposit;
+    const sellsy = fakeSellsy({
+      "POST /v2/invoices/search?limit=100&offset=0": { data: [summary] },
+      "GET /v2/invoices/700": deposit,
+    });
+
+    const result = await creator(sellsy, ledger).invoiceEstimateOnce(
+      { id: estimate.id, related: estimate.related },
+      "job-3",
+    );
+
+    assert.equal(result.action, "reconciled");
+    assert.ok(rows.length > 0);
+    const [recorded] = ledger.invoices[estimate.id];
+    assert.equal(recorded.kind, INVOICE_KINDS.DEPOSIT);
+    assert.deepEqual(recorded.bases, [{ taxId: 1, amount: 450 }]);
+    assert.equal(recorded.totalInclTax, 540);
+  });
+
+  it("facture le solde en déduisant l'acompte réconcilié", async () => {
+    const ledger = memoryLedger(
+      { [estimate.id]: { status: LEDGER_STATUS.PARTIAL } },
+      {
+        [estimate.id]: [
+          creator(fakeSellsy({})).billingOf(deposit, INVOICE_KINDS.DEPOSIT, {
+            1: 20,
+          }),
+        ],
+      },
+    );
+    let posted;
+    const sellsy = fakeSellsy({
+      [`GET /v2/estimates/${estimate.id}`]: estimate,
+      "POST /v2/invoices": (options) => {
+        posted = JSON.parse(options.body);
+        return { id: 701 };
+      },
+    });
+
+    const result = await creator(sellsy, ledger).handleEstimateModification(
+      { id: estimate.id, related: estimate.related },
+      "job-4",
+    );
+
+    assert.equal(result.action, "balance_invoice_created");
+    assert.equal(result.billedExclTax, 1500);
+    assert.ok(posted.rows.some((row) => Number(row.unit_amount) < 0));
+  });
+
+  it("facture le solde après un changement de statut du devis", async () => {
+    const rules = new AcceptanceRules({
+      rules: [
+        {
+          name: "solde-a-la-livraison",
+          when: {
+            status: ["accepted"],
+            customFields: { livraison: "livree" },
+          },
+          action: "invoice",
+        },
+        {
+          name: "acompte-30",
+          when: { status: ["accepted"] },
+          action: "deposit",
+          deposit: { percent: 30 },
+        },
+      ],
+      fallback: "skip",
+    });
+    const ledger = memoryLedger();
+    let current = estimate;
+    let invoiceId = 700;
+    const sellsy = fakeSellsy({
+      [`GET /v2/estimates/${estimate.id}?embed[]=custom_fields`]: () => current,
+      "POST /v2/invoices": () => ({ id: invoiceId++ }),
+    });
+    const handle = (jobId) =>
+      creator(sellsy, ledger, rules).handleEstimateModification(
+        { id: estimate.id, related: estimate.related },
+        jobId,
+      );
+
+    assert.equal((await handle("job-6")).action, "deposit_invoice_created");
+    assert.equal(ledger.entries[estimate.id].status, LEDGER_STATUS.PARTIAL);
+
+    // Sellsy fait évoluer le devis après l'acompte: plus aucune règle "accepted"
+    current = { ...estimate, status: "advanced" };
+    const waiting = await handle("job-7");
+    assert.equal(waiting.action, "skipped");
+    assert.equal(waiting.reason, "already_billed");
+
+    current = {
+      ...estimate,
+      status: "advanced",
+      _embed: { custom_fields: [{ code: "livraison", value: "livree" }] },
+    };
+    const balance = await handle("job-8");
+    assert.equal(balance.action, "balance_invoice_created");
+    assert.equal(balance.rule, "solde-a-la-livraison");
+    assert.equal(balance.billedExclTax, 1500);
+    assert.deepEqual(
+      ledger.invoices[estimate.id].map((invoice) => invoice.kind),
+      [INVOICE_KINDS.DEPOSIT, INVOICE_KINDS.BALANCE],
+    );
+    assert.equal(ledger.entries[estimate.id].status, LEDGER_STATUS.CREATED);
+  });
+
+  it("ne facture pas un devis au statut non accepté sans acompte", async () => {
+    const sellsy = fakeSellsy({
+      [`GET /v2/estimates/${estimate.id}`]: { ...estimate, status: "advanced" },
+    });
+
+    const result = await creator(sellsy).handleEstimateModification(
+      { id: estimate.id, related: estimate.related },
+      "job-9",
+    );
+    assert.equal(result.action, "skipped");
+    assert.equal(result.status, "advanced");
+  });
+
+  it("refuse une facture qui dépasserait le montant du devis", async () => {
+    // Acompte historisé sans bases HT: le solde reprendrait tout le devis
+    const ledger = memoryLedger(
+      { [estimate.id]: { status: LEDGER_STATUS.PARTIAL } },
+      {
+        [estimate.id]: [
+          {
+            invoiceId: "700",
+            kind: INVOICE_KINDS.DEPOSIT,
+            totalExclTax: 450,
+            totalInclTax: 540,
+            bases: [],
+          },
+        ],
+      },
+    );
+    const sellsy = fakeSellsy({
+      [`GET /v2/estimates/${estimate.id}`]: estimate,
+    });
+
+    await assert.rejects(
+      creator(sellsy, ledger).handleEstimateModification(
+        { id: estimate.id, related: estimate.related },
+        "job-5",
+      ),
+      (error) => {
+        assert.ok(error instanceof InvoiceAmountError);
+        assert.equal(error.isRetryable, false);
+        assert.match(error.message, /total_excl_tax 1950 > 1500/);
+        return true;
+      },
+    );
+    assert.deepEqual(sellsy.calls, [`GET /v2/estimates/${estimate.id}`]);
+    assert.equal(ledger.entries[estimate.id].status, LEDGER_STATUS.PARTIAL);
+  });
+});
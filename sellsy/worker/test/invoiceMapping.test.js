@@ -0,0 +1,241 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { InvoiceCreator } from "../lib/invoiceCreator.js";
+import {
+  DEFAULT_INVOICE_MAPPING,
+  InvalidMappingError,
+  applyRowMapping,
+  buildInvoiceFields,
+  loadInvoiceMapping,
+  mergeInvoiceMapping,
+  validateInvoiceMapping,
+} from "../lib/invoiceMapping.js";
+import { renderFirst, renderTemplate } from "../lib/template.js";
+import { silentLogger } from "../../test/helpers/logger.js";
+
+const estimates = JSON.parse(
+  readFileSync(new URL("./fixtures/estimates.json", import.meta.url), "utf8"),
+);
+const EXAMPLE_MAPPING = fileURLToPath(
+  new URL("../config/invoice-mapping.example.json", import.meta.url),
+);
+
+const creator = (mapping) =>
+  new InvoiceCreator(null, silentLogger(), null, mapping);
+
+describe("template", () => {
+  it("rend les chemins imbriqués", () => {
+    assert.equal(
+      renderTemplate("{{ product.reference }}-{{position}}", {
+        product: { reference: "P-1" },
+        position: 2,
+      }),
+      "P-1-2",
+    );
+  });
+
+  it("retourne null si une variable est absente ou vide", () => {
+    assert.equal(renderTemplate("{{subject}}", { subject: "" }), null);
+    assert.equal(renderTemplate("{{product.id}}", {}), null);
+  });
+
+  it("retient le premier candidat complet", () => {
+    const context = estimates.catalogue;
+    assert.equal(
+      renderFirst(["{{subject}}", "Facture - {{number}}"], context),
+      "Facture - DEV-1002",
+    );
+    assert.equal(renderFirst(["{{subject}}"], context), null);
+  });
+});
+
+describe("mapping par défaut", () => {
+  const mapping = mergeInvoiceMapping();
+
+  it("recopie le devis sans ses champs exclus ni réservés", () => {
+    const fields = buildInvoiceFields(estimates.simple, mapping);
+
+    assert.equal(fields.subject, "Refonte site vitrine");
+    assert.equal(fields.currency, "EUR");
+    for (const field of [
+      ...DEFAULT_INVOICE_MAPPING.fields.exclude,
+      "parent",
+      "related",
+      "rows",
+    ]) {
+      assert.equal(field in fields, false, field);
+    }
+  });
+
+  it("construit l'objet depuis le numéro quand le devis n'en a pas", () => {
+    const fields = buildInvoiceFields(estimates.catalogue, mapping);
+    assert.equal(fields.subject, "Facture - DEV-1002");
+  });
+
+  it("limite la recopie à la liste blanche", () => {
+    const fields = buildInvoiceFields(
+      { ...estimates.simple, note: "Merci", currency: "USD" },
+      mergeInvoiceMapping({ fields: { include: ["currency"] } }),
+    );
+    assert.deepEqual(fields, {
+      currency: "USD",
+      subject: "Refonte site vitrine",
+    });
+  });
+
+  it("génère une payload rattachée au devis et au client", () => {
+    const { payload } = creator(mapping).buildInvoicePayload(
+      estimates.simple,
+      estimates.simple,
+    );
+
+    assert.deepEqual(payload.parent, { type: "estimate", id: 1001 });
+    assert.deepEqual(payload.related, [{ id: 42, type: "company" }]);
+    assert.deepEqual(
+      payload.rows.map((row) => [row.reference, row.description]),
+      [
+        ["WEB-01", "Maquettes"],
+        ["WEB-02", "Intégration"],
+      ],
+    );
+  });
+});
+
+describe("mapping d'exemple (config/invoice-mapping.example.json)", async () => {
+  const mapping = await loadInvoiceMapping(EXAMPLE_MAPPING, silentLogger());
+
+  it("évalue les templates et impose les valeurs fixées", () => {
+    const fields = buildInvoiceFields(
+      { ...estimates.simple, payment_conditions_acceptance: "À réception" },
+      mapping,
+    );
+
+    assert.equal(fields.subject, "Facture DEV-1001 - Refonte site vitrine");
+    assert.equal(fields.note, "Facture établie depuis le devis DEV-1001");
+    assert.equal(fields.payment_conditions_acceptance, "Paiement à 30 jours");
+  });
+
+  it("se rabat sur le candidat suivant sans objet de devis", () => {
+    const fields = buildInvoiceFields(estimates.catalogue, mapping);
+    assert.equal(fields.subject, "Facture - DEV-1002");
+  });
+
+  it("convertit chaque type de ligne du devis", () => {
+    const rows = creator(mapping).transformEstimateItemsToInvoiceRows(
+      estimates.catalogue.rows,
+    );
+
+    assert.deepEqual(rows, [
+      { type: "title", text: "Abonnement" },
+      {
+        type: "catalog",
+        related: { id: 12345, type: "product" },
+        reference: "ABO",
+        description: "Abonnement mensuel",
+        quantity: "3",
+        unit_amount: "100.00",
+        tax_id: 1,
+      },
+      {
+        type: "single",
+        description: "Ligne 3",
+        quantity: "2",
+        unit_amount: "50.00",
+        tax_id: 1,
+        reference: "ABO-MENSUEL",
+      },
+      { type: "comment", text: "Installation sur site incluse" },
+      {
+        type: "shipping",
+        shipping_id: 3,
+        description: "Livraison",
+        quantity: "1",
+        unit_amount: "15.00",
+        tax_id: 1,
+      },
+      { type: "sub-total" },
+    ]);
+  });
+
+  it("construit la référence d'un produit sans correspondance", () => {
+    const estimateRow = { type: "single", product: { id: 9 } };
+    const row = applyRowMapping(
+      { type: "single", description: "Ligne 1", unit_amount: "10" },
+      estimateRow,
+      1,
+      mapping.rows,
+    );
+    assert.equal(row.reference, "prod_9");
+  });
+});
+
+describe("règles de ligne", () => {
+  const rows = mergeInvoiceMapping({
+    rows: { defaults: { unit_id: 7 }, set: { accounting_code_id: 3 } },
+  }).rows;
+
+  it("complète et impose les champs des lignes avec montant", () => {
+    const row = applyRowMapping(
+      { type: "shipping", unit_amount: "15", unit_id: 2 },
+      {},
+      1,
+      rows,
+    );
+    assert.deepEqual(row, {
+      type: "shipping",
+      unit_amount: "15",
+      unit_id: 2,
+      accounting_code_id: 3,
+    });
+  });
+
+  it("laisse intactes les lignes sans montant", () => {
+    const comment = { type: "comment", text: "Note" };
+    assert.equal(applyRowMapping(comment, comment, 1, rows), comment);
+  });
+});
+
+describe("validation du mapping", () => {
+  it("accepte le mapping par défaut", () => {
+    assert.deepEqual(validateInvoiceMapping(DEFAULT_INVOICE_MAPPING), []);
+  });
+
+  it("liste toutes les erreurs", () => {
+    assert.deepEqual(
+      validateInvoiceMapping({
+        extra: {},
+        fields: { include: "subject" },
+        templates: { rows: "{{rows}}", note: 42 },
+        set: { parent: 1 },
+        rows: { productReferences: [], unknown: true },
+      }),
+      [
+        'section inconnue "extra"',
+        "fields.include doit être une liste de noms de champs",
+        "templates.note doit être une chaîne ou une liste de chaînes",
+        "templates.rows est construit par le worker",
+        "set.parent est construit par le worker",
+        "rows.unknown inconnu",
+        "rows.productReferences doit être un objet",
+      ],
+    );
+  });
+
+  it("refuse de charger un fichier invalide", async (t) => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), "mapping-"));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    const file = path.join(dir, "mapping.json");
+    await writeFile(file, JSON.stringify({ set: { rows: [] } }));
+
+    await assert.rejects(loadInvoiceMapping(file), (error) => {
+      assert.ok(error instanceof InvalidMappingError);
+      assert.deepEqual(error.errors, ["set.rows est construit par le worker"]);
+      return true;
+    });
+  });
+});
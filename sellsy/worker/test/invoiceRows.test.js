@@ -0,0 +1,191 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+import { InvoiceCreator } from "../lib/invoiceCreator.js";
+import { INVOICE_KINDS } from "../lib/invoiceLedger.js";
+import {
+  InvoiceAmountError,
+  buildDepositRows,
+  collectTaxRates,
+  computeRowsTotals,
+  convertDiscount,
+} from "../lib/invoiceRows.js";
+import { silentLogger } from "../../test/helpers/logger.js";
+
+const estimates = JSON.parse(
+  readFileSync(new URL("./fixtures/estimates.json", import.meta.url), "utf8"),
+);
+
+const creator = () => new InvoiceCreator(null, silentLogger(), null);
+
+// Déjà facturé tel que le renvoie InvoiceLedger.billedSoFar
+const billedBy = (...billings) => ({
+  invoices: billings,
+  totalExclTax: billings.reduce((sum, b) => sum + b.totalExclTax, 0),
+  totalInclTax: billings.reduce((sum, b) => sum + b.totalInclTax, 0),
+  bases: billings.flatMap((b) => b.bases),
+});
+
+const amountsOf = (estimate) => ({
+  total_excl_tax: Number(estimate.amounts.total_excl_tax),
+  total_incl_tax: Number(estimate.amounts.total_incl_tax),
+});
+
+describe("totaux de la facture complète", () => {
+  for (const [name, estimate] of Object.entries(estimates)) {
+    it(`redonnent les totaux du devis ${name}`, () => {
+      const { payload, billing, totalsCheck } = creator().buildInvoicePayload(
+        estimate,
+        estimate,
+      );
+
+      assert.deepEqual(totalsCheck.differences, []);
+      assert.equal(totalsCheck.matches, true);
+      assert.deepEqual(
+        {
+          total_excl_tax: billing.totalExclTax,
+          total_incl_tax: billing.totalInclTax,
+        },
+        amountsOf(estimate),
+      );
+      assert.deepEqual(
+        payload.discount ?? null,
+        convertDiscount(estimate.discount),
+      );
+    });
+  }
+
+  it("ignorent les lignes optionnelles et sans montant", () => {
+    const { payload } = creator().buildInvoicePayload(
+      estimates.catalogue,
+      estimates.catalogue,
+    );
+    const totals = computeRowsTotals(payload.rows, {
+      taxRates: collectTaxRates(estimates.catalogue),
+    });
+
+    assert.equal(totals.total_raw_excl_tax, 415);
+    assert.deepEqual(totals.taxes, [{ id: 1, rate: 20, amount: 83 }]);
+  });
+
+  it("signalent un écart avec le devis", () => {
+    const estimate = {
+      ...estimates.simple,
+      amounts: { total_excl_tax: "1400.00", total_incl_tax: "1680.00" },
+    };
+    const { totalsCheck } = creator().buildInvoicePayload(estimate, estimate);
+
+    assert.equal(totalsCheck.matches, false);
+    assert.deepEqual(
+      totalsCheck.differences.map(({ field, delta }) => [field, delta]),
+      [
+        ["total_excl_tax", 100],
+        ["total_incl_tax", 120],
+      ],
+    );
+  });
+});
+
+describe("acompte puis solde", () => {
+  const estimate = estimates.multiTauxRemisePourcentage;
+
+  it("répartit un pourcentage sur chaque taux de TVA", () => {
+    const { payload } = creator().buildInvoicePayload(estimate, estimate, {
+      kind: INVOICE_KINDS.DEPOSIT,
+      deposit: { percent: 30 },
+    });
+
+    assert.equal(payload.discount, undefined);
+    assert.deepEqual(
+      payload.rows.map((row) => [row.tax_id, row.unit_amount]),
+      [
+        [1, "270.00"],
+        [2, "27.00"],
+      ],
+    );
+  });
+
+  it("répartit un montant fixe au prorata des bases remisées", () => {
+    const rows = buildDepositRows(
+      creator().transformEstimateItemsToInvoiceRows(
+        estimates.multiTauxRemiseMontant.rows,
+      ),
+      { discount: { type: "amount", amount: "100" }, amount: 100 },
+    );
+
+    assert.deepEqual(
+      rows.map((row) => [row.tax_id, row.unit_amount]),
+      [
+        [1, "40.00"],
+        [2, "60.00"],
+      ],
+    );
+  });
+
+  it("reporte l'arrondi au centime sur la plus grosse ligne", () => {
+    const rows = buildDepositRows(
+      [
+        { type: "single", quantity: "1", unit_amount: "100", tax_id: 1 },
+        { type: "single", quantity: "1", unit_amount: "100", tax_id: 2 },
+        { type: "single", quantity: "1", unit_amount: "100", tax_id: 3 },
+      ],
+      { amount: 100 },
+    );
+
+    assert.equal(
+      rows.reduce((sum, row) => sum + Number(row.unit_amount), 0),
+      100,
+    );
+  });
+
+  it("facture en solde exactement le reste du devis", () => {
+    const deposit = creator().buildInvoicePayload(estimate, estimate, {
+      kind: INVOICE_KINDS.DEPOSIT,
+      deposit: { percent: 30 },
+    }).billing;
+    const billed = billedBy({ ...deposit, invoiceId: 9001 });
+
+    const { billing, totalsCheck } = creator().buildInvoicePayload(
+      estimate,
+      estimate,
+      { kind: INVOICE_KINDS.BALANCE, billed },
+    );
+
+    assert.equal(totalsCheck.matches, true);
+    assert.equal(deposit.totalExclTax + billing.totalExclTax, 990);
+    assert.ok(
+      Math.abs(deposit.totalInclTax + billing.totalInclTax - 1174.95) <= 0.01,
+    );
+  });
+});
+
+describe("acompte sur un devis sans base HT", () => {
+  const rows = creator().transformEstimateItemsToInvoiceRows(
+    estimates.baseNulle.rows,
+  );
+
+  for (const deposit of [{ amount: 100 }, { amount: 0 }, { percent: 30 }]) {
+    it(`est refusé (${JSON.stringify(deposit)})`, () => {
+      assert.throws(
+        () => buildDepositRows(rows, { ...deposit, description: "Acompte" }),
+        (error) => {
+          assert.ok(error instanceof InvoiceAmountError);
+          assert.equal(error.isRetryable, false);
+          return true;
+        },
+      );
+    });
+  }
+
+  it("n'émet jamais de ligne NaN depuis le worker", () => {
+    assert.throws(
+      () =>
+        creator().buildInvoicePayload(
+          estimates.baseNulle,
+          estimates.baseNulle,
+          { kind: INVOICE_KINDS.DEPOSIT, deposit: { amount: 0 } },
+        ),
+      InvoiceAmountError,
+    );
+  });
+});
@@ -0,0 +1,163 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, describe, it } from "node:test";
+import { Notifier, loadNotifier, sampleNotification } from "../lib/notifier.js";
+import { silentLogger } from "../../test/helpers/logger.js";
+import { freePort } from "../../test/helpers/stack.js";
+import { startSmtpSink } from "../../test/helpers/smtpSink.js";
+
+const EXAMPLE_FILE = new URL(
+  "../config/notifications.example.json",
+  import.meta.url,
+).pathname;
+
+// Incoming webhook local (Slack, Teams, webhook générique): corps reçus
+async function startHookSink() {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      bodies.push({
+        path: req.url,
+        headers: req.headers,
+        body: JSON.parse(body),
+      });
+      res.end("ok");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    bodies,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// Canaux notifiés en parallèle: compteurs triés par canal
+function countingMetrics() {
+  const counts = [];
+  return {
+    get counts() {
+      return [...counts].sort((a, b) => a.channel.localeCompare(b.channel));
+    },
+    notifications: { inc: (labels) => counts.push(labels) },
+  };
+}
+
+describe("notifications sur une boîte SMTP locale", () => {
+  let smtp;
+  let hooks;
+
+  before(async () => {
+    smtp = await startSmtpSink();
+    hooks = await startHookSink();
+  });
+
+  after(async () => {
+    await smtp.close();
+    await hooks.close();
+  });
+
+  it("envoie l'e-mail rendu depuis le template par défaut", async () => {
+    const notifier = new Notifier(
+      {
+        channels: {
+          compta: {
+            type: "smtp",
+            to: ["compta@example.com", "direction@example.com"],
+            url: "env:NOTIFY_SMTP",
+          },
+        },
+        routes: [{ events: ["invoice_created"], channels: ["compta"] }],
+      },
+      silentLogger(),
+      { env: { NOTIFY_SMTP: smtp.url, SMTP_FROM: "worker@example.com" } },
+    );
+
+    const results = await notifier.notify(sampleNotification());
+
+    assert.deepEqual(results, [{ channel: "compta", sent: true }]);
+    const mail = smtp.messages.at(-1);
+    assert.equal(mail.from, "worker@example.com");
+    assert.deepEqual(mail.to, ["compta@example.com", "direction@example.com"]);
+    assert.equal(mail.subject, "✅ Facture 1 créée depuis le devis 1001");
+    assert.equal(
+      mail.text,
+      "La facture 1 (draft) a été créée automatiquement depuis le devis 1001 (tenant default, règle test).",
+    );
+  });
+
+  it("suit les routes et templates du fichier d'exemple", async () => {
+    const metrics = countingMetrics();
+    const notifier = await loadNotifier(EXAMPLE_FILE, silentLogger(), {
+      metrics,
+      env: {
+        SMTP_URL: smtp.url,
+        SLACK_WEBHOOK_URL: `${hooks.url}/slack`,
+        TEAMS_WEBHOOK_URL: `${hooks.url}/teams`,
+      },
+    });
+    const before = smtp.messages.length;
+
+    // Échec définitif: e-mail "compta" et carte Teams "support"
+    const results = await notifier.notify(sampleNotification("job_failed"));
+
+    assert.deepEqual(
+      results.map(({ channel, sent }) => [channel, sent]),
+      [
+        ["compta", true],
+        ["support", true],
+      ],
+    );
+    const [mail] = smtp.messages.slice(before);
+    assert.equal(mail.subject, "💥 Échec définitif pour le devis 1001");
+    assert.deepEqual(mail.to, ["compta@example.com"]);
+    assert.match(mail.text, /10 tentatives.*Erreur de test/s);
+
+    const teams = hooks.bodies.find((hook) => hook.path === "/teams");
+    assert.equal(teams.body.title, mail.subject);
+    assert.deepEqual(metrics.counts, [
+      { channel: "compta", outcome: "sent" },
+      { channel: "support", outcome: "sent" },
+    ]);
+
+    // Template du fichier pour une facture créée, sur le canal forcé
+    await notifier.notify(sampleNotification(), { channels: ["compta"] });
+    const created = smtp.messages.at(-1);
+    assert.equal(created.subject, "Facture 1 créée (devis 1001)");
+    assert.equal(
+      created.text,
+      "Bonjour,\n\nLa facture 1 a été créée en draft depuis le devis 1001.",
+    );
+    assert.equal(created.from, "sellsy-worker@example.com");
+  });
+
+  it("signale un serveur SMTP injoignable sans échouer", async () => {
+    const metrics = countingMetrics();
+    const notifier = new Notifier(
+      {
+        channels: {
+          compta: { type: "smtp", to: ["compta@example.com"] },
+          erp: { type: "webhook", url: `${hooks.url}/erp` },
+        },
+        routes: [{ channels: ["compta", "erp"] }],
+      },
+      silentLogger(),
+      {
+        metrics,
+        env: { SMTP_URL: `smtp://127.0.0.1:${await freePort()}` },
+      },
+    );
+
+    const results = await notifier.notify(sampleNotification("manual_review"));
+
+    assert.equal(results[0].sent, false);
+    assert.match(results[0].error, /ECONNREFUSED/);
+    assert.deepEqual(results[1], { channel: "erp", sent: true });
+    assert.deepEqual(metrics.counts, [
+      { channel: "compta", outcome: "error" },
+      { channel: "erp", outcome: "sent" },
+    ]);
+  });
+});
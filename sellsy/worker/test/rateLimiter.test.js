@@ -0,0 +1,173 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, describe, it, mock } from "node:test";
+import IORedis from "ioredis";
+import { RedisRateLimiter, parseRateLimitReset } from "../lib/rateLimiter.js";
+import { SellsyApiClient } from "../lib/sellsyApiClient.js";
+import { silentLogger } from "../../test/helpers/logger.js";
+import { cleanRedis, startRedis } from "../../test/helpers/stack.js";
+
+const headers = (values) => new Headers(values);
+
+// Redis qui n'exécute pas les scripts: seuls les appels à BLOCK_SCRIPT sont relevés
+function recordingRedis() {
+  const blocks = [];
+  return {
+    blocks,
+    async eval(script, numKeys, key, durationMs) {
+      blocks.push({ key, durationMs });
+      return 0;
+    },
+  };
+}
+
+describe("parseRateLimitReset", () => {
+  it("lit un nombre de secondes restantes", () => {
+    assert.equal(parseRateLimitReset("3"), 3000);
+  });
+
+  it("lit un timestamp epoch en secondes", () => {
+    const now = Date.UTC(2026, 0, 1);
+    assert.equal(parseRateLimitReset(String(now / 1000 + 5), now), 5000);
+    assert.equal(parseRateLimitReset(String(now / 1000 - 5), now), 0);
+  });
+
+  it("ignore un header absent ou illisible", () => {
+    assert.equal(parseRateLimitReset(null), null);
+    assert.equal(parseRateLimitReset("demain"), null);
+  });
+});
+
+describe("RedisRateLimiter.updateFromHeaders", () => {
+  const limiter = (redis) =>
+    new RedisRateLimiter(redis, silentLogger(), { prefix: "sellsy:test" });
+
+  it("bloque le seau jusqu'au reset quand le quota est épuisé", async () => {
+    const redis = recordingRedis();
+    await limiter(redis).updateFromHeaders(
+      headers({ "x-ratelimit-remaining": "0", "x-ratelimit-reset": "3" }),
+    );
+    assert.deepEqual(redis.blocks, [
+      { key: "sellsy:test:blocked-until", durationMs: 3000 },
+    ]);
+  });
+
+  it("bloque une seconde sans header de reset", async () => {
+    const redis = recordingRedis();
+    await limiter(redis).updateFromHeaders(
+      headers({ "x-ratelimit-remaining": "0" }),
+    );
+    assert.deepEqual(
+      redis.blocks.map((block) => block.durationMs),
+      [1000],
+    );
+  });
+
+  it("ne bloque pas tant qu'il reste du quota", async () => {
+    const redis = recordingRedis();
+    await limiter(redis).updateFromHeaders(
+      headers({ "x-ratelimit-remaining": "12", "x-ratelimit-reset": "3" }),
+    );
+    await limiter(redis).updateFromHeaders(headers({}));
+    await limiter(redis).block(0);
+    assert.deepEqual(redis.blocks, []);
+  });
+});
+
+// --- Scripts Lua sur un vrai Redis ---
+const redisServer = await startRedis();
+
+describe(
+  "RedisRateLimiter sur Redis",
+  {
+    skip: redisServer
+      ? false
+      : "Redis indisponible (REDIS_HOST/REDIS_PORT, redis-server)",
+    timeout: 30000,
+  },
+  () => {
+    const prefix = `sellsy:ratelimit-test:${process.pid}`;
+    let redis;
+    let buckets = 0;
+
+    before(() => {
+      redis = new IORedis({ host: redisServer.host, port: redisServer.port });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    after(async () => {
+      await cleanRedis(redis, `${prefix}:*`);
+      await redis.quit();
+      await redisServer.stop();
+    });
+
+    // Un seau neuf par test; deux limiteurs du même préfixe = deux workers du tenant
+    const limiters = (count, options = {}) => {
+      const shared = `${prefix}:${++buckets}`;
+      return Array.from(
+        { length: count },
+        () =>
+          new RedisRateLimiter(redis, silentLogger(), {
+            prefix: shared,
+            ...options,
+          }),
+      );
+    };
+
+    const elapsed = async (fn) => {
+      const startedAt = Date.now();
+      await fn();
+      return Date.now() - startedAt;
+    };
+
+    it("fait attendre l'appel suivant quand le seau est vide", async () => {
+      const [limiter] = limiters(1, { requestsPerSecond: 4, burst: 1 });
+
+      assert.ok((await elapsed(() => limiter.acquire())) < 100);
+      // 4 jetons/s: le suivant arrive 250 ms plus tard
+      const waited = await elapsed(() => limiter.acquire());
+      assert.ok(waited >= 200 && waited < 1000, `attente de ${waited} ms`);
+    });
+
+    it("bloque les autres workers du tenant sans raccourcir un blocage", async () => {
+      const [first, second] = limiters(2, { requestsPerSecond: 100 });
+
+      await first.block(800);
+      await first.block(100);
+      const waited = await elapsed(() => second.acquire());
+      assert.ok(waited >= 700, `attente de ${waited} ms`);
+    });
+
+    it("suspend les autres appelants du tenant après un 429", async () => {
+      const [first, second] = limiters(2, { requestsPerSecond: 100 });
+      const client = (limiter) =>
+        new SellsyApiClient("id", "secret", silentLogger(), 3, limiter, {
+          apiUrl: "http://sellsy.test",
+          loginUrl: "http://sellsy.test",
+        });
+      mock.method(globalThis, "fetch", async (url) => {
+        if (String(url).endsWith("/oauth2/access-tokens")) {
+          return Response.json({ access_token: "token", expires_in: 3600 });
+        }
+        if (String(url).endsWith("/v2/estimates/1")) {
+          return new Response("{}", {
+            status: 429,
+            headers: { "retry-after": "1" },
+          });
+        }
+        return Response.json({ id: 2 });
+      });
+
+      await assert.rejects(client(first).makeApiCall("/v2/estimates/1"), {
+        statusCode: 429,
+        retryAfterMs: 1000,
+      });
+      let result;
+      const waited = await elapsed(async () => {
+        result = await client(second).makeApiCall("/v2/estimates/2");
+      });
+      assert.deepEqual(result, { id: 2 });
+      assert.ok(waited >= 900, `attente de ${waited} ms`);
+    });
+  },
+);
@@ -0,0 +1,153 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import { ApiError, SellsyApiClient } from "../lib/sellsyApiClient.js";
+import { BACKOFF_TYPE, sellsyBackoffStrategy } from "../lib/backoff.js";
+import { silentLogger } from "../../test/helpers/logger.js";
+
+const API_URL = "http://sellsy.test";
+
+const json = (status, body) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "content-type": "application/json" },
+  });
+
+// fetch simulé: token toujours délivré, appels API confiés à `api`
+function stubFetch(api) {
+  const calls = [];
+  mock.method(globalThis, "fetch", async (url, options = {}) => {
+    if (String(url).endsWith("/oauth2/access-tokens")) {
+      return json(200, {
+        access_token: `token-${calls.length}`,
+        expires_in: 3600,
+      });
+    }
+    calls.push({ url: String(url), method: options.method || "GET" });
+    return api(calls.length);
+  });
+  return calls;
+}
+
+// Limiteur partagé simulé: relève les appels que ferait RedisRateLimiter
+function recordingLimiter() {
+  const calls = [];
+  return {
+    calls,
+    async acquire() {
+      calls.push(["acquire"]);
+    },
+    async block(durationMs) {
+      calls.push(["block", durationMs]);
+    },
+    async updateFromHeaders(headers) {
+      calls.push(["headers", headers.get("x-ratelimit-remaining")]);
+    },
+  };
+}
+
+const client = (maxRetries = 3, rateLimiter = null) =>
+  new SellsyApiClient("id", "secret", silentLogger(), maxRetries, rateLimiter, {
+    apiUrl: API_URL,
+    loginUrl: API_URL,
+  });
+
+describe("SellsyApiClient.makeApiCall", () => {
+  beforeEach(() => mock.timers.enable({ apis: ["setTimeout"] }));
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it("ne renvoie pas un POST après une erreur réseau", async () => {
+    const calls = stubFetch(() => {
+      throw new TypeError("fetch failed");
+    });
+
+    await assert.rejects(
+      client().makeApiCall("/v2/invoices", { method: "POST", body: "{}" }),
+      { name: "TypeError", message: "fetch failed" },
+    );
+    assert.equal(calls.length, 1);
+  });
+
+  it("renvoie un GET après une erreur réseau", async () => {
+    const calls = stubFetch((count) => {
+      if (count === 1) throw new TypeError("fetch failed");
+      return json(200, { id: 1 });
+    });
+
+    const pending = client().makeApiCall("/v2/estimates/1");
+    // Attente de 1 s avant la deuxième tentative
+    await new Promise(setImmediate);
+    mock.timers.tick(1000);
+
+    assert.deepEqual(await pending, { id: 1 });
+    assert.equal(calls.length, 2);
+  });
+
+  it("lève une ApiError après des 401 répétés", async () => {
+    const calls = stubFetch(() => json(401, { error: "unauthorized" }));
+
+    await assert.rejects(client(3).makeApiCall("/v2/estimates/1"), (error) => {
+      assert.ok(error instanceof ApiError);
+      assert.equal(error.statusCode, 401);
+      return true;
+    });
+    assert.equal(calls.length, 3);
+  });
+});
+
+describe("SellsyApiClient et quota Sellsy (429)", () => {
+  afterEach(() => mock.restoreAll());
+
+  const tooManyRequests = (values) =>
+    new Response("{}", { status: 429, headers: values });
+
+  it("bloque le limiteur et remet le délai Retry-After au backoff", async () => {
+    const limiter = recordingLimiter();
+    const calls = stubFetch(() =>
+      tooManyRequests({ "retry-after": "42", "x-ratelimit-remaining": "0" }),
+    );
+
+    const error = await client(3, limiter)
+      .makeApiCall("/v2/estimates/1")
+      .catch((caught) => caught);
+
+    assert.ok(error instanceof ApiError);
+    assert.equal(error.statusCode, 429);
+    assert.equal(error.isRetryable, true);
+    assert.equal(error.retryAfterMs, 42000);
+    assert.equal(sellsyBackoffStrategy(1, BACKOFF_TYPE, error), 42000);
+    // Pas de nouvel essai dans le job: BullMQ le reprogramme
+    assert.equal(calls.length, 1);
+    assert.deepEqual(limiter.calls, [
+      ["acquire"],
+      ["headers", "0"],
+      ["block", 42000],
+    ]);
+  });
+
+  it("se rabat sur le reset du quota sans Retry-After", async () => {
+    const limiter = recordingLimiter();
+    stubFetch(() => tooManyRequests({ "x-ratelimit-reset": "7" }));
+
+    await assert.rejects(client(3, limiter).makeApiCall("/v2/estimates/1"), {
+      statusCode: 429,
+      retryAfterMs: 7000,
+    });
+    assert.deepEqual(limiter.calls.at(-1), ["block", 7000]);
+  });
+
+  it("prend un jeton avant chaque appel", async () => {
+    const limiter = recordingLimiter();
+    stubFetch(() => json(200, { id: 1 }));
+    const sellsy = client(3, limiter);
+
+    await sellsy.makeApiCall("/v2/estimates/1");
+    await sellsy.makeApiCall("/v2/estimates/2");
+    assert.equal(
+      limiter.calls.filter(([name]) => name === "acquire").length,
+      2,
+    );
+  });
+});
@@ -0,0 +1,258 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { describe, it } from "node:test";
+import {
+  InvalidTokenStoreError,
+  MemoryTokenStore,
+  RedisTokenStore,
+  TokenCipher,
+  createTokenStore,
+} from "../lib/tokenStore.js";
+import { silentLogger } from "../../test/helpers/logger.js";
+
+// Redis en mémoire: GET, SET (PX, NX), DEL et le script de libération du verrou
+function memoryRedis() {
+  const keys = new Map();
+  const live = (key) => {
+    const entry = keys.get(key);
+    if (entry?.expiresAt && entry.expiresAt <= Date.now()) keys.delete(key);
+    return keys.get(key);
+  };
+  return {
+    keys,
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+    async set(key, value, ...options) {
+      if (options.includes("NX") && live(key)) return null;
+      const px = options.indexOf("PX");
+      keys.set(key, {
+        value: String(value),
+        expiresAt: px >= 0 ? Date.now() + Number(options[px + 1]) : null,
+      });
+      return "OK";
+    },
+    async del(...names) {
+      return names.filter((name) => keys.delete(name)).length;
+    },
+    async eval(script, numKeys, key, owner) {
+      if (live(key)?.value !== owner) return 0;
+      return keys.delete(key) ? 1 : 0;
+    },
+  };
+}
+
+const newKey = () => crypto.randomBytes(32);
+const KEY = "sellsy:oauth-token";
+
+describe("TokenCipher", () => {
+  it("déchiffre ce qu'il a chiffré", () => {
+    const cipher = new TokenCipher([newKey()]);
+    const payload = cipher.encrypt("secret", KEY);
+
+    assert.match(payload, /^v1:[0-9a-f]{8}:/);
+    assert.ok(!payload.includes("secret"));
+    assert.equal(cipher.decrypt(payload, KEY), "secret");
+  });
+
+  it("déchiffre encore avec l'ancienne clé après une rotation", () => {
+    const [oldKey, freshKey] = [newKey(), newKey()];
+    const payload = new TokenCipher([oldKey]).encrypt("secret", KEY);
+
+    const rotated = new TokenCipher([freshKey, oldKey]);
+    assert.equal(rotated.decrypt(payload, KEY), "secret");
+
+    // La nouvelle clé chiffre désormais: l'ancienne seule ne lit plus
+    const reencrypted = rotated.encrypt("secret", KEY);
+    assert.notEqual(reencrypted.split(":")[1], payload.split(":")[1]);
+    assert.throws(
+      () => new TokenCipher([oldKey]).decrypt(reencrypted, KEY),
+      /clé de chiffrement inconnue/,
+    );
+  });
+
+  it("refuse un chiffré déplacé vers une autre clé Redis", () => {
+    const cipher = new TokenCipher([newKey()]);
+    const payload = cipher.encrypt("secret", KEY);
+
+    assert.throws(() =>
+      cipher.decrypt(payload, "sellsy:tenant:acme:oauth-token"),
+    );
+  });
+
+  it("refuse un tag d'authentification altéré", () => {
+    const cipher = new TokenCipher([newKey()]);
+    const parts = cipher.encrypt("secret", KEY).split(":");
+    const tag = Buffer.from(parts[3], "base64url");
+    tag[0] ^= 1;
+    parts[3] = tag.toString("base64url");
+
+    assert.throws(() => cipher.decrypt(parts.join(":"), KEY));
+  });
+
+  it("accepte des clés de 32 octets en base64 ou hexadécimal", () => {
+    const key = newKey();
+    const cipher = TokenCipher.parse(
+      `${key.toString("base64")}, ${newKey().toString("hex")}`,
+    );
+
+    assert.equal(cipher.keys.length, 2);
+    assert.equal(
+      new TokenCipher([key]).decrypt(cipher.encrypt("secret", KEY), KEY),
+      "secret",
+    );
+  });
+
+  it("refuse une clé qui n'a pas 32 octets", () => {
+    const short = crypto.randomBytes(16);
+
+    for (const value of [
+      short.toString("base64"),
+      short.toString("hex"),
+      `${newKey().toString("base64")},${crypto.randomBytes(48).toString("base64")}`,
+      " , ",
+    ]) {
+      assert.throws(
+        () => TokenCipher.parse(value),
+        (error) =>
+          error instanceof InvalidTokenStoreError &&
+          /32 octets attendus|aucune clé/.test(error.message),
+        value,
+      );
+    }
+  });
+});
+
+describe("createTokenStore", () => {
+  const env = { SELLSY_TOKEN_ENCRYPTION_KEY: newKey().toString("base64") };
+  const create = (tenant, overrides = {}) =>
+    createTokenStore(
+      { id: "default", ...tenant },
+      memoryRedis(),
+      silentLogger(),
+      { ...env, ...overrides },
+    );
+  const rejects = (fn, pattern) =>
+    assert.throws(
+      fn,
+      (error) =>
+        error instanceof InvalidTokenStoreError &&
+        error.errors.some((message) => pattern.test(message)),
+    );
+
+  it("choisit Redis dès qu'une clé de chiffrement est définie", () => {
+    assert.ok(create({}) instanceof RedisTokenStore);
+    assert.ok(
+      createTokenStore({ id: "default" }, null, silentLogger(), {}) instanceof
+        MemoryTokenStore,
+    );
+  });
+
+  it("exige Redis pour le flux authorization_code", () => {
+    rejects(
+      () =>
+        create(
+          { authFlow: "authorization_code", redirectUri: "https://app/cb" },
+          { SELLSY_TOKEN_STORE: "memory" },
+        ),
+      /exige SELLSY_TOKEN_STORE=redis/,
+    );
+  });
+
+  it("exige redirectUri pour le flux authorization_code", () => {
+    rejects(
+      () => create({ authFlow: "authorization_code" }),
+      /redirectUri requise/,
+    );
+  });
+
+  it("refuse un type de stockage inconnu", () => {
+    rejects(
+      () => create({}, { SELLSY_TOKEN_STORE: "file" }),
+      /SELLSY_TOKEN_STORE "file" inconnu/,
+    );
+  });
+});
+
+describe("RedisTokenStore", () => {
+  const store = (
+    redis = memoryRedis(),
+    key = KEY,
+    cipher = new TokenCipher([newKey()]),
+  ) => new RedisTokenStore(redis, cipher, silentLogger(), key);
+
+  it("n'accorde le verrou de rafraîchissement qu'à un appelant à la fois", async () => {
+    const redis = memoryRedis();
+    const [first, second] = [store(redis), store(redis)];
+    let release;
+    const refreshing = new Promise((resolve) => (release = resolve));
+
+    const holder = first.withRefreshLock(() => refreshing);
+    assert.deepEqual(await second.withRefreshLock(async () => "second"), {
+      acquired: false,
+    });
+
+    release("first");
+    assert.deepEqual(await holder, { acquired: true, result: "first" });
+    assert.equal(redis.keys.has(`${KEY}:lock`), false);
+    assert.deepEqual(await second.withRefreshLock(async () => "second"), {
+      acquired: true,
+      result: "second",
+    });
+  });
+
+  it("libère le verrou si le rafraîchissement échoue", async () => {
+    const redis = memoryRedis();
+    const tokens = store(redis);
+
+    await assert.rejects(
+      tokens.withRefreshLock(async () => {
+        throw new Error("Sellsy indisponible");
+      }),
+      /Sellsy indisponible/,
+    );
+    assert.equal((await tokens.withRefreshLock(async () => 1)).acquired, true);
+  });
+
+  it("ne lit pas un token copié sous la clé d'un autre tenant", async () => {
+    const redis = memoryRedis();
+    const tokens = store(redis);
+    await tokens.set({ accessToken: "at", refreshToken: "rt", expiresAt: 0 });
+    assert.equal((await tokens.get()).accessToken, "at");
+
+    const other = "sellsy:tenant:acme:oauth-token";
+    redis.keys.set(other, redis.keys.get(KEY));
+    assert.equal(await store(redis, other, tokens.cipher).get(), null);
+  });
+});
+
+describe("autorisation PKCE en attente", () => {
+  for (const [name, build] of [
+    ["mémoire", () => new MemoryTokenStore()],
+    [
+      "Redis",
+      () =>
+        new RedisTokenStore(
+          memoryRedis(),
+          new TokenCipher([newKey()]),
+          silentLogger(),
+          KEY,
+        ),
+    ],
+  ]) {
+    it(`ne rend le code verifier qu'une fois (${name})`, async () => {
+      const tokens = build();
+      await tokens.saveAuthorization("state-1", "verifier");
+
+      assert.equal(await tokens.takeAuthorization("state-1"), "verifier");
+      assert.equal(await tokens.takeAuthorization("state-1"), null);
+      assert.equal(await tokens.takeAuthorization("inconnu"), null);
+    });
+  }
+
+  it("refuse une autorisation expirée", async () => {
+    const tokens = new MemoryTokenStore();
+    await tokens.saveAuthorization("state-1", "verifier", -1);
+    assert.equal(await tokens.takeAuthorization("state-1"), null);
+  });
+});
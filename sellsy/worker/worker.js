@@ -1,580 +1,491 @@
 // consumer.js
+import os from "os";
 import { Worker } from "bullmq";
 import IORedis from "ioredis";
 import Fastify from "fastify";
-
-// --- Configuration des retries ---
-const RETRY_CONFIG = {
-  MAX_ATTEMPTS: 10, // Nombre maximum de tentatives
-  INITIAL_DELAY: 5000, // Délai initial: 5 secondes
-  MAX_DELAY: 1800000, // Délai maximum: 30 minutes (1800000 ms)
-  EXPONENTIAL_BASE: 2, // Base pour le backoff exponentiel
-  MAINTENANCE_RETRY_DELAY: 1800000, // 30 minutes pour les 503
-};
+import { ApiError } from "./lib/sellsyApiClient.js";
+import { HandlerRegistry, loadHandlerModules } from "./lib/handlerRegistry.js";
+import { register as registerEventFanout } from "./handlers/eventFanout.js";
+import { register as registerEstimateInvoice } from "./handlers/estimateInvoice.js";
+import { adminRoutes } from "./routes/adminRoutes.js";
+import { healthRoutes } from "./routes/healthRoutes.js";
+import { QueueAdmin } from "./lib/queueAdmin.js";
+import {
+  RETRY_CONFIG,
+  isFinalFailure,
+  sellsyBackoffStrategy,
+} from "./lib/backoff.js";
+import {
+  closeTenantRuntime,
+  createTenantRuntime,
+  loadTenantMapping,
+  loadTenantRules,
+} from "./lib/tenantRuntime.js";
+import { WorkerMetrics } from "./lib/metrics.js";
+import {
+  AUDIT_OUTCOMES,
+  AuditTrail,
+  createAuditStore,
+} from "./lib/auditTrail.js";
+import { loadNotifier, notificationFor } from "./lib/notifier.js";
+import { deliverEvent } from "./lib/eventDelivery.js";
+import { validateWebhookEvent } from "./lib/schemaValidation.js";
+import { GracefulShutdown } from "./lib/gracefulShutdown.js";
+import { loadTenantRegistry } from "../lib/tenants.js";
+import { unwrapEvent } from "../lib/eventEnvelope.js";
+import { SPAN_KINDS, createTracer, parseTraceparent } from "../lib/tracing.js";
 
 // --- Redis setup ---
 const redis = new IORedis({
   host: process.env.REDIS_HOST || "127.0.0.1",
-  port: 6379,
+  port: Number(process.env.REDIS_PORT) || 6379,
   maxRetriesPerRequest: null,
 });
 
 // --- Fastify pour la gestion API ---
 const app = Fastify({ logger: true });
 
-// --- Calcul du délai de retry avec backoff exponentiel ---
-function calculateRetryDelay(attemptsMade, isMaintenanceError = false) {
-  // Si erreur de maintenance (503), on attend directement 30 minutes
-  if (isMaintenanceError) {
-    return RETRY_CONFIG.MAINTENANCE_RETRY_DELAY;
-  }
-
-  // Backoff exponentiel: delay = INITIAL_DELAY * (base ^ attempt)
-  const exponentialDelay =
-    RETRY_CONFIG.INITIAL_DELAY *
-    Math.pow(RETRY_CONFIG.EXPONENTIAL_BASE, attemptsMade);
+// --- Arrêt gracieux: drainage des workers BullMQ de cette réplique ---
+const shutdown = new GracefulShutdown(app.log);
 
-  // On plafonne au délai maximum
-  const delay = Math.min(exponentialDelay, RETRY_CONFIG.MAX_DELAY);
+// Réplique ayant traité un job (job.processedBy), visible dans l'administration
+const WORKER_NAME = `${os.hostname()}:${process.pid}`;
 
-  return delay;
-}
+// --- Métriques Prometheus ---
+const metrics = new WorkerMetrics();
 
-// --- Custom Error pour distinguer les types d'erreurs ---
-class ApiError extends Error {
-  constructor(message, statusCode, isRetryable = true) {
-    super(message);
-    this.name = "ApiError";
-    this.statusCode = statusCode;
-    this.isRetryable = isRetryable;
-    this.isMaintenanceError = statusCode === 503;
-  }
-}
+// --- Traces: contexte repris de l'enveloppe du job, export OTLP optionnel ---
+const tracer = createTracer("sellsy-invoice-creator", app.log);
 
-// --- Client API Sellsy ---
-class SellsyApiClient {
-  constructor(clientId, clientSecret, logger, maxRetries = 3) {
-    this.clientId = clientId;
-    this.clientSecret = clientSecret;
-    this.logger = logger;
-    this.maxRetries = maxRetries;
-    this.token = null;
-    this.tokenExpiry = null;
-    this.refreshPromise = null;
-  }
+app.get("/metrics", async (request, reply) => {
+  reply.type(metrics.contentType);
+  return metrics.render();
+});
 
-  async refreshToken() {
-    try {
-      this.logger.info("🔄 Rafraîchissement du token Sellsy...");
+// --- Tenants (comptes Sellsy) ---
+// Sans SELLSY_TENANTS_FILE, seul le tenant "default" configuré par l'environnement existe
+const tenants = [
+  ...loadTenantRegistry(process.env.SELLSY_TENANTS_FILE).values(),
+].map((tenant) => createTenantRuntime(tenant, redis, app.log, metrics, tracer));
 
-      const response = await fetch(
-        "https://login.sellsy.com/oauth2/access-tokens",
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            grant_type: "client_credentials",
-            client_id: this.clientId,
-            client_secret: this.clientSecret,
-          }),
-        },
-      );
+// --- Piste d'audit (AUDIT_STORE=sqlite|postgres|none) ---
+const auditStore = createAuditStore(app.log);
+const auditTrail = auditStore ? new AuditTrail(auditStore, app.log) : null;
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+// --- Notifications (NOTIFICATIONS_FILE), chargées au démarrage ---
+let notifier = null;
 
-      const data = await response.json();
-      this.token = data.access_token;
-      this.tokenExpiry = Date.now() + data.expires_in * 1000;
+// Jamais bloquant pour le job: le Notifier journalise lui-même ses échecs
+async function notifyJob(tenant, job, outcome, error = null) {
+  if (!notifier) return;
+  await notifier.notify(notificationFor(tenant.id, job, outcome, error));
+}
 
-      this.logger.info("✅ Token Sellsy rafraîchi avec succès");
-      return this.token;
-    } catch (error) {
-      this.logger.error("❌ Erreur lors du rafraîchissement du token:", error);
-      throw error;
-    }
-  }
+// --- Administration des files: API /admin/api et interface /admin ---
+// Dead-letter queues comprises (/admin/api/tenants/:id/dlq): sans token, rien n'est exposé
+if (process.env.ADMIN_API_TOKEN) {
+  app.register(adminRoutes, {
+    prefix: "/admin",
+    token: process.env.ADMIN_API_TOKEN,
+    auditTrail,
+    getNotifier: () => notifier,
+    tracer,
+    queueAdmins: new Map(
+      tenants.map((tenant) => [tenant.id, new QueueAdmin(tenant)]),
+    ),
+  });
+} else {
+  app.log.warn("🔒 ADMIN_API_TOKEN non défini: administration désactivée");
+}
 
-  async getToken(forceRefresh = false) {
-    const isExpired =
-      !this.tokenExpiry || Date.now() >= this.tokenExpiry - 60000;
+// --- Registre des handlers d'événements ---
+const handlerRegistry = new HandlerRegistry(app.log);
 
-    if (!this.token || isExpired || forceRefresh) {
-      if (!this.refreshPromise) {
-        this.refreshPromise = this.refreshToken().finally(() => {
-          this.refreshPromise = null;
-        });
-      }
-      return await this.refreshPromise;
-    }
+async function registerHandlers() {
+  // Services par tenant (ledger, mapping...) transmis dans le contexte: ctx.tenant
+  const services = { redis, tenants };
 
-    return this.token;
-  }
+  // Relais aux abonnés en premier: un échec de facturation ne retarde pas les autres services
+  registerEventFanout(handlerRegistry, services);
+  registerEstimateInvoice(handlerRegistry, services);
 
-  async makeApiCall(url, options = {}) {
-    let attempt = 0;
-    let forceRefresh = false;
+  // Modules additionnels: EVENT_HANDLER_MODULES=./handlers/invoice.js,./handlers/payment.js
+  const extraModules = (process.env.EVENT_HANDLER_MODULES || "")
+    .split(",")
+    .map((modulePath) => modulePath.trim())
+    .filter(Boolean);
 
-    while (attempt < this.maxRetries) {
-      try {
-        const token = await this.getToken(forceRefresh);
-
-        const apiOptions = {
-          ...options,
-          headers: {
-            Authorization: `Bearer ${token}`,
-            "Content-Type": "application/json",
-            ...options.headers,
-          },
-        };
+  await loadHandlerModules(handlerRegistry, extraModules, services);
+}
 
-        if (options.body) {
-          apiOptions.body = options.body;
-        }
+// --- Worker BullMQ avec retry exponentiel (un par tenant) ---
+function startTenantWorker(tenant) {
+  const { logger, sellsyApi, deadLetterQueue } = tenant;
 
-        this.logger.debug(`🌐 API Call: ${url}`);
+  const worker = new Worker(
+    tenant.queue.name,
+    async (job) => {
+      logger.info(`🎯 Traitement job ${job.id}: ${job.name}`);
 
-        const response = await fetch(url, apiOptions);
+      // Enveloppe du listener (ou payload seule pour les jobs plus anciens)
+      const { meta, event } = unwrapEvent(job.data);
 
-        // 🔍 LOG de la réponse
-        const statusEmoji = response.ok ? "✅" : "❌";
-        this.logger.info(
-          `${statusEmoji} Response: ${response.status} ${response.statusText}`,
+      try {
+        return await tracer.withSpan(
+          `process ${event?.relatedtype}.${event?.eventType}`,
+          {
+            parent: parseTraceparent(meta?.traceparent),
+            kind: SPAN_KINDS.CONSUMER,
+            attributes: {
+              "sellsy.tenant": tenant.id,
+              "messaging.message.id": job.id,
+              "sellsy.attempt": job.attemptsMade + 1,
+              "http.request_id": meta?.requestId,
+            },
+          },
+          async (span) => {
+            // Non conforme au schéma du listener: DLQ directe, sans retry
+            validateWebhookEvent(event);
+
+            const results = await handlerRegistry.dispatch({
+              event,
+              meta,
+              trace: span.context,
+              sellsyApi,
+              // Corrélation des logs avec la réception (listener) et la trace
+              logger: logger.child({
+                jobId: job.id,
+                traceId: span.traceId,
+                requestId: meta?.requestId,
+              }),
+              job,
+              tenant,
+              // Les handlers qui écrivent chez Sellsy s'en tiennent à une simulation
+              shadow: tenant.shadowMode.matches(event),
+            });
+
+            return {
+              success: true,
+              jobId: job.id,
+              tenant: tenant.id,
+              traceId: span.traceId,
+              results,
+              timestamp: new Date().toISOString(),
+            };
+          },
         );
-
-        if (response.status === 401) {
-          this.logger.warn("🔑 Reçu 401, rafraîchissement forcé du token...");
-          forceRefresh = true;
-          attempt++;
-          continue;
-        }
-
-        // Gestion spécifique des erreurs 503 (maintenance)
-        if (response.status === 503) {
-          let errorBody = "";
-          try {
-            errorBody = await response.text();
-          } catch (e) {
-            errorBody = "Impossible de lire le corps de l'erreur";
-          }
-
-          throw new ApiError(
-            `Sellsy API en maintenance: ${errorBody}`,
-            503,
-            true,
-          );
-        }
-
-        if (!response.ok) {
-          let errorBody = "";
-          try {
-            errorBody = await response.text();
-            this.logger.error(`📝 Détails de l'erreur: ${errorBody}`);
-          } catch (e) {
-            errorBody = "Impossible de lire le corps de l'erreur";
-          }
-
-          // Erreurs 4xx ne sont généralement pas retryables (sauf 401 géré plus haut)
-          const isRetryable = response.status >= 500;
-
-          throw new ApiError(
-            `Sellsy API error: ${response.status} ${response.statusText} - ${errorBody}`,
-            response.status,
-            isRetryable,
-          );
-        }
-
-        const data = await response.json();
-        this.logger.debug("📨 Données de réponse reçues");
-        return data;
       } catch (error) {
-        // Si c'est une ApiError, on la relance directement
-        if (error instanceof ApiError) {
-          throw error;
-        }
+        logger.error(error, `❌ Erreur dans le job ${job.id}`);
 
-        attempt++;
-
-        if (attempt >= this.maxRetries) {
-          this.logger.error(`💥 Échec après ${this.maxRetries} tentatives`);
-          throw error;
+        // Si c'est une erreur non retryable (4xx), on ne retry pas
+        if (error instanceof ApiError && !error.isRetryable) {
+          logger.error(
+            `🚫 Erreur non retryable (${error.statusCode}), abandon du job`,
+          );
+          // On ne throw pas pour que le job soit marqué comme complété
+          return {
+            success: false,
+            error: error.message,
+            statusCode: error.statusCode,
+            retryable: false,
+            invoicePayload: error.invoicePayload,
+          };
         }
 
-        this.logger.warn(
-          `🔄 Tentative ${attempt} échouée, nouvelle tentative...`,
-        );
-        await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+        // Pour les autres erreurs, on throw pour déclencher le retry
+        throw error;
       }
-    }
-  }
-}
-
-// Créer l'instance du client API pour le worker
-const sellsyApi = new SellsyApiClient(
-  process.env.SELLSY_CLIENT_ID,
-  process.env.SELLSY_CLIENT_SECRET,
-  app.log,
-  3,
-);
-
-// Fonction utilitaire pour nettoyer les données avant envoi API
-function cleanDataForApi(data, propertiesToRemove = []) {
-  if (!data || typeof data !== "object") return data;
-
-  const defaultPropertiesToRemove = [
-    "id",
-    "created",
-    "fiscal_year_id",
-    "number",
-    "public_link",
-    "pdf_link",
-    "owner",
-    "date",
-    "delivery_address_id",
-    "invoicing_address_id",
-    "amounts",
-    "related", // On retire related car on le reconstruit
-    "rows", // On retire rows car on les transforme
-    "status", // On retire le statut du devis
-  ];
-
-  const allPropertiesToRemove = [
-    ...defaultPropertiesToRemove,
-    ...propertiesToRemove,
-  ];
-
-  return Object.fromEntries(
-    Object.entries(data).filter(
-      ([key, value]) =>
-        value !== null &&
-        value !== undefined &&
-        value !== "" &&
-        !allPropertiesToRemove.includes(key),
-    ),
+    },
+    {
+      connection: redis,
+      name: WORKER_NAME,
+      // Le débit vers Sellsy est borné par le rate limiter, pas par la concurrence
+      concurrency:
+        Number(tenant.config.concurrency) ||
+        Number(process.env.WORKER_CONCURRENCY) ||
+        10,
+      removeOnComplete: { count: 100 },
+      removeOnFail: { count: 50 },
+      settings: {
+        // Backoff exponentiel / maintenance / Retry-After (jobs créés avec backoff.type "sellsy")
+        backoffStrategy: sellsyBackoffStrategy,
+      },
+    },
   );
-}
-
-// --- Traitement spécifique pour les devis acceptés ---
-class InvoiceCreator {
-  constructor(sellsyApi, logger) {
-    this.sellsyApi = sellsyApi;
-    this.logger = logger;
-  }
-
-  async processEvent(event) {
-    const { eventType, relatedtype, relatedobject } = event;
-
-    this.logger.info(
-      `🔍 Traitement webhook: ${relatedtype}.${eventType} pour l'objet ${relatedobject?.id}`,
-    );
 
-    if (relatedtype === "estimate" && eventType === "docslog") {
-      await this.handleEstimateModification(relatedobject);
-    } else {
-      this.logger.info(`ℹ️  Événement ${relatedtype}.${eventType} ignoré`);
-    }
-  }
+  // BullMQ reprogramme lui-même les tentatives: on journalise et on gère l'échec définitif
+  worker.on(
+    "failed",
+    shutdown.track(async (job, err) => {
+      if (!job) return;
 
-  async handleEstimateModification(estimate) {
-    const estimateId = estimate.id;
+      const attemptsMade = job.attemptsMade;
+      const maxAttempts = job.opts.attempts ?? 1;
 
-    try {
-      if (this.isEstimateAccepted(estimate)) {
-        this.logger.info(
-          `📄 Devis ${estimateId} accepté, création de la facture...`,
+      try {
+        await deadLetterQueue.recordAttempt(job, err);
+      } catch (recordError) {
+        logger.error(
+          recordError,
+          `⚠️ Historique du job ${job.id} non enregistré`,
         );
+      }
 
-        // Récupérer les détails complets du devis
-        const fullEstimate = await this.getEstimateDetails(estimateId);
+      if (!isFinalFailure(job, err)) {
+        metrics.observeJob(tenant.id, job, "retry");
+        metrics.jobRetries.inc({ tenant: tenant.id });
 
-        // Créer la facture
-        const invoice = await this.createInvoiceFromEstimate(
-          fullEstimate,
-          estimate,
-        );
+        // job.delay contient le délai calculé par sellsyBackoffStrategy
+        const delayMinutes = ((job.delay || 0) / 60000).toFixed(2);
+        const isMaintenanceError =
+          err instanceof ApiError && err.isMaintenanceError;
 
-        this.logger.info(
-          `✅ Facture ${invoice.id} créée avec succès depuis le devis ${estimateId}`,
-        );
-      } else {
-        this.logger.info(
-          `📄 Devis ${estimateId} statut: ${estimate.status} - aucune action nécessaire`,
-        );
+        if (isMaintenanceError) {
+          logger.warn(
+            `🛠️ Maintenance détectée - Retry dans ${delayMinutes} minutes (tentative ${attemptsMade + 1}/${maxAttempts})`,
+          );
+        } else {
+          logger.warn(
+            `🔄 Retry dans ${delayMinutes} minutes (tentative ${attemptsMade + 1}/${maxAttempts})`,
+          );
+        }
+        return;
       }
-    } catch (error) {
-      this.logger.error(
-        `❌ Échec du traitement du devis ${estimateId}:`,
-        error,
-      );
-      throw error;
-    }
-  }
-
-  async getEstimateDetails(estimateId) {
-    this.logger.info(`📥 Récupération des détails du devis ${estimateId}...`);
-
-    const estimate = await this.sellsyApi.makeApiCall(
-      `https://api.sellsy.com/v2/estimates/${estimateId}`,
-    );
 
-    return estimate;
-  }
+      metrics.observeJob(tenant.id, job, "failed");
+      await auditTrail?.record(tenant.id, job, AUDIT_OUTCOMES.FAILED, err);
+      await notifyJob(tenant, job, AUDIT_OUTCOMES.FAILED, err);
 
-  isEstimateAccepted(estimate) {
-    const acceptedStatuses = ["accepted", "won", "signed"];
-    return acceptedStatuses.includes(estimate.status);
-  }
+      logger.error(
+        {
+          jobId: job.id,
+          error: err.message,
+          stack: err.stack,
+          jobData: job.data,
+          attempts: attemptsMade,
+        },
+        `💥 Job ${job.id} définitivement échoué après ${attemptsMade} tentatives`,
+      );
 
-  async createInvoiceFromEstimate(fullEstimate, webhookEstimate) {
-    this.logger.info(`🎯 Création facture depuis devis ${fullEstimate.id}...`);
+      // Conserver l'événement dans la dead-letter queue (removeOnFail finira par purger le job)
+      try {
+        await deadLetterQueue.add(job, err);
+        metrics.deadLetters.inc({ tenant: tenant.id });
+      } catch (dlqError) {
+        logger.error(
+          { jobId: job.id, jobData: job.data, error: dlqError.message },
+          "🔥 Impossible d'ajouter le job à la dead-letter queue",
+        );
+      }
+    }),
+  );
 
-    // Récupérer l'ID du client depuis le webhook
-    const clientId = webhookEstimate.related?.find(
-      (r) => r.type === "company",
-    )?.id;
+  worker.on(
+    "completed",
+    shutdown.track(async (job) => {
+      metrics.observeJob(tenant.id, job, "completed");
+      logger.info(`✅ Job ${job.id} terminé avec succès`);
 
-    if (!clientId) {
-      throw new Error("❌ Client introuvable dans le devis");
-    }
+      const outcome =
+        job.returnvalue?.success === false
+          ? AUDIT_OUTCOMES.REJECTED
+          : AUDIT_OUTCOMES.SUCCESS;
 
-    // Construction de la facture selon la doc Sellsy v2
-    const invoiceData = {
-      subject: webhookEstimate.subject || `Facture - ${webhookEstimate.number}`,
-      currency: webhookEstimate.currency || "EUR",
-      parent: { type: "estimate", id: fullEstimate.id },
-      related: [
-        {
-          id: clientId,
-          type: "company",
-        },
-      ],
-      rows: this.transformEstimateItemsToInvoiceRows(fullEstimate.rows || []),
-    };
+      await auditTrail?.record(tenant.id, job, outcome);
+      await notifyJob(tenant, job, outcome);
+    }),
+  );
 
-    // Nettoyage des données
-    const cleanedWebhookData = cleanDataForApi(webhookEstimate);
+  worker.on("error", (err) => {
+    logger.error("🔥 Erreur worker:", err);
+  });
 
-    // Fusion
-    const finalInvoiceData = {
-      ...cleanedWebhookData,
-      ...invoiceData,
-    };
+  return worker;
+}
 
-    // 🔍 LOG de la payload
-    this.logger.info("📦 Payload envoyé à l'API Sellsy:");
-    console.log("=== PAYLOAD COMPLET ===");
-    console.log(JSON.stringify(finalInvoiceData, null, 2));
-    console.log("=======================");
+// --- Livraison des événements aux abonnés (une file par tenant) ---
+function startDeliveryWorker(tenant) {
+  const { logger, subscriptions } = tenant;
 
+  const track = async (job, outcome, statusCode, error = null) => {
+    metrics.deliveries.inc({
+      tenant: tenant.id,
+      subscriber: job.data.subscriberId,
+      outcome,
+    });
     try {
-      this.logger.info("🚀 Envoi vers API Sellsy...");
-
-      const invoice = await this.sellsyApi.makeApiCall(
-        "https://api.sellsy.com/v2/invoices",
-        {
-          method: "POST",
-          body: JSON.stringify(finalInvoiceData),
-        },
+      await subscriptions.recordDelivery(job.data.subscriberId, {
+        outcome,
+        eventId: job.data.eventId,
+        statusCode,
+        error,
+      });
+    } catch (recordError) {
+      logger.error(
+        recordError,
+        `⚠️ Statut de livraison ${job.id} non enregistré`,
       );
-
-      this.logger.info(`✅ Facture créée avec succès! ID: ${invoice.id}`);
-      return invoice;
-    } catch (error) {
-      this.logger.error("❌ Erreur lors de la création de la facture");
-      throw error;
     }
-  }
+  };
 
-  transformEstimateItemsToInvoiceRows(estimateRows) {
-    if (!Array.isArray(estimateRows) || estimateRows.length === 0) {
-      this.logger.warn("⚠️ Aucune ligne trouvée dans le devis");
-      return [];
-    }
+  const worker = new Worker(
+    tenant.deliveryQueue.name,
+    async (job) => {
+      const subscription = await subscriptions.get(job.data.subscriberId);
 
-    this.logger.info(`📋 Transformation de ${estimateRows.length} lignes...`);
-
-    return estimateRows.map((row, index) => {
-      const invoiceRow = {
-        type: "single", // Champ requis selon la doc
-        description: row.description || `Ligne ${index + 1}`,
-        quantity: row.quantity?.toString() || "1",
-        unit_amount: (row.unitAmount || row.unit_amount || "0").toString(),
-      };
-
-      // Gérer la taxe
-      if (row.tax?.id) {
-        invoiceRow.tax_id = row.tax.id;
-      } else if (row.tax1?.id) {
-        invoiceRow.tax_id = row.tax1.id;
+      // Abonnement supprimé ou désactivé depuis la mise en file
+      if (!subscription?.enabled) {
+        return { delivered: false, reason: "subscription_inactive" };
       }
 
-      // Gérer le produit
-      if (row.product?.id) {
-        invoiceRow.reference =
-          row.product.reference || `prod_${row.product.id}`;
+      const secret = subscriptions.secretOf(subscription);
+      if (!secret) {
+        throw new Error(`Secret introuvable pour l'abonné ${subscription.id}`);
       }
 
-      this.logger.debug(`➡️ Ligne ${index + 1}: ${invoiceRow.description}`);
-      return invoiceRow;
-    });
-  }
-}
-
-// --- Worker BullMQ avec retry exponentiel ---
-async function startWorker() {
-  // Initialiser l'API Sellsy pour le worker
-  await sellsyApi.getToken();
-  console.log("✅ API Sellsy initialisée pour le worker");
-
-  const worker = new Worker(
-    "sellsy-webhooks",
-    async (job) => {
-      console.log(`🎯 Traitement job ${job.id}: ${job.name}`);
+      // Span CLIENT enfant du traitement de l'événement, propagé à l'abonné
+      const span = tracer.startSpan(`deliver ${subscription.id}`, {
+        parent: parseTraceparent(job.data.traceparent),
+        kind: SPAN_KINDS.CLIENT,
+        attributes: {
+          "sellsy.tenant": tenant.id,
+          "sellsy.subscriber": subscription.id,
+          "url.full": subscription.url,
+          "sellsy.attempt": job.attemptsMade + 1,
+        },
+      });
 
       try {
-        const invoiceCreator = new InvoiceCreator(sellsyApi, app.log);
-
-        await invoiceCreator.processEvent(job.data);
-
-        return {
-          success: true,
-          jobId: job.id,
-          timestamp: new Date().toISOString(),
-        };
+        const { statusCode } = await deliverEvent(subscription, secret, job, {
+          traceparent: span.traceparent,
+        });
+        span.setAttributes({ "http.response.status_code": statusCode });
+        span.end();
+        return { delivered: true, statusCode, url: subscription.url };
       } catch (error) {
-        console.error(`❌ Erreur dans le job ${job.id}:`, error);
-
-        // Si c'est une erreur non retryable (4xx), on ne retry pas
-        if (error instanceof ApiError && !error.isRetryable) {
-          app.log.error(
-            `🚫 Erreur non retryable (${error.statusCode}), abandon du job`,
-          );
-          // On ne throw pas pour que le job soit marqué comme complété
-          return {
-            success: false,
-            error: error.message,
-            statusCode: error.statusCode,
-            retryable: false,
-          };
-        }
-
-        // Pour les autres erreurs, on throw pour déclencher le retry
+        span.end(error);
         throw error;
       }
     },
     {
       connection: redis,
-      concurrency: 3,
-      removeOnComplete: { count: 100 },
-      removeOnFail: { count: 50 },
-      settings: {
-        // Configuration du backoff exponentiel
-        backoff: {
-          type: "custom",
-        },
-      },
+      name: WORKER_NAME,
+      concurrency: Number(process.env.FANOUT_CONCURRENCY) || 5,
+      settings: { backoffStrategy: sellsyBackoffStrategy },
     },
   );
 
-  // Gestion custom du backoff
-  worker.on("failed", async (job, err) => {
-    const attemptsMade = job.attemptsMade;
-    const isMaintenanceError =
-      err instanceof ApiError && err.isMaintenanceError;
+  worker.on(
+    "completed",
+    shutdown.track(async (job) => {
+      if (!job.returnvalue?.delivered) return;
+      logger.info(
+        `📬 Événement ${job.data.eventId} livré à ${job.data.subscriberId}`,
+      );
+      await track(job, "delivered", job.returnvalue.statusCode);
+    }),
+  );
 
-    if (attemptsMade < RETRY_CONFIG.MAX_ATTEMPTS) {
-      const delay = calculateRetryDelay(attemptsMade, isMaintenanceError);
-      const delayMinutes = (delay / 60000).toFixed(2);
+  worker.on(
+    "failed",
+    shutdown.track(async (job, err) => {
+      if (!job) return;
 
-      if (isMaintenanceError) {
-        app.log.warn(
-          `🛠️ Maintenance détectée - Retry dans ${delayMinutes} minutes (tentative ${attemptsMade + 1}/${RETRY_CONFIG.MAX_ATTEMPTS})`,
-        );
-      } else {
-        app.log.warn(
-          `🔄 Retry dans ${delayMinutes} minutes (tentative ${attemptsMade + 1}/${RETRY_CONFIG.MAX_ATTEMPTS})`,
+      if (!isFinalFailure(job, err)) {
+        logger.warn(
+          `🔄 Livraison ${job.id} à ${job.data.subscriberId} en échec (${err.message}), retry dans ${((job.delay || 0) / 60000).toFixed(2)} minutes`,
         );
+        await track(job, "retry", err.statusCode, err.message);
+        return;
       }
 
-      // Programmer le retry avec le délai calculé
-      await job.retry("custom", delay);
-    } else {
-      app.log.error(
+      logger.error(
         {
-          jobId: job?.id,
+          jobId: job.id,
+          subscriber: job.data.subscriberId,
           error: err.message,
-          stack: err.stack,
-          jobData: job?.data,
-          attempts: attemptsMade,
         },
-        `💥 Job ${job?.id} définitivement échoué après ${RETRY_CONFIG.MAX_ATTEMPTS} tentatives`,
+        `💥 Livraison abandonnée après ${job.attemptsMade} tentative(s)`,
       );
-    }
-  });
+      await track(job, "failed", err.statusCode, err.message);
+    }),
+  );
 
-  worker.on("completed", (job) => {
-    app.log.info(`✅ Job ${job.id} terminé avec succès`);
+  worker.on("error", (err) => {
+    logger.error("🔥 Erreur worker de livraison:", err);
   });
 
-  worker.on("error", (err) => {
-    app.log.error("🔥 Erreur worker:", err);
+  return worker;
+}
+
+async function startWorker() {
+  notifier = await loadNotifier(process.env.NOTIFICATIONS_FILE, app.log, {
+    metrics,
   });
 
+  for (const tenant of tenants) {
+    // Un tenant mal configuré ne bloque pas les autres: le token sera redemandé au premier job
+    try {
+      await tenant.sellsyApi.getToken();
+      tenant.logger.info(
+        `✅ API Sellsy initialisée pour le tenant ${tenant.id}`,
+      );
+    } catch (error) {
+      tenant.logger.error(
+        `⚠️ Token Sellsy indisponible pour le tenant ${tenant.id}: ${error.message}`,
+      );
+    }
+
+    // Mapping devis → facture du tenant (INVOICE_MAPPING_FILE ou mappingFile du tenant)
+    await loadTenantMapping(tenant);
+    // Règles d'acceptation (ACCEPTANCE_RULES_FILE ou rulesFile du tenant)
+    await loadTenantRules(tenant);
+  }
+
+  await registerHandlers();
+
+  for (const tenant of tenants) {
+    shutdown.addWorker(startTenantWorker(tenant));
+    shutdown.addWorker(startDeliveryWorker(tenant));
+  }
+
   app.log.info(
-    "👷 Sellsy Invoice Creator démarré - En attente des devis acceptés...",
+    `👷 Sellsy Invoice Creator démarré (${tenants.length} tenant(s): ${tenants.map((tenant) => tenant.id).join(", ")}) - En attente des devis acceptés...`,
   );
   app.log.info(
     `⚙️ Configuration retry: max ${RETRY_CONFIG.MAX_ATTEMPTS} tentatives, délai max ${RETRY_CONFIG.MAX_DELAY / 60000} minutes`,
   );
 }
 
-// --- Health check ---
-app.get("/health", async (request, reply) => {
-  try {
-    const token = await sellsyApi.getToken();
-
-    return {
-      status: "healthy",
-      service: "sellsy-invoice-creator",
-      sellsy_api: "connected",
-      retry_config: {
-        max_attempts: RETRY_CONFIG.MAX_ATTEMPTS,
-        initial_delay_ms: RETRY_CONFIG.INITIAL_DELAY,
-        max_delay_minutes: RETRY_CONFIG.MAX_DELAY / 60000,
-        maintenance_retry_minutes: RETRY_CONFIG.MAINTENANCE_RETRY_DELAY / 60000,
-      },
-      timestamp: new Date().toISOString(),
-    };
-  } catch (error) {
-    app.log.error("Health check failed:", error);
-    return reply.status(503).send({
-      status: "unhealthy",
-      error: error.message,
-    });
-  }
-});
+// --- Sondes de santé: /health/live, /health/ready et /health (détail) ---
+app.register(healthRoutes, { redis, tenants, shutdown });
 
 // --- Démarrage ---
 const start = async () => {
   try {
-    await app.listen({ port: 3001, host: "0.0.0.0" });
-    console.log("🚀 Sellsy Invoice Creator prêt sur le port 3001");
+    await auditStore?.init();
+    const port = Number(process.env.WORKER_PORT) || 3001;
+    await app.listen({ port, host: "0.0.0.0" });
+    app.log.info(`🚀 Sellsy Invoice Creator prêt sur le port ${port}`);
 
     await startWorker();
-    console.log("📋 En attente des devis acceptés...");
+    app.log.info("📋 En attente des devis acceptés...");
   } catch (err) {
     app.log.error(err);
     process.exit(1);
   }
 };
 
-process.on("SIGINT", async () => {
-  app.log.info("Arrêt gracieux...");
+// Workers arrêtés: HTTP, files, stores puis connexion Redis
+shutdown.listen(["SIGTERM", "SIGINT"], async (signal, { drained }) => {
   await app.close();
-  process.exit(0);
+  await Promise.all(tenants.map((tenant) => closeTenantRuntime(tenant)));
+  await auditTrail?.close();
+  await tracer.shutdown();
+  await redis.quit();
+  app.log.info(
+    `👋 Worker arrêté (${signal}${drained ? "" : ", jobs rendus à la file"})`,
+  );
 });
 
 start();